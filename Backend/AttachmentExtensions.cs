@@ -0,0 +1,49 @@
+using Amazon;
+using Amazon.Runtime;
+using Amazon.S3;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using TodoApi.Data;
+using TodoApi.Models;
+
+namespace TodoApi
+{
+    /// <summary>
+    /// File attachment setup shared by Startup (Lambda) and Program (local runs)
+    /// </summary>
+    public static class AttachmentExtensions
+    {
+        /// <summary>
+        /// Store attachments in S3, or in the S3-compatible service named by Attachments:ServiceUrl
+        /// </summary>
+        /// <param name="services">Service collection</param>
+        /// <param name="configuration">App configuration containing the "Attachments" section</param>
+        /// <returns>The service collection</returns>
+        public static IServiceCollection AddTodoAttachments(this IServiceCollection services, IConfiguration configuration)
+        {
+            var attachmentOptions = configuration.GetSection(AttachmentOptions.SectionName).Get<AttachmentOptions>() ?? new AttachmentOptions();
+            services.Configure<AttachmentOptions>(configuration.GetSection(AttachmentOptions.SectionName));
+
+            var s3Config = new AmazonS3Config();
+            if (string.IsNullOrEmpty(attachmentOptions.ServiceUrl))
+            {
+                s3Config.RegionEndpoint = RegionEndpoint.USEast1;
+            }
+            else
+            {
+                // Stand-ins such as the local stub storage serve buckets as paths, not host names
+                s3Config.ServiceURL = attachmentOptions.ServiceUrl;
+                s3Config.AuthenticationRegion = RegionEndpoint.USEast1.SystemName;
+                s3Config.ForcePathStyle = true;
+                AWSConfigsS3.UseSignatureVersion4 = true;
+            }
+
+            var s3Client = string.IsNullOrEmpty(attachmentOptions.AccessKey)
+                ? new AmazonS3Client(s3Config)
+                : new AmazonS3Client(new BasicAWSCredentials(attachmentOptions.AccessKey, attachmentOptions.SecretKey), s3Config);
+            services.AddSingleton<IAmazonS3>(s3Client);
+            services.AddScoped<AttachmentStorageService>();
+            return services;
+        }
+    }
+}
@@ -0,0 +1,56 @@
+using System.Text;
+using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.IdentityModel.Protocols.OpenIdConnect;
+using Microsoft.IdentityModel.Tokens;
+using TodoApi.Models;
+
+namespace TodoApi
+{
+    /// <summary>
+    /// Sign-in setup shared by Startup (Lambda) and Program (local runs)
+    /// </summary>
+    public static class AuthenticationExtensions
+    {
+        /// <summary>
+        /// Validate OIDC access tokens sent as "Authorization: Bearer ..." headers
+        /// </summary>
+        /// <param name="services">Service collection</param>
+        /// <param name="configuration">App configuration containing the "Auth" section</param>
+        /// <returns>The service collection</returns>
+        public static IServiceCollection AddTodoAuthentication(this IServiceCollection services, IConfiguration configuration)
+        {
+            var authOptions = configuration.GetSection(AuthOptions.SectionName).Get<AuthOptions>() ?? new AuthOptions();
+            services.Configure<AuthOptions>(configuration.GetSection(AuthOptions.SectionName));
+
+            services.AddAuthentication(JwtBearerDefaults.AuthenticationScheme)
+                .AddJwtBearer(options =>
+                {
+                    options.Authority = authOptions.Authority;
+                    options.Audience = authOptions.Audience;
+                    // Keep "sub" as-is instead of mapping it to a long claim type URI
+                    options.MapInboundClaims = false;
+
+                    if (!string.IsNullOrEmpty(authOptions.DevSigningKey))
+                    {
+                        // The local stub issuer signs with a shared key and has no JWKS endpoint
+                        options.RequireHttpsMetadata = false;
+                        options.TokenValidationParameters = new TokenValidationParameters
+                        {
+                            ValidIssuer = authOptions.Authority,
+                            ValidAudience = authOptions.Audience,
+                            IssuerSigningKey = new SymmetricSecurityKey(Encoding.UTF8.GetBytes(authOptions.DevSigningKey))
+                        };
+                        options.Configuration = new OpenIdConnectConfiguration
+                        {
+                            Issuer = authOptions.Authority
+                        };
+                    }
+                });
+
+            services.AddAuthorization();
+            return services;
+        }
+    }
+}
@@ -0,0 +1,286 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Amazon.DynamoDBv2.DataModel;
+using Amazon.DynamoDBv2.DocumentModel;
+using TodoApi.Models;
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Security.Cryptography;
+using System.Text;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+
+namespace TodoApi.Controllers
+{
+    /// <summary>
+    /// Controller for the iCalendar feed of the signed-in user's Todo items with a due date
+    /// </summary>
+    /// <remarks>
+    /// Calendar apps cannot sign in, so the feed is read with a secret token in the URL instead of
+    /// an access token. Each user has at most one token; deleting it stops every subscription.
+    /// </remarks>
+    [Route("api/todos")]
+    [ApiController]
+    [Authorize]
+    public class CalendarController : ControllerBase
+    {
+        private const string CalendarContentType = "text/calendar; charset=utf-8";
+        private const string ProductId = "-//TodoListApp//Todo Calendar Feed//EN";
+
+        // RFC 5545 lines are folded after 75 octets
+        private const int MaxLineOctets = 75;
+
+        private readonly IDynamoDBContext _dynamoDbContext;
+        private readonly ILogger<CalendarController> _logger;
+
+        /// <summary>
+        /// Constructor for CalendarController
+        /// </summary>
+        /// <param name="dynamoDbContext">DynamoDB context for database operations</param>
+        /// <param name="logger">Logger for error handling</param>
+        public CalendarController(IDynamoDBContext dynamoDbContext, ILogger<CalendarController> logger)
+        {
+            _dynamoDbContext = dynamoDbContext ?? throw new ArgumentNullException(nameof(dynamoDbContext));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Get the signed-in user's calendar feed token, issuing one the first time
+        /// </summary>
+        /// <returns>Calendar feed; subscribe to calendar.ics?token={token}</returns>
+        [HttpGet("calendar/feed")]
+        public async Task<ActionResult<CalendarFeed>> GetFeed()
+        {
+            try
+            {
+                var feed = await _dynamoDbContext.LoadAsync<CalendarFeed>(User.GetUserId());
+                if (feed == null)
+                {
+                    _logger.LogInformation("Issuing a calendar feed token");
+                    feed = new CalendarFeed
+                    {
+                        UserId = User.GetUserId(),
+                        Token = CreateToken()
+                    };
+                    await _dynamoDbContext.SaveAsync(feed);
+                }
+
+                return feed;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving the calendar feed");
+                return StatusCode(500, "An error occurred while retrieving the calendar feed");
+            }
+        }
+
+        /// <summary>
+        /// Revoke the signed-in user's calendar feed token
+        /// </summary>
+        /// <remarks>
+        /// Existing subscriptions stop updating; the next call to GET calendar/feed issues a new token.
+        /// </remarks>
+        /// <returns>No content if successful</returns>
+        [HttpDelete("calendar/feed")]
+        public async Task<IActionResult> DeleteFeed()
+        {
+            try
+            {
+                _logger.LogInformation("Revoking the calendar feed token");
+                await _dynamoDbContext.DeleteAsync<CalendarFeed>(User.GetUserId());
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while revoking the calendar feed");
+                return StatusCode(500, "An error occurred while revoking the calendar feed");
+            }
+        }
+
+        /// <summary>
+        /// Get the todo items with a due date as an iCalendar file with one VTODO per item
+        /// </summary>
+        /// <remarks>
+        /// Items in the trash are left out. Completed items are included with STATUS:COMPLETED.
+        /// </remarks>
+        /// <param name="token">Calendar feed token</param>
+        /// <returns>VCALENDAR document</returns>
+        [HttpGet("calendar.ics")]
+        [AllowAnonymous]
+        public async Task<IActionResult> GetCalendar([FromQuery] string? token)
+        {
+            if (string.IsNullOrEmpty(token))
+            {
+                return Unauthorized();
+            }
+
+            try
+            {
+                var feeds = await _dynamoDbContext
+                    .QueryAsync<CalendarFeed>(token, new DynamoDBOperationConfig { IndexName = CalendarFeed.TokenIndex })
+                    .GetRemainingAsync();
+                var feed = feeds.FirstOrDefault();
+                if (feed == null)
+                {
+                    _logger.LogWarning("Calendar feed requested with an unknown token");
+                    return NotFound();
+                }
+
+                var todos = await _dynamoDbContext.ScanAsync<Todo>(new List<ScanCondition>
+                {
+                    new ScanCondition(nameof(Todo.UserId), ScanOperator.Equal, feed.UserId),
+                    new ScanCondition(nameof(Todo.DeletedAt), ScanOperator.IsNull),
+                    new ScanCondition(nameof(Todo.DueAt), ScanOperator.IsNotNull)
+                }).GetRemainingAsync();
+
+                _logger.LogInformation("Serving calendar feed with {Count} todo items", todos.Count);
+                return Content(WriteCalendar(todos.OrderBy(todo => todo.DueAt)), CalendarContentType);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while building the calendar feed");
+                return StatusCode(500, "An error occurred while building the calendar feed");
+            }
+        }
+
+        /// <summary>
+        /// Create a random token that cannot be guessed
+        /// </summary>
+        /// <returns>64 hexadecimal characters</returns>
+        private static string CreateToken()
+        {
+            return Convert.ToHexString(RandomNumberGenerator.GetBytes(32)).ToLowerInvariant();
+        }
+
+        /// <summary>
+        /// Write todo items as an RFC 5545 VCALENDAR with one VTODO each
+        /// </summary>
+        /// <param name="todos">Todo items with a due date</param>
+        /// <returns>iCalendar text with CRLF line endings</returns>
+        private static string WriteCalendar(IEnumerable<Todo> todos)
+        {
+            var now = FormatDateTime(DateTime.UtcNow);
+            var lines = new List<string>
+            {
+                "BEGIN:VCALENDAR",
+                "VERSION:2.0",
+                $"PRODID:{ProductId}",
+                "CALSCALE:GREGORIAN",
+                "METHOD:PUBLISH",
+                "X-WR-CALNAME:Todos"
+            };
+
+            foreach (var todo in todos)
+            {
+                lines.Add("BEGIN:VTODO");
+                lines.Add($"UID:{todo.Id}@todolistapp");
+                lines.Add($"DTSTAMP:{now}");
+                lines.Add($"CREATED:{FormatDateTime(todo.CreatedAt)}");
+                lines.Add($"LAST-MODIFIED:{FormatDateTime(todo.UpdatedAt ?? todo.CreatedAt)}");
+                lines.Add($"SEQUENCE:{todo.Version}");
+                lines.Add($"SUMMARY:{EscapeText(todo.Description)}");
+                if (!string.IsNullOrEmpty(todo.Notes))
+                {
+                    lines.Add($"DESCRIPTION:{EscapeText(todo.Notes)}");
+                }
+                if (todo.DueAt != null)
+                {
+                    lines.Add($"DUE:{FormatDateTime(todo.DueAt.Value)}");
+                }
+                lines.Add(todo.IsCompleted ? "STATUS:COMPLETED" : "STATUS:NEEDS-ACTION");
+                var priority = TodoPriority.ToICalendar(todo.Priority);
+                if (priority != null)
+                {
+                    lines.Add($"PRIORITY:{priority}");
+                }
+                if (todo.IsCompleted)
+                {
+                    lines.Add("PERCENT-COMPLETE:100");
+                }
+                if (todo.Tags != null && todo.Tags.Count > 0)
+                {
+                    lines.Add($"CATEGORIES:{string.Join(",", todo.Tags.Select(EscapeText))}");
+                }
+                lines.Add("END:VTODO");
+            }
+
+            lines.Add("END:VCALENDAR");
+
+            var builder = new StringBuilder();
+            foreach (var line in lines)
+            {
+                builder.Append(FoldLine(line)).Append("\r\n");
+            }
+            return builder.ToString();
+        }
+
+        /// <summary>
+        /// Format a time as an iCalendar UTC DATE-TIME
+        /// </summary>
+        /// <param name="value">Time (UTC, or unspecified as stored by DynamoDB)</param>
+        /// <returns>Time such as 20250703T170000Z</returns>
+        private static string FormatDateTime(DateTime value)
+        {
+            var utc = value.Kind == DateTimeKind.Local ? value.ToUniversalTime() : value;
+            return utc.ToString("yyyyMMdd'T'HHmmss'Z'", CultureInfo.InvariantCulture);
+        }
+
+        /// <summary>
+        /// Escape a TEXT value: backslashes, semicolons, commas and line breaks
+        /// </summary>
+        /// <param name="value">Text</param>
+        /// <returns>Escaped text</returns>
+        private static string EscapeText(string value)
+        {
+            return value
+                .Replace("\\", "\\\\")
+                .Replace(";", "\\;")
+                .Replace(",", "\\,")
+                .Replace("\r\n", "\\n")
+                .Replace("\n", "\\n")
+                .Replace("\r", "\\n");
+        }
+
+        /// <summary>
+        /// Fold a content line so no physical line is longer than 75 octets
+        /// </summary>
+        /// <param name="line">Content line</param>
+        /// <returns>Line with CRLF + space inserted where needed, never inside a UTF-8 character</returns>
+        private static string FoldLine(string line)
+        {
+            var builder = new StringBuilder();
+            var octets = 0;
+
+            foreach (var element in EnumerateTextElements(line))
+            {
+                var size = Encoding.UTF8.GetByteCount(element);
+                if (octets + size > MaxLineOctets)
+                {
+                    builder.Append("\r\n ");
+                    // The leading space counts towards the continuation line
+                    octets = 1;
+                }
+                builder.Append(element);
+                octets += size;
+            }
+
+            return builder.ToString();
+        }
+
+        /// <summary>
+        /// Split text into user-perceived characters, so surrogate pairs are never separated
+        /// </summary>
+        /// <param name="text">Text</param>
+        /// <returns>Text elements</returns>
+        private static IEnumerable<string> EnumerateTextElements(string text)
+        {
+            var enumerator = StringInfo.GetTextElementEnumerator(text);
+            while (enumerator.MoveNext())
+            {
+                yield return enumerator.GetTextElement();
+            }
+        }
+    }
+}
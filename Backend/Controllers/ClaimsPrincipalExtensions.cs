@@ -0,0 +1,45 @@
+using System;
+using System.Security.Claims;
+
+namespace TodoApi.Controllers
+{
+    /// <summary>
+    /// Helpers for reading the signed-in user from the request
+    /// </summary>
+    public static class ClaimsPrincipalExtensions
+    {
+        /// <summary>
+        /// Get the ID of the signed-in user (the token's "sub" claim)
+        /// </summary>
+        /// <param name="user">Request principal</param>
+        /// <returns>User ID</returns>
+        /// <exception cref="InvalidOperationException">If the principal has no subject claim</exception>
+        public static string GetUserId(this ClaimsPrincipal user)
+        {
+            // JwtBearer maps "sub" to NameIdentifier unless inbound claim mapping is turned off
+            return user.FindFirstValue(ClaimTypes.NameIdentifier)
+                ?? user.FindFirstValue("sub")
+                ?? throw new InvalidOperationException("The signed-in user has no subject claim");
+        }
+
+        /// <summary>
+        /// Get the email address of the signed-in user in lower case, used to match list shares
+        /// </summary>
+        /// <remarks>
+        /// Shares are granted by email address, so an address the identity provider has not
+        /// verified is ignored; anyone could otherwise sign up with it and open the lists shared with it.
+        /// </remarks>
+        /// <param name="user">Request principal</param>
+        /// <returns>Email address, or null if the token has none or it is not verified</returns>
+        public static string? GetEmail(this ClaimsPrincipal user)
+        {
+            if (!string.Equals(user.FindFirstValue("email_verified"), "true", StringComparison.OrdinalIgnoreCase))
+            {
+                return null;
+            }
+
+            var email = user.FindFirstValue(ClaimTypes.Email) ?? user.FindFirstValue("email");
+            return string.IsNullOrWhiteSpace(email) ? null : email.Trim().ToLowerInvariant();
+        }
+    }
+}
@@ -0,0 +1,573 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Amazon.DynamoDBv2.DataModel;
+using Amazon.DynamoDBv2.DocumentModel;
+using Amazon.DynamoDBv2.Model;
+using TodoApi.Data;
+using TodoApi.Models;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace TodoApi.Controllers
+{
+    /// <summary>
+    /// Controller for managing the signed-in user's named Todo lists, and sharing them, in DynamoDB
+    /// </summary>
+    [Route("api/[controller]")]
+    [ApiController]
+    [Authorize]
+    public class ListsController : ControllerBase
+    {
+        private const int MaxCollaborators = 50;
+
+        // Conditional saves of one todo item that are tried before giving up
+        private const int MaxSaveAttempts = 5;
+
+        private readonly IDynamoDBContext _dynamoDbContext;
+        private readonly ILogger<ListsController> _logger;
+        private readonly ListAccessService _listAccess;
+        private readonly TrashOptions _trashOptions;
+        private readonly TodoHistoryService _history;
+
+        /// <summary>
+        /// Constructor for ListsController
+        /// </summary>
+        /// <param name="dynamoDbContext">DynamoDB context for database operations</param>
+        /// <param name="logger">Logger for error handling</param>
+        /// <param name="listAccess">Resolves the signed-in user's role for shared lists</param>
+        /// <param name="trashOptions">Trash retention settings</param>
+        /// <param name="history">Records the history of todo items</param>
+        public ListsController(IDynamoDBContext dynamoDbContext, ILogger<ListsController> logger, ListAccessService listAccess, IOptions<TrashOptions> trashOptions,
+            TodoHistoryService history)
+        {
+            _dynamoDbContext = dynamoDbContext ?? throw new ArgumentNullException(nameof(dynamoDbContext));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _listAccess = listAccess ?? throw new ArgumentNullException(nameof(listAccess));
+            _trashOptions = trashOptions?.Value ?? throw new ArgumentNullException(nameof(trashOptions));
+            _history = history ?? throw new ArgumentNullException(nameof(history));
+        }
+
+        /// <summary>
+        /// Get all todo lists
+        /// </summary>
+        /// <returns>The user's own lists with the default list first, followed by the lists shared with them</returns>
+        [HttpGet]
+        public async Task<ActionResult<IEnumerable<TodoList>>> GetLists()
+        {
+            try
+            {
+                _logger.LogInformation("Retrieving all todo lists");
+                var lists = await _dynamoDbContext.QueryAsync<TodoList>(User.GetUserId()).GetRemainingAsync();
+
+                // The default list is only stored once it has been renamed
+                var defaultList = lists.FirstOrDefault(list => list.Id == TodoList.DefaultListId) ?? CreateDefaultList();
+
+                var result = new List<TodoList> { defaultList };
+                result.AddRange(lists
+                    .Where(list => list.Id != TodoList.DefaultListId)
+                    .OrderBy(list => list.CreatedAt));
+                result.AddRange((await GetSharedListsAsync()).OrderBy(list => list.Name, StringComparer.OrdinalIgnoreCase));
+                return result;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving todo lists");
+                return StatusCode(500, "An error occurred while retrieving the todo lists");
+            }
+        }
+
+        /// <summary>
+        /// Get a specific todo list by ID
+        /// </summary>
+        /// <param name="id">List ID</param>
+        /// <returns>Todo list</returns>
+        [HttpGet("{id}")]
+        public async Task<ActionResult<TodoList>> GetList(string id)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            try
+            {
+                _logger.LogInformation("Retrieving todo list with ID: {Id}", id);
+                var access = await _listAccess.GetListAccessAsync(User, id);
+                var list = access == null ? null : await _dynamoDbContext.LoadAsync<TodoList>(access.OwnerId, id);
+
+                if (list == null && id == TodoList.DefaultListId)
+                {
+                    list = CreateDefaultList();
+                }
+
+                if (list == null || access == null)
+                {
+                    _logger.LogWarning("Todo list with ID {Id} not found", id);
+                    return NotFound();
+                }
+
+                list.Role = access.Role;
+                return list;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving todo list with id {Id}", id);
+                return StatusCode(500, "An error occurred while retrieving the todo list");
+            }
+        }
+
+        /// <summary>
+        /// Create a new todo list
+        /// </summary>
+        /// <param name="list">List to create</param>
+        /// <returns>Created list</returns>
+        [HttpPost]
+        public async Task<ActionResult<TodoList>> PostList(TodoList list)
+        {
+            if (list == null)
+            {
+                return BadRequest("Todo list cannot be null");
+            }
+
+            try
+            {
+                // Shares are keyed by list ID, so clients must never choose it
+                list.Id = Guid.NewGuid().ToString();
+                list.UserId = User.GetUserId();
+                list.Name = list.Name.Trim();
+                list.CreatedAt = DateTime.UtcNow;
+
+                _logger.LogInformation("Creating new todo list with ID: {Id}", list.Id);
+                await _dynamoDbContext.SaveAsync(list);
+                return CreatedAtAction(nameof(GetList), new { id = list.Id }, list);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while creating todo list");
+                return StatusCode(500, "An error occurred while creating the todo list");
+            }
+        }
+
+        /// <summary>
+        /// Rename a todo list
+        /// </summary>
+        /// <param name="id">List ID</param>
+        /// <param name="list">List with the new name</param>
+        /// <returns>No content if successful</returns>
+        [HttpPut("{id}")]
+        public async Task<IActionResult> PutList(string id, TodoList list)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            if (list == null)
+            {
+                return BadRequest("Todo list cannot be null");
+            }
+
+            if (id != list.Id)
+            {
+                return BadRequest("ID in URL does not match ID in todo list");
+            }
+
+            try
+            {
+                var existing = await _dynamoDbContext.LoadAsync<TodoList>(User.GetUserId(), id);
+
+                if (existing == null && id == TodoList.DefaultListId)
+                {
+                    existing = CreateDefaultList();
+                }
+
+                if (existing == null)
+                {
+                    return await NotOwnerResultAsync(id, "Only the owner can rename this list");
+                }
+
+                _logger.LogInformation("Renaming todo list with ID: {Id}", id);
+                existing.Name = list.Name.Trim();
+                existing.UpdatedAt = DateTime.UtcNow;
+                await _dynamoDbContext.SaveAsync(existing);
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while renaming todo list with id {Id}", id);
+                return StatusCode(500, "An error occurred while updating the todo list");
+            }
+        }
+
+        /// <summary>
+        /// Delete a todo list and move its todo items to the trash
+        /// </summary>
+        /// <remarks>
+        /// Todo items restored from the trash after their list is gone go to the default list.
+        /// </remarks>
+        /// <param name="id">List ID</param>
+        /// <returns>No content if successful</returns>
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> DeleteList(string id)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            if (id == TodoList.DefaultListId)
+            {
+                return BadRequest("The default list cannot be deleted");
+            }
+
+            try
+            {
+                var userId = User.GetUserId();
+                var list = await _dynamoDbContext.LoadAsync<TodoList>(userId, id);
+                if (list == null)
+                {
+                    return await NotOwnerResultAsync(id, "Only the owner can delete this list");
+                }
+
+                var todos = await _dynamoDbContext
+                    .QueryAsync<Todo>(id, new DynamoDBOperationConfig
+                    {
+                        IndexName = TodoList.ListIdIndex,
+                        QueryFilter = new List<ScanCondition> { new ScanCondition(nameof(Todo.UserId), ScanOperator.Equal, userId) }
+                    })
+                    .GetRemainingAsync();
+
+                _logger.LogInformation("Deleting todo list with ID: {Id} and moving its {Count} todo items to the trash", id, todos.Count);
+                var trashed = new List<(Todo? Before, Todo After)>();
+                foreach (var todo in todos)
+                {
+                    var saved = await MoveToTrashAsync(todo, id);
+                    if (saved != null)
+                    {
+                        trashed.Add(saved.Value);
+                    }
+                }
+                await _history.RecordAsync(User, TodoEvent.DeletedAction, trashed);
+
+                var shares = await GetSharesAsync(id, userId);
+                var shareBatch = _dynamoDbContext.CreateBatchWrite<ListShare>();
+                shareBatch.AddDeleteItems(shares);
+                await shareBatch.ExecuteAsync();
+
+                await _dynamoDbContext.DeleteAsync<TodoList>(userId, id);
+                return NoContent();
+            }
+            catch (ConditionalCheckFailedException ex)
+            {
+                _logger.LogWarning(ex, "Todo items in list {Id} kept changing while the list was deleted", id);
+                return Conflict("Some todo items in the list were changed by someone else. Please try again.");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while deleting todo list with id {Id}", id);
+                return StatusCode(500, "An error occurred while deleting the todo list");
+            }
+        }
+
+        /// <summary>
+        /// Get the collaborators of a todo list
+        /// </summary>
+        /// <param name="id">List ID</param>
+        /// <returns>Shares of the list, oldest first</returns>
+        [HttpGet("{id}/collaborators")]
+        public async Task<ActionResult<IEnumerable<ListShare>>> GetCollaborators(string id)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            try
+            {
+                var access = await _listAccess.GetListAccessAsync(User, id);
+                if (access == null)
+                {
+                    _logger.LogWarning("Todo list with ID {Id} not found", id);
+                    return NotFound();
+                }
+
+                _logger.LogInformation("Retrieving collaborators of todo list with ID: {Id}", id);
+                var shares = await GetSharesAsync(id, access.OwnerId);
+                return shares.OrderBy(share => share.CreatedAt).ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving collaborators of todo list with id {Id}", id);
+                return StatusCode(500, "An error occurred while retrieving the collaborators");
+            }
+        }
+
+        /// <summary>
+        /// Share a todo list with a user by email, or change their role
+        /// </summary>
+        /// <param name="id">List ID</param>
+        /// <param name="share">Email address and role ("viewer" or "editor")</param>
+        /// <returns>The saved share</returns>
+        [HttpPost("{id}/collaborators")]
+        public async Task<ActionResult<ListShare>> ShareList(string id, ListShare share)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            if (share == null)
+            {
+                return BadRequest("Share cannot be null");
+            }
+
+            if (id == TodoList.DefaultListId)
+            {
+                return BadRequest("The default list cannot be shared");
+            }
+
+            var role = share.Role?.Trim().ToLowerInvariant();
+            if (role != ListShare.ViewerRole && role != ListShare.EditorRole)
+            {
+                return BadRequest($"Role must be '{ListShare.ViewerRole}' or '{ListShare.EditorRole}'");
+            }
+
+            if (string.IsNullOrWhiteSpace(share.Email))
+            {
+                return BadRequest("Email cannot be empty");
+            }
+
+            var email = share.Email.Trim().ToLowerInvariant();
+            if (email == User.GetEmail())
+            {
+                return BadRequest("You cannot share a list with yourself");
+            }
+
+            try
+            {
+                var userId = User.GetUserId();
+                if (await _dynamoDbContext.LoadAsync<TodoList>(userId, id) == null)
+                {
+                    return await NotOwnerResultAsync(id, "Only the owner can share this list");
+                }
+
+                // A share with the same key left by another owner is never taken over
+                var existing = await _dynamoDbContext.LoadAsync<ListShare>(id, email);
+                if (existing != null && existing.OwnerId != userId)
+                {
+                    _logger.LogWarning("Todo list with ID {Id} already has a share owned by another user", id);
+                    return Conflict("This list cannot be shared with that email address");
+                }
+
+                if (existing == null && (await GetSharesAsync(id, userId)).Count >= MaxCollaborators)
+                {
+                    return BadRequest($"A list can be shared with at most {MaxCollaborators} people");
+                }
+
+                var saved = existing ?? new ListShare { ListId = id, Email = email, CreatedAt = DateTime.UtcNow };
+                saved.Role = role;
+                saved.OwnerId = userId;
+                saved.OwnerEmail = User.GetEmail();
+
+                _logger.LogInformation("Sharing todo list with ID: {Id} as {Role}", id, role);
+                await _dynamoDbContext.SaveAsync(saved);
+                return saved;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while sharing todo list with id {Id}", id);
+                return StatusCode(500, "An error occurred while sharing the todo list");
+            }
+        }
+
+        /// <summary>
+        /// Stop sharing a todo list with a user
+        /// </summary>
+        /// <remarks>
+        /// The owner can remove anyone; collaborators can remove themselves to leave the list.
+        /// </remarks>
+        /// <param name="id">List ID</param>
+        /// <param name="email">Email address of the collaborator</param>
+        /// <returns>No content if successful</returns>
+        [HttpDelete("{id}/collaborators/{email}")]
+        public async Task<IActionResult> RemoveCollaborator(string id, string email)
+        {
+            if (string.IsNullOrEmpty(id) || string.IsNullOrEmpty(email))
+            {
+                return BadRequest("ID and email cannot be empty");
+            }
+
+            email = email.Trim().ToLowerInvariant();
+
+            try
+            {
+                var userId = User.GetUserId();
+                var isOwner = await _dynamoDbContext.LoadAsync<TodoList>(userId, id) != null;
+                if (!isOwner && email != User.GetEmail())
+                {
+                    return await NotOwnerResultAsync(id, "Only the owner can remove collaborators");
+                }
+
+                var share = await _dynamoDbContext.LoadAsync<ListShare>(id, email);
+                if (share == null)
+                {
+                    return NoContent();
+                }
+
+                // Owners can only remove the shares they created
+                if (email != User.GetEmail() && share.OwnerId != userId)
+                {
+                    return await NotOwnerResultAsync(id, "Only the owner can remove collaborators");
+                }
+
+                _logger.LogInformation("Removing a collaborator from todo list with ID: {Id}", id);
+                await _dynamoDbContext.DeleteAsync<ListShare>(id, email);
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while removing a collaborator from todo list with id {Id}", id);
+                return StatusCode(500, "An error occurred while removing the collaborator");
+            }
+        }
+
+        /// <summary>
+        /// Load the lists other users have shared with the signed-in user
+        /// </summary>
+        /// <returns>Shared lists with the user's role set</returns>
+        private async Task<List<TodoList>> GetSharedListsAsync()
+        {
+            var email = User.GetEmail();
+            if (email == null)
+            {
+                return new List<TodoList>();
+            }
+
+            var shares = await _dynamoDbContext
+                .QueryAsync<ListShare>(email, new DynamoDBOperationConfig { IndexName = ListShare.EmailIndex })
+                .GetRemainingAsync();
+
+            var result = new List<TodoList>();
+            foreach (var share in shares.Where(share => share.OwnerId != null))
+            {
+                // Skip shares left behind by a list that was deleted in the meantime
+                var list = await _dynamoDbContext.LoadAsync<TodoList>(share.OwnerId, share.ListId);
+                if (list != null)
+                {
+                    list.Role = share.Role;
+                    list.OwnerEmail = share.OwnerEmail;
+                    result.Add(list);
+                }
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Load the shares of a list that were created by its owner
+        /// </summary>
+        /// <param name="id">List ID</param>
+        /// <param name="ownerId">ID of the user who owns the list</param>
+        /// <returns>Shares of the list</returns>
+        private async Task<List<ListShare>> GetSharesAsync(string id, string ownerId)
+        {
+            var shares = await _dynamoDbContext.QueryAsync<ListShare>(id).GetRemainingAsync();
+            return shares.Where(share => share.OwnerId == ownerId).ToList();
+        }
+
+        /// <summary>
+        /// Move a todo item of a list that is being deleted to the trash
+        /// </summary>
+        /// <remarks>
+        /// The item is saved only if nobody else has saved it since it was read; otherwise it is read
+        /// again and moved if it is still in the list, so a concurrent edit is never reverted.
+        /// </remarks>
+        /// <param name="todo">Todo item as it was read</param>
+        /// <param name="listId">ID of the list being deleted</param>
+        /// <returns>The trashed item with a copy from before, or null if it was already in the trash or left the list</returns>
+        /// <exception cref="ConditionalCheckFailedException">The item kept being changed by others through every attempt</exception>
+        private async Task<(Todo? Before, Todo After)?> MoveToTrashAsync(Todo todo, string listId)
+        {
+            for (var attempt = 1; ; attempt++)
+            {
+                if (todo.DeletedAt != null || todo.ListId != listId)
+                {
+                    return null;
+                }
+
+                var before = TodoHistoryService.Copy(todo);
+                todo.Version++;
+                todo.UpdatedAt = DateTime.UtcNow;
+                todo.DeletedAt = todo.UpdatedAt;
+                todo.PurgeAt = new DateTimeOffset(todo.DeletedAt.Value.AddDays(_trashOptions.RetentionDays)).ToUnixTimeSeconds();
+
+                try
+                {
+                    await _dynamoDbContext.GetTargetTable<Todo>().PutItemAsync(
+                        _dynamoDbContext.ToDocument(todo),
+                        new PutItemOperationConfig
+                        {
+                            ConditionalExpression = new Expression
+                            {
+                                // Items saved before versioning have no Version attribute
+                                ExpressionStatement = before.Version == 0
+                                    ? "attribute_not_exists(#version) OR #version = :version"
+                                    : "#version = :version",
+                                ExpressionAttributeNames = new Dictionary<string, string> { ["#version"] = nameof(Todo.Version) },
+                                ExpressionAttributeValues = new Dictionary<string, DynamoDBEntry> { [":version"] = before.Version }
+                            }
+                        });
+                    return (before, todo);
+                }
+                catch (ConditionalCheckFailedException) when (attempt < MaxSaveAttempts)
+                {
+                    _logger.LogInformation("Todo item with ID {Id} changed while its list was deleted; trying again", todo.Id);
+                    var current = await _dynamoDbContext.LoadAsync<Todo>(todo.Id);
+                    if (current == null)
+                    {
+                        return null;
+                    }
+
+                    todo = current;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Response for an owner-only action on a list the user does not own
+        /// </summary>
+        /// <param name="id">List ID</param>
+        /// <param name="message">Message for collaborators of the list</param>
+        /// <returns>403 Forbidden for collaborators, otherwise 404 Not Found</returns>
+        private async Task<ActionResult> NotOwnerResultAsync(string id, string message)
+        {
+            if (await _listAccess.GetListAccessAsync(User, id) != null)
+            {
+                _logger.LogWarning("Collaborator tried an owner-only action on todo list with ID {Id}", id);
+                return StatusCode(403, message);
+            }
+
+            _logger.LogWarning("Todo list with ID {Id} not found", id);
+            return NotFound();
+        }
+
+        /// <summary>
+        /// Create the signed-in user's built-in default list as it looks before it is renamed
+        /// </summary>
+        /// <returns>Default list</returns>
+        private TodoList CreateDefaultList()
+        {
+            return new TodoList
+            {
+                UserId = User.GetUserId(),
+                Id = TodoList.DefaultListId,
+                Name = TodoList.DefaultListName,
+                CreatedAt = DateTime.MinValue
+            };
+        }
+    }
+}
@@ -1,55 +1,371 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Amazon.DynamoDBv2.DataModel;
+using Amazon.DynamoDBv2.DocumentModel;
+using Amazon.DynamoDBv2.Model;
+using TodoApi.Data;
 using TodoApi.Models;
 using System;
+using System.Collections.Concurrent;
 using System.Collections.Generic;
+using System.Linq;
+using System.Text;
+using System.Text.RegularExpressions;
 using System.Threading.Tasks;
 using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Microsoft.Net.Http.Headers;
 
 namespace TodoApi.Controllers
 {
     /// <summary>
-    /// Controller for managing Todo items in DynamoDB
+    /// Controller for managing the signed-in user's Todo items, and those in lists shared with them, in DynamoDB
     /// </summary>
     [Route("api/[controller]")]
     [ApiController]
+    [Authorize]
     public class TodosController : ControllerBase
     {
+        private const int DefaultPageSize = 50;
+        private const int MaxPageSize = 100;
+        private const int MaxTags = 10;
+        private const int MaxTagLength = 30;
+        private const int MaxReorderItems = 1000;
+        private const int MaxBatchItems = 1000;
+        private const int MaxChecklistItems = 50;
+        private const int MaxAttachments = 20;
+        private const int MaxFileNameLength = 255;
+
+        // Conditional saves of one item that are tried before giving up, and how many items are saved at once
+        private const int MaxSaveAttempts = 5;
+        private const int ConcurrentSaves = 25;
+
+        // Writes that finish while a change feed request is running may carry a slightly earlier
+        // UpdatedAt, so each request overlaps the previous one by this much
+        private static readonly TimeSpan ChangeFeedOverlap = TimeSpan.FromSeconds(5);
+
+        private static readonly Regex TagPattern = new Regex("^[a-z0-9_-]+$", RegexOptions.Compiled);
+        private static readonly Regex ContentTypePattern = new Regex(@"^[a-z0-9][a-z0-9!#$&^_.+-]*/[a-z0-9][a-z0-9!#$&^_.+-]*$", RegexOptions.Compiled);
+
+        // Attached files the browser may show itself; SVG is left out because it can contain scripts
+        private static readonly HashSet<string> InlineContentTypes = new HashSet<string> { "image/png", "image/jpeg", "image/gif", "image/webp" };
+
         private readonly IDynamoDBContext _dynamoDbContext;
         private readonly ILogger<TodosController> _logger;
+        private readonly TrashOptions _trashOptions;
+        private readonly ListAccessService _listAccess;
+        private readonly TodoHistoryService _history;
+        private readonly AttachmentStorageService _attachments;
+        private readonly AttachmentOptions _attachmentOptions;
 
         /// <summary>
         /// Constructor for TodosController
         /// </summary>
         /// <param name="dynamoDbContext">DynamoDB context for database operations</param>
         /// <param name="logger">Logger for error handling</param>
-        public TodosController(IDynamoDBContext dynamoDbContext, ILogger<TodosController> logger)
+        /// <param name="trashOptions">Trash retention settings</param>
+        /// <param name="listAccess">Resolves the signed-in user's role for shared lists</param>
+        /// <param name="history">Records and reads the history of todo items</param>
+        /// <param name="attachments">Stores the files attached to todo items</param>
+        /// <param name="attachmentOptions">Attachment limits</param>
+        public TodosController(IDynamoDBContext dynamoDbContext, ILogger<TodosController> logger, IOptions<TrashOptions> trashOptions, ListAccessService listAccess, TodoHistoryService history,
+            AttachmentStorageService attachments, IOptions<AttachmentOptions> attachmentOptions)
         {
             _dynamoDbContext = dynamoDbContext ?? throw new ArgumentNullException(nameof(dynamoDbContext));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _trashOptions = trashOptions?.Value ?? throw new ArgumentNullException(nameof(trashOptions));
+            _listAccess = listAccess ?? throw new ArgumentNullException(nameof(listAccess));
+            _history = history ?? throw new ArgumentNullException(nameof(history));
+            _attachments = attachments ?? throw new ArgumentNullException(nameof(attachments));
+            _attachmentOptions = attachmentOptions?.Value ?? throw new ArgumentNullException(nameof(attachmentOptions));
         }
 
         /// <summary>
-        /// Get all todo items
+        /// Get todo items
         /// </summary>
-        /// <returns>List of todo items</returns>
+        /// <remarks>
+        /// Without query parameters the whole list is returned as an array.
+        /// When limit or cursor is given, a single <see cref="TodoPage"/> is returned instead;
+        /// pass its NextCursor back to get the following page.
+        /// Items are in manual order; a page is ordered within itself.
+        /// Items in the trash are left out.
+        /// </remarks>
+        /// <param name="limit">Maximum number of items in the page (1-100)</param>
+        /// <param name="cursor">Continuation token from a previous page</param>
+        /// <param name="tag">Only return items with this tag</param>
+        /// <returns>List of todo items, or a page of todo items</returns>
         [HttpGet]
-        public async Task<ActionResult<IEnumerable<Todo>>> GetTodos()
+        [ProducesResponseType(typeof(IEnumerable<Todo>), 200)]
+        [ProducesResponseType(typeof(TodoPage), 200)]
+        public async Task<IActionResult> GetTodos([FromQuery] int? limit, [FromQuery] string? cursor, [FromQuery] string? tag)
         {
+            tag = string.IsNullOrWhiteSpace(tag) ? null : NormalizeTag(tag);
+
+            if (limit == null && string.IsNullOrEmpty(cursor))
+            {
+                try
+                {
+                    _logger.LogInformation("Retrieving all todo items (tag: {Tag})", tag);
+                    var conditions = new List<ScanCondition>
+                    {
+                        new ScanCondition(nameof(Todo.UserId), ScanOperator.Equal, User.GetUserId()),
+                        new ScanCondition(nameof(Todo.DeletedAt), ScanOperator.IsNull)
+                    };
+                    if (tag != null)
+                    {
+                        conditions.Add(new ScanCondition(nameof(Todo.Tags), ScanOperator.Contains, tag));
+                    }
+                    var scan = _dynamoDbContext.ScanAsync<Todo>(conditions);
+                    var todos = await scan.GetRemainingAsync();
+                    return Ok(SortByPosition(todos));
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error occurred while retrieving todos");
+                    return StatusCode(500, "An error occurred while retrieving the todo list");
+                }
+            }
+
+            if (!TryParsePaging(limit, cursor, out var pageSize, out var paginationToken, out var pagingError))
+            {
+                _logger.LogWarning("GetTodos called with invalid paging parameters: {Error}", pagingError);
+                return BadRequest(pagingError);
+            }
+
             try
             {
-                _logger.LogInformation("Retrieving all todo items");
-                var scan = _dynamoDbContext.ScanAsync<Todo>(null);
-                var todos = await scan.GetRemainingAsync();
-                return Ok(todos);
+                _logger.LogInformation("Retrieving a page of up to {Limit} todo items (tag: {Tag})", pageSize, tag);
+                var filter = new ScanFilter();
+                filter.AddCondition(nameof(Todo.UserId), ScanOperator.Equal, User.GetUserId());
+                filter.AddCondition(nameof(Todo.DeletedAt), ScanOperator.IsNull);
+                if (tag != null)
+                {
+                    filter.AddCondition(nameof(Todo.Tags), ScanOperator.Contains, tag);
+                }
+
+                var search = _dynamoDbContext.GetTargetTable<Todo>().Scan(new ScanOperationConfig
+                {
+                    Limit = pageSize,
+                    PaginationToken = paginationToken,
+                    Filter = filter
+                });
+
+                return Ok(await ReadPageAsync(search));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving a page of todos");
+                return StatusCode(500, "An error occurred while retrieving the todo list");
+            }
+        }
+
+        /// <summary>
+        /// Get a page of the todo items in a named list, in manual order within the page
+        /// </summary>
+        /// <param name="listId">List ID</param>
+        /// <param name="limit">Maximum number of items in the page (1-100)</param>
+        /// <param name="cursor">Continuation token from a previous page</param>
+        /// <param name="tag">Only return items with this tag</param>
+        /// <returns>A page of todo items</returns>
+        [HttpGet("~/api/lists/{listId}/todos")]
+        public async Task<ActionResult<TodoPage>> GetListTodos(string listId, [FromQuery] int? limit, [FromQuery] string? cursor, [FromQuery] string? tag)
+        {
+            tag = string.IsNullOrWhiteSpace(tag) ? null : NormalizeTag(tag);
+
+            if (!TryParsePaging(limit, cursor, out var pageSize, out var paginationToken, out var pagingError))
+            {
+                _logger.LogWarning("GetListTodos called with invalid paging parameters: {Error}", pagingError);
+                return BadRequest(pagingError);
+            }
+
+            try
+            {
+                // Todo items in a shared list belong to the list owner
+                var access = await _listAccess.GetListAccessAsync(User, listId);
+                if (access == null)
+                {
+                    _logger.LogWarning("Todo list with ID {ListId} not found", listId);
+                    return NotFound();
+                }
+
+                _logger.LogInformation("Retrieving a page of up to {Limit} todo items in list {ListId} (tag: {Tag})", pageSize, listId, tag);
+                var table = _dynamoDbContext.GetTargetTable<Todo>();
+                var tagCondition = tag == null ? null : "contains(Tags, :tag)";
+                const string ownedCondition = "UserId = :userId AND attribute_not_exists(DeletedAt)";
+
+                Search search;
+                if (listId == TodoList.DefaultListId)
+                {
+                    // Todos created before lists existed have no ListId and are missing from the index,
+                    // so the default list is read with a scan, as the whole table used to be
+                    var filter = new Expression
+                    {
+                        ExpressionStatement = $"(attribute_not_exists(ListId) OR ListId = :listId) AND {ownedCondition}",
+                        ExpressionAttributeValues = new Dictionary<string, DynamoDBEntry>
+                        {
+                            [":listId"] = listId,
+                            [":userId"] = access.OwnerId
+                        }
+                    };
+                    if (tag != null)
+                    {
+                        filter.ExpressionStatement += $" AND {tagCondition}";
+                        filter.ExpressionAttributeValues[":tag"] = tag;
+                    }
+
+                    search = table.Scan(new ScanOperationConfig
+                    {
+                        Limit = pageSize,
+                        PaginationToken = paginationToken,
+                        FilterExpression = filter
+                    });
+                }
+                else
+                {
+                    var filter = new Expression
+                    {
+                        ExpressionStatement = ownedCondition,
+                        ExpressionAttributeValues = new Dictionary<string, DynamoDBEntry> { [":userId"] = access.OwnerId }
+                    };
+                    if (tag != null)
+                    {
+                        filter.ExpressionStatement += $" AND {tagCondition}";
+                        filter.ExpressionAttributeValues[":tag"] = tag;
+                    }
+
+                    search = table.Query(new QueryOperationConfig
+                    {
+                        IndexName = TodoList.ListIdIndex,
+                        KeyExpression = new Expression
+                        {
+                            ExpressionStatement = "ListId = :listId",
+                            ExpressionAttributeValues = new Dictionary<string, DynamoDBEntry> { [":listId"] = listId }
+                        },
+                        FilterExpression = filter,
+                        Limit = pageSize,
+                        PaginationToken = paginationToken
+                    });
+                }
+
+                return await ReadPageAsync(search);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error occurred while retrieving todos");
+                _logger.LogError(ex, "Error occurred while retrieving todos in list {ListId}", listId);
                 return StatusCode(500, "An error occurred while retrieving the todo list");
             }
         }
 
+        /// <summary>
+        /// Get the todo items in a list that changed since a point in time, including those moved to the trash
+        /// </summary>
+        /// <remarks>
+        /// Clients poll this to pick up changes made on other devices. Items may be returned more than
+        /// once around the boundary, so applying them must be idempotent.
+        /// </remarks>
+        /// <param name="listId">List ID</param>
+        /// <param name="updatedSince">Only return items updated after this time (ISO 8601)</param>
+        /// <returns>Changed todo items and the value to pass as updatedSince next time</returns>
+        [HttpGet("~/api/lists/{listId}/todos/changes")]
+        public async Task<ActionResult<TodoChanges>> GetListChanges(string listId, [FromQuery] DateTime? updatedSince)
+        {
+            if (updatedSince == null)
+            {
+                return BadRequest("updatedSince is required");
+            }
+
+            var since = updatedSince.Value.ToUniversalTime();
+
+            try
+            {
+                var access = await _listAccess.GetListAccessAsync(User, listId);
+                if (access == null)
+                {
+                    _logger.LogWarning("Todo list with ID {ListId} not found", listId);
+                    return NotFound();
+                }
+
+                // Taken before reading so nothing written during the read is missed next time
+                var nextSince = DateTime.UtcNow - ChangeFeedOverlap;
+
+                List<Todo> todos;
+                if (listId == TodoList.DefaultListId)
+                {
+                    // Same as GetListTodos: older items in the default list are missing from the index
+                    var conditions = new List<ScanCondition>
+                    {
+                        new ScanCondition(nameof(Todo.UserId), ScanOperator.Equal, access.OwnerId),
+                        new ScanCondition(nameof(Todo.UpdatedAt), ScanOperator.GreaterThan, since)
+                    };
+                    todos = (await _dynamoDbContext.ScanAsync<Todo>(conditions).GetRemainingAsync())
+                        .Where(todo => string.IsNullOrEmpty(todo.ListId) || todo.ListId == listId)
+                        .ToList();
+                }
+                else
+                {
+                    todos = await _dynamoDbContext.QueryAsync<Todo>(listId, new DynamoDBOperationConfig
+                    {
+                        IndexName = TodoList.ListIdIndex,
+                        QueryFilter = new List<ScanCondition>
+                        {
+                            new ScanCondition(nameof(Todo.UserId), ScanOperator.Equal, access.OwnerId),
+                            new ScanCondition(nameof(Todo.UpdatedAt), ScanOperator.GreaterThan, since)
+                        }
+                    }).GetRemainingAsync();
+                }
+
+                return new TodoChanges
+                {
+                    Items = todos.OrderBy(todo => todo.UpdatedAt).ToList(),
+                    NextSince = nextSince
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving changes in list {ListId}", listId);
+                return StatusCode(500, "An error occurred while retrieving changes to the todo list");
+            }
+        }
+
+        /// <summary>
+        /// Get the tags in use, with the number of todo items carrying each
+        /// </summary>
+        /// <returns>Tags sorted by name</returns>
+        [HttpGet("tags")]
+        public async Task<ActionResult<IEnumerable<TagSummary>>> GetTags()
+        {
+            try
+            {
+                _logger.LogInformation("Retrieving tags in use");
+                var filter = new ScanFilter();
+                filter.AddCondition(nameof(Todo.UserId), ScanOperator.Equal, User.GetUserId());
+                filter.AddCondition(nameof(Todo.DeletedAt), ScanOperator.IsNull);
+                var search = _dynamoDbContext.GetTargetTable<Todo>().Scan(new ScanOperationConfig
+                {
+                    Filter = filter,
+                    Select = SelectValues.SpecificAttributes,
+                    AttributesToGet = new List<string> { nameof(Todo.Tags) }
+                });
+
+                var documents = await search.GetRemainingAsync();
+                var tags = documents
+                    .Where(document => document.ContainsKey(nameof(Todo.Tags)))
+                    .SelectMany(document => document[nameof(Todo.Tags)].AsListOfString())
+                    .GroupBy(name => name)
+                    .Select(group => new TagSummary { Name = group.Key, Count = group.Count() })
+                    .OrderBy(summary => summary.Name, StringComparer.Ordinal)
+                    .ToList();
+
+                return tags;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving tags");
+                return StatusCode(500, "An error occurred while retrieving the tags");
+            }
+        }
+
         /// <summary>
         /// Get a specific todo item by ID
         /// </summary>
@@ -67,14 +383,15 @@ namespace TodoApi.Controllers
             try
             {
                 _logger.LogInformation("Retrieving todo item with ID: {Id}", id);
-                var todo = await _dynamoDbContext.LoadAsync<Todo>(id);
+                var (todo, _) = await LoadAccessibleTodoAsync(id);
 
-                if (todo == null)
+                if (todo == null || todo.DeletedAt != null)
                 {
                     _logger.LogWarning("Todo item with ID {Id} not found", id);
                     return NotFound();
                 }
 
+                Response.Headers[HeaderNames.ETag] = ToETag(todo.Version);
                 return todo;
             }
             catch (Exception ex)
@@ -87,9 +404,13 @@ namespace TodoApi.Controllers
         /// <summary>
         /// Update an existing todo item
         /// </summary>
+        /// <remarks>
+        /// When the request has an If-Match header and the item has changed since that ETag was read,
+        /// nothing is saved and 412 Precondition Failed is returned with the current item.
+        /// </remarks>
         /// <param name="id">Todo item ID</param>
         /// <param name="todo">Updated todo item</param>
-        /// <returns>No content if successful</returns>
+        /// <returns>No content with the new ETag if successful</returns>
         [HttpPut("{id}")]
         public async Task<IActionResult> PutTodo(string id, Todo todo)
         {
@@ -108,10 +429,106 @@ namespace TodoApi.Controllers
                 return BadRequest("ID in URL does not match ID in todo item");
             }
 
+            var tagError = NormalizeTags(todo);
+            if (tagError != null)
+            {
+                return BadRequest(tagError);
+            }
+
+            var checklistError = NormalizeChecklist(todo);
+            if (checklistError != null)
+            {
+                return BadRequest(checklistError);
+            }
+
+            var recurrenceError = NormalizeRecurrence(todo);
+            if (recurrenceError != null)
+            {
+                return BadRequest(recurrenceError);
+            }
+
+            var priorityError = NormalizePriority(todo);
+            if (priorityError != null)
+            {
+                return BadRequest(priorityError);
+            }
+
+            NormalizeNotes(todo);
+
             try
             {
+                var existing = await _dynamoDbContext.LoadAsync<Todo>(id);
+                if (existing != null)
+                {
+                    var role = await _listAccess.GetTodoRoleAsync(User, existing);
+                    if (role == null)
+                    {
+                        _logger.LogWarning("Todo item with ID {Id} not found", id);
+                        return NotFound();
+                    }
+
+                    if (role == ListShare.ViewerRole)
+                    {
+                        return ViewerForbidden();
+                    }
+                }
+
+                if (existing?.DeletedAt != null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} is in the trash", id);
+                    return NotFound();
+                }
+
+                if (!MatchesIfMatch(existing))
+                {
+                    _logger.LogWarning("Todo item with ID {Id} was changed by someone else", id);
+                    return VersionConflict(existing);
+                }
+
+                // Clients that do not know about lists or ordering leave the todo where it was
+                if (string.IsNullOrEmpty(todo.ListId))
+                {
+                    todo.ListId = existing?.ListId ?? TodoList.DefaultListId;
+                }
+                todo.Position ??= existing?.Position;
+                todo.DeletedAt = null;
+                todo.PurgeAt = null;
+
+                var listAccess = await _listAccess.GetListAccessAsync(User, todo.ListId);
+                if (listAccess == null)
+                {
+                    return BadRequest($"Todo list {todo.ListId} does not exist");
+                }
+
+                if (!listAccess.CanEdit)
+                {
+                    return ViewerForbidden();
+                }
+
+                todo.UserId = listAccess.OwnerId;
+                todo.CreatedAt = existing?.CreatedAt ?? todo.CreatedAt;
+                todo.NextOccurrenceId ??= existing?.NextOccurrenceId;
+                todo.Attachments = existing?.Attachments ?? new List<Attachment>();
+                todo.Version = existing?.Version ?? 0;
+                Touch(todo);
+
+                var nextOccurrence = existing?.IsCompleted == false ? CreateNextOccurrence(todo) : null;
+
                 _logger.LogInformation("Updating todo item with ID: {Id}", id);
-                await _dynamoDbContext.SaveAsync(todo);
+                try
+                {
+                    await SaveIfUnchangedAsync(todo, existing?.Version);
+                }
+                catch (ConditionalCheckFailedException)
+                {
+                    // Someone else saved the item between reading and writing it
+                    _logger.LogWarning("Todo item with ID {Id} was changed by someone else", id);
+                    return VersionConflict(await _dynamoDbContext.LoadAsync<Todo>(id));
+                }
+
+                await _history.RecordAsync(User, existing == null ? TodoEvent.CreatedAction : TodoEvent.UpdatedAction, existing, todo);
+                await SaveNextOccurrencesAsync(new[] { nextOccurrence });
+                Response.Headers[HeaderNames.ETag] = ToETag(todo.Version);
                 return NoContent();
             }
             catch (Exception ex)
@@ -134,15 +551,83 @@ namespace TodoApi.Controllers
                 return BadRequest("Todo item cannot be null");
             }
 
+            var tagError = NormalizeTags(todo);
+            if (tagError != null)
+            {
+                return BadRequest(tagError);
+            }
+
+            var checklistError = NormalizeChecklist(todo);
+            if (checklistError != null)
+            {
+                return BadRequest(checklistError);
+            }
+
+            var recurrenceError = NormalizeRecurrence(todo);
+            if (recurrenceError != null)
+            {
+                return BadRequest(recurrenceError);
+            }
+
+            var priorityError = NormalizePriority(todo);
+            if (priorityError != null)
+            {
+                return BadRequest(priorityError);
+            }
+
+            NormalizeNotes(todo);
+
             try
             {
                 if (string.IsNullOrEmpty(todo.Id))
                 {
                     todo.Id = Guid.NewGuid().ToString();
                 }
+
+                // Client-generated IDs never overwrite a todo; changes go through PutTodo and RestoreTodo
+                if (await _dynamoDbContext.LoadAsync<Todo>(todo.Id) != null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} already exists", todo.Id);
+                    return Conflict("A todo item with this ID already exists");
+                }
+
+                todo.DeletedAt = null;
+                todo.PurgeAt = null;
+
+                if (string.IsNullOrEmpty(todo.ListId))
+                {
+                    todo.ListId = TodoList.DefaultListId;
+                }
+
+                var listAccess = await _listAccess.GetListAccessAsync(User, todo.ListId);
+                if (listAccess == null)
+                {
+                    return BadRequest($"Todo list {todo.ListId} does not exist");
+                }
+
+                if (!listAccess.CanEdit)
+                {
+                    return ViewerForbidden();
+                }
+
+                // Todo items in a shared list belong to the list owner
+                todo.UserId = listAccess.OwnerId;
+                todo.Attachments = new List<Attachment>();
+                todo.Version = 0;
+                Touch(todo);
                 
                 _logger.LogInformation("Creating new todo item with ID: {Id}", todo.Id);
-                await _dynamoDbContext.SaveAsync(todo);
+                try
+                {
+                    await SaveIfUnchangedAsync(todo, null);
+                }
+                catch (ConditionalCheckFailedException)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} was created by another request", todo.Id);
+                    return Conflict("A todo item with this ID already exists");
+                }
+
+                await _history.RecordAsync(User, TodoEvent.CreatedAction, null, todo);
                 return CreatedAtAction(nameof(GetTodo), new { id = todo.Id }, todo);
             }
             catch (Exception ex)
@@ -153,7 +638,7 @@ namespace TodoApi.Controllers
         }
 
         /// <summary>
-        /// Delete a todo item
+        /// Move a todo item to the trash
         /// </summary>
         /// <param name="id">Todo item ID</param>
         /// <returns>No content if successful</returns>
@@ -167,10 +652,43 @@ namespace TodoApi.Controllers
 
             try
             {
-                _logger.LogInformation("Deleting todo item with ID: {Id}", id);
-                await _dynamoDbContext.DeleteAsync<Todo>(id);
+                var (todo, role) = await LoadAccessibleTodoAsync(id);
+
+                // Deleting is idempotent so a replayed delete does not fail
+                if (todo == null || todo.DeletedAt != null)
+                {
+                    return NoContent();
+                }
+
+                if (role == ListShare.ViewerRole)
+                {
+                    return ViewerForbidden();
+                }
+
+                _logger.LogInformation("Moving todo item with ID: {Id} to the trash", id);
+                var saved = await SaveChangeAsync(todo, current =>
+                {
+                    if (current.DeletedAt != null)
+                    {
+                        return false;
+                    }
+
+                    MoveToTrash(current);
+                    return true;
+                });
+
+                if (saved != null)
+                {
+                    await _history.RecordAsync(User, TodoEvent.DeletedAction, saved.Value.Before, saved.Value.After);
+                }
+
                 return NoContent();
             }
+            catch (ConditionalCheckFailedException ex)
+            {
+                _logger.LogWarning(ex, "Todo item with ID {Id} kept changing while it was deleted", id);
+                return Conflict("The todo item was changed by someone else. Please try again.");
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error occurred while deleting todo with id {Id}", id);
@@ -194,23 +712,1438 @@ namespace TodoApi.Controllers
             try
             {
                 _logger.LogInformation("Toggling status for todo item with ID: {Id}", id);
-                var todo = await _dynamoDbContext.LoadAsync<Todo>(id);
+                var (todo, role) = await LoadAccessibleTodoAsync(id);
                 
-                if (todo == null)
+                if (todo == null || todo.DeletedAt != null)
                 {
                     _logger.LogWarning("Todo item with ID {Id} not found", id);
                     return NotFound();
                 }
 
-                todo.IsCompleted = !todo.IsCompleted;
-                await _dynamoDbContext.SaveAsync(todo);
+                if (role == ListShare.ViewerRole)
+                {
+                    return ViewerForbidden();
+                }
+
+                Todo? nextOccurrence = null;
+                var saved = await SaveChangeAsync(todo, current =>
+                {
+                    if (current.DeletedAt != null)
+                    {
+                        return false;
+                    }
+
+                    current.IsCompleted = !current.IsCompleted;
+                    Touch(current);
+                    nextOccurrence = CreateNextOccurrence(current);
+                    return true;
+                });
+
+                if (saved == null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} was deleted while it was toggled", id);
+                    return NotFound();
+                }
+
+                var (before, after) = saved.Value;
+                await _history.RecordAsync(User, after.IsCompleted ? TodoEvent.CompletedAction : TodoEvent.ReopenedAction, before, after);
+                await SaveNextOccurrencesAsync(new[] { nextOccurrence });
                 return NoContent();
             }
+            catch (ConditionalCheckFailedException ex)
+            {
+                _logger.LogWarning(ex, "Todo item with ID {Id} kept changing while it was toggled", id);
+                return Conflict("The todo item was changed by someone else. Please try again.");
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error occurred while toggling status for todo with id {Id}", id);
                 return StatusCode(500, "An error occurred while updating the todo status");
             }
         }
+
+        /// <summary>
+        /// Mark several todo items completed or pending, or move them to the trash, in one request
+        /// </summary>
+        /// <remarks>
+        /// IDs that no longer exist or are already in the trash are skipped, so a retried batch does not fail.
+        /// Each item is saved only if it has not changed since it was read; one that has is read again, so
+        /// the batch never reverts a concurrent edit.
+        /// </remarks>
+        /// <param name="request">Action and todo item IDs</param>
+        /// <returns>No content if successful</returns>
+        [HttpPost("batch")]
+        public async Task<IActionResult> BatchTodos(BatchRequest request)
+        {
+            if (request == null)
+            {
+                return BadRequest("Batch request cannot be null");
+            }
+
+            var action = request.Action?.Trim().ToLowerInvariant();
+            if (action != BatchRequest.CompleteAction && action != BatchRequest.PendingAction && action != BatchRequest.DeleteAction)
+            {
+                return BadRequest($"Action must be '{BatchRequest.CompleteAction}', '{BatchRequest.PendingAction}' or '{BatchRequest.DeleteAction}'");
+            }
+
+            if (request.Ids == null || request.Ids.Count == 0)
+            {
+                return BadRequest("Ids cannot be empty");
+            }
+
+            var ids = request.Ids.Where(id => !string.IsNullOrEmpty(id)).Distinct().ToList();
+            if (ids.Count > MaxBatchItems)
+            {
+                return BadRequest($"Cannot update more than {MaxBatchItems} todo items at once");
+            }
+
+            try
+            {
+                _logger.LogInformation("Applying batch action {Action} to {Count} todo items", action, ids.Count);
+                var batchGet = _dynamoDbContext.CreateBatchGet<Todo>();
+                ids.ForEach(id => batchGet.AddKey(id));
+                await batchGet.ExecuteAsync();
+                var accessible = await WithRolesAsync(batchGet.Results.Where(todo => todo.DeletedAt == null));
+                if (accessible.Any(item => item.Role == ListShare.ViewerRole))
+                {
+                    return ViewerForbidden();
+                }
+
+                var isCompleted = action == BatchRequest.CompleteAction;
+
+                // Keyed by todo ID so an occurrence built for a save that then had to be retried is replaced
+                var nextOccurrences = new ConcurrentDictionary<string, Todo?>();
+                var changed = await SaveChangesAsync(accessible.Select(item => item.Todo), todo =>
+                {
+                    if (todo.DeletedAt != null)
+                    {
+                        return false;
+                    }
+
+                    if (action == BatchRequest.DeleteAction)
+                    {
+                        MoveToTrash(todo);
+                        return true;
+                    }
+
+                    if (todo.IsCompleted == isCompleted)
+                    {
+                        return false;
+                    }
+
+                    todo.IsCompleted = isCompleted;
+                    Touch(todo);
+                    nextOccurrences[todo.Id] = CreateNextOccurrence(todo);
+                    return true;
+                });
+
+                var historyAction = action == BatchRequest.DeleteAction ? TodoEvent.DeletedAction
+                    : action == BatchRequest.CompleteAction ? TodoEvent.CompletedAction
+                    : TodoEvent.ReopenedAction;
+                await _history.RecordAsync(User, historyAction, changed);
+                await SaveNextOccurrencesAsync(nextOccurrences.Values);
+                return NoContent();
+            }
+            catch (ConditionalCheckFailedException ex)
+            {
+                _logger.LogWarning(ex, "Todo items kept changing while batch action {Action} was applied", action);
+                return Conflict("Some todo items were changed by someone else. Please try again.");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while applying batch action {Action}", action);
+                return StatusCode(500, "An error occurred while updating the todo items");
+            }
+        }
+
+        /// <summary>
+        /// Create several todo items in one list in one request
+        /// </summary>
+        /// <remarks>
+        /// Every item gets a new ID, so importing an exported file again adds copies rather than
+        /// overwriting the originals. Completion, due date, tags, checklist and creation time are kept.
+        /// </remarks>
+        /// <param name="request">List ID and todo items</param>
+        /// <returns>Created todo items</returns>
+        [HttpPost("import")]
+        public async Task<ActionResult<IEnumerable<Todo>>> ImportTodos(ImportRequest request)
+        {
+            if (request == null)
+            {
+                return BadRequest("Import request cannot be null");
+            }
+
+            if (request.Items == null || request.Items.Count == 0)
+            {
+                return BadRequest("Items cannot be empty");
+            }
+
+            if (request.Items.Count > MaxBatchItems)
+            {
+                return BadRequest($"Cannot import more than {MaxBatchItems} todo items at once");
+            }
+
+            for (var i = 0; i < request.Items.Count; i++)
+            {
+                var error = NormalizeTags(request.Items[i]) ?? NormalizeChecklist(request.Items[i])
+                    ?? NormalizeRecurrence(request.Items[i]) ?? NormalizePriority(request.Items[i]);
+                NormalizeNotes(request.Items[i]);
+                if (error != null)
+                {
+                    return BadRequest($"Item {i + 1}: {error}");
+                }
+            }
+
+            var listId = string.IsNullOrEmpty(request.ListId) ? TodoList.DefaultListId : request.ListId;
+
+            try
+            {
+                var listAccess = await _listAccess.GetListAccessAsync(User, listId);
+                if (listAccess == null)
+                {
+                    return BadRequest($"Todo list {listId} does not exist");
+                }
+
+                if (!listAccess.CanEdit)
+                {
+                    return ViewerForbidden();
+                }
+
+                _logger.LogInformation("Importing {Count} todo items into list {ListId}", request.Items.Count, listId);
+                var now = DateTime.UtcNow;
+                var todos = request.Items.Select(item => new Todo
+                {
+                    Description = item.Description,
+                    Notes = item.Notes,
+                    IsCompleted = item.IsCompleted,
+                    CreatedAt = item.CreatedAt > now ? now : item.CreatedAt,
+                    DueAt = item.DueAt,
+                    Tags = item.Tags,
+                    Priority = item.Priority,
+                    Checklist = item.Checklist,
+                    AutoCompleteChecklist = item.AutoCompleteChecklist,
+                    Recurrence = item.Recurrence,
+                    ListId = listId,
+                    UserId = listAccess.OwnerId
+                }).ToList();
+                todos.ForEach(Touch);
+
+                var batchWrite = _dynamoDbContext.CreateBatchWrite<Todo>();
+                batchWrite.AddPutItems(todos);
+                await batchWrite.ExecuteAsync();
+
+                await _history.RecordAsync(User, TodoEvent.CreatedAction, todos.Select(todo => ((Todo?)null, todo)));
+                return Ok(todos);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while importing todo items into list {ListId}", listId);
+                return StatusCode(500, "An error occurred while importing the todo items");
+            }
+        }
+
+        /// <summary>
+        /// Get the history of a todo item: who created, edited, completed, deleted or restored it and what changed
+        /// </summary>
+        /// <param name="id">Todo item ID</param>
+        /// <returns>Events, most recent first</returns>
+        [HttpGet("{id}/history")]
+        public async Task<ActionResult<IEnumerable<TodoEvent>>> GetTodoHistory(string id)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            try
+            {
+                var (todo, _) = await LoadAccessibleTodoAsync(id);
+                if (todo == null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} not found", id);
+                    return NotFound();
+                }
+
+                _logger.LogInformation("Retrieving the history of todo item with ID: {Id}", id);
+                return await _history.GetHistoryAsync(id);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving the history of todo with id {Id}", id);
+                return StatusCode(500, "An error occurred while retrieving the todo history");
+            }
+        }
+
+        /// <summary>
+        /// Revert a todo item to the version recorded by an event in its history
+        /// </summary>
+        /// <remarks>
+        /// The description, completion, due date, tags and checklist are restored; the list,
+        /// position and attachments stay as they are. The revert itself is recorded as a new event. Honours If-Match
+        /// like <see cref="PutTodo"/>.
+        /// </remarks>
+        /// <param name="id">Todo item ID</param>
+        /// <param name="eventId">ID of the event to revert to</param>
+        /// <returns>The reverted todo item</returns>
+        [HttpPost("{id}/history/{eventId}/revert")]
+        public async Task<ActionResult<Todo>> RevertTodo(string id, string eventId)
+        {
+            if (string.IsNullOrEmpty(id) || string.IsNullOrEmpty(eventId))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            try
+            {
+                var (todo, role) = await LoadAccessibleTodoAsync(id);
+                if (todo == null || todo.DeletedAt != null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} not found", id);
+                    return NotFound();
+                }
+
+                if (role == ListShare.ViewerRole)
+                {
+                    return ViewerForbidden();
+                }
+
+                if (!MatchesIfMatch(todo))
+                {
+                    _logger.LogWarning("Todo item with ID {Id} was changed by someone else", id);
+                    return VersionConflict(todo);
+                }
+
+                var todoEvent = await _history.GetEventAsync(id, eventId);
+                var snapshot = todoEvent == null ? null : TodoHistoryService.ReadSnapshot(todoEvent);
+                if (snapshot == null)
+                {
+                    _logger.LogWarning("History event {EventId} of todo item {Id} not found", eventId, id);
+                    return NotFound();
+                }
+
+                _logger.LogInformation("Reverting todo item with ID: {Id} to event {EventId}", id, eventId);
+                var before = TodoHistoryService.Copy(todo);
+                todo.Description = snapshot.Description;
+                todo.Notes = snapshot.Notes;
+                todo.IsCompleted = snapshot.IsCompleted;
+                todo.DueAt = snapshot.DueAt;
+                todo.Tags = snapshot.Tags;
+                todo.Priority = snapshot.Priority;
+                todo.Checklist = snapshot.Checklist;
+                todo.AutoCompleteChecklist = snapshot.AutoCompleteChecklist;
+                todo.Recurrence = snapshot.Recurrence;
+                Touch(todo);
+
+                try
+                {
+                    await SaveIfUnchangedAsync(todo, before.Version);
+                }
+                catch (ConditionalCheckFailedException)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} was changed by someone else", id);
+                    return VersionConflict(await _dynamoDbContext.LoadAsync<Todo>(id));
+                }
+
+                await _history.RecordAsync(User, TodoEvent.RevertedAction, before, todo, eventId);
+                Response.Headers[HeaderNames.ETag] = ToETag(todo.Version);
+                return todo;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while reverting todo with id {Id}", id);
+                return StatusCode(500, "An error occurred while reverting the todo item");
+            }
+        }
+
+        /// <summary>
+        /// Get a pre-signed URL for uploading a file to attach to a todo item
+        /// </summary>
+        /// <remarks>
+        /// The browser PUTs the file straight to S3 with the returned Content-Type, then records it with
+        /// <see cref="AddAttachment"/>; nothing is attached until then, and files that are never
+        /// attached are removed by the bucket's lifecycle rule after a day.
+        /// </remarks>
+        /// <param name="id">Todo item ID</param>
+        /// <param name="request">Name, type and size of the file</param>
+        /// <returns>ID of the new attachment and the URL to upload it to</returns>
+        [HttpPost("{id}/attachments/uploads")]
+        public async Task<ActionResult<AttachmentUrl>> CreateAttachmentUpload(string id, AttachmentRequest request)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            if (request == null)
+            {
+                return BadRequest("Attachment request cannot be null");
+            }
+
+            var attachmentError = NormalizeAttachmentRequest(request);
+            if (attachmentError != null)
+            {
+                return BadRequest(attachmentError);
+            }
+
+            if (string.IsNullOrEmpty(_attachmentOptions.BucketName))
+            {
+                return StatusCode(503, "File attachments are not configured");
+            }
+
+            try
+            {
+                var (todo, role) = await LoadAccessibleTodoAsync(id);
+                if (todo == null || todo.DeletedAt != null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} not found", id);
+                    return NotFound();
+                }
+
+                if (role == ListShare.ViewerRole)
+                {
+                    return ViewerForbidden();
+                }
+
+                if (todo.Attachments.Count >= MaxAttachments)
+                {
+                    return BadRequest($"A todo item can have at most {MaxAttachments} attachments");
+                }
+
+                _logger.LogInformation("Issuing an upload URL for todo item with ID: {Id}", id);
+                return _attachments.CreateUploadUrl(id, Guid.NewGuid().ToString(), request.ContentType!);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while issuing an upload URL for todo with id {Id}", id);
+                return StatusCode(500, "An error occurred while preparing the upload");
+            }
+        }
+
+        /// <summary>
+        /// Attach a file that was uploaded to a URL from <see cref="CreateAttachmentUpload"/>
+        /// </summary>
+        /// <remarks>
+        /// The size and content type are read from the stored file. Recording the same upload again
+        /// returns the existing attachment.
+        /// </remarks>
+        /// <param name="id">Todo item ID</param>
+        /// <param name="request">Attachment ID issued with the upload URL and the name of the file</param>
+        /// <returns>Created attachment with the todo item's new ETag</returns>
+        [HttpPost("{id}/attachments")]
+        public async Task<ActionResult<Attachment>> AddAttachment(string id, AttachmentRequest request)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            if (request == null)
+            {
+                return BadRequest("Attachment request cannot be null");
+            }
+
+            if (!Guid.TryParse(request.AttachmentId, out _))
+            {
+                return BadRequest("AttachmentId must be the ID issued with the upload URL");
+            }
+
+            var attachmentError = NormalizeAttachmentRequest(request);
+            if (attachmentError != null)
+            {
+                return BadRequest(attachmentError);
+            }
+
+            try
+            {
+                var (todo, role) = await LoadAccessibleTodoAsync(id);
+                if (todo == null || todo.DeletedAt != null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} not found", id);
+                    return NotFound();
+                }
+
+                if (role == ListShare.ViewerRole)
+                {
+                    return ViewerForbidden();
+                }
+
+                var existing = todo.Attachments.FirstOrDefault(attachment => attachment.Id == request.AttachmentId);
+                if (existing != null)
+                {
+                    return Ok(existing);
+                }
+
+                if (todo.Attachments.Count >= MaxAttachments)
+                {
+                    return BadRequest($"A todo item can have at most {MaxAttachments} attachments");
+                }
+
+                var upload = await _attachments.GetUploadAsync(id, request.AttachmentId!);
+                if (upload == null)
+                {
+                    return BadRequest("The file has not been uploaded");
+                }
+
+                // The upload URL cannot limit the size, so files that are too large are only caught here
+                if (upload.Value.Size > _attachmentOptions.MaxFileSizeBytes)
+                {
+                    await _attachments.DeleteUploadAsync(id, request.AttachmentId!);
+                    return BadRequest($"Files cannot be larger than {_attachmentOptions.MaxFileSizeBytes} bytes");
+                }
+
+                var attachment = new Attachment
+                {
+                    Id = request.AttachmentId!,
+                    FileName = request.FileName,
+                    ContentType = upload.Value.ContentType,
+                    Size = upload.Value.Size
+                };
+
+                _logger.LogInformation("Attaching file {AttachmentId} to todo item with ID: {Id}", attachment.Id, id);
+                await _attachments.KeepUploadAsync(id, attachment.Id);
+                var expectedVersion = todo.Version;
+                todo.Attachments.Add(attachment);
+                Touch(todo);
+
+                try
+                {
+                    await SaveIfUnchangedAsync(todo, expectedVersion);
+                }
+                catch (ConditionalCheckFailedException)
+                {
+                    // The file stays uploaded, so the client can simply try again
+                    _logger.LogWarning("Todo item with ID {Id} was changed by someone else", id);
+                    return Conflict("The todo item was changed at the same time. Please try again.");
+                }
+
+                await _attachments.DeleteUploadAsync(id, attachment.Id);
+                Response.Headers[HeaderNames.ETag] = ToETag(todo.Version);
+                return CreatedAtAction(nameof(GetAttachmentUrl), new { id, attachmentId = attachment.Id }, attachment);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while attaching a file to todo with id {Id}", id);
+                return StatusCode(500, "An error occurred while attaching the file");
+            }
+        }
+
+        /// <summary>
+        /// Get a pre-signed URL for downloading an attached file
+        /// </summary>
+        /// <remarks>
+        /// PNG, JPEG, GIF and WebP images can be shown by the browser, for thumbnails; every other file,
+        /// and any file when download is true, is served as a download so uploaded pages cannot run.
+        /// </remarks>
+        /// <param name="id">Todo item ID</param>
+        /// <param name="attachmentId">Attachment ID</param>
+        /// <param name="download">Whether to have the browser save the file even if it is an image</param>
+        /// <returns>Download URL</returns>
+        [HttpGet("{id}/attachments/{attachmentId}/url")]
+        public async Task<ActionResult<AttachmentUrl>> GetAttachmentUrl(string id, string attachmentId, [FromQuery] bool download)
+        {
+            if (string.IsNullOrEmpty(id) || string.IsNullOrEmpty(attachmentId))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            try
+            {
+                var (todo, _) = await LoadAccessibleTodoAsync(id);
+                var attachment = todo?.DeletedAt == null
+                    ? todo?.Attachments.FirstOrDefault(item => item.Id == attachmentId)
+                    : null;
+                if (attachment == null)
+                {
+                    _logger.LogWarning("Attachment {AttachmentId} of todo item {Id} not found", attachmentId, id);
+                    return NotFound();
+                }
+
+                return _attachments.CreateDownloadUrl(id, attachment, !download && InlineContentTypes.Contains(attachment.ContentType));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while issuing a download URL for todo with id {Id}", id);
+                return StatusCode(500, "An error occurred while preparing the download");
+            }
+        }
+
+        /// <summary>
+        /// Remove a file from a todo item and delete it
+        /// </summary>
+        /// <param name="id">Todo item ID</param>
+        /// <param name="attachmentId">Attachment ID</param>
+        /// <returns>No content with the todo item's new ETag if successful</returns>
+        [HttpDelete("{id}/attachments/{attachmentId}")]
+        public async Task<IActionResult> DeleteAttachment(string id, string attachmentId)
+        {
+            if (string.IsNullOrEmpty(id) || string.IsNullOrEmpty(attachmentId))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            try
+            {
+                var (todo, role) = await LoadAccessibleTodoAsync(id);
+                if (todo == null || todo.DeletedAt != null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} not found", id);
+                    return NotFound();
+                }
+
+                if (role == ListShare.ViewerRole)
+                {
+                    return ViewerForbidden();
+                }
+
+                // Deleting is idempotent so a repeated delete does not fail
+                var attachment = todo.Attachments.FirstOrDefault(item => item.Id == attachmentId);
+                if (attachment == null)
+                {
+                    return NoContent();
+                }
+
+                _logger.LogInformation("Removing attachment {AttachmentId} from todo item with ID: {Id}", attachmentId, id);
+                var expectedVersion = todo.Version;
+                todo.Attachments.Remove(attachment);
+                Touch(todo);
+
+                try
+                {
+                    await SaveIfUnchangedAsync(todo, expectedVersion);
+                }
+                catch (ConditionalCheckFailedException)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} was changed by someone else", id);
+                    return Conflict("The todo item was changed at the same time. Please try again.");
+                }
+
+                await _attachments.DeleteAsync(id, new[] { attachmentId });
+                Response.Headers[HeaderNames.ETag] = ToETag(todo.Version);
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while removing an attachment from todo with id {Id}", id);
+                return StatusCode(500, "An error occurred while removing the attachment");
+            }
+        }
+
+        /// <summary>
+        /// Get the todo items in the trash
+        /// </summary>
+        /// <returns>Trashed todo items, most recently deleted first</returns>
+        [HttpGet("trash")]
+        public async Task<ActionResult<IEnumerable<Todo>>> GetTrash()
+        {
+            try
+            {
+                _logger.LogInformation("Retrieving todo items in the trash");
+                var conditions = new List<ScanCondition>
+                {
+                    new ScanCondition(nameof(Todo.UserId), ScanOperator.Equal, User.GetUserId()),
+                    new ScanCondition(nameof(Todo.DeletedAt), ScanOperator.IsNotNull)
+                };
+                var todos = await _dynamoDbContext.ScanAsync<Todo>(conditions).GetRemainingAsync();
+
+                // DynamoDB removes expired items some time after PurgeAt; hide them in the meantime
+                return todos
+                    .Where(todo => !IsExpired(todo))
+                    .OrderByDescending(todo => todo.DeletedAt)
+                    .ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while retrieving the trash");
+                return StatusCode(500, "An error occurred while retrieving the trash");
+            }
+        }
+
+        /// <summary>
+        /// Restore a todo item from the trash
+        /// </summary>
+        /// <remarks>
+        /// Editors of a shared list can restore its todo items too, which is how they undo a delete.
+        /// </remarks>
+        /// <param name="id">Todo item ID</param>
+        /// <returns>Restored todo item</returns>
+        [HttpPost("{id}/restore")]
+        public async Task<ActionResult<Todo>> RestoreTodo(string id)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            try
+            {
+                var (todo, role) = await LoadAccessibleTodoAsync(id);
+                if (todo == null || todo.DeletedAt == null || IsExpired(todo))
+                {
+                    _logger.LogWarning("Todo item with ID {Id} not found in the trash", id);
+                    return NotFound();
+                }
+
+                if (role == ListShare.ViewerRole)
+                {
+                    return ViewerForbidden();
+                }
+
+                // The list may have been deleted while the todo was in the trash; collaborators
+                // only reach the todo through the share, which is deleted with the list
+                if (role == ListShare.OwnerRole && !string.IsNullOrEmpty(todo.ListId) && !await ListExistsAsync(todo.ListId))
+                {
+                    todo.ListId = TodoList.DefaultListId;
+                }
+
+                _logger.LogInformation("Restoring todo item with ID: {Id} from the trash", id);
+                var listId = todo.ListId;
+                var saved = await SaveChangeAsync(todo, current =>
+                {
+                    if (current.DeletedAt == null || IsExpired(current))
+                    {
+                        return false;
+                    }
+
+                    current.ListId = listId;
+                    current.DeletedAt = null;
+                    current.PurgeAt = null;
+                    Touch(current);
+                    return true;
+                });
+
+                if (saved == null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} left the trash while it was restored", id);
+                    return NotFound();
+                }
+
+                await _history.RecordAsync(User, TodoEvent.RestoredAction, saved.Value.Before, saved.Value.After);
+                return saved.Value.After;
+            }
+            catch (ConditionalCheckFailedException ex)
+            {
+                _logger.LogWarning(ex, "Todo item with ID {Id} kept changing while it was restored", id);
+                return Conflict("The todo item was changed by someone else. Please try again.");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while restoring todo with id {Id}", id);
+                return StatusCode(500, "An error occurred while restoring the todo item");
+            }
+        }
+
+        /// <summary>
+        /// Permanently delete a todo item that is in the trash
+        /// </summary>
+        /// <param name="id">Todo item ID</param>
+        /// <returns>No content if successful</returns>
+        [HttpDelete("trash/{id}")]
+        public async Task<IActionResult> PurgeTodo(string id)
+        {
+            if (string.IsNullOrEmpty(id))
+            {
+                return BadRequest("ID cannot be empty");
+            }
+
+            try
+            {
+                var todo = await LoadOwnedTodoAsync(id);
+                if (todo == null || todo.DeletedAt == null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} not found in the trash", id);
+                    return NotFound();
+                }
+
+                _logger.LogInformation("Permanently deleting todo item with ID: {Id}", id);
+                await _dynamoDbContext.DeleteAsync<Todo>(id);
+                await _history.DeleteHistoryAsync(new[] { id });
+                await _attachments.DeleteAllAsync(id);
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while purging todo with id {Id}", id);
+                return StatusCode(500, "An error occurred while deleting the todo item");
+            }
+        }
+
+        /// <summary>
+        /// Permanently delete every todo item in the trash
+        /// </summary>
+        /// <returns>No content if successful</returns>
+        [HttpDelete("trash")]
+        public async Task<IActionResult> EmptyTrash()
+        {
+            try
+            {
+                var conditions = new List<ScanCondition>
+                {
+                    new ScanCondition(nameof(Todo.UserId), ScanOperator.Equal, User.GetUserId()),
+                    new ScanCondition(nameof(Todo.DeletedAt), ScanOperator.IsNotNull)
+                };
+                var todos = await _dynamoDbContext.ScanAsync<Todo>(conditions).GetRemainingAsync();
+
+                _logger.LogInformation("Emptying the trash ({Count} todo items)", todos.Count);
+                var batch = _dynamoDbContext.CreateBatchWrite<Todo>();
+                batch.AddDeleteItems(todos);
+                await batch.ExecuteAsync();
+                await _history.DeleteHistoryAsync(todos.Select(todo => todo.Id));
+                foreach (var todo in todos)
+                {
+                    await _attachments.DeleteAllAsync(todo.Id);
+                }
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while emptying the trash");
+                return StatusCode(500, "An error occurred while emptying the trash");
+            }
+        }
+
+        /// <summary>
+        /// Save the manual order of todo items
+        /// </summary>
+        /// <remarks>
+        /// Each item in <see cref="ReorderRequest.Positions"/> gets the given position. Clients move an item by
+        /// giving it a position between its new neighbours, so items that are not included, including those on
+        /// pages the client has not loaded, keep their place. Items in the trash are not found. Items are saved
+        /// only if they have not changed since they were read, so a reorder never reverts a concurrent edit.
+        /// </remarks>
+        /// <param name="request">New positions by todo item ID</param>
+        /// <returns>No content if successful</returns>
+        [HttpPatch("reorder")]
+        public async Task<IActionResult> ReorderTodos(ReorderRequest request)
+        {
+            if (request?.Positions == null || request.Positions.Count == 0)
+            {
+                return BadRequest("Positions cannot be empty");
+            }
+
+            if (request.Positions.Count > MaxReorderItems)
+            {
+                return BadRequest($"Cannot reorder more than {MaxReorderItems} todo items at once");
+            }
+
+            if (request.Positions.Keys.Any(string.IsNullOrEmpty) || !request.Positions.Values.All(double.IsFinite))
+            {
+                return BadRequest("Ids cannot be empty and positions must be finite numbers");
+            }
+
+            try
+            {
+                _logger.LogInformation("Reordering {Count} todo items", request.Positions.Count);
+                var batchGet = _dynamoDbContext.CreateBatchGet<Todo>();
+                request.Positions.Keys.ToList().ForEach(id => batchGet.AddKey(id));
+                await batchGet.ExecuteAsync();
+
+                // Todo items in the trash cannot be reordered, like any other change to them
+                var accessible = await WithRolesAsync(batchGet.Results.Where(todo => todo.DeletedAt == null));
+                var todos = accessible.ToDictionary(item => item.Todo.Id, item => item.Todo);
+                var missing = request.Positions.Keys.FirstOrDefault(id => !todos.ContainsKey(id));
+                if (missing != null)
+                {
+                    _logger.LogWarning("Todo item with ID {Id} not found", missing);
+                    return NotFound();
+                }
+
+                if (accessible.Any(item => item.Role == ListShare.ViewerRole))
+                {
+                    return ViewerForbidden();
+                }
+
+                var positions = request.Positions;
+                await SaveChangesAsync(todos.Values, todo =>
+                {
+                    if (todo.DeletedAt != null || todo.Position == positions[todo.Id])
+                    {
+                        return false;
+                    }
+
+                    todo.Position = positions[todo.Id];
+                    Touch(todo);
+                    return true;
+                });
+                return NoContent();
+            }
+            catch (ConditionalCheckFailedException ex)
+            {
+                _logger.LogWarning(ex, "Todo items kept changing while they were reordered");
+                return Conflict("Some todo items were changed by someone else. Please try again.");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while reordering todos");
+                return StatusCode(500, "An error occurred while saving the todo order");
+            }
+        }
+
+        /// <summary>
+        /// Mark a todo item as trashed and schedule it to be purged after the retention period
+        /// </summary>
+        /// <param name="todo">Todo item to move to the trash</param>
+        private void MoveToTrash(Todo todo)
+        {
+            Touch(todo);
+            todo.DeletedAt = todo.UpdatedAt;
+            todo.PurgeAt = new DateTimeOffset(todo.DeletedAt.Value.AddDays(_trashOptions.RetentionDays)).ToUnixTimeSeconds();
+        }
+
+        /// <summary>
+        /// Record a change to a todo item: bump its version and set UpdatedAt
+        /// </summary>
+        /// <param name="todo">Todo item that is about to be saved</param>
+        private static void Touch(Todo todo)
+        {
+            todo.Version++;
+            todo.UpdatedAt = DateTime.UtcNow;
+        }
+
+        /// <summary>
+        /// Format a todo item's version as a strong ETag
+        /// </summary>
+        /// <param name="version">Todo item version</param>
+        /// <returns>Quoted ETag</returns>
+        private static string ToETag(long version)
+        {
+            return $"\"{version}\"";
+        }
+
+        /// <summary>
+        /// Check the request's If-Match header against the stored todo item
+        /// </summary>
+        /// <param name="existing">Stored todo item, or null if there is none</param>
+        /// <returns>True if there is no If-Match header, it is *, or it names the item's current version</returns>
+        private bool MatchesIfMatch(Todo? existing)
+        {
+            var ifMatch = Request.GetTypedHeaders().IfMatch;
+            if (ifMatch == null || ifMatch.Count == 0)
+            {
+                return true;
+            }
+
+            return existing != null && ifMatch.Any(tag =>
+                tag.Equals(EntityTagHeaderValue.Any) || tag.Tag.ToString() == ToETag(existing.Version));
+        }
+
+        /// <summary>
+        /// Answer 412 Precondition Failed with the current todo item, so the client can show what changed
+        /// </summary>
+        /// <param name="current">Current todo item, or null if it no longer exists</param>
+        /// <returns>412 result</returns>
+        private ObjectResult VersionConflict(Todo? current)
+        {
+            if (current != null)
+            {
+                Response.Headers[HeaderNames.ETag] = ToETag(current.Version);
+            }
+
+            return StatusCode(StatusCodes.Status412PreconditionFailed,
+                current ?? (object)"The todo item no longer exists");
+        }
+
+        /// <summary>
+        /// Save a todo item only if nobody else has saved it since it was read
+        /// </summary>
+        /// <param name="todo">Todo item to save</param>
+        /// <param name="expectedVersion">Version that was read, or null if the item did not exist</param>
+        /// <exception cref="ConditionalCheckFailedException">The stored item has changed</exception>
+        private async Task SaveIfUnchangedAsync(Todo todo, long? expectedVersion)
+        {
+            var condition = expectedVersion == null
+                ? new Expression { ExpressionStatement = "attribute_not_exists(Id)" }
+                : new Expression
+                {
+                    // Items saved before versioning have no Version attribute
+                    ExpressionStatement = expectedVersion == 0
+                        ? "attribute_not_exists(#version) OR #version = :version"
+                        : "#version = :version",
+                    ExpressionAttributeNames = new Dictionary<string, string> { ["#version"] = nameof(Todo.Version) },
+                    ExpressionAttributeValues = new Dictionary<string, DynamoDBEntry> { [":version"] = expectedVersion.Value }
+                };
+
+            await _dynamoDbContext.GetTargetTable<Todo>().PutItemAsync(
+                _dynamoDbContext.ToDocument(todo),
+                new PutItemOperationConfig { ConditionalExpression = condition });
+        }
+
+        /// <summary>
+        /// Apply a change to todo items, saving each one only if nobody else has saved it since it was read
+        /// </summary>
+        /// <param name="todos">Todo items as they were read</param>
+        /// <param name="change">Changes an item and returns true, or returns false if it needs no change</param>
+        /// <returns>The items that were saved, with copies from before the change</returns>
+        /// <exception cref="ConditionalCheckFailedException">An item kept being changed by others through every attempt</exception>
+        private async Task<List<(Todo? Before, Todo After)>> SaveChangesAsync(IEnumerable<Todo> todos, Func<Todo, bool> change)
+        {
+            var saved = new List<(Todo? Before, Todo After)>();
+            foreach (var chunk in todos.Chunk(ConcurrentSaves))
+            {
+                var results = await Task.WhenAll(chunk.Select(todo => SaveChangeAsync(todo, change)));
+                saved.AddRange(results.Where(result => result != null).Select(result => result!.Value));
+            }
+
+            return saved;
+        }
+
+        /// <summary>
+        /// Apply a change to a todo item and save it only if nobody else has saved it since it was read
+        /// </summary>
+        /// <remarks>
+        /// When someone else saved the item in the meantime it is read again and the change is applied to
+        /// their version, so the change never reverts theirs. The change decides whether the new version
+        /// still needs it; items that were deleted or are no longer editable are left alone.
+        /// </remarks>
+        /// <param name="todo">Todo item as it was read</param>
+        /// <param name="change">Changes the item and returns true, or returns false if it needs no change</param>
+        /// <returns>The saved item with a copy from before the change, or null if nothing was saved</returns>
+        /// <exception cref="ConditionalCheckFailedException">The item kept being changed by others through every attempt</exception>
+        private async Task<(Todo? Before, Todo After)?> SaveChangeAsync(Todo todo, Func<Todo, bool> change)
+        {
+            for (var attempt = 1; ; attempt++)
+            {
+                var before = TodoHistoryService.Copy(todo);
+                if (!change(todo))
+                {
+                    return null;
+                }
+
+                try
+                {
+                    await SaveIfUnchangedAsync(todo, before.Version);
+                    return (before, todo);
+                }
+                catch (ConditionalCheckFailedException) when (attempt < MaxSaveAttempts)
+                {
+                    _logger.LogInformation("Todo item with ID {Id} changed while it was saved; applying the change again", todo.Id);
+                    var current = await _dynamoDbContext.LoadAsync<Todo>(todo.Id);
+                    var role = current == null ? null : await _listAccess.GetTodoRoleAsync(User, current);
+                    if (current == null || role == null || role == ListShare.ViewerRole)
+                    {
+                        return null;
+                    }
+
+                    todo = current;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Check whether a trashed todo item is past its retention period
+        /// </summary>
+        /// <param name="todo">Todo item</param>
+        /// <returns>True if the item is due to be purged</returns>
+        private static bool IsExpired(Todo todo)
+        {
+            return todo.PurgeAt != null && todo.PurgeAt <= DateTimeOffset.UtcNow.ToUnixTimeSeconds();
+        }
+
+        /// <summary>
+        /// Load a todo item if it belongs to the signed-in user
+        /// </summary>
+        /// <param name="id">Todo item ID</param>
+        /// <returns>Todo item, or null if it does not exist or belongs to someone else</returns>
+        private async Task<Todo?> LoadOwnedTodoAsync(string id)
+        {
+            var todo = await _dynamoDbContext.LoadAsync<Todo>(id);
+            return todo != null && todo.UserId == User.GetUserId() ? todo : null;
+        }
+
+        /// <summary>
+        /// Load a todo item together with the signed-in user's role for it
+        /// </summary>
+        /// <param name="id">Todo item ID</param>
+        /// <returns>Todo item and role ("owner", "editor" or "viewer"), or nulls if the user cannot see it</returns>
+        private async Task<(Todo? Todo, string? Role)> LoadAccessibleTodoAsync(string id)
+        {
+            var todo = await _dynamoDbContext.LoadAsync<Todo>(id);
+            var role = todo == null ? null : await _listAccess.GetTodoRoleAsync(User, todo);
+            return role == null ? (null, null) : (todo, role);
+        }
+
+        /// <summary>
+        /// Pair todo items with the signed-in user's role for them, leaving out those the user cannot see
+        /// </summary>
+        /// <param name="todos">Todo items</param>
+        /// <returns>Accessible todo items with their roles</returns>
+        private async Task<List<(Todo Todo, string Role)>> WithRolesAsync(IEnumerable<Todo> todos)
+        {
+            // Items of one owner in one list share a role, so each share is looked up once
+            var roles = new Dictionary<string, string?>();
+            var result = new List<(Todo Todo, string Role)>();
+
+            foreach (var todo in todos)
+            {
+                var key = $"{todo.UserId}/{todo.ListId}";
+                if (!roles.TryGetValue(key, out var role))
+                {
+                    role = await _listAccess.GetTodoRoleAsync(User, todo);
+                    roles[key] = role;
+                }
+
+                if (role != null)
+                {
+                    result.Add((todo, role));
+                }
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Response for a change attempted by a collaborator with the viewer role
+        /// </summary>
+        /// <returns>403 Forbidden</returns>
+        private ObjectResult ViewerForbidden()
+        {
+            _logger.LogWarning("Viewer tried to change a todo item in a shared list");
+            return StatusCode(403, "Viewers cannot change todo items in this list");
+        }
+
+        /// <summary>
+        /// Check whether the signed-in user has a todo list (the default list always exists)
+        /// </summary>
+        /// <param name="listId">List ID</param>
+        /// <returns>True if the list exists</returns>
+        private async Task<bool> ListExistsAsync(string listId)
+        {
+            return listId == TodoList.DefaultListId
+                || await _dynamoDbContext.LoadAsync<TodoList>(User.GetUserId(), listId) != null;
+        }
+
+        /// <summary>
+        /// Validate paging parameters
+        /// </summary>
+        /// <param name="limit">Requested page size, or null for the default</param>
+        /// <param name="cursor">Cursor from a previous page, or null for the first page</param>
+        /// <param name="pageSize">Page size to use</param>
+        /// <param name="paginationToken">DynamoDB pagination token, or null for the first page</param>
+        /// <param name="error">Validation error message</param>
+        /// <returns>True if the parameters are valid</returns>
+        private static bool TryParsePaging(int? limit, string? cursor, out int pageSize, out string? paginationToken, out string? error)
+        {
+            pageSize = limit ?? DefaultPageSize;
+            paginationToken = null;
+            error = null;
+
+            if (pageSize < 1 || pageSize > MaxPageSize)
+            {
+                error = $"Limit must be between 1 and {MaxPageSize}";
+                return false;
+            }
+
+            if (!string.IsNullOrEmpty(cursor) && !TryDecodeCursor(cursor, out paginationToken))
+            {
+                error = "Cursor is not valid";
+                return false;
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// Read the next set of results from a DynamoDB search as a page of todo items
+        /// </summary>
+        /// <param name="search">Scan or query</param>
+        /// <returns>Page of todo items</returns>
+        private async Task<TodoPage> ReadPageAsync(Search search)
+        {
+            var documents = await search.GetNextSetAsync();
+            return new TodoPage
+            {
+                Items = SortByPosition(_dynamoDbContext.FromDocuments<Todo>(documents)),
+                NextCursor = search.IsDone ? null : EncodeCursor(search.PaginationToken)
+            };
+        }
+
+        /// <summary>
+        /// Put todo items in manual order; items without a position follow, newest first
+        /// </summary>
+        /// <param name="todos">Todo items</param>
+        /// <returns>Sorted todo items</returns>
+        private static List<Todo> SortByPosition(IEnumerable<Todo> todos)
+        {
+            return todos
+                .OrderBy(todo => todo.Position == null)
+                .ThenBy(todo => todo.Position)
+                .ThenByDescending(todo => todo.CreatedAt)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Normalize a tag: trimmed, lowercase, without a leading # and with spaces as dashes
+        /// </summary>
+        /// <param name="tag">Tag as entered</param>
+        /// <returns>Normalized tag</returns>
+        private static string NormalizeTag(string tag)
+        {
+            return Regex.Replace(tag.Trim().TrimStart('#').ToLowerInvariant(), @"\s+", "-");
+        }
+
+        /// <summary>
+        /// Normalize and de-duplicate the tags on a todo item, and validate them
+        /// </summary>
+        /// <param name="todo">Todo item whose tags are normalized in place</param>
+        /// <returns>Validation error message, or null if the tags are valid</returns>
+        private static string? NormalizeTags(Todo todo)
+        {
+            todo.Tags = (todo.Tags ?? new List<string>())
+                .Where(tag => !string.IsNullOrWhiteSpace(tag))
+                .Select(NormalizeTag)
+                .Distinct()
+                .ToList();
+
+            if (todo.Tags.Count > MaxTags)
+            {
+                return $"A todo item cannot have more than {MaxTags} tags";
+            }
+
+            var invalid = todo.Tags.FirstOrDefault(tag => tag.Length > MaxTagLength || !TagPattern.IsMatch(tag));
+            if (invalid != null)
+            {
+                return $"Tag '{invalid}' is not valid. Tags can contain letters, digits, '-' and '_' and be up to {MaxTagLength} characters long";
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Normalize and validate the checklist of a todo item, and complete the item
+        /// when it is set to auto-complete and every checklist item is ticked
+        /// </summary>
+        /// <param name="todo">Todo item whose checklist is normalized in place</param>
+        /// <returns>Validation error message, or null if the checklist is valid</returns>
+        private static string? NormalizeChecklist(Todo todo)
+        {
+            todo.Checklist = (todo.Checklist ?? new List<ChecklistItem>())
+                .Where(item => item != null && !string.IsNullOrWhiteSpace(item.Text))
+                .ToList();
+
+            if (todo.Checklist.Count > MaxChecklistItems)
+            {
+                return $"A todo item cannot have more than {MaxChecklistItems} checklist items";
+            }
+
+            var ids = new HashSet<string>();
+            foreach (var item in todo.Checklist)
+            {
+                item.Text = item.Text.Trim();
+                if (string.IsNullOrEmpty(item.Id) || !ids.Add(item.Id))
+                {
+                    item.Id = Guid.NewGuid().ToString();
+                    ids.Add(item.Id);
+                }
+            }
+
+            if (todo.AutoCompleteChecklist && todo.Checklist.Count > 0 && todo.Checklist.All(item => item.IsCompleted))
+            {
+                todo.IsCompleted = true;
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Validate a todo item's recurrence rule and write it in canonical form
+        /// </summary>
+        /// <param name="todo">Todo item to normalize in place</param>
+        /// <returns>Validation error message, or null if the recurrence is valid</returns>
+        private static string? NormalizeRecurrence(Todo todo)
+        {
+            if (todo.Recurrence == null || string.IsNullOrWhiteSpace(todo.Recurrence.Rule))
+            {
+                todo.Recurrence = null;
+                return null;
+            }
+
+            if (!RecurrenceRule.TryParse(todo.Recurrence.Rule, out var rule, out var error))
+            {
+                return error;
+            }
+
+            todo.Recurrence.Rule = rule.ToString();
+            todo.Recurrence.TimeZone = string.IsNullOrWhiteSpace(todo.Recurrence.TimeZone) ? null : todo.Recurrence.TimeZone.Trim();
+            return null;
+        }
+
+        /// <summary>
+        /// Validate a todo item's priority and store it lowercase, with "none" stored as null
+        /// </summary>
+        /// <param name="todo">Todo item to normalize in place</param>
+        /// <returns>Validation error message, or null if the priority is valid</returns>
+        private static string? NormalizePriority(Todo todo)
+        {
+            var priority = todo.Priority?.Trim().ToLowerInvariant();
+            if (string.IsNullOrEmpty(priority) || priority == TodoPriority.None)
+            {
+                todo.Priority = null;
+                return null;
+            }
+
+            if (!TodoPriority.Levels.Contains(priority))
+            {
+                return $"Priority '{todo.Priority}' is not valid. Use none, low, medium, high or urgent";
+            }
+
+            todo.Priority = priority;
+            return null;
+        }
+
+        /// <summary>
+        /// Trim trailing whitespace from a todo item's notes, storing empty notes as null
+        /// </summary>
+        /// <param name="todo">Todo item to normalize in place</param>
+        private static void NormalizeNotes(Todo todo)
+        {
+            todo.Notes = string.IsNullOrWhiteSpace(todo.Notes) ? null : todo.Notes.TrimEnd();
+        }
+
+        /// <summary>
+        /// Clean up the file name and content type of an attachment request and check them against the limits
+        /// </summary>
+        /// <param name="request">Attachment request; FileName loses any folder and ContentType is lowercased,
+        /// or set to application/octet-stream if it is missing or not a MIME type</param>
+        /// <returns>Error message, or null if the request is valid</returns>
+        private string? NormalizeAttachmentRequest(AttachmentRequest request)
+        {
+            request.FileName = (request.FileName ?? string.Empty).Trim();
+            request.FileName = request.FileName.Substring(request.FileName.LastIndexOfAny(new[] { '/', '\\' }) + 1);
+            if (request.FileName.Length == 0)
+            {
+                return "File name is required";
+            }
+
+            if (request.FileName.Length > MaxFileNameLength || request.FileName.Any(char.IsControl))
+            {
+                return $"File names must be at most {MaxFileNameLength} characters without control characters";
+            }
+
+            if (request.Size < 0 || request.Size > _attachmentOptions.MaxFileSizeBytes)
+            {
+                return $"Files cannot be larger than {_attachmentOptions.MaxFileSizeBytes} bytes";
+            }
+
+            var contentType = (request.ContentType ?? string.Empty).Trim().ToLowerInvariant();
+            request.ContentType = ContentTypePattern.IsMatch(contentType) ? contentType : "application/octet-stream";
+            return null;
+        }
+
+        /// <summary>
+        /// Build the next occurrence of a recurring todo item that was just completed
+        /// </summary>
+        /// <remarks>
+        /// The next occurrence copies the description, notes, tags, priority, checklist (unticked) and recurrence, but not
+        /// the attachments, and is due at the next time the rule gives after the completed item's due date that is still in
+        /// the future. Each item creates at most one next occurrence, even if it is reopened and completed again.
+        /// </remarks>
+        /// <param name="todo">Todo item that was changed; its NextOccurrenceId is set if one is built</param>
+        /// <returns>Next occurrence to save, or null if there is none</returns>
+        private static Todo? CreateNextOccurrence(Todo todo)
+        {
+            if (!todo.IsCompleted || todo.Recurrence == null || todo.NextOccurrenceId != null
+                || !RecurrenceRule.TryParse(todo.Recurrence.Rule, out var rule, out _))
+            {
+                return null;
+            }
+
+            var dueAt = rule.GetNextOccurrence(todo.DueAt, FindTimeZone(todo.Recurrence.TimeZone), DateTime.UtcNow);
+            if (dueAt == null)
+            {
+                // The rule has ended
+                return null;
+            }
+
+            var next = new Todo
+            {
+                Description = todo.Description,
+                Notes = todo.Notes,
+                DueAt = dueAt,
+                Tags = new List<string>(todo.Tags ?? new List<string>()),
+                Priority = todo.Priority,
+                Checklist = (todo.Checklist ?? new List<ChecklistItem>())
+                    .Select(item => new ChecklistItem { Text = item.Text })
+                    .ToList(),
+                AutoCompleteChecklist = todo.AutoCompleteChecklist,
+                Recurrence = new Recurrence
+                {
+                    Rule = todo.Recurrence.Rule,
+                    TimeZone = todo.Recurrence.TimeZone
+                },
+                ListId = todo.ListId,
+                UserId = todo.UserId
+            };
+            Touch(next);
+
+            todo.NextOccurrenceId = next.Id;
+            return next;
+        }
+
+        /// <summary>
+        /// Save the next occurrences built by <see cref="CreateNextOccurrence"/> and record them in the history
+        /// </summary>
+        /// <param name="nextOccurrences">Next occurrences; nulls are skipped</param>
+        /// <returns>Task</returns>
+        private async Task SaveNextOccurrencesAsync(IEnumerable<Todo?> nextOccurrences)
+        {
+            var todos = nextOccurrences.Where(todo => todo != null).Select(todo => todo!).ToList();
+            if (todos.Count == 0)
+            {
+                return;
+            }
+
+            _logger.LogInformation("Creating the next occurrence of {Count} recurring todo items", todos.Count);
+            var batchWrite = _dynamoDbContext.CreateBatchWrite<Todo>();
+            batchWrite.AddPutItems(todos);
+            await batchWrite.ExecuteAsync();
+            await _history.RecordAsync(User, TodoEvent.CreatedAction, todos.Select(todo => ((Todo?)null, todo)));
+        }
+
+        /// <summary>
+        /// Find a time zone by its IANA ID
+        /// </summary>
+        /// <param name="id">Time zone ID, e.g. "Europe/Berlin"</param>
+        /// <returns>Time zone, or UTC if the ID is empty or unknown</returns>
+        private static TimeZoneInfo FindTimeZone(string? id)
+        {
+            return !string.IsNullOrEmpty(id) && TimeZoneInfo.TryFindSystemTimeZoneById(id, out var timeZone)
+                ? timeZone
+                : TimeZoneInfo.Utc;
+        }
+
+        /// <summary>
+        /// Wrap a DynamoDB pagination token in an opaque, URL-safe cursor
+        /// </summary>
+        /// <param name="paginationToken">Pagination token from a DynamoDB search</param>
+        /// <returns>Cursor string</returns>
+        private static string EncodeCursor(string paginationToken)
+        {
+            return Convert.ToBase64String(Encoding.UTF8.GetBytes(paginationToken))
+                .TrimEnd('=')
+                .Replace('+', '-')
+                .Replace('/', '_');
+        }
+
+        /// <summary>
+        /// Turn a cursor produced by <see cref="EncodeCursor"/> back into a pagination token
+        /// </summary>
+        /// <param name="cursor">Cursor string</param>
+        /// <param name="paginationToken">Decoded pagination token</param>
+        /// <returns>True if the cursor could be decoded</returns>
+        private static bool TryDecodeCursor(string cursor, out string? paginationToken)
+        {
+            paginationToken = null;
+            var base64 = cursor.Replace('-', '+').Replace('_', '/');
+            base64 = base64.PadRight(base64.Length + (4 - base64.Length % 4) % 4, '=');
+
+            try
+            {
+                paginationToken = Encoding.UTF8.GetString(Convert.FromBase64String(base64));
+                return true;
+            }
+            catch (FormatException)
+            {
+                return false;
+            }
+        }
     }
 }
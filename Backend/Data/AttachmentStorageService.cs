@@ -0,0 +1,224 @@
+using System;
+using System.Collections.Generic;
+using System.Net;
+using System.Threading.Tasks;
+using Amazon.S3;
+using Amazon.S3.Model;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using TodoApi.Models;
+
+namespace TodoApi.Data
+{
+    /// <summary>
+    /// Stores the files attached to todo items in S3
+    /// </summary>
+    /// <remarks>
+    /// Files never pass through the API: the browser uploads and downloads them with pre-signed URLs.
+    /// Uploads land under pending/todos/{todoId}/{attachmentId}, where a lifecycle rule on the bucket
+    /// expires them, and are copied to todos/{todoId}/{attachmentId} once they are attached.
+    /// </remarks>
+    public class AttachmentStorageService
+    {
+        /// <summary>
+        /// Key prefix of uploads that have not been attached yet; must match the lifecycle rule in the CDK stack
+        /// </summary>
+        public const string PendingPrefix = "pending/";
+
+        private readonly IAmazonS3 _s3;
+        private readonly AttachmentOptions _options;
+        private readonly ILogger<AttachmentStorageService> _logger;
+
+        /// <summary>
+        /// Constructor for AttachmentStorageService
+        /// </summary>
+        /// <param name="s3">S3 client</param>
+        /// <param name="options">Attachment settings</param>
+        /// <param name="logger">Logger for diagnostic information</param>
+        public AttachmentStorageService(IAmazonS3 s3, IOptions<AttachmentOptions> options, ILogger<AttachmentStorageService> logger)
+        {
+            _s3 = s3 ?? throw new ArgumentNullException(nameof(s3));
+            _options = options?.Value ?? throw new ArgumentNullException(nameof(options));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Create a URL the browser can PUT a new file to
+        /// </summary>
+        /// <param name="todoId">Todo item ID</param>
+        /// <param name="attachmentId">ID of the new attachment</param>
+        /// <param name="contentType">MIME type the upload must send as its Content-Type</param>
+        /// <returns>Upload URL</returns>
+        public AttachmentUrl CreateUploadUrl(string todoId, string attachmentId, string contentType)
+        {
+            var url = CreateUrl(attachmentId, new GetPreSignedUrlRequest
+            {
+                Key = PendingPrefix + GetKey(todoId, attachmentId),
+                Verb = HttpVerb.PUT,
+                ContentType = contentType
+            });
+            url.ContentType = contentType;
+            return url;
+        }
+
+        /// <summary>
+        /// Create a URL the browser can download an attached file from
+        /// </summary>
+        /// <param name="todoId">Todo item ID</param>
+        /// <param name="attachment">Attachment</param>
+        /// <param name="inline">Whether the browser may show the file itself (images) instead of saving it</param>
+        /// <returns>Download URL</returns>
+        public AttachmentUrl CreateDownloadUrl(string todoId, Attachment attachment, bool inline)
+        {
+            var request = new GetPreSignedUrlRequest
+            {
+                Key = GetKey(todoId, attachment.Id),
+                Verb = HttpVerb.GET
+            };
+            request.ResponseHeaderOverrides.ContentType = attachment.ContentType;
+            request.ResponseHeaderOverrides.ContentDisposition =
+                $"{(inline ? "inline" : "attachment")}; filename*=UTF-8''{Uri.EscapeDataString(attachment.FileName)}";
+
+            return CreateUrl(attachment.Id, request);
+        }
+
+        /// <summary>
+        /// Look up a file that the browser has uploaded
+        /// </summary>
+        /// <param name="todoId">Todo item ID</param>
+        /// <param name="attachmentId">Attachment ID the upload URL was issued for</param>
+        /// <returns>Stored size and content type, or null if nothing has been uploaded</returns>
+        public async Task<(long Size, string ContentType)?> GetUploadAsync(string todoId, string attachmentId)
+        {
+            try
+            {
+                var metadata = await _s3.GetObjectMetadataAsync(_options.BucketName, PendingPrefix + GetKey(todoId, attachmentId));
+                return (metadata.ContentLength, metadata.Headers.ContentType ?? "application/octet-stream");
+            }
+            catch (AmazonS3Exception ex) when (ex.StatusCode == HttpStatusCode.NotFound)
+            {
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Copy an uploaded file to where attached files are kept, out of reach of the lifecycle rule
+        /// </summary>
+        /// <remarks>
+        /// The upload itself is left for <see cref="DeleteUploadAsync"/> once the attachment is saved,
+        /// so a save that has to be retried can copy it again.
+        /// </remarks>
+        /// <param name="todoId">Todo item ID</param>
+        /// <param name="attachmentId">Attachment ID the upload URL was issued for</param>
+        /// <returns>Task</returns>
+        public async Task KeepUploadAsync(string todoId, string attachmentId)
+        {
+            await _s3.CopyObjectAsync(new CopyObjectRequest
+            {
+                SourceBucket = _options.BucketName,
+                SourceKey = PendingPrefix + GetKey(todoId, attachmentId),
+                DestinationBucket = _options.BucketName,
+                DestinationKey = GetKey(todoId, attachmentId)
+            });
+        }
+
+        /// <summary>
+        /// Delete an uploaded file that has been attached or turned away
+        /// </summary>
+        /// <param name="todoId">Todo item ID</param>
+        /// <param name="attachmentId">Attachment ID the upload URL was issued for</param>
+        /// <returns>Task</returns>
+        public async Task DeleteUploadAsync(string todoId, string attachmentId)
+        {
+            await _s3.DeleteObjectAsync(_options.BucketName, PendingPrefix + GetKey(todoId, attachmentId));
+        }
+
+        /// <summary>
+        /// Delete attached files
+        /// </summary>
+        /// <param name="todoId">Todo item ID</param>
+        /// <param name="attachmentIds">IDs of the attachments to delete</param>
+        /// <returns>Task</returns>
+        public async Task DeleteAsync(string todoId, IEnumerable<string> attachmentIds)
+        {
+            foreach (var attachmentId in attachmentIds)
+            {
+                _logger.LogInformation("Deleting attachment {AttachmentId} of todo item {TodoId}", attachmentId, todoId);
+                await _s3.DeleteObjectAsync(_options.BucketName, GetKey(todoId, attachmentId));
+            }
+        }
+
+        /// <summary>
+        /// Delete every file stored for a todo item that was permanently deleted
+        /// </summary>
+        /// <remarks>
+        /// Files are found by their key prefix rather than the item's attachment list, so copies left
+        /// behind by attachments that failed to save go too.
+        /// </remarks>
+        /// <param name="todoId">Todo item ID</param>
+        /// <returns>Task</returns>
+        public async Task DeleteAllAsync(string todoId)
+        {
+            // Attachments are turned off, so nothing was stored
+            if (string.IsNullOrEmpty(_options.BucketName))
+            {
+                return;
+            }
+
+            var request = new ListObjectsV2Request
+            {
+                BucketName = _options.BucketName,
+                Prefix = $"todos/{todoId}/"
+            };
+
+            ListObjectsV2Response response;
+            do
+            {
+                response = await _s3.ListObjectsV2Async(request);
+                foreach (var file in response.S3Objects ?? new List<S3Object>())
+                {
+                    _logger.LogInformation("Deleting {Key} of todo item {TodoId}", file.Key, todoId);
+                    await _s3.DeleteObjectAsync(_options.BucketName, file.Key);
+                }
+                request.ContinuationToken = response.NextContinuationToken;
+            }
+            while (response.IsTruncated == true);
+        }
+
+        /// <summary>
+        /// Sign a URL for the configured bucket
+        /// </summary>
+        /// <param name="attachmentId">Attachment ID</param>
+        /// <param name="request">Request with the key and verb set</param>
+        /// <returns>Pre-signed URL and its expiry</returns>
+        private AttachmentUrl CreateUrl(string attachmentId, GetPreSignedUrlRequest request)
+        {
+            request.BucketName = _options.BucketName;
+            request.Expires = DateTime.UtcNow.AddMinutes(_options.UrlExpiryMinutes);
+
+            // Local stand-ins usually run without TLS
+            if (_options.ServiceUrl.StartsWith("http://", StringComparison.OrdinalIgnoreCase))
+            {
+                request.Protocol = Protocol.HTTP;
+            }
+
+            return new AttachmentUrl
+            {
+                AttachmentId = attachmentId,
+                Url = _s3.GetPreSignedURL(request),
+                ExpiresAt = request.Expires
+            };
+        }
+
+        /// <summary>
+        /// Get the S3 key of an attached file
+        /// </summary>
+        /// <param name="todoId">Todo item ID</param>
+        /// <param name="attachmentId">Attachment ID</param>
+        /// <returns>Object key</returns>
+        private static string GetKey(string todoId, string attachmentId)
+        {
+            return $"todos/{todoId}/{attachmentId}";
+        }
+    }
+}
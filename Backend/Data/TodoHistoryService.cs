@@ -0,0 +1,214 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Claims;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Amazon.DynamoDBv2.DataModel;
+using Microsoft.Extensions.Logging;
+using TodoApi.Controllers;
+using TodoApi.Models;
+
+namespace TodoApi.Data
+{
+    /// <summary>
+    /// Records the history of Todo items and reads it back
+    /// </summary>
+    /// <remarks>
+    /// Each event stores the fields that changed and a snapshot of the item afterwards, so an
+    /// item can be reverted to any recorded version. Events are removed after a year.
+    /// </remarks>
+    public class TodoHistoryService
+    {
+        private const int RetentionDays = 365;
+
+        // Same naming as the API's JSON, so field names and values read the same in the client
+        private static readonly JsonSerializerOptions JsonOptions = new JsonSerializerOptions(JsonSerializerDefaults.Web);
+
+        // Fields whose changes are recorded, by their JSON name
+        private static readonly (string Name, Func<Todo, object?> Read)[] TrackedFields =
+        {
+            ("description", todo => todo.Description),
+            ("notes", todo => todo.Notes),
+            ("isCompleted", todo => todo.IsCompleted),
+            ("dueAt", todo => todo.DueAt),
+            ("tags", todo => todo.Tags),
+            ("priority", todo => todo.Priority),
+            ("checklist", todo => todo.Checklist),
+            ("autoCompleteChecklist", todo => todo.AutoCompleteChecklist),
+            ("recurrence", todo => todo.Recurrence)
+        };
+
+        private readonly IDynamoDBContext _dynamoDbContext;
+        private readonly ILogger<TodoHistoryService> _logger;
+
+        /// <summary>
+        /// Constructor for TodoHistoryService
+        /// </summary>
+        /// <param name="dynamoDbContext">DynamoDB context for database operations</param>
+        /// <param name="logger">Logger for diagnostic information</param>
+        public TodoHistoryService(IDynamoDBContext dynamoDbContext, ILogger<TodoHistoryService> logger)
+        {
+            _dynamoDbContext = dynamoDbContext ?? throw new ArgumentNullException(nameof(dynamoDbContext));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Copy a Todo item so it can be compared with the item after it is changed
+        /// </summary>
+        /// <param name="todo">Todo item</param>
+        /// <returns>Deep copy</returns>
+        public static Todo Copy(Todo todo)
+        {
+            return JsonSerializer.Deserialize<Todo>(JsonSerializer.Serialize(todo, JsonOptions), JsonOptions)!;
+        }
+
+        /// <summary>
+        /// Read the Todo item as it was after an event
+        /// </summary>
+        /// <param name="todoEvent">History event</param>
+        /// <returns>Todo item, or null if the event has no snapshot</returns>
+        public static Todo? ReadSnapshot(TodoEvent todoEvent)
+        {
+            return todoEvent.Snapshot == null ? null : JsonSerializer.Deserialize<Todo>(todoEvent.Snapshot, JsonOptions);
+        }
+
+        /// <summary>
+        /// Record a change to a Todo item
+        /// </summary>
+        /// <param name="user">User who made the change</param>
+        /// <param name="action">One of the TodoEvent action constants</param>
+        /// <param name="before">Item before the change, or null if it was created</param>
+        /// <param name="after">Item after the change, as saved</param>
+        /// <param name="revertedEventId">Event whose version was restored, for "reverted" events</param>
+        /// <returns>Task</returns>
+        public Task RecordAsync(ClaimsPrincipal user, string action, Todo? before, Todo after, string? revertedEventId = null)
+        {
+            return RecordAsync(user, action, new[] { (before, after) }, revertedEventId);
+        }
+
+        /// <summary>
+        /// Record the same kind of change to several Todo items
+        /// </summary>
+        /// <remarks>
+        /// History is secondary to the change itself, so failures are logged rather than thrown.
+        /// Creates and edits that changed none of the tracked fields are not recorded.
+        /// </remarks>
+        /// <param name="user">User who made the changes</param>
+        /// <param name="action">One of the TodoEvent action constants</param>
+        /// <param name="changes">Items before (null if created) and after each change</param>
+        /// <param name="revertedEventId">Event whose version was restored, for "reverted" events</param>
+        /// <returns>Task</returns>
+        public async Task RecordAsync(ClaimsPrincipal user, string action, IEnumerable<(Todo? Before, Todo After)> changes, string? revertedEventId = null)
+        {
+            try
+            {
+                var events = changes
+                    .Select(change => CreateEvent(user, action, change.Before, change.After, revertedEventId))
+                    .Where(todoEvent => todoEvent != null)
+                    .Select(todoEvent => todoEvent!)
+                    .ToList();
+
+                if (events.Count == 0)
+                {
+                    return;
+                }
+
+                var batchWrite = _dynamoDbContext.CreateBatchWrite<TodoEvent>();
+                batchWrite.AddPutItems(events);
+                await batchWrite.ExecuteAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error occurred while recording {Action} in the todo history", action);
+            }
+        }
+
+        /// <summary>
+        /// Get the history of a Todo item
+        /// </summary>
+        /// <param name="todoId">Todo item ID</param>
+        /// <returns>Events, most recent first</returns>
+        public async Task<List<TodoEvent>> GetHistoryAsync(string todoId)
+        {
+            var events = await _dynamoDbContext.QueryAsync<TodoEvent>(todoId, new DynamoDBOperationConfig
+            {
+                BackwardQuery = true
+            }).GetRemainingAsync();
+
+            // DynamoDB removes expired events some time after ExpiresAt; hide them in the meantime
+            var now = DateTimeOffset.UtcNow.ToUnixTimeSeconds();
+            return events.Where(todoEvent => todoEvent.ExpiresAt == 0 || todoEvent.ExpiresAt > now).ToList();
+        }
+
+        /// <summary>
+        /// Get one event in the history of a Todo item
+        /// </summary>
+        /// <param name="todoId">Todo item ID</param>
+        /// <param name="eventId">Event ID</param>
+        /// <returns>Event, or null if there is none with this ID</returns>
+        public async Task<TodoEvent?> GetEventAsync(string todoId, string eventId)
+        {
+            return await _dynamoDbContext.LoadAsync<TodoEvent>(todoId, eventId);
+        }
+
+        /// <summary>
+        /// Delete the history of Todo items that were permanently deleted
+        /// </summary>
+        /// <param name="todoIds">Todo item IDs</param>
+        /// <returns>Task</returns>
+        public async Task DeleteHistoryAsync(IEnumerable<string> todoIds)
+        {
+            var batchWrite = _dynamoDbContext.CreateBatchWrite<TodoEvent>();
+            foreach (var todoId in todoIds)
+            {
+                var events = await _dynamoDbContext.QueryAsync<TodoEvent>(todoId).GetRemainingAsync();
+                batchWrite.AddDeleteItems(events);
+            }
+            await batchWrite.ExecuteAsync();
+        }
+
+        /// <summary>
+        /// Build the event for a change
+        /// </summary>
+        /// <param name="user">User who made the change</param>
+        /// <param name="action">One of the TodoEvent action constants</param>
+        /// <param name="before">Item before the change, or null if it was created</param>
+        /// <param name="after">Item after the change</param>
+        /// <param name="revertedEventId">Event whose version was restored, for "reverted" events</param>
+        /// <returns>Event, or null if there is nothing worth recording</returns>
+        private static TodoEvent? CreateEvent(ClaimsPrincipal user, string action, Todo? before, Todo after, string? revertedEventId)
+        {
+            var changes = TrackedFields
+                .Select(field => new TodoFieldChange
+                {
+                    Field = field.Name,
+                    Before = before == null ? null : JsonSerializer.Serialize(field.Read(before), JsonOptions),
+                    After = JsonSerializer.Serialize(field.Read(after), JsonOptions)
+                })
+                .Where(change => change.Before != change.After)
+                .ToList();
+
+            if (before != null && changes.Count == 0 && (action == TodoEvent.CreatedAction || action == TodoEvent.UpdatedAction))
+            {
+                return null;
+            }
+
+            var at = after.UpdatedAt ?? DateTime.UtcNow;
+            return new TodoEvent
+            {
+                TodoId = after.Id,
+                Id = $"{at:yyyy-MM-ddTHH:mm:ss.fffffffZ}-{Guid.NewGuid():N}",
+                Action = action,
+                ActorId = user.GetUserId(),
+                ActorEmail = user.GetEmail(),
+                At = at,
+                Version = after.Version,
+                Changes = changes,
+                RevertedEventId = revertedEventId,
+                Snapshot = JsonSerializer.Serialize(after, JsonOptions),
+                ExpiresAt = new DateTimeOffset(at.AddDays(RetentionDays)).ToUnixTimeSeconds()
+            };
+        }
+    }
+}
@@ -0,0 +1,35 @@
+using System;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// A file attached to a Todo item; the file itself is stored in S3
+    /// </summary>
+    public class Attachment
+    {
+        /// <summary>
+        /// Unique identifier for the attachment, which is also part of its S3 key
+        /// </summary>
+        public string Id { get; set; } = Guid.NewGuid().ToString();
+
+        /// <summary>
+        /// Name of the file as it was uploaded
+        /// </summary>
+        public string FileName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// MIME type of the file
+        /// </summary>
+        public string ContentType { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Size of the file in bytes
+        /// </summary>
+        public long Size { get; set; }
+
+        /// <summary>
+        /// Date and time when the upload finished
+        /// </summary>
+        public DateTime UploadedAt { get; set; } = DateTime.UtcNow;
+    }
+}
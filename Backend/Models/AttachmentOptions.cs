@@ -0,0 +1,44 @@
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Settings for file attachments, bound from the "Attachments" configuration section
+    /// </summary>
+    public class AttachmentOptions
+    {
+        /// <summary>
+        /// Configuration section name
+        /// </summary>
+        public const string SectionName = "Attachments";
+
+        /// <summary>
+        /// S3 bucket the files are stored in; attachments are turned off while it is empty
+        /// </summary>
+        public string BucketName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// URL of an S3-compatible service to use instead of AWS, such as the local stub storage.
+        /// Leave empty in deployed environments.
+        /// </summary>
+        public string ServiceUrl { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Access key for <see cref="ServiceUrl"/>; when empty the default AWS credentials are used
+        /// </summary>
+        public string AccessKey { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Secret key for <see cref="ServiceUrl"/>
+        /// </summary>
+        public string SecretKey { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Largest file that can be attached, in bytes
+        /// </summary>
+        public long MaxFileSizeBytes { get; set; } = 10 * 1024 * 1024;
+
+        /// <summary>
+        /// Number of minutes a pre-signed upload or download URL stays valid
+        /// </summary>
+        public int UrlExpiryMinutes { get; set; } = 15;
+    }
+}
@@ -0,0 +1,32 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Request body for uploading a file to a Todo item, and for recording it once it is uploaded
+    /// </summary>
+    public class AttachmentRequest
+    {
+        /// <summary>
+        /// ID issued with the upload URL; only needed when recording the uploaded file
+        /// </summary>
+        public string? AttachmentId { get; set; }
+
+        /// <summary>
+        /// Name of the file
+        /// </summary>
+        [Required(ErrorMessage = "File name is required")]
+        [StringLength(255, ErrorMessage = "File name cannot be longer than 255 characters")]
+        public string FileName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// MIME type of the file; the upload must send the same Content-Type
+        /// </summary>
+        public string? ContentType { get; set; }
+
+        /// <summary>
+        /// Size of the file in bytes
+        /// </summary>
+        public long Size { get; set; }
+    }
+}
@@ -0,0 +1,30 @@
+using System;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Pre-signed URL for uploading or downloading an attachment directly from S3
+    /// </summary>
+    public class AttachmentUrl
+    {
+        /// <summary>
+        /// ID of the attachment the URL is for
+        /// </summary>
+        public string AttachmentId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Pre-signed URL; uploads PUT the file to it with the Content-Type they were issued for
+        /// </summary>
+        public string Url { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Content-Type header an upload must send, or null for download URLs
+        /// </summary>
+        public string? ContentType { get; set; }
+
+        /// <summary>
+        /// Date and time after which the URL no longer works
+        /// </summary>
+        public DateTime ExpiresAt { get; set; }
+    }
+}
@@ -0,0 +1,29 @@
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Settings for validating sign-in tokens, bound from the "Auth" configuration section
+    /// </summary>
+    public class AuthOptions
+    {
+        /// <summary>
+        /// Configuration section name
+        /// </summary>
+        public const string SectionName = "Auth";
+
+        /// <summary>
+        /// OIDC issuer URL; signing keys are discovered from its metadata
+        /// </summary>
+        public string Authority { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Expected audience of access tokens (the OIDC client ID of the frontend)
+        /// </summary>
+        public string Audience { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Shared HS256 key used instead of metadata discovery when running against
+        /// the local stub issuer. Leave empty in deployed environments.
+        /// </summary>
+        public string DevSigningKey { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,38 @@
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Request body for applying one action to several Todo items at once
+    /// </summary>
+    public class BatchRequest
+    {
+        /// <summary>
+        /// Mark the items completed
+        /// </summary>
+        public const string CompleteAction = "complete";
+
+        /// <summary>
+        /// Mark the items pending
+        /// </summary>
+        public const string PendingAction = "pending";
+
+        /// <summary>
+        /// Delete the items
+        /// </summary>
+        public const string DeleteAction = "delete";
+
+        /// <summary>
+        /// Action to apply: "complete", "pending" or "delete"
+        /// </summary>
+        [Required(ErrorMessage = "Action is required")]
+        public string Action { get; set; } = string.Empty;
+
+        /// <summary>
+        /// IDs of the Todo items to apply the action to
+        /// </summary>
+        [Required(ErrorMessage = "Ids are required")]
+        public List<string> Ids { get; set; } = new List<string>();
+    }
+}
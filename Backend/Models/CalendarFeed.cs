@@ -0,0 +1,34 @@
+using System;
+using Amazon.DynamoDBv2.DataModel;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Secret token that lets calendar apps read a user's todos without signing in
+    /// </summary>
+    [DynamoDBTable("TodoCalendarFeedsCdk")]
+    public class CalendarFeed
+    {
+        /// <summary>
+        /// Name of the Global Secondary Index on Token, used to find the user a feed request is for
+        /// </summary>
+        public const string TokenIndex = "TokenIndex";
+
+        /// <summary>
+        /// ID of the user whose todos the feed shows
+        /// </summary>
+        [DynamoDBHashKey]
+        public string UserId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Random token in the feed URL; anyone who has it can read the feed
+        /// </summary>
+        [DynamoDBGlobalSecondaryIndexHashKey(TokenIndex)]
+        public string Token { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Date and time when the token was issued
+        /// </summary>
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
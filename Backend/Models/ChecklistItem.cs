@@ -0,0 +1,28 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// A checklist item (subtask) inside a Todo item
+    /// </summary>
+    public class ChecklistItem
+    {
+        /// <summary>
+        /// Unique identifier for the checklist item within its Todo item
+        /// </summary>
+        public string Id { get; set; } = Guid.NewGuid().ToString();
+
+        /// <summary>
+        /// Text of the checklist item
+        /// </summary>
+        [Required(ErrorMessage = "Checklist item text is required")]
+        [StringLength(100, ErrorMessage = "Checklist item text cannot be longer than 100 characters")]
+        public string Text { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Indicates whether the checklist item is ticked
+        /// </summary>
+        public bool IsCompleted { get; set; }
+    }
+}
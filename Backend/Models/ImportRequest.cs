@@ -0,0 +1,22 @@
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Request body for creating several Todo items at once, e.g. from an imported file
+    /// </summary>
+    public class ImportRequest
+    {
+        /// <summary>
+        /// ID of the list to add the items to (the default list if empty)
+        /// </summary>
+        public string? ListId { get; set; }
+
+        /// <summary>
+        /// Todo items to create; their IDs, list and position are ignored
+        /// </summary>
+        [Required(ErrorMessage = "Items are required")]
+        public List<Todo> Items { get; set; } = new List<Todo>();
+    }
+}
@@ -0,0 +1,34 @@
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// What the signed-in user may do with a list
+    /// </summary>
+    public class ListAccess
+    {
+        /// <summary>
+        /// Constructor for ListAccess
+        /// </summary>
+        /// <param name="ownerId">ID of the user who owns the list</param>
+        /// <param name="role">Role of the signed-in user: "owner", "editor" or "viewer"</param>
+        public ListAccess(string ownerId, string role)
+        {
+            OwnerId = ownerId;
+            Role = role;
+        }
+
+        /// <summary>
+        /// ID of the user who owns the list and its todo items
+        /// </summary>
+        public string OwnerId { get; }
+
+        /// <summary>
+        /// Role of the signed-in user: "owner", "editor" or "viewer"
+        /// </summary>
+        public string Role { get; }
+
+        /// <summary>
+        /// Whether the signed-in user may change todo items in the list
+        /// </summary>
+        public bool CanEdit => Role != ListShare.ViewerRole;
+    }
+}
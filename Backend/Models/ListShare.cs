@@ -0,0 +1,70 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+using Amazon.DynamoDBv2.DataModel;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Grants another user, identified by email address, access to a named list
+    /// </summary>
+    [DynamoDBTable("TodoListSharesCdk")]
+    public class ListShare
+    {
+        /// <summary>
+        /// Role of the user who created the list (never stored; reported on the owner's lists)
+        /// </summary>
+        public const string OwnerRole = "owner";
+
+        /// <summary>
+        /// Can edit, toggle, reorder and delete todo items in the list
+        /// </summary>
+        public const string EditorRole = "editor";
+
+        /// <summary>
+        /// Can only read the todo items in the list
+        /// </summary>
+        public const string ViewerRole = "viewer";
+
+        /// <summary>
+        /// Name of the Global Secondary Index on Email, used to find the lists shared with a user
+        /// </summary>
+        public const string EmailIndex = "EmailIndex";
+
+        /// <summary>
+        /// ID of the shared list
+        /// </summary>
+        [DynamoDBHashKey]
+        public string ListId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Email address of the collaborator (lower case)
+        /// </summary>
+        [DynamoDBRangeKey]
+        [DynamoDBGlobalSecondaryIndexHashKey(EmailIndex)]
+        [Required(ErrorMessage = "Email is required")]
+        [EmailAddress(ErrorMessage = "Email is not a valid email address")]
+        [StringLength(254, ErrorMessage = "Email cannot be longer than 254 characters")]
+        public string Email { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Collaborator role: "viewer" or "editor"
+        /// </summary>
+        [Required(ErrorMessage = "Role is required")]
+        public string Role { get; set; } = ViewerRole;
+
+        /// <summary>
+        /// ID of the user who owns the list (set by the API)
+        /// </summary>
+        public string? OwnerId { get; set; }
+
+        /// <summary>
+        /// Email address of the user who owns the list (set by the API)
+        /// </summary>
+        public string? OwnerEmail { get; set; }
+
+        /// <summary>
+        /// Date and time when the list was shared with the collaborator
+        /// </summary>
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
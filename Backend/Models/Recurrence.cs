@@ -0,0 +1,25 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// How often a Todo item repeats; completing it creates the next occurrence
+    /// </summary>
+    public class Recurrence
+    {
+        /// <summary>
+        /// iCalendar RRULE without the "RRULE:" prefix, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+        /// (see <see cref="RecurrenceRule"/> for the supported parts)
+        /// </summary>
+        [Required(ErrorMessage = "Recurrence rule is required")]
+        [StringLength(200, ErrorMessage = "Recurrence rule cannot be longer than 200 characters")]
+        public string Rule { get; set; } = string.Empty;
+
+        /// <summary>
+        /// IANA time zone the rule is evaluated in, so "every Monday" follows the user's calendar
+        /// (UTC if empty or unknown)
+        /// </summary>
+        [StringLength(100, ErrorMessage = "Time zone cannot be longer than 100 characters")]
+        public string? TimeZone { get; set; }
+    }
+}
@@ -0,0 +1,345 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// A parsed recurrence rule: the subset of RFC 5545 RRULE that Todo items support
+    /// </summary>
+    /// <remarks>
+    /// Supported parts are FREQ (DAILY, WEEKLY, MONTHLY or YEARLY, required), INTERVAL (1-365),
+    /// BYDAY (weekday codes such as MO,WE, weekly rules only), BYMONTHDAY (1 to 31 or -1 for the
+    /// last day, monthly rules only) and UNTIL (a date, or a UTC date and time).
+    /// Monthly rules without BYMONTHDAY repeat on the due date's day, or the last day of shorter months.
+    /// </remarks>
+    public class RecurrenceRule
+    {
+        /// <summary>
+        /// Repeat every Interval days
+        /// </summary>
+        public const string Daily = "DAILY";
+
+        /// <summary>
+        /// Repeat every Interval weeks, on the ByDay weekdays if given
+        /// </summary>
+        public const string Weekly = "WEEKLY";
+
+        /// <summary>
+        /// Repeat every Interval months, on the ByMonthDay days if given
+        /// </summary>
+        public const string Monthly = "MONTHLY";
+
+        /// <summary>
+        /// Repeat every Interval years
+        /// </summary>
+        public const string Yearly = "YEARLY";
+
+        private const int MaxInterval = 365;
+
+        // Upper bound on the steps taken to catch up with the present, so no rule can loop forever
+        private const int MaxSteps = 10000;
+
+        private static readonly Dictionary<string, DayOfWeek> Weekdays = new Dictionary<string, DayOfWeek>
+        {
+            ["MO"] = DayOfWeek.Monday,
+            ["TU"] = DayOfWeek.Tuesday,
+            ["WE"] = DayOfWeek.Wednesday,
+            ["TH"] = DayOfWeek.Thursday,
+            ["FR"] = DayOfWeek.Friday,
+            ["SA"] = DayOfWeek.Saturday,
+            ["SU"] = DayOfWeek.Sunday
+        };
+
+        /// <summary>
+        /// DAILY, WEEKLY, MONTHLY or YEARLY
+        /// </summary>
+        public string Frequency { get; private set; } = Daily;
+
+        /// <summary>
+        /// Number of days, weeks, months or years between occurrences
+        /// </summary>
+        public int Interval { get; private set; } = 1;
+
+        /// <summary>
+        /// Weekdays of a weekly rule (empty for the due date's weekday)
+        /// </summary>
+        public List<DayOfWeek> ByDay { get; private set; } = new List<DayOfWeek>();
+
+        /// <summary>
+        /// Days of the month of a monthly rule, -1 being the last day (empty for the due date's day)
+        /// </summary>
+        public List<int> ByMonthDay { get; private set; } = new List<int>();
+
+        /// <summary>
+        /// Last time an occurrence may fall on (UTC), or null to repeat forever
+        /// </summary>
+        public DateTime? Until { get; private set; }
+
+        /// <summary>
+        /// Parse a rule
+        /// </summary>
+        /// <param name="text">Rule such as "FREQ=WEEKLY;BYDAY=MO,FR", with or without the "RRULE:" prefix</param>
+        /// <param name="rule">Parsed rule</param>
+        /// <param name="error">Why the rule is not supported</param>
+        /// <returns>True if the rule is valid and supported</returns>
+        public static bool TryParse(string? text, out RecurrenceRule rule, out string? error)
+        {
+            rule = new RecurrenceRule();
+            error = null;
+
+            var value = (text ?? string.Empty).Trim();
+            if (value.StartsWith("RRULE:", StringComparison.OrdinalIgnoreCase))
+            {
+                value = value.Substring("RRULE:".Length);
+            }
+
+            var parts = new Dictionary<string, string>();
+            foreach (var part in value.Split(';', StringSplitOptions.RemoveEmptyEntries))
+            {
+                var pair = part.Split('=', 2);
+                if (pair.Length != 2 || !parts.TryAdd(pair[0].Trim().ToUpperInvariant(), pair[1].Trim().ToUpperInvariant()))
+                {
+                    error = $"Recurrence rule part '{part}' is not valid";
+                    return false;
+                }
+            }
+
+            if (!parts.TryGetValue("FREQ", out var frequency) || !new[] { Daily, Weekly, Monthly, Yearly }.Contains(frequency))
+            {
+                error = "Recurrence rule must have FREQ=DAILY, WEEKLY, MONTHLY or YEARLY";
+                return false;
+            }
+            rule.Frequency = frequency;
+
+            var unsupported = parts.Keys.FirstOrDefault(key => key != "FREQ" && key != "INTERVAL" && key != "BYDAY" && key != "BYMONTHDAY" && key != "UNTIL");
+            if (unsupported != null)
+            {
+                error = $"Recurrence rule part {unsupported} is not supported";
+                return false;
+            }
+
+            if (parts.TryGetValue("INTERVAL", out var interval))
+            {
+                if (!int.TryParse(interval, NumberStyles.None, CultureInfo.InvariantCulture, out var parsed) || parsed < 1 || parsed > MaxInterval)
+                {
+                    error = $"Recurrence INTERVAL must be between 1 and {MaxInterval}";
+                    return false;
+                }
+                rule.Interval = parsed;
+            }
+
+            if (parts.TryGetValue("BYDAY", out var byDay))
+            {
+                if (frequency != Weekly)
+                {
+                    error = "Recurrence BYDAY is only supported for weekly rules";
+                    return false;
+                }
+
+                foreach (var day in byDay.Split(','))
+                {
+                    if (!Weekdays.TryGetValue(day, out var weekday))
+                    {
+                        error = $"Recurrence BYDAY value '{day}' is not a weekday (MO, TU, WE, TH, FR, SA or SU)";
+                        return false;
+                    }
+                    if (!rule.ByDay.Contains(weekday))
+                    {
+                        rule.ByDay.Add(weekday);
+                    }
+                }
+            }
+
+            if (parts.TryGetValue("BYMONTHDAY", out var byMonthDay))
+            {
+                if (frequency != Monthly)
+                {
+                    error = "Recurrence BYMONTHDAY is only supported for monthly rules";
+                    return false;
+                }
+
+                foreach (var day in byMonthDay.Split(','))
+                {
+                    if (!int.TryParse(day, NumberStyles.AllowLeadingSign, CultureInfo.InvariantCulture, out var parsed) || parsed == 0 || parsed < -1 || parsed > 31)
+                    {
+                        error = $"Recurrence BYMONTHDAY value '{day}' must be between 1 and 31, or -1 for the last day";
+                        return false;
+                    }
+                    if (!rule.ByMonthDay.Contains(parsed))
+                    {
+                        rule.ByMonthDay.Add(parsed);
+                    }
+                }
+            }
+
+            if (parts.TryGetValue("UNTIL", out var until))
+            {
+                var formats = new[] { "yyyyMMdd'T'HHmmss'Z'", "yyyyMMdd" };
+                if (!DateTime.TryParseExact(until, formats, CultureInfo.InvariantCulture, DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal, out var parsed))
+                {
+                    error = "Recurrence UNTIL must be a date (20250131) or a UTC date and time (20250131T170000Z)";
+                    return false;
+                }
+                // A date alone includes the whole day
+                rule.Until = until.Length == 8 ? parsed.AddDays(1).AddTicks(-1) : parsed;
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// Write the rule in canonical form
+        /// </summary>
+        /// <returns>Rule such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"</returns>
+        public override string ToString()
+        {
+            var parts = new List<string> { $"FREQ={Frequency}" };
+            if (Interval != 1)
+            {
+                parts.Add($"INTERVAL={Interval}");
+            }
+            if (ByDay.Count > 0)
+            {
+                parts.Add($"BYDAY={string.Join(",", ByDay.OrderBy(day => ((int)day + 6) % 7).Select(day => Weekdays.First(pair => pair.Value == day).Key))}");
+            }
+            if (ByMonthDay.Count > 0)
+            {
+                parts.Add($"BYMONTHDAY={string.Join(",", ByMonthDay.Select(day => day.ToString(CultureInfo.InvariantCulture)))}");
+            }
+            if (Until != null)
+            {
+                parts.Add($"UNTIL={Until.Value.ToString("yyyyMMdd'T'HHmmss'Z'", CultureInfo.InvariantCulture)}");
+            }
+            return string.Join(";", parts);
+        }
+
+        /// <summary>
+        /// Find the first occurrence after the current one that is also in the future
+        /// </summary>
+        /// <remarks>
+        /// Completing an overdue item skips the occurrences that have already passed.
+        /// </remarks>
+        /// <param name="current">Due date of the completed occurrence (UTC), or null to count from now</param>
+        /// <param name="timeZone">Time zone the rule is evaluated in</param>
+        /// <param name="now">Current time (UTC)</param>
+        /// <returns>Due date of the next occurrence (UTC), or null if the rule has ended</returns>
+        public DateTime? GetNextOccurrence(DateTime? current, TimeZoneInfo timeZone, DateTime now)
+        {
+            var local = TimeZoneInfo.ConvertTimeFromUtc(AsUtc(current ?? now), timeZone);
+            var nowLocal = TimeZoneInfo.ConvertTimeFromUtc(AsUtc(now), timeZone);
+
+            // Weekly and monthly rules count whole weeks and months from the first occurrence
+            var anchor = local;
+            var next = local;
+            for (var step = 0; step < MaxSteps; step++)
+            {
+                next = Step(anchor, next);
+                if (next > nowLocal)
+                {
+                    break;
+                }
+            }
+
+            var utc = TimeZoneInfo.ConvertTimeToUtc(timeZone.IsInvalidTime(next) ? next.AddHours(1) : next, timeZone);
+            return Until != null && utc > Until ? null : utc;
+        }
+
+        /// <summary>
+        /// Find the occurrence after one occurrence
+        /// </summary>
+        /// <param name="anchor">Occurrence the series is counted from (local time)</param>
+        /// <param name="current">Current occurrence (local time)</param>
+        /// <returns>Next occurrence (local time)</returns>
+        private DateTime Step(DateTime anchor, DateTime current)
+        {
+            switch (Frequency)
+            {
+                case Daily:
+                    return current.AddDays(Interval);
+
+                case Weekly when ByDay.Count > 0:
+                    for (var day = 1; day <= 7 * Interval; day++)
+                    {
+                        var candidate = current.AddDays(day);
+                        var weeks = (StartOfWeek(candidate) - StartOfWeek(anchor)).Days / 7;
+                        if (weeks % Interval == 0 && ByDay.Contains(candidate.DayOfWeek))
+                        {
+                            return candidate;
+                        }
+                    }
+                    return current.AddDays(7 * Interval);
+
+                case Weekly:
+                    return current.AddDays(7 * Interval);
+
+                case Monthly when ByMonthDay.Count > 0:
+                    // Check the current month first, then every Interval months
+                    var months = MonthsBetween(anchor, current);
+                    var offset = months % Interval == 0 ? 0 : Interval - months % Interval;
+                    for (var month = offset; month <= offset + 12 * Interval; month += Interval)
+                    {
+                        var first = new DateTime(current.Year, current.Month, 1, current.Hour, current.Minute, current.Second, current.Kind).AddMonths(month);
+                        var daysInMonth = DateTime.DaysInMonth(first.Year, first.Month);
+                        var candidate = ByMonthDay
+                            .Select(day => day == -1 ? daysInMonth : day)
+                            .Where(day => day <= daysInMonth)
+                            .Distinct()
+                            .OrderBy(day => day)
+                            .Select(day => first.AddDays(day - 1))
+                            .FirstOrDefault(date => date > current);
+                        if (candidate != default)
+                        {
+                            return candidate;
+                        }
+                    }
+                    return current.AddMonths(Interval);
+
+                case Monthly:
+                    // AddMonths keeps the day where it can and uses the last day of shorter months,
+                    // so a series that starts on the 31st is counted from the anchor, not from the 30th
+                    return anchor.AddMonths(MonthsBetween(anchor, current) + Interval);
+
+                default:
+                    return anchor.AddYears((current.Year - anchor.Year) + Interval);
+            }
+        }
+
+        /// <summary>
+        /// Treat a stored time as UTC (DynamoDB returns times without a kind)
+        /// </summary>
+        /// <param name="value">Time</param>
+        /// <returns>Time with DateTimeKind.Utc</returns>
+        private static DateTime AsUtc(DateTime value)
+        {
+            return value.Kind switch
+            {
+                DateTimeKind.Utc => value,
+                DateTimeKind.Local => value.ToUniversalTime(),
+                _ => DateTime.SpecifyKind(value, DateTimeKind.Utc)
+            };
+        }
+
+        /// <summary>
+        /// Get the Monday of a date's week
+        /// </summary>
+        /// <param name="date">Date</param>
+        /// <returns>Midnight at the start of the week</returns>
+        private static DateTime StartOfWeek(DateTime date)
+        {
+            return date.Date.AddDays(-(((int)date.DayOfWeek + 6) % 7));
+        }
+
+        /// <summary>
+        /// Count the calendar months between two dates
+        /// </summary>
+        /// <param name="from">Earlier date</param>
+        /// <param name="to">Later date</param>
+        /// <returns>Number of months</returns>
+        private static int MonthsBetween(DateTime from, DateTime to)
+        {
+            return (to.Year - from.Year) * 12 + to.Month - from.Month;
+        }
+    }
+}
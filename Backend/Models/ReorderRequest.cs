@@ -0,0 +1,18 @@
+using System.Collections.Generic;
+using System.ComponentModel.DataAnnotations;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Request body for saving the manual order of Todo items
+    /// </summary>
+    public class ReorderRequest
+    {
+        /// <summary>
+        /// New positions of Todo items by ID; positions may be fractional so an item can be
+        /// placed between two others without renumbering the rest of the list
+        /// </summary>
+        [Required(ErrorMessage = "Positions are required")]
+        public Dictionary<string, double> Positions { get; set; } = new Dictionary<string, double>();
+    }
+}
@@ -0,0 +1,18 @@
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// A tag in use on Todo items, with the number of items carrying it
+    /// </summary>
+    public class TagSummary
+    {
+        /// <summary>
+        /// Tag name
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Number of Todo items with this tag
+        /// </summary>
+        public int Count { get; set; }
+    }
+}
@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 using System.ComponentModel.DataAnnotations;
 using Amazon.DynamoDBv2.DataModel;
 
@@ -23,6 +24,12 @@ namespace TodoApi.Models
         [StringLength(100, ErrorMessage = "Description cannot be longer than 100 characters")]
         public string Description { get; set; } = string.Empty;
         
+        /// <summary>
+        /// Optional long-form notes in Markdown, rendered below the Todo item on the list page
+        /// </summary>
+        [StringLength(10000, ErrorMessage = "Notes cannot be longer than 10000 characters")]
+        public string? Notes { get; set; }
+        
         /// <summary>
         /// Indicates whether the Todo item is completed
         /// </summary>
@@ -37,5 +44,82 @@ namespace TodoApi.Models
         /// Date and time when the Todo item was last updated
         /// </summary>
         public DateTime? UpdatedAt { get; set; }
+        
+        /// <summary>
+        /// Optional date and time by which the Todo item should be completed
+        /// </summary>
+        public DateTime? DueAt { get; set; }
+        
+        /// <summary>
+        /// Tags used to categorize the Todo item (lowercase, without a leading #)
+        /// </summary>
+        public List<string> Tags { get; set; } = new List<string>();
+        
+        /// <summary>
+        /// Priority of the Todo item: low, medium, high or urgent (see <see cref="TodoPriority"/>),
+        /// or null if it has none
+        /// </summary>
+        public string? Priority { get; set; }
+        
+        /// <summary>
+        /// ID of the list the Todo item belongs to (items created before lists existed have none
+        /// and belong to the default list)
+        /// </summary>
+        [DynamoDBGlobalSecondaryIndexHashKey(TodoList.ListIdIndex)]
+        public string? ListId { get; set; }
+        
+        /// <summary>
+        /// Position of the Todo item in the manual order, lowest first (items that have never been
+        /// reordered have none and come after the ordered ones)
+        /// </summary>
+        public double? Position { get; set; }
+        
+        /// <summary>
+        /// Ordered checklist items (subtasks) of the Todo item
+        /// </summary>
+        public List<ChecklistItem> Checklist { get; set; } = new List<ChecklistItem>();
+        
+        /// <summary>
+        /// Indicates whether the Todo item is completed automatically once every checklist item is ticked
+        /// </summary>
+        public bool AutoCompleteChecklist { get; set; }
+        
+        /// <summary>
+        /// Files attached to the Todo item; managed through the attachment endpoints, so saving
+        /// the item keeps the stored list whatever the request contains
+        /// </summary>
+        public List<Attachment> Attachments { get; set; } = new List<Attachment>();
+        
+        /// <summary>
+        /// How often the Todo item repeats, or null if it does not; completing it creates the next occurrence
+        /// </summary>
+        public Recurrence? Recurrence { get; set; }
+        
+        /// <summary>
+        /// ID of the occurrence created when this recurring Todo item was completed (set by the API),
+        /// so completing it again after reopening it does not create another one
+        /// </summary>
+        public string? NextOccurrenceId { get; set; }
+        
+        /// <summary>
+        /// Date and time when the Todo item was moved to the trash, or null if it is not in the trash
+        /// </summary>
+        public DateTime? DeletedAt { get; set; }
+        
+        /// <summary>
+        /// Time (Unix epoch seconds) after which a trashed Todo item is purged; used as the table's TTL attribute
+        /// </summary>
+        public long? PurgeAt { get; set; }
+        
+        /// <summary>
+        /// ID of the user who owns the Todo item (set by the API from the sign-in token)
+        /// </summary>
+        public string? UserId { get; set; }
+        
+        /// <summary>
+        /// Incremented by the API on every change and returned as the ETag, so clients can send
+        /// If-Match to avoid overwriting someone else's edit (items saved before versioning have 0)
+        /// </summary>
+        public long Version { get; set; }
     }
 }
@@ -0,0 +1,22 @@
+using System;
+using System.Collections.Generic;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Todo items in a list that changed since a point in time, returned by the change feed
+    /// </summary>
+    public class TodoChanges
+    {
+        /// <summary>
+        /// Todo items created, updated or moved to the trash since the requested time; trashed items
+        /// have DeletedAt set so clients can remove them
+        /// </summary>
+        public List<Todo> Items { get; set; } = new List<Todo>();
+
+        /// <summary>
+        /// Value to pass as updatedSince in the next request
+        /// </summary>
+        public DateTime NextSince { get; set; }
+    }
+}
@@ -0,0 +1,129 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+using Amazon.DynamoDBv2.DataModel;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// One entry in the history of a Todo item: who did what, when, and which fields changed
+    /// </summary>
+    [DynamoDBTable("TodoEventsCdk")]
+    public class TodoEvent
+    {
+        /// <summary>
+        /// The Todo item was created
+        /// </summary>
+        public const string CreatedAction = "created";
+
+        /// <summary>
+        /// The Todo item was edited
+        /// </summary>
+        public const string UpdatedAction = "updated";
+
+        /// <summary>
+        /// The Todo item was marked completed
+        /// </summary>
+        public const string CompletedAction = "completed";
+
+        /// <summary>
+        /// The Todo item was marked pending again
+        /// </summary>
+        public const string ReopenedAction = "reopened";
+
+        /// <summary>
+        /// The Todo item was moved to the trash
+        /// </summary>
+        public const string DeletedAction = "deleted";
+
+        /// <summary>
+        /// The Todo item was restored from the trash
+        /// </summary>
+        public const string RestoredAction = "restored";
+
+        /// <summary>
+        /// The Todo item was reverted to an earlier version
+        /// </summary>
+        public const string RevertedAction = "reverted";
+
+        /// <summary>
+        /// ID of the Todo item
+        /// </summary>
+        [DynamoDBHashKey]
+        public string TodoId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Event ID; starts with the time of the event so events sort in the order they happened
+        /// </summary>
+        [DynamoDBRangeKey]
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// What happened: "created", "updated", "completed", "reopened", "deleted", "restored" or "reverted"
+        /// </summary>
+        public string Action { get; set; } = UpdatedAction;
+
+        /// <summary>
+        /// ID of the user who made the change
+        /// </summary>
+        public string ActorId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Email address of the user who made the change, if the token had one
+        /// </summary>
+        public string? ActorEmail { get; set; }
+
+        /// <summary>
+        /// Date and time of the change
+        /// </summary>
+        public DateTime At { get; set; } = DateTime.UtcNow;
+
+        /// <summary>
+        /// Version of the Todo item after the change
+        /// </summary>
+        public long Version { get; set; }
+
+        /// <summary>
+        /// Fields that changed, with their values before and after
+        /// </summary>
+        public List<TodoFieldChange> Changes { get; set; } = new List<TodoFieldChange>();
+
+        /// <summary>
+        /// ID of the event whose version was restored, for "reverted" events
+        /// </summary>
+        public string? RevertedEventId { get; set; }
+
+        /// <summary>
+        /// The Todo item after the change as JSON, used to revert to this version
+        /// </summary>
+        [JsonIgnore]
+        public string? Snapshot { get; set; }
+
+        /// <summary>
+        /// Time (Unix epoch seconds) after which the event is removed; used as the table's TTL attribute
+        /// </summary>
+        [JsonIgnore]
+        public long ExpiresAt { get; set; }
+    }
+
+    /// <summary>
+    /// A field of a Todo item that changed
+    /// </summary>
+    public class TodoFieldChange
+    {
+        /// <summary>
+        /// Field name as it appears in the API's JSON, e.g. "description"
+        /// </summary>
+        public string Field { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Value before the change as JSON, or null if the item did not exist
+        /// </summary>
+        public string? Before { get; set; }
+
+        /// <summary>
+        /// Value after the change as JSON
+        /// </summary>
+        public string? After { get; set; }
+    }
+}
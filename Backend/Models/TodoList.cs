@@ -0,0 +1,69 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+using Amazon.DynamoDBv2.DataModel;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Represents a named list of Todo items in the DynamoDB table, keyed by owner and list ID
+    /// </summary>
+    [DynamoDBTable("TodoUserListsCdk")]
+    public class TodoList
+    {
+        /// <summary>
+        /// ID of the built-in list that todos belong to unless another list is chosen
+        /// </summary>
+        public const string DefaultListId = "default";
+
+        /// <summary>
+        /// Name of the built-in list until it is renamed
+        /// </summary>
+        public const string DefaultListName = "My Todos";
+
+        /// <summary>
+        /// Name of the Global Secondary Index on Todo.ListId
+        /// </summary>
+        public const string ListIdIndex = "ListIdIndex";
+
+        /// <summary>
+        /// ID of the user who owns the list (set by the API from the sign-in token)
+        /// </summary>
+        [DynamoDBHashKey]
+        public string? UserId { get; set; }
+
+        /// <summary>
+        /// Identifier for the list, unique per user (every user has a "default" list)
+        /// </summary>
+        [DynamoDBRangeKey]
+        public string Id { get; set; } = Guid.NewGuid().ToString();
+
+        /// <summary>
+        /// Display name of the list
+        /// </summary>
+        [Required(ErrorMessage = "Name is required")]
+        [StringLength(50, ErrorMessage = "Name cannot be longer than 50 characters")]
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Date and time when the list was created
+        /// </summary>
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+        /// <summary>
+        /// Date and time when the list was last renamed
+        /// </summary>
+        public DateTime? UpdatedAt { get; set; }
+
+        /// <summary>
+        /// Role of the signed-in user for the list: "owner", "editor" or "viewer" (not stored)
+        /// </summary>
+        [DynamoDBIgnore]
+        public string Role { get; set; } = ListShare.OwnerRole;
+
+        /// <summary>
+        /// Email address of the owner of a list shared with the signed-in user (not stored)
+        /// </summary>
+        [DynamoDBIgnore]
+        public string? OwnerEmail { get; set; }
+    }
+}
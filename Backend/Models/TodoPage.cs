@@ -0,0 +1,20 @@
+using System.Collections.Generic;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// A page of Todo items returned by a paginated list request
+    /// </summary>
+    public class TodoPage
+    {
+        /// <summary>
+        /// Todo items in this page
+        /// </summary>
+        public List<Todo> Items { get; set; } = new List<Todo>();
+
+        /// <summary>
+        /// Opaque token for requesting the next page, or null when there are no more items
+        /// </summary>
+        public string? NextCursor { get; set; }
+    }
+}
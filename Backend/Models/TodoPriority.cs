@@ -0,0 +1,60 @@
+using System.Collections.Generic;
+
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Priority levels of a Todo item
+    /// </summary>
+    /// <remarks>
+    /// Priorities are stored lowercase; items without a priority store none (null).
+    /// </remarks>
+    public static class TodoPriority
+    {
+        /// <summary>
+        /// No priority; accepted from clients and stored as null
+        /// </summary>
+        public const string None = "none";
+
+        /// <summary>
+        /// Can wait
+        /// </summary>
+        public const string Low = "low";
+
+        /// <summary>
+        /// Normal importance
+        /// </summary>
+        public const string Medium = "medium";
+
+        /// <summary>
+        /// Should be done soon
+        /// </summary>
+        public const string High = "high";
+
+        /// <summary>
+        /// Needs attention first
+        /// </summary>
+        public const string Urgent = "urgent";
+
+        /// <summary>
+        /// Levels that can be stored, from least to most important
+        /// </summary>
+        public static readonly IReadOnlyList<string> Levels = new[] { Low, Medium, High, Urgent };
+
+        /// <summary>
+        /// Map a priority to the iCalendar PRIORITY value (1 is the highest, 9 the lowest)
+        /// </summary>
+        /// <param name="priority">Stored priority</param>
+        /// <returns>PRIORITY value, or null for items without a priority</returns>
+        public static int? ToICalendar(string? priority)
+        {
+            return priority switch
+            {
+                Urgent => 1,
+                High => 3,
+                Medium => 5,
+                Low => 7,
+                _ => null
+            };
+        }
+    }
+}
@@ -0,0 +1,18 @@
+namespace TodoApi.Models
+{
+    /// <summary>
+    /// Settings for the trash, bound from the "Trash" configuration section
+    /// </summary>
+    public class TrashOptions
+    {
+        /// <summary>
+        /// Configuration section name
+        /// </summary>
+        public const string SectionName = "Trash";
+
+        /// <summary>
+        /// Number of days a deleted Todo item stays in the trash before it is purged
+        /// </summary>
+        public int RetentionDays { get; set; } = 30;
+    }
+}
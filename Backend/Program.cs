@@ -3,11 +3,17 @@ using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
 using Amazon.DynamoDBv2;
 using Amazon.DynamoDBv2.DataModel;
+using TodoApi;
+using TodoApi.Data;
+using TodoApi.Models;
 
 var builder = WebApplication.CreateBuilder(args);
 
 // Add services to the container.
 builder.Services.AddControllers();
+builder.Services.Configure<TrashOptions>(builder.Configuration.GetSection(TrashOptions.SectionName));
+builder.Services.AddTodoAuthentication(builder.Configuration);
+builder.Services.AddTodoAttachments(builder.Configuration);
 
 // Add CORS policy
 builder.Services.AddCors(options =>
@@ -17,6 +23,7 @@ builder.Services.AddCors(options =>
         policy.SetIsOriginAllowed(_ => true)
               .AllowAnyHeader()
               .AllowAnyMethod()
+              .WithExposedHeaders("ETag")
               .DisallowCredentials();
     });
 });
@@ -32,6 +39,8 @@ builder.Services.AddSingleton<IDynamoDBContext>(sp =>
 {
     return new DynamoDBContext(sp.GetRequiredService<IAmazonDynamoDB>());
 });
+builder.Services.AddScoped<ListAccessService>();
+builder.Services.AddScoped<TodoHistoryService>();
 
 // Add Swagger
 builder.Services.AddEndpointsApiExplorer();
@@ -49,6 +58,7 @@ if (app.Environment.IsDevelopment())
 // IMPORTANT: Use CORS before any other middleware
 app.UseCors("AllowAll");
 
+app.UseAuthentication();
 app.UseAuthorization();
 
 app.MapControllers();
@@ -5,6 +5,8 @@ using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
 using Amazon.DynamoDBv2;
 using Amazon.DynamoDBv2.DataModel;
+using TodoApi.Data;
+using TodoApi.Models;
 
 namespace TodoApi
 {
@@ -20,6 +22,9 @@ namespace TodoApi
         public void ConfigureServices(IServiceCollection services)
         {
             services.AddControllers();
+            services.Configure<TrashOptions>(Configuration.GetSection(TrashOptions.SectionName));
+            services.AddTodoAuthentication(Configuration);
+            services.AddTodoAttachments(Configuration);
 
             // Add CORS policy
             services.AddCors(options =>
@@ -29,6 +34,7 @@ namespace TodoApi
                     policy.SetIsOriginAllowed(_ => true)
                           .AllowAnyHeader()
                           .AllowAnyMethod()
+                          .WithExposedHeaders("ETag")
                           .DisallowCredentials();
                 });
             });
@@ -44,6 +50,8 @@ namespace TodoApi
             {
                 return new DynamoDBContext(sp.GetRequiredService<IAmazonDynamoDB>());
             });
+            services.AddScoped<ListAccessService>();
+            services.AddScoped<TodoHistoryService>();
 
             services.AddEndpointsApiExplorer();
             services.AddSwaggerGen();
@@ -60,6 +68,7 @@ namespace TodoApi
 
             app.UseCors("AllowAll");
             app.UseRouting();
+            app.UseAuthentication();
             app.UseAuthorization();
             app.UseEndpoints(endpoints =>
             {
@@ -0,0 +1,87 @@
+using System.Linq;
+using System.Threading.Tasks;
+using Amazon.DynamoDBv2;
+using Amazon.DynamoDBv2.DataModel;
+using Amazon.Lambda.Core;
+using Amazon.Lambda.DynamoDBEvents;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using TodoApi.Data;
+
+namespace TodoApi
+{
+    /// <summary>
+    /// Cleans up after todo items that DynamoDB TTL purged from the trash
+    /// </summary>
+    /// <remarks>
+    /// Invoked with the todo table's stream. The API cleans up after the items it deletes itself
+    /// (emptying the trash or deleting one item from it); items left in the trash until PurgeAt are
+    /// removed by DynamoDB, and their history and attached files are deleted here.
+    /// </remarks>
+    public class TrashPurgeFunction
+    {
+        // Stream records of items removed by TTL carry this service principal
+        private const string TimeToLivePrincipal = "dynamodb.amazonaws.com";
+
+        private readonly ServiceProvider _services;
+
+        /// <summary>
+        /// Constructor for TrashPurgeFunction, called once per Lambda instance
+        /// </summary>
+        public TrashPurgeFunction()
+        {
+            var configuration = new ConfigurationBuilder().AddEnvironmentVariables().Build();
+            var services = new ServiceCollection();
+            services.AddLogging(logging => logging.AddConsole());
+            services.AddTodoAttachments(configuration);
+            services.AddSingleton<IAmazonDynamoDB>(new AmazonDynamoDBClient(new AmazonDynamoDBConfig
+            {
+                RegionEndpoint = Amazon.RegionEndpoint.USEast1
+            }));
+            services.AddSingleton<IDynamoDBContext>(sp => new DynamoDBContext(sp.GetRequiredService<IAmazonDynamoDB>()));
+            services.AddScoped<TodoHistoryService>();
+            _services = services.BuildServiceProvider();
+        }
+
+        /// <summary>
+        /// Delete the history and files of the todo items in a batch of stream records that TTL removed
+        /// </summary>
+        /// <param name="dynamoEvent">Stream records</param>
+        /// <param name="context">Lambda context</param>
+        /// <returns>Task</returns>
+        public async Task FunctionHandlerAsync(DynamoDBEvent dynamoEvent, ILambdaContext context)
+        {
+            var todoIds = dynamoEvent.Records
+                .Where(IsPurgedByTimeToLive)
+                .Select(record => record.Dynamodb.Keys["Id"].S)
+                .ToList();
+            if (todoIds.Count == 0)
+            {
+                return;
+            }
+
+            context.Logger.LogInformation($"Cleaning up after {todoIds.Count} todo items purged from the trash");
+            using var scope = _services.CreateScope();
+            await scope.ServiceProvider.GetRequiredService<TodoHistoryService>().DeleteHistoryAsync(todoIds);
+
+            var attachments = scope.ServiceProvider.GetRequiredService<AttachmentStorageService>();
+            foreach (var todoId in todoIds)
+            {
+                await attachments.DeleteAllAsync(todoId);
+            }
+        }
+
+        /// <summary>
+        /// Check whether a stream record is the removal of an item whose PurgeAt has passed
+        /// </summary>
+        /// <param name="record">Stream record</param>
+        /// <returns>True for removals made by DynamoDB TTL</returns>
+        private static bool IsPurgedByTimeToLive(DynamoDBEvent.DynamodbStreamRecord record)
+        {
+            return record.EventName == "REMOVE"
+                && record.UserIdentity?.Type == "Service"
+                && record.UserIdentity.PrincipalId == TimeToLivePrincipal;
+        }
+    }
+}
@@ -11,17 +11,51 @@ class TodoApi {
     constructor() {
         // Use the API URL from config.js
         this.baseUrl = CONFIG.API_URL;
+        this.listsUrl = this.baseUrl.replace(/\/todos$/, '/lists');
+        
+        // Set when the service worker answered a list request from its offline cache
+        this.todosCachedAt = null;
+        
+        // Mutations that could not be delivered are kept here until we are back online
+        this.outbox = new TodoOutbox();
+        this.replayPromise = null;
+        
+        // A queue that could not be delivered is retried with backoff, from 5 seconds up to 5 minutes
+        this.replayTimer = null;
+        this.replayDelay = 0;
+        
+        // Other tabs of the app in this browser hear about every mutation straight away
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel('todo-changes') : null;
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => {
+                window.dispatchEvent(new CustomEvent('todo-broadcast', { detail: e.data }));
+            });
+        }
+        
+        window.addEventListener('online', () => {
+            // Reconnecting is worth trying straight away
+            this.replayDelay = 0;
+            this.replayOutbox();
+        });
+        
+        // Deliver anything left over from a previous session
+        if (navigator.onLine) {
+            this.replayOutbox();
+        }
     }
 
     /**
      * Get all todos
+     * 
+     * When offline the service worker may answer with the last list it saw;
+     * todosCachedAt is then set to the time that list was fetched.
      * @returns {Promise<Array>} Array of todo items
      * @throws {Error} If the API request fails
      */
     async getAllTodos() {
         try {
             console.log('Fetching todos from:', this.baseUrl);
-            const response = await fetch(this.baseUrl, {
+            const response = await this.authorizedFetch(this.baseUrl, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json'
@@ -36,6 +70,9 @@ class TodoApi {
                 throw new Error(`Error: ${response.status} - ${response.statusText}`);
             }
             
+            const cachedAt = response.headers.get('X-Todo-Cached-At');
+            this.todosCachedAt = cachedAt ? new Date(cachedAt) : null;
+            
             const data = await response.json();
             console.log('Fetched todos successfully:', data);
             return data;
@@ -46,18 +83,145 @@ class TodoApi {
     }
 
     /**
-     * Get a specific todo by ID
-     * @param {string} id - Todo ID
-     * @returns {Promise<Object>} Todo item
+     * Get a page of todos
+     * @param {Object} options - Paging options
+     * @param {number} [options.limit] - Maximum number of todos in the page (1-100)
+     * @param {string} [options.cursor] - nextCursor from the previous page
+     * @param {string} [options.tag] - Only return todos with this tag
+     * @returns {Promise<Object>} Page ({ items, nextCursor }); nextCursor is null on the last page
      * @throws {Error} If the API request fails
      */
-    async getTodoById(id) {
-        if (!id) {
-            throw new Error('Todo ID is required');
+    async getTodosPage({ limit = 50, cursor = null, tag = null } = {}) {
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+        if (tag) {
+            params.set('tag', tag);
+        }
+        
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}?${params}`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            const cachedAt = response.headers.get('X-Todo-Cached-At');
+            this.todosCachedAt = cachedAt ? new Date(cachedAt) : null;
+            
+            const page = await response.json();
+            return { items: page.items || [], nextCursor: page.nextCursor || null };
+        } catch (error) {
+            console.error('Failed to fetch page of todos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a page of the todos in a named list
+     * @param {string} listId - List ID
+     * @param {Object} options - Paging options
+     * @param {number} [options.limit] - Maximum number of todos in the page (1-100)
+     * @param {string} [options.cursor] - nextCursor from the previous page
+     * @param {string} [options.tag] - Only return todos with this tag
+     * @returns {Promise<Object>} Page ({ items, nextCursor }); nextCursor is null on the last page
+     * @throws {Error} If the API request fails
+     */
+    async getListTodosPage(listId, { limit = 50, cursor = null, tag = null } = {}) {
+        if (!listId) {
+            throw new Error('List ID is required');
+        }
+        
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+        if (tag) {
+            params.set('tag', tag);
+        }
+        
+        try {
+            const response = await this.authorizedFetch(`${this.listsUrl}/${encodeURIComponent(listId)}/todos?${params}`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                const error = new Error(`Error: ${response.status} - ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            const cachedAt = response.headers.get('X-Todo-Cached-At');
+            this.todosCachedAt = cachedAt ? new Date(cachedAt) : null;
+            
+            const page = await response.json();
+            return { items: page.items || [], nextCursor: page.nextCursor || null };
+        } catch (error) {
+            console.error(`Failed to fetch todos in list ${listId}:`, error);
+            throw error;
         }
+    }
+
+    /**
+     * Get the todos in a list that changed since a point in time
+     * 
+     * Trashed todos are included with deletedAt set, so they can be removed.
+     * @param {string} listId - List ID
+     * @param {string} updatedSince - ISO 8601 time of the last check
+     * @returns {Promise<Object>} { items, nextSince } - pass nextSince as updatedSince next time
+     * @throws {Error} If the API request fails
+     */
+    async getListChanges(listId, updatedSince) {
+        const params = new URLSearchParams({ updatedSince });
         
         try {
-            const response = await fetch(`${this.baseUrl}/${id}`, {
+            const response = await this.authorizedFetch(`${this.listsUrl}/${encodeURIComponent(listId)}/todos/changes?${params}`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                const error = new Error(`Error: ${response.status} - ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            const changes = await response.json();
+            return { items: changes.items || [], nextSince: changes.nextSince };
+        } catch (error) {
+            console.error(`Failed to fetch changes in list ${listId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all named lists
+     * @returns {Promise<Array>} Lists ({ id, name }), default list first
+     * @throws {Error} If the API request fails
+     */
+    async getLists() {
+        try {
+            const response = await this.authorizedFetch(this.listsUrl, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json'
@@ -73,25 +237,24 @@ class TodoApi {
             
             return await response.json();
         } catch (error) {
-            console.error(`Failed to fetch todo with ID ${id}:`, error);
+            console.error('Failed to fetch lists:', error);
             throw error;
         }
     }
 
     /**
-     * Create a new todo
-     * @param {Object} todo - Todo object with description
-     * @returns {Promise<Object>} Created todo
+     * Create a named list
+     * @param {string} name - List name
+     * @returns {Promise<Object>} Created list
      * @throws {Error} If the API request fails
      */
-    async createTodo(todo) {
-        if (!todo || !todo.description) {
-            throw new Error('Todo description is required');
+    async createList(name) {
+        if (!name) {
+            throw new Error('List name is required');
         }
         
         try {
-            console.log('API sending:', JSON.stringify(todo));
-            const response = await fetch(this.baseUrl, {
+            const response = await this.authorizedFetch(this.listsUrl, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -100,7 +263,7 @@ class TodoApi {
                 mode: 'cors',
                 cache: 'no-cache',
                 credentials: 'omit',
-                body: JSON.stringify(todo)
+                body: JSON.stringify({ name })
             });
             
             if (!response.ok) {
@@ -111,29 +274,29 @@ class TodoApi {
             
             return await response.json();
         } catch (error) {
-            console.error('Failed to create todo:', error);
+            console.error('Failed to create list:', error);
             throw error;
         }
     }
 
     /**
-     * Update an existing todo
-     * @param {string} id - Todo ID
-     * @param {Object} todo - Updated todo object
+     * Rename a named list
+     * @param {string} id - List ID
+     * @param {string} name - New list name
      * @returns {Promise<void>}
      * @throws {Error} If the API request fails
      */
-    async updateTodo(id, todo) {
+    async renameList(id, name) {
         if (!id) {
-            throw new Error('Todo ID is required');
+            throw new Error('List ID is required');
         }
         
-        if (!todo || !todo.description) {
-            throw new Error('Todo description is required');
+        if (!name) {
+            throw new Error('List name is required');
         }
         
         try {
-            const response = await fetch(`${this.baseUrl}/${id}`, {
+            const response = await this.authorizedFetch(`${this.listsUrl}/${encodeURIComponent(id)}`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
@@ -142,7 +305,7 @@ class TodoApi {
                 mode: 'cors',
                 cache: 'no-cache',
                 credentials: 'omit',
-                body: JSON.stringify(todo)
+                body: JSON.stringify({ id, name })
             });
             
             if (!response.ok) {
@@ -151,24 +314,24 @@ class TodoApi {
                 throw new Error(`Error: ${response.status} - ${response.statusText}`);
             }
         } catch (error) {
-            console.error(`Failed to update todo with ID ${id}:`, error);
+            console.error(`Failed to rename list with ID ${id}:`, error);
             throw error;
         }
     }
 
     /**
-     * Delete a todo
-     * @param {string} id - Todo ID
+     * Delete a named list and move its todos to the trash
+     * @param {string} id - List ID
      * @returns {Promise<void>}
      * @throws {Error} If the API request fails
      */
-    async deleteTodo(id) {
+    async deleteList(id) {
         if (!id) {
-            throw new Error('Todo ID is required');
+            throw new Error('List ID is required');
         }
         
         try {
-            const response = await fetch(`${this.baseUrl}/${id}`, {
+            const response = await this.authorizedFetch(`${this.listsUrl}/${encodeURIComponent(id)}`, {
                 method: 'DELETE',
                 headers: {
                     'Accept': 'application/json'
@@ -182,25 +345,206 @@ class TodoApi {
                 throw new Error(`Error: ${response.status} - ${response.statusText}`);
             }
         } catch (error) {
-            console.error(`Failed to delete todo with ID ${id}:`, error);
+            console.error(`Failed to delete list with ID ${id}:`, error);
             throw error;
         }
     }
 
     /**
-     * Toggle the completion status of a todo
-     * @param {string} id - Todo ID
+     * Get the people a list is shared with
+     * @param {string} listId - List ID
+     * @returns {Promise<Array>} Shares ({ email, role, ownerEmail }), oldest first
+     * @throws {Error} If the API request fails
+     */
+    async getCollaborators(listId) {
+        try {
+            const response = await this.authorizedFetch(`${this.listsUrl}/${encodeURIComponent(listId)}/collaborators`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error(`Failed to fetch collaborators of list with ID ${listId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Share a list with someone, or change their role
+     * @param {string} listId - List ID
+     * @param {string} email - Email address of the collaborator
+     * @param {string} role - 'viewer' or 'editor'
+     * @returns {Promise<Object>} Saved share
+     * @throws {Error} If the API request fails; the message includes the server's reason
+     */
+    async shareList(listId, email, role) {
+        if (!email) {
+            throw new Error('Email is required');
+        }
+        
+        try {
+            const response = await this.authorizedFetch(`${this.listsUrl}/${encodeURIComponent(listId)}/collaborators`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit',
+                body: JSON.stringify({ email, role })
+            });
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Server error response:', errorText);
+                throw new Error(response.status === 400 && errorText ? errorText : `Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error(`Failed to share list with ID ${listId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop sharing a list with someone (or leave a list shared with you)
+     * @param {string} listId - List ID
+     * @param {string} email - Email address of the collaborator
      * @returns {Promise<void>}
      * @throws {Error} If the API request fails
      */
-    async toggleTodoStatus(id) {
+    async removeCollaborator(listId, email) {
+        try {
+            const response = await this.authorizedFetch(`${this.listsUrl}/${encodeURIComponent(listId)}/collaborators/${encodeURIComponent(email)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error(`Failed to remove a collaborator from list with ID ${listId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the tags in use
+     * @returns {Promise<Array>} Tags ({ name, count }) sorted by name
+     * @throws {Error} If the API request fails
+     */
+    async getTags() {
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/tags`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to fetch tags:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the secret URL of the signed-in user's calendar feed, creating it the first time
+     * 
+     * Calendar apps cannot sign in, so anyone with the URL can read the feed.
+     * @returns {Promise<Object>} Feed ({ token, createdAt, url })
+     * @throws {Error} If the API request fails
+     */
+    async getCalendarFeed() {
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/calendar/feed`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            const feed = await response.json();
+            return { ...feed, url: `${this.baseUrl}/calendar.ics?token=${encodeURIComponent(feed.token)}` };
+        } catch (error) {
+            console.error('Failed to fetch the calendar feed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke the calendar feed URL, so calendars subscribed to it stop updating
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails
+     */
+    async revokeCalendarFeed() {
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/calendar/feed`, {
+                method: 'DELETE',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error('Failed to revoke the calendar feed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a specific todo by ID
+     * @param {string} id - Todo ID
+     * @returns {Promise<Object>} Todo item
+     * @throws {Error} If the API request fails
+     */
+    async getTodoById(id) {
         if (!id) {
             throw new Error('Todo ID is required');
         }
         
         try {
-            const response = await fetch(`${this.baseUrl}/${id}/toggle`, {
-                method: 'PATCH',
+            const response = await this.authorizedFetch(`${this.baseUrl}/${id}`, {
+                method: 'GET',
                 headers: {
                     'Accept': 'application/json'
                 },
@@ -212,9 +556,1002 @@ class TodoApi {
             if (!response.ok) {
                 throw new Error(`Error: ${response.status} - ${response.statusText}`);
             }
+            
+            return await response.json();
         } catch (error) {
-            console.error(`Failed to toggle status for todo with ID ${id}:`, error);
+            console.error(`Failed to fetch todo with ID ${id}:`, error);
             throw error;
         }
     }
+
+    /**
+     * Create a new todo
+     * 
+     * The ID is generated on the client so that a queued create, and any
+     * later updates to the same todo, can be replayed without duplicates.
+     * @param {Object} todo - Todo object with description
+     * @returns {Promise<Object>} Created todo (flagged as pending if queued)
+     * @throws {Error} If the API request fails
+     */
+    async createTodo(todo) {
+        if (!todo || !todo.description) {
+            throw new Error('Todo description is required');
+        }
+        
+        const newTodo = { ...todo, id: todo.id || generateTodoId() };
+        const result = await this.sendOrQueue({ type: 'create', id: newTodo.id, todo: newTodo });
+        
+        if (result.queued) {
+            return { ...newTodo, createdAt: new Date().toISOString(), pending: true };
+        }
+        
+        return result.data;
+    }
+
+    /**
+     * Update an existing todo
+     * 
+     * Pass the version the edit started from to have the update rejected
+     * if someone else saved the todo in the meantime.
+     * @param {string} id - Todo ID
+     * @param {Object} todo - Updated todo object
+     * @param {Object} [options] - Options
+     * @param {number} [options.version] - Version the edit is based on, sent as If-Match
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails; on a version conflict the error has
+     *     status 412 and a current property with the todo as it is now saved
+     */
+    async updateTodo(id, todo, { version } = {}) {
+        if (!id) {
+            throw new Error('Todo ID is required');
+        }
+        
+        if (!todo || !todo.description) {
+            throw new Error('Todo description is required');
+        }
+        
+        await this.sendOrQueue({ type: 'update', id, todo, version });
+    }
+
+    /**
+     * Delete a todo
+     * @param {string} id - Todo ID
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails
+     */
+    async deleteTodo(id) {
+        if (!id) {
+            throw new Error('Todo ID is required');
+        }
+        
+        await this.sendOrQueue({ type: 'delete', id });
+    }
+
+    /**
+     * Toggle the completion status of a todo
+     * @param {string} id - Todo ID
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails
+     */
+    async toggleTodoStatus(id) {
+        if (!id) {
+            throw new Error('Todo ID is required');
+        }
+        
+        await this.sendOrQueue({ type: 'toggle', id });
+    }
+
+    /**
+     * Get the history of a todo
+     * @param {string} id - Todo ID
+     * @returns {Promise<Array>} Events ({ id, action, actorId, actorEmail, at, version, changes, revertedEventId }), most recent first;
+     *     each change is { field, before, after } with the values as JSON
+     * @throws {Error} If the API request fails
+     */
+    async getTodoHistory(id) {
+        if (!id) {
+            throw new Error('Todo ID is required');
+        }
+        
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/${id}/history`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error(`Failed to fetch the history of todo with ID ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revert a todo to the version recorded by an event in its history
+     * @param {string} id - Todo ID
+     * @param {string} eventId - ID of the history event to revert to
+     * @param {Object} [options] - Options
+     * @param {number} [options.version] - Version the page is showing, sent as If-Match
+     * @returns {Promise<Object>} Reverted todo
+     * @throws {Error} If the API request fails; on a version conflict the error has
+     *     status 412 and a current property with the todo as it is now saved
+     */
+    async revertTodo(id, eventId, { version } = {}) {
+        if (!id || !eventId) {
+            throw new Error('Todo ID and event ID are required');
+        }
+        
+        try {
+            const headers = { 'Accept': 'application/json' };
+            if (version != null) {
+                headers['If-Match'] = `"${version}"`;
+            }
+            
+            const response = await this.authorizedFetch(`${this.baseUrl}/${id}/history/${encodeURIComponent(eventId)}/revert`, {
+                method: 'POST',
+                headers,
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                const error = new Error(response.status === 412
+                    ? 'This todo was changed by someone else'
+                    : `Error: ${response.status} - ${response.statusText}`);
+                error.status = response.status;
+                if (response.status === 412) {
+                    error.current = await response.json().catch(() => null);
+                }
+                throw error;
+            }
+            
+            const todo = await response.json();
+            
+            // Lists open in other tabs show the reverted todo
+            this.broadcast({ type: 'update', id, todo });
+            return todo;
+        } catch (error) {
+            console.error(`Failed to revert todo with ID ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a file and attach it to a todo
+     * 
+     * The file goes straight to storage through a pre-signed URL from the API,
+     * and is then recorded on the todo. Uploads need a connection; they are
+     * not queued like other changes.
+     * @param {string} id - Todo ID
+     * @param {File} file - File to attach
+     * @param {Function} [onProgress] - Called with the fraction uploaded (0 to 1)
+     * @returns {Promise<Object>} { attachment, version }: the attachment ({ id, fileName, contentType, size, uploadedAt })
+     *     and the todo's new version
+     * @throws {Error} If a request fails; the message includes the server's reason for invalid files
+     */
+    async uploadAttachment(id, file, onProgress = () => {}) {
+        if (!id) {
+            throw new Error('Todo ID is required');
+        }
+        
+        const details = {
+            fileName: file.name,
+            contentType: file.type || 'application/octet-stream',
+            size: file.size
+        };
+        
+        try {
+            const { body: upload } = await this.sendAttachmentRequest(`${this.baseUrl}/${id}/attachments/uploads`, details);
+            await this.putFile(upload.url, upload.contentType, file, onProgress);
+            
+            const { body: attachment, version } = await this.sendAttachmentRequest(`${this.baseUrl}/${id}/attachments`, { ...details, attachmentId: upload.attachmentId });
+            return { attachment, version };
+        } catch (error) {
+            console.error(`Failed to attach a file to todo with ID ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a short-lived URL for an attached file
+     * @param {string} id - Todo ID
+     * @param {string} attachmentId - Attachment ID
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.download] - Have the browser save the file even if it could show it
+     * @returns {Promise<Object>} { attachmentId, url, expiresAt }
+     * @throws {Error} If the API request fails
+     */
+    async getAttachmentUrl(id, attachmentId, { download = false } = {}) {
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/${id}/attachments/${encodeURIComponent(attachmentId)}/url?download=${download}`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error(`Failed to get the URL of attachment ${attachmentId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a file from a todo
+     * @param {string} id - Todo ID
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Promise<number|null>} The todo's new version, or null if the file was already gone
+     * @throws {Error} If the API request fails
+     */
+    async deleteAttachment(id, attachmentId) {
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/${id}/attachments/${encodeURIComponent(attachmentId)}`, {
+                method: 'DELETE',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(response.status === 409 && errorText ? errorText : `Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            return this.readVersion(response);
+        } catch (error) {
+            console.error(`Failed to remove attachment ${attachmentId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the todos in the trash
+     * @returns {Promise<Array>} Trashed todos, most recently deleted first
+     * @throws {Error} If the API request fails
+     */
+    async getTrash() {
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/trash`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to fetch the trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a todo from the trash
+     * 
+     * Also undoes a delete, so it is queued like the delete when offline.
+     * @param {string} id - Todo ID
+     * @param {Object} [todo] - The todo as it was before it was deleted, shown until the restore is sent
+     * @returns {Promise<Object>} Restored todo (flagged as pending if queued)
+     * @throws {Error} If the API request fails
+     */
+    async restoreTodo(id, todo) {
+        if (!id) {
+            throw new Error('Todo ID is required');
+        }
+        
+        const result = await this.sendOrQueue({ type: 'restore', id, todo });
+        
+        if (result.queued) {
+            return { ...todo, id, pending: true };
+        }
+        
+        return result.data;
+    }
+
+    /**
+     * Permanently delete a todo that is in the trash
+     * @param {string} id - Todo ID
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails
+     */
+    async purgeTodo(id) {
+        if (!id) {
+            throw new Error('Todo ID is required');
+        }
+        
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/trash/${id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error(`Failed to purge todo with ID ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete every todo in the trash
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails
+     */
+    async emptyTrash() {
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/trash`, {
+                method: 'DELETE',
+                headers: {
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit'
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error('Failed to empty the trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply one action to several todos in a single request
+     * @param {string} action - 'complete', 'pending' or 'delete'
+     * @param {Array<string>} ids - Todo IDs
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails
+     */
+    async batch(action, ids) {
+        if (!['complete', 'pending', 'delete'].includes(action)) {
+            throw new Error(`Unknown batch action: ${action}`);
+        }
+        
+        if (!ids || ids.length === 0) {
+            throw new Error('Todo IDs are required');
+        }
+        
+        await this.sendOrQueue({ type: 'batch', action, ids });
+    }
+
+    /**
+     * Save new positions in the manual order
+     * 
+     * Only the todos that moved are sent; the others keep their positions.
+     * @param {Object<string, number>} positions - New positions by todo ID, lowest first
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails
+     */
+    async reorderTodos(positions) {
+        if (!positions || Object.keys(positions).length === 0) {
+            throw new Error('Todo positions are required');
+        }
+        
+        await this.sendOrQueue({ type: 'reorder', positions });
+    }
+
+    /**
+     * Create several todos in a list in a single request
+     * 
+     * Imports need a connection; they are not queued in the outbox.
+     * @param {string} listId - List ID
+     * @param {Array<Object>} todos - Todos to create (their IDs are ignored)
+     * @returns {Promise<Array>} Created todos
+     * @throws {Error} If the API request fails
+     */
+    async importTodos(listId, todos) {
+        if (!todos || todos.length === 0) {
+            throw new Error('Todos are required');
+        }
+        
+        try {
+            const response = await this.authorizedFetch(`${this.baseUrl}/import`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                mode: 'cors',
+                cache: 'no-cache',
+                credentials: 'omit',
+                body: JSON.stringify({ listId, items: todos })
+            });
+        
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Server error response:', errorText);
+                throw new Error(`Error: ${response.status} - ${response.statusText}`);
+            }
+        
+            const created = await response.json();
+            this.broadcast({ type: 'import', todos: created });
+            return created;
+        } catch (error) {
+            console.error('Failed to import todos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the mutations still waiting in the outbox
+     * @returns {Promise<Array>} Queued mutations, oldest first
+     */
+    async getPendingMutations() {
+        try {
+            const userId = getSignedInUserId();
+            return (await this.outbox.getAll()).filter(mutation => !mutation.userId || mutation.userId === userId);
+        } catch (error) {
+            console.error('Failed to read the offline outbox:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the queued update of a todo that is waiting for the user to resolve a conflict
+     * @param {string} id - Todo ID
+     * @returns {Promise<Object|null>} Queued update, with conflict set to the todo as it is now saved, or null
+     */
+    async getConflictedUpdate(id) {
+        const mutations = await this.getPendingMutations();
+        return mutations.find(mutation => mutation.conflict && mutation.id === id) || null;
+    }
+
+    /**
+     * Take a queued mutation out of the outbox and send the ones behind it
+     * @param {Object} mutation - Queued mutation
+     * @returns {Promise<void>}
+     */
+    async discardQueuedMutation(mutation) {
+        await this.outbox.remove(mutation.seq);
+        await this.notifyOutboxChanged({ replayed: false });
+        await this.replayOutbox();
+    }
+
+    /**
+     * Send a mutation, or queue it in the outbox when offline
+     * 
+     * Once anything is queued, later mutations are queued behind it so
+     * they reach the server in the order they were made, and a replay is
+     * started to deliver them all. A mutation that fails on the network
+     * while the browser still claims to be online is retried later.
+     * @param {Object} mutation - Mutation ({ type, id, todo })
+     * @returns {Promise<Object>} { queued: true } or { queued: false, data }
+     * @throws {Error} If the API rejects the mutation
+     */
+    async sendOrQueue(mutation) {
+        const pending = navigator.onLine ? await this.outbox.count().catch(() => 0) : 0;
+        
+        if (!navigator.onLine || pending > 0) {
+            await this.queueMutation(mutation);
+            this.broadcast(mutation);
+            
+            if (navigator.onLine) {
+                this.replayOutbox();
+            }
+            return { queued: true };
+        }
+        
+        try {
+            const data = await this.sendMutation(mutation);
+            this.broadcast((mutation.type === 'create' || mutation.type === 'restore') && data ? { ...mutation, todo: data } : mutation);
+            return { queued: false, data };
+        } catch (error) {
+            if (!isNetworkError(error)) {
+                throw error;
+            }
+            
+            await this.queueMutation(mutation);
+            this.broadcast(mutation);
+            this.scheduleReplay();
+            return { queued: true };
+        }
+    }
+
+    /**
+     * Tell the other tabs in this browser about a mutation
+     * 
+     * They receive it as a todo-broadcast event on window.
+     * @param {Object} mutation - Mutation ({ type, id, todo }, { type: 'reorder', positions }, { type: 'batch', action, ids } or { type: 'import', todos })
+     */
+    broadcast(mutation) {
+        if (!this.channel) {
+            return;
+        }
+        
+        try {
+            this.channel.postMessage(mutation);
+        } catch (error) {
+            console.error('Failed to broadcast a change to other tabs:', error);
+        }
+    }
+
+    /**
+     * Store a mutation in the outbox and notify listeners
+     * @param {Object} mutation - Mutation ({ type, id, todo })
+     * @returns {Promise<void>}
+     * @throws {Error} If the outbox cannot be written
+     */
+    async queueMutation(mutation) {
+        console.log('Queueing mutation for later delivery:', mutation);
+        
+        // Entries are tied to the user so they are never replayed with someone else's token
+        await this.outbox.add({ ...mutation, userId: getSignedInUserId() });
+        await this.notifyOutboxChanged({ mutation, replayed: false });
+    }
+
+    /**
+     * Replay queued mutations in order
+     * 
+     * Stops at the first network failure or server error so the remaining
+     * entries keep their order, and tries again later with backoff. An
+     * update that someone else's change got in the way of (412) also pauses
+     * the queue: it is kept with the todo as it is now saved until the user
+     * resolves it on the edit page. Other mutations the API rejects (4xx
+     * other than 401) are dropped so a single bad entry cannot block the
+     * queue, and so are mutations queued by a different signed-in user.
+     * Nothing is replayed while nobody is signed in.
+     * @returns {Promise<void>}
+     */
+    replayOutbox() {
+        if (this.replayPromise) {
+            return this.replayPromise;
+        }
+        
+        clearTimeout(this.replayTimer);
+        this.replayTimer = null;
+        
+        this.replayPromise = (async () => {
+            let delivered = 0;
+            let paused = false;
+            let retry = false;
+            
+            try {
+                const mutations = await this.outbox.getAll();
+                const userId = getSignedInUserId();
+                
+                // The session can lapse while offline; the queue waits until the user signs in again
+                if (!userId) {
+                    return;
+                }
+                
+                for (const mutation of mutations) {
+                    // Entries queued before they recorded a user belong to whoever is signed in
+                    if (mutation.userId && mutation.userId !== userId) {
+                        console.warn('Dropping mutation queued by another user:', mutation);
+                        await this.outbox.remove(mutation.seq);
+                        continue;
+                    }
+                    
+                    // Waits for the user to resolve it
+                    if (mutation.conflict) {
+                        paused = true;
+                        break;
+                    }
+                    
+                    try {
+                        const result = await this.sendMutation(mutation);
+                        
+                        // Later edits of the same todo started from the version this one replaced
+                        if (mutation.type === 'update' && mutation.version != null && result != null) {
+                            await this.rebaseQueuedUpdates(mutations, mutation, result);
+                        }
+                    } catch (error) {
+                        // 401 means the session ended; keep the queue until the user signs in again
+                        if (isNetworkError(error) || error.status === 401 || error.status >= 500) {
+                            console.warn('Outbox replay paused:', error);
+                            paused = true;
+                            retry = error.status !== 401;
+                            break;
+                        }
+                        
+                        if (error.status === 412 && error.current) {
+                            console.warn('Outbox replay paused by an edit conflict:', mutation);
+                            const conflicted = { ...mutation, conflict: error.current };
+                            await this.outbox.put(conflicted);
+                            await this.notifyOutboxChanged({ conflict: conflicted });
+                            paused = true;
+                            break;
+                        }
+                        
+                        console.error('Dropping mutation rejected by the server:', mutation, error);
+                    }
+                    
+                    await this.outbox.remove(mutation.seq);
+                    delivered++;
+                }
+            } catch (error) {
+                console.error('Failed to replay the offline outbox:', error);
+                paused = true;
+            } finally {
+                this.replayPromise = null;
+            }
+            
+            if (retry) {
+                this.scheduleReplay();
+            } else {
+                this.replayDelay = 0;
+            }
+            
+            // Mutations queued while this replay was running go out behind it
+            if (!paused && await this.outbox.count().catch(() => 0) > 0) {
+                this.replayOutbox();
+            }
+            
+            if (delivered > 0) {
+                await this.notifyOutboxChanged({ replayed: true });
+            }
+        })();
+        
+        return this.replayPromise;
+    }
+
+    /**
+     * Replay the outbox again after a delay that doubles on every attempt
+     * 
+     * The browser's online event does not fire when it never noticed the
+     * connection drop, such as a flaky network or a server that is down, so
+     * nothing else would retry the queue until the page is reloaded.
+     */
+    scheduleReplay() {
+        if (this.replayTimer) {
+            return;
+        }
+        
+        this.replayDelay = Math.min(Math.max(this.replayDelay * 2, 5000), 5 * 60 * 1000);
+        this.replayTimer = setTimeout(() => {
+            this.replayTimer = null;
+            this.replayOutbox();
+        }, this.replayDelay);
+    }
+
+    /**
+     * Point queued updates at the version a delivered update produced
+     * 
+     * Several offline edits of one todo all start from the version that was
+     * loaded; without this the second would fail If-Match on the first.
+     * @param {Array} mutations - Queued mutations being replayed
+     * @param {Object} delivered - The update that was just delivered
+     * @param {number} version - The todo's version after it
+     * @returns {Promise<void>}
+     */
+    async rebaseQueuedUpdates(mutations, delivered, version) {
+        for (const mutation of mutations) {
+            if (mutation.seq > delivered.seq && mutation.type === 'update'
+                && mutation.id === delivered.id && mutation.version === delivered.version) {
+                mutation.version = version;
+                await this.outbox.put(mutation);
+            }
+        }
+    }
+
+    /**
+     * Dispatch a todo-outbox-changed event on window
+     * @param {Object} detail - Event detail ({ mutation, replayed, conflict })
+     * @returns {Promise<void>}
+     */
+    async notifyOutboxChanged(detail) {
+        const pending = await this.outbox.count().catch(() => 0);
+        window.dispatchEvent(new CustomEvent('todo-outbox-changed', {
+            detail: { ...detail, pending }
+        }));
+    }
+
+    /**
+     * fetch() with the signed-in user's access token
+     * 
+     * A 401 triggers one token refresh and retry; if that fails too the
+     * user is sent to the sign-in page.
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} Response
+     */
+    async authorizedFetch(url, options = {}) {
+        const send = async () => {
+            const headers = new Headers(options.headers);
+            const token = await Auth.getAccessToken();
+            if (token) {
+                headers.set('Authorization', `Bearer ${token}`);
+            }
+            return fetch(url, { ...options, headers });
+        };
+        
+        let response = await send();
+        
+        if (response.status === 401 && await Auth.refresh()) {
+            response = await send();
+        }
+        
+        if (response.status === 401) {
+            Auth.signIn().catch(error => console.error('Failed to start sign-in:', error));
+        }
+        
+        return response;
+    }
+
+    /**
+     * POST attachment details to the API
+     * @param {string} url - Request URL
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} { body, version }: the response body and the todo version from the ETag, if any
+     * @throws {Error} If the request fails; 400 and 409 errors carry the server's reason
+     */
+    async sendAttachmentRequest(url, body) {
+        const response = await this.authorizedFetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            mode: 'cors',
+            cache: 'no-cache',
+            credentials: 'omit',
+            body: JSON.stringify(body)
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('Server error response:', errorText);
+            const error = new Error((response.status === 400 || response.status === 409) && errorText
+                ? errorText
+                : `Error: ${response.status} - ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return { body: await response.json(), version: this.readVersion(response) };
+    }
+
+    /**
+     * Read the todo version from a response's ETag
+     * @param {Response} response - API response
+     * @returns {number|null} Version, or null if the response has no ETag
+     */
+    readVersion(response) {
+        const etag = response.headers.get('ETag');
+        return etag ? Number(etag.replace(/^W\//, '').replace(/"/g, '')) : null;
+    }
+
+    /**
+     * PUT a file to a pre-signed storage URL
+     * 
+     * Uses XMLHttpRequest because fetch cannot report upload progress.
+     * @param {string} url - Pre-signed upload URL
+     * @param {string} contentType - Content-Type the URL was signed for
+     * @param {File} file - File to upload
+     * @param {Function} onProgress - Called with the fraction uploaded (0 to 1)
+     * @returns {Promise<void>}
+     * @throws {Error} If the upload fails
+     */
+    putFile(url, contentType, file, onProgress) {
+        return new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest();
+            request.open('PUT', url);
+            request.setRequestHeader('Content-Type', contentType);
+            
+            request.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    onProgress(e.loaded / e.total);
+                }
+            });
+            request.addEventListener('load', () => {
+                if (request.status >= 200 && request.status < 300) {
+                    onProgress(1);
+                    resolve();
+                } else {
+                    reject(new Error(`Upload failed: ${request.status} - ${request.statusText}`));
+                }
+            });
+            request.addEventListener('error', () => reject(new Error('Upload failed: network error')));
+            request.addEventListener('abort', () => reject(new Error('Upload cancelled')));
+            
+            request.send(file);
+        });
+    }
+
+    /**
+     * Send a single mutation to the API
+     * @param {Object} mutation - Mutation ({ type, id, todo, version }, { type: 'reorder', positions } or { type: 'batch', action, ids })
+     * @returns {Promise<Object|number|null|undefined>} The todo for 'create' and 'restore', the new version for 'update', otherwise nothing
+     * @throws {Error} If the request fails; HTTP errors carry a status property
+     */
+    async sendMutation(mutation) {
+        const { type, id, todo, ids, action, positions } = mutation;
+        
+        try {
+            let response;
+            
+            switch (type) {
+                case 'create':
+                    console.log('API sending:', JSON.stringify(todo));
+                    response = await this.authorizedFetch(this.baseUrl, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json'
+                        },
+                        mode: 'cors',
+                        cache: 'no-cache',
+                        credentials: 'omit',
+                        body: JSON.stringify(todo)
+                    });
+                    break;
+                case 'update':
+                    response = await this.authorizedFetch(`${this.baseUrl}/${id}`, {
+                        method: 'PUT',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json',
+                            ...(mutation.version != null ? { 'If-Match': `"${mutation.version}"` } : {})
+                        },
+                        mode: 'cors',
+                        cache: 'no-cache',
+                        credentials: 'omit',
+                        body: JSON.stringify(todo)
+                    });
+                    break;
+                case 'delete':
+                    response = await this.authorizedFetch(`${this.baseUrl}/${id}`, {
+                        method: 'DELETE',
+                        headers: {
+                            'Accept': 'application/json'
+                        },
+                        mode: 'cors',
+                        cache: 'no-cache',
+                        credentials: 'omit'
+                    });
+                    break;
+                case 'restore':
+                    response = await this.authorizedFetch(`${this.baseUrl}/${id}/restore`, {
+                        method: 'POST',
+                        headers: {
+                            'Accept': 'application/json'
+                        },
+                        mode: 'cors',
+                        cache: 'no-cache',
+                        credentials: 'omit'
+                    });
+                    break;
+                case 'toggle':
+                    response = await this.authorizedFetch(`${this.baseUrl}/${id}/toggle`, {
+                        method: 'PATCH',
+                        headers: {
+                            'Accept': 'application/json'
+                        },
+                        mode: 'cors',
+                        cache: 'no-cache',
+                        credentials: 'omit'
+                    });
+                    break;
+                case 'batch':
+                    response = await this.authorizedFetch(`${this.baseUrl}/batch`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json'
+                        },
+                        mode: 'cors',
+                        cache: 'no-cache',
+                        credentials: 'omit',
+                        body: JSON.stringify({ action, ids })
+                    });
+                    break;
+                case 'reorder':
+                    response = await this.authorizedFetch(`${this.baseUrl}/reorder`, {
+                        method: 'PATCH',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json'
+                        },
+                        mode: 'cors',
+                        cache: 'no-cache',
+                        credentials: 'omit',
+                        body: JSON.stringify({ positions })
+                    });
+                    break;
+                default:
+                    throw new Error(`Unknown mutation type: ${type}`);
+            }
+            
+            if (response.status === 412) {
+                // Someone else saved the todo first; the response is the todo as it is now
+                const error = new Error('This todo was changed by someone else');
+                error.status = response.status;
+                error.current = await response.json().catch(() => null);
+                throw error;
+            }
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Server error response:', errorText);
+                const error = new Error(`Error: ${response.status} - ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            if (type === 'update') {
+                return this.readVersion(response);
+            }
+            
+            return type === 'create' || type === 'restore' ? await response.json() : undefined;
+        } catch (error) {
+            console.error(`Failed to ${type} todo${id ? ` with ID ${id}` : ''}:`, error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Get the ID of the signed-in user, used to tie outbox entries to them
+ * @returns {string|null} User ID (the token's "sub" claim), or null if signed out
+ */
+function getSignedInUserId() {
+    const user = Auth.getUser();
+    return user ? user.id : null;
+}
+
+/**
+ * Check whether an error means the request never reached the server
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True for network failures
+ */
+function isNetworkError(error) {
+    // fetch rejects with a TypeError when the network is unreachable
+    return error instanceof TypeError;
+}
+
+/**
+ * Generate a UUID for a new todo
+ * 
+ * crypto.randomUUID is only available in secure contexts, and the S3
+ * website is served over plain HTTP, so fall back to getRandomValues.
+ * @returns {string} UUID v4 string
+ */
+function generateTodoId() {
+    if (window.crypto && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
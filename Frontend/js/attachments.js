@@ -0,0 +1,347 @@
+/**
+ * Files attached to a todo
+ *
+ * Each attachment is { id, fileName, contentType, size, uploadedAt }. The
+ * files themselves live in storage and are only reachable through
+ * short-lived URLs from the API.
+ */
+const Attachments = {
+    // Must match the API's limits (Attachments:MaxFileSizeBytes and MaxAttachments)
+    MAX_FILE_SIZE: 10 * 1024 * 1024,
+    MAX_ATTACHMENTS: 20,
+
+    // Images the API lets the browser show, used for thumbnails
+    IMAGE_TYPES: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+
+    /**
+     * Check whether an attachment can be shown as a thumbnail
+     * @param {Object} attachment - Attachment
+     * @returns {boolean} True for PNG, JPEG, GIF and WebP images
+     */
+    isImage(attachment) {
+        return this.IMAGE_TYPES.includes(attachment.contentType);
+    },
+
+    /**
+     * Format a file size for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size such as "512 B", "14 KB" or "2.5 MB"
+     */
+    formatSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+};
+
+/**
+ * Attachment panel for the edit page
+ *
+ * Files dropped on the drop zone or picked with the file input are uploaded
+ * straight away, each with its own progress bar; unlike the rest of the
+ * form, attachments do not wait for Save.
+ */
+class AttachmentPanel {
+    /**
+     * Initialize the attachment panel
+     * @param {Object} elements - Page elements
+     * @param {HTMLElement} elements.dropZone - Element files can be dropped on
+     * @param {HTMLInputElement} elements.input - File input for picking files
+     * @param {HTMLElement} elements.list - Container for the attachment rows
+     * @param {HTMLElement} elements.uploads - Container for the progress of running uploads
+     * @param {HTMLElement} elements.feedback - Invalid-feedback element for attachment errors
+     * @param {TodoApi} api - API service
+     * @param {Function} [onChange] - Called with the attachments and the todo's new version after every change
+     */
+    constructor({ dropZone, input, list, uploads, feedback }, api, onChange = () => {}) {
+        this.dropZone = dropZone;
+        this.input = input;
+        this.list = list;
+        this.uploads = uploads;
+        this.feedback = feedback;
+        this.api = api;
+        this.onChange = onChange;
+        this.todoId = null;
+        this.attachments = [];
+        this.pendingCount = 0;
+        this.disabled = true;
+
+        this.input.addEventListener('change', () => {
+            this.addFiles(this.input.files);
+            this.input.value = '';
+        });
+
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = this.disabled ? 'none' : 'copy';
+            this.dropZone.classList.toggle('dragover', !this.disabled);
+        });
+        this.dropZone.addEventListener('dragleave', (e) => {
+            if (!this.dropZone.contains(e.relatedTarget)) {
+                this.dropZone.classList.remove('dragover');
+            }
+        });
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.remove('dragover');
+            if (!this.disabled) {
+                this.addFiles(e.dataTransfer.files);
+            }
+        });
+    }
+
+    /**
+     * Show the attachments of a todo
+     * @param {string} todoId - Todo ID
+     * @param {Array} attachments - Attachments
+     */
+    setAttachments(todoId, attachments) {
+        this.todoId = todoId;
+        this.attachments = (attachments || []).map(attachment => ({ ...attachment }));
+        this.render();
+    }
+
+    /**
+     * Enable or disable the panel
+     * @param {boolean} disabled - Whether the panel is disabled
+     */
+    setDisabled(disabled) {
+        this.disabled = disabled;
+        this.input.disabled = disabled;
+        this.dropZone.classList.toggle('disabled', disabled);
+        this.list.querySelectorAll('button').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    /**
+     * Upload files, skipping those over the limits
+     * @param {FileList} files - Dropped or picked files
+     */
+    addFiles(files) {
+        this.clearError();
+
+        Array.from(files).forEach(file => {
+            if (file.size > Attachments.MAX_FILE_SIZE) {
+                this.showError(`"${file.name}" is larger than ${Attachments.formatSize(Attachments.MAX_FILE_SIZE)}.`);
+                return;
+            }
+
+            if (this.attachments.length + this.pendingCount >= Attachments.MAX_ATTACHMENTS) {
+                this.showError(`A todo can have at most ${Attachments.MAX_ATTACHMENTS} attachments.`);
+                return;
+            }
+
+            this.upload(file);
+        });
+    }
+
+    /**
+     * Upload one file, showing its progress until it is attached
+     * @param {File} file - File to upload
+     * @returns {Promise<void>}
+     */
+    async upload(file) {
+        const row = this.createProgressRow(file);
+        const bar = row.querySelector('.progress');
+        const percent = row.querySelector('.attachment-upload-percent');
+        this.uploads.appendChild(row);
+        this.pendingCount++;
+
+        try {
+            const { attachment, version } = await this.api.uploadAttachment(this.todoId, file, (fraction) => {
+                const value = Math.round(fraction * 100);
+                bar.setAttribute('aria-valuenow', value);
+                bar.firstElementChild.style.width = `${value}%`;
+                percent.textContent = `${value}%`;
+            });
+
+            this.attachments.push(attachment);
+            this.changed(version);
+        } catch (error) {
+            this.showError(`Failed to upload "${file.name}". ${error.message}`);
+        } finally {
+            this.pendingCount--;
+            row.remove();
+        }
+    }
+
+    /**
+     * Remove an attachment and delete its file
+     * @param {Object} attachment - Attachment
+     * @param {HTMLButtonElement} button - The remove button
+     * @returns {Promise<void>}
+     */
+    async remove(attachment, button) {
+        if (!confirm(`Delete "${attachment.fileName}"? This cannot be undone.`)) {
+            return;
+        }
+
+        button.disabled = true;
+        this.clearError();
+
+        try {
+            const version = await this.api.deleteAttachment(this.todoId, attachment.id);
+            this.attachments = this.attachments.filter(item => item.id !== attachment.id);
+            this.changed(version);
+        } catch (error) {
+            button.disabled = false;
+            this.showError(`Failed to delete "${attachment.fileName}". ${error.message}`);
+        }
+    }
+
+    /**
+     * Download an attachment
+     * @param {Object} attachment - Attachment
+     * @returns {Promise<void>}
+     */
+    async download(attachment) {
+        try {
+            const { url } = await this.api.getAttachmentUrl(this.todoId, attachment.id, { download: true });
+
+            // The URL makes the browser save the file, so the page stays open
+            window.location.href = url;
+        } catch (error) {
+            this.showError(`Failed to download "${attachment.fileName}". ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-render and notify the page after a change
+     * @param {number|null} version - The todo's version after the change
+     */
+    changed(version) {
+        this.render();
+        this.onChange(this.attachments.map(attachment => ({ ...attachment })), version);
+    }
+
+    /**
+     * Render the attachment rows
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        this.attachments.forEach(attachment => {
+            const row = document.createElement('li');
+            row.className = 'list-group-item d-flex align-items-center gap-2';
+
+            row.appendChild(this.createPreview(attachment));
+
+            const details = document.createElement('div');
+            details.className = 'flex-grow-1 text-truncate';
+            const name = document.createElement('a');
+            name.href = '#';
+            name.textContent = attachment.fileName;
+            name.title = `Download ${attachment.fileName}`;
+            name.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.download(attachment);
+            });
+            const size = document.createElement('small');
+            size.className = 'text-muted ms-2';
+            size.textContent = Attachments.formatSize(attachment.size);
+            details.appendChild(name);
+            details.appendChild(size);
+            row.appendChild(details);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'btn btn-sm btn-outline-danger';
+            removeButton.innerHTML = '<i class="bi bi-x-lg"></i>';
+            removeButton.setAttribute('aria-label', `Delete ${attachment.fileName}`);
+            removeButton.disabled = this.disabled;
+            removeButton.addEventListener('click', () => this.remove(attachment, removeButton));
+            row.appendChild(removeButton);
+
+            this.list.appendChild(row);
+        });
+
+        this.list.classList.toggle('d-none', this.attachments.length === 0);
+    }
+
+    /**
+     * Create the thumbnail of an image, or a file icon for anything else
+     * @param {Object} attachment - Attachment
+     * @returns {HTMLElement} Preview element
+     */
+    createPreview(attachment) {
+        if (!Attachments.isImage(attachment)) {
+            const icon = document.createElement('i');
+            icon.className = 'bi bi-file-earmark attachment-thumbnail attachment-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            return icon;
+        }
+
+        // The image opens full size in a new tab; its URL is only valid for a while, like the thumbnail's
+        const link = document.createElement('a');
+        link.className = 'attachment-thumbnail';
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        const image = document.createElement('img');
+        image.alt = attachment.fileName;
+        link.appendChild(image);
+
+        this.api.getAttachmentUrl(this.todoId, attachment.id)
+            .then(({ url }) => {
+                link.href = url;
+                image.src = url;
+            })
+            .catch(error => console.error(`Failed to load the thumbnail of ${attachment.fileName}:`, error));
+
+        return link;
+    }
+
+    /**
+     * Create the progress row of an upload
+     * @param {File} file - File being uploaded
+     * @returns {HTMLElement} Progress row
+     */
+    createProgressRow(file) {
+        const row = document.createElement('div');
+        row.className = 'attachment-upload mb-2';
+
+        const label = document.createElement('div');
+        label.className = 'd-flex justify-content-between small';
+        const name = document.createElement('span');
+        name.className = 'text-truncate me-2';
+        name.textContent = file.name;
+        const percent = document.createElement('span');
+        percent.className = 'attachment-upload-percent text-muted';
+        percent.textContent = '0%';
+        label.appendChild(name);
+        label.appendChild(percent);
+
+        const bar = document.createElement('div');
+        bar.className = 'progress';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-label', `Uploading ${file.name}`);
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        bar.setAttribute('aria-valuenow', '0');
+        bar.innerHTML = '<div class="progress-bar progress-bar-striped progress-bar-animated" style="width: 0%"></div>';
+
+        row.appendChild(label);
+        row.appendChild(bar);
+        return row;
+    }
+
+    /**
+     * Show an attachment error
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.feedback.textContent = message;
+        this.feedback.classList.add('d-block');
+    }
+
+    /**
+     * Clear the attachment error
+     */
+    clearError() {
+        this.feedback.classList.remove('d-block');
+    }
+}
@@ -0,0 +1,352 @@
+/**
+ * Sign-in with an OpenID Connect provider
+ *
+ * Uses the authorization code flow with PKCE. Tokens are kept in
+ * localStorage so every tab shares one session; the access token is
+ * refreshed with the refresh token when it expires or the API answers
+ * 401. Pages that are opened without a session redirect to the provider.
+ */
+const Auth = {
+    SESSION_KEY: 'todoAuthSession',
+    PENDING_KEY: 'todoAuthPending',
+    METADATA_KEY: 'todoAuthMetadata',
+
+    // Refresh this long before the access token actually expires
+    EXPIRY_MARGIN_MS: 30 * 1000,
+
+    refreshPromise: null,
+
+    /**
+     * Get the stored session
+     * @returns {Object|null} Session ({ accessToken, idToken, refreshToken, expiresAt }) or null
+     */
+    getSession() {
+        try {
+            return JSON.parse(localStorage.getItem(this.SESSION_KEY));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Store the tokens from a token endpoint response
+     * @param {Object} tokens - Token response (access_token, id_token, refresh_token, expires_in)
+     */
+    saveSession(tokens) {
+        const previous = this.getSession() || {};
+        localStorage.setItem(this.SESSION_KEY, JSON.stringify({
+            accessToken: tokens.access_token,
+            // Refresh responses may leave out the ID and refresh tokens
+            idToken: tokens.id_token || previous.idToken,
+            refreshToken: tokens.refresh_token || previous.refreshToken,
+            expiresAt: Date.now() + (tokens.expires_in || 3600) * 1000
+        }));
+    },
+
+    /**
+     * Check whether there is a session
+     * @returns {boolean} True if the user is signed in
+     */
+    isSignedIn() {
+        return this.getSession() !== null;
+    },
+
+    /**
+     * Get the signed-in user from the ID token
+     * @returns {Object|null} User ({ id, name, email }) or null
+     */
+    getUser() {
+        const session = this.getSession();
+        const claims = session && decodeJwtPayload(session.idToken || session.accessToken);
+        if (!claims) {
+            return null;
+        }
+
+        return {
+            id: claims.sub,
+            name: claims.name || claims.preferred_username || claims.email || 'Signed in',
+            email: claims.email || ''
+        };
+    },
+
+    /**
+     * Get the provider's endpoints from its discovery document
+     * @returns {Promise<Object>} OpenID provider metadata
+     */
+    async getMetadata() {
+        const cached = sessionStorage.getItem(this.METADATA_KEY);
+        if (cached) {
+            return JSON.parse(cached);
+        }
+
+        const response = await fetch(`${CONFIG.AUTH.ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`);
+        if (!response.ok) {
+            throw new Error(`Error: ${response.status} - ${response.statusText}`);
+        }
+
+        const metadata = await response.json();
+        sessionStorage.setItem(this.METADATA_KEY, JSON.stringify(metadata));
+        return metadata;
+    },
+
+    /**
+     * Get the URL the provider redirects back to
+     * @returns {string} Absolute URL of callback.html
+     */
+    getRedirectUri() {
+        return new URL('callback.html', window.location.href).href;
+    },
+
+    /**
+     * Redirect to the provider's sign-in page
+     * @param {string} [returnTo] - Page to return to after signing in
+     * @returns {Promise<void>}
+     */
+    async signIn(returnTo = window.location.href) {
+        const metadata = await this.getMetadata();
+        const verifier = randomUrlSafeString(32);
+        const state = randomUrlSafeString(16);
+        const challenge = await createCodeChallenge(verifier);
+
+        sessionStorage.setItem(this.PENDING_KEY, JSON.stringify({ verifier, state, returnTo }));
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: CONFIG.AUTH.CLIENT_ID,
+            redirect_uri: this.getRedirectUri(),
+            scope: CONFIG.AUTH.SCOPE,
+            state,
+            code_challenge: challenge.value,
+            code_challenge_method: challenge.method
+        });
+        window.location.assign(`${metadata.authorization_endpoint}?${params}`);
+    },
+
+    /**
+     * Finish signing in on callback.html by exchanging the code for tokens
+     * @returns {Promise<string>} Page to return to
+     * @throws {Error} If the provider returned an error or the exchange fails
+     */
+    async handleCallback() {
+        const params = new URLSearchParams(window.location.search);
+        const pending = JSON.parse(sessionStorage.getItem(this.PENDING_KEY) || 'null');
+        sessionStorage.removeItem(this.PENDING_KEY);
+
+        if (params.has('error')) {
+            throw new Error(params.get('error_description') || params.get('error'));
+        }
+
+        if (!pending || params.get('state') !== pending.state) {
+            throw new Error('The sign-in response does not match the sign-in request');
+        }
+
+        const tokens = await this.requestTokens({
+            grant_type: 'authorization_code',
+            code: params.get('code'),
+            redirect_uri: this.getRedirectUri(),
+            client_id: CONFIG.AUTH.CLIENT_ID,
+            code_verifier: pending.verifier
+        });
+        this.saveSession(tokens);
+
+        return pending.returnTo || 'index.html';
+    },
+
+    /**
+     * Get a current access token, refreshing it first if it has expired
+     * @returns {Promise<string|null>} Access token, or null when signed out
+     */
+    async getAccessToken() {
+        const session = this.getSession();
+        if (!session) {
+            return null;
+        }
+
+        if (Date.now() > session.expiresAt - this.EXPIRY_MARGIN_MS) {
+            await this.refresh();
+        }
+
+        const current = this.getSession();
+        return current ? current.accessToken : null;
+    },
+
+    /**
+     * Get a new access token with the refresh token
+     *
+     * Concurrent callers share one request. When the provider rejects the
+     * refresh token the session is cleared; network failures keep it so
+     * the app still works offline.
+     * @returns {Promise<boolean>} True if a new access token was stored
+     */
+    refresh() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+
+        this.refreshPromise = (async () => {
+            const session = this.getSession();
+            if (!session || !session.refreshToken) {
+                return false;
+            }
+
+            try {
+                const tokens = await this.requestTokens({
+                    grant_type: 'refresh_token',
+                    refresh_token: session.refreshToken,
+                    client_id: CONFIG.AUTH.CLIENT_ID
+                });
+                this.saveSession(tokens);
+                return true;
+            } catch (error) {
+                console.error('Failed to refresh the access token:', error);
+                if (!(error instanceof TypeError)) {
+                    localStorage.removeItem(this.SESSION_KEY);
+                }
+                return false;
+            } finally {
+                this.refreshPromise = null;
+            }
+        })();
+
+        return this.refreshPromise;
+    },
+
+    /**
+     * Call the provider's token endpoint
+     * @param {Object} fields - Form fields of the token request
+     * @returns {Promise<Object>} Token response
+     * @throws {Error} If the request fails
+     */
+    async requestTokens(fields) {
+        const metadata = await this.getMetadata();
+        const response = await fetch(metadata.token_endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json'
+            },
+            body: new URLSearchParams(fields)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Error: ${response.status} - ${response.statusText}`);
+        }
+
+        return await response.json();
+    },
+
+    /**
+     * Sign out, forget the cached todo lists and queued changes and end the provider session
+     * @returns {Promise<void>}
+     */
+    async signOut() {
+        const session = this.getSession();
+        localStorage.removeItem(this.SESSION_KEY);
+
+        // Cached API responses and queued changes belong to the user who is signing out
+        if (window.caches) {
+            const keys = await caches.keys();
+            await Promise.all(keys.filter(key => key.startsWith('todo-api-')).map(key => caches.delete(key)));
+        }
+        if (typeof TodoOutbox !== 'undefined') {
+            await new TodoOutbox().clear().catch(error => console.error('Failed to clear the offline outbox:', error));
+        }
+
+        const home = new URL('index.html', window.location.href).href;
+        try {
+            const metadata = await this.getMetadata();
+            if (metadata.end_session_endpoint) {
+                const params = new URLSearchParams({ post_logout_redirect_uri: home, client_id: CONFIG.AUTH.CLIENT_ID });
+                if (session && session.idToken) {
+                    params.set('id_token_hint', session.idToken);
+                }
+                window.location.assign(`${metadata.end_session_endpoint}?${params}`);
+                return;
+            }
+        } catch (error) {
+            console.error('Failed to end the provider session:', error);
+        }
+
+        window.location.assign(home);
+    },
+
+    /**
+     * Show the signed-in user in the navbar and wire up "Sign out"
+     */
+    renderUserMenu() {
+        const nameElement = document.getElementById('user-name');
+        const emailElement = document.getElementById('user-email');
+        const signOutButton = document.getElementById('sign-out-btn');
+        const user = this.getUser();
+
+        if (!nameElement || !user) {
+            return;
+        }
+
+        nameElement.textContent = user.name;
+        emailElement.textContent = user.email;
+        emailElement.closest('li').classList.toggle('d-none', !user.email);
+
+        signOutButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.signOut();
+        });
+    }
+};
+
+/**
+ * Decode the payload of a JWT without verifying it (the API does that)
+ * @param {string} token - JWT
+ * @returns {Object|null} Claims, or null if the token cannot be read
+ */
+function decodeJwtPayload(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const json = decodeURIComponent(Array.from(atob(payload), c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+        return JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Generate a random base64url string
+ * @param {number} byteLength - Number of random bytes
+ * @returns {string} base64url-encoded random bytes
+ */
+function randomUrlSafeString(byteLength) {
+    return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string
+ */
+function base64UrlEncode(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Create the PKCE code challenge for a verifier
+ *
+ * crypto.subtle is only available in secure contexts, so the plain S3
+ * website falls back to the "plain" method.
+ * @param {string} verifier - Code verifier
+ * @returns {Promise<Object>} Challenge ({ value, method })
+ */
+async function createCodeChallenge(verifier) {
+    if (!window.crypto || !crypto.subtle) {
+        return { value: verifier, method: 'plain' };
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return { value: base64UrlEncode(new Uint8Array(digest)), method: 'S256' };
+}
+
+// Every page except the sign-in callback needs a session
+if (!window.location.pathname.endsWith('/callback.html') && !Auth.isSignedIn() && navigator.onLine) {
+    Auth.signIn().catch(error => console.error('Failed to start sign-in:', error));
+}
+
+document.addEventListener('DOMContentLoaded', () => Auth.renderUserMenu());
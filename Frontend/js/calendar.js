@@ -0,0 +1,119 @@
+/**
+ * Subscribing to todos from a calendar app
+ *
+ * The API serves the user's todos with a due date as an iCalendar feed
+ * (one VTODO per todo) at a secret URL. Calendar apps poll that URL on
+ * their own schedule, so changes show up there after a while rather than
+ * straight away.
+ */
+class CalendarFeedDialog {
+    /**
+     * Initialize the calendar feed dialog
+     * @param {TodoApi} api - API service
+     */
+    constructor(api) {
+        this.api = api;
+
+        this.modalElement = document.getElementById('calendar-feed-modal');
+        this.modal = new bootstrap.Modal(this.modalElement);
+        this.urlInput = document.getElementById('calendar-feed-url');
+        this.copyButton = document.getElementById('calendar-feed-copy-btn');
+        this.resetButton = document.getElementById('calendar-feed-reset-btn');
+        this.status = document.getElementById('calendar-feed-status');
+        this.error = document.getElementById('calendar-feed-error');
+
+        this.copyButton.addEventListener('click', () => this.copy());
+        this.resetButton.addEventListener('click', () => this.reset());
+        this.urlInput.addEventListener('focus', () => this.urlInput.select());
+    }
+
+    /**
+     * Open the dialog and copy the feed URL
+     * @returns {Promise<void>}
+     */
+    async open() {
+        this.urlInput.value = '';
+        this.status.textContent = '';
+        this.clearError();
+        this.setBusy(true);
+        this.modal.show();
+
+        try {
+            const feed = await this.api.getCalendarFeed();
+            this.urlInput.value = feed.url;
+            await this.copy();
+        } catch (error) {
+            this.showError(`Failed to load the calendar feed. (Error: ${error.message})`);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * Copy the feed URL to the clipboard
+     * @returns {Promise<void>}
+     */
+    async copy() {
+        if (!this.urlInput.value) {
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(this.urlInput.value);
+            this.status.textContent = 'Copied. Paste it into your calendar app\'s "Subscribe" or "From URL" option.';
+        } catch (error) {
+            // Clipboard access can be refused; the URL is selected so it can be copied by hand
+            this.urlInput.focus();
+            this.status.textContent = 'Copy the link above and paste it into your calendar app.';
+        }
+    }
+
+    /**
+     * Replace the feed URL with a new one, so anyone who has the old one loses access
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        if (!confirm('Create a new link? Calendars subscribed with the current link stop updating.')) {
+            return;
+        }
+
+        this.clearError();
+        this.setBusy(true);
+
+        try {
+            await this.api.revokeCalendarFeed();
+            const feed = await this.api.getCalendarFeed();
+            this.urlInput.value = feed.url;
+            await this.copy();
+        } catch (error) {
+            this.showError(`Failed to reset the calendar link. (Error: ${error.message})`);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * Disable the buttons while a request is running
+     * @param {boolean} busy - True while busy
+     */
+    setBusy(busy) {
+        this.copyButton.disabled = busy;
+        this.resetButton.disabled = busy;
+    }
+
+    /**
+     * Show an error in the dialog
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.error.textContent = message;
+        this.error.classList.remove('d-none');
+    }
+
+    /**
+     * Hide the dialog's error
+     */
+    clearError() {
+        this.error.classList.add('d-none');
+    }
+}
@@ -0,0 +1,25 @@
+/**
+ * Sign-in callback page script
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    const signingIn = document.getElementById('signing-in');
+    const errorContainer = document.getElementById('error-container');
+    const errorMessage = document.getElementById('error-message');
+    const retryButton = document.getElementById('retry-sign-in-btn');
+    
+    try {
+        const returnTo = await Auth.handleCallback();
+        // Replace the callback URL so Back does not reuse the code
+        window.location.replace(returnTo);
+    } catch (error) {
+        console.error('Error signing in:', error);
+        signingIn.classList.add('d-none');
+        errorMessage.textContent = 'Failed to sign in. (Error: ' + error.message + ')';
+        errorContainer.classList.remove('d-none');
+    }
+    
+    retryButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        Auth.signIn(new URL('index.html', window.location.href).href);
+    });
+});
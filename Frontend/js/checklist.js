@@ -0,0 +1,226 @@
+/**
+ * Checklist items (subtasks) inside a todo
+ *
+ * Each item is { id, text, isCompleted } and the list keeps the order the
+ * items were added in.
+ */
+const Checklist = {
+    MAX_ITEMS: 50,
+    MAX_LENGTH: 100,
+
+    /**
+     * Count the ticked items of a checklist
+     * @param {Array} items - Checklist items
+     * @returns {Object} Progress ({ done, total })
+     */
+    getProgress(items) {
+        const list = items || [];
+        return {
+            done: list.filter(item => item.isCompleted).length,
+            total: list.length
+        };
+    },
+
+    /**
+     * Check whether every item of a non-empty checklist is ticked
+     * @param {Array} items - Checklist items
+     * @returns {boolean} True if the checklist is complete
+     */
+    isComplete(items) {
+        const { done, total } = this.getProgress(items);
+        return total > 0 && done === total;
+    }
+};
+
+/**
+ * Checklist editor for the edit page
+ *
+ * Items can be added, ticked, renamed and removed; changes are kept in
+ * memory and saved together with the rest of the form.
+ */
+class ChecklistEditor {
+    /**
+     * Initialize the checklist editor
+     * @param {Object} elements - Page elements
+     * @param {HTMLElement} elements.list - Container for the checklist rows
+     * @param {HTMLInputElement} elements.input - Text input for a new item
+     * @param {HTMLButtonElement} elements.addButton - Button that adds the typed item
+     * @param {HTMLElement} elements.progress - Element showing the "3/5" progress
+     * @param {HTMLElement} elements.feedback - Invalid-feedback element for checklist errors
+     * @param {Function} [onChange] - Called with the items after every change
+     */
+    constructor({ list, input, addButton, progress, feedback }, onChange = () => {}) {
+        this.list = list;
+        this.input = input;
+        this.addButton = addButton;
+        this.progress = progress;
+        this.feedback = feedback;
+        this.onChange = onChange;
+        this.items = [];
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                // Enter adds the item instead of submitting the form
+                e.preventDefault();
+                this.addFromInput();
+            }
+        });
+
+        this.addButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.addFromInput();
+        });
+    }
+
+    /**
+     * Replace the checklist items
+     * @param {Array} items - Checklist items
+     */
+    setItems(items) {
+        this.items = (items || []).map(item => ({ ...item }));
+        this.render();
+    }
+
+    /**
+     * Get the checklist items in order
+     * @returns {Array} Checklist items
+     */
+    getItems() {
+        return this.items
+            .map(item => ({ ...item, text: item.text.trim() }))
+            .filter(item => item.text);
+    }
+
+    /**
+     * Enable or disable the editor
+     * @param {boolean} disabled - Whether the editor is disabled
+     */
+    setDisabled(disabled) {
+        this.input.disabled = disabled;
+        this.addButton.disabled = disabled;
+        this.list.querySelectorAll('input, button').forEach(element => {
+            element.disabled = disabled;
+        });
+    }
+
+    /**
+     * Add the item typed in the input
+     */
+    addFromInput() {
+        const text = this.input.value.trim();
+        if (!text) {
+            return;
+        }
+
+        if (text.length > Checklist.MAX_LENGTH) {
+            this.showError(`Checklist items cannot be longer than ${Checklist.MAX_LENGTH} characters.`);
+            return;
+        }
+
+        if (this.items.length >= Checklist.MAX_ITEMS) {
+            this.showError(`A todo can have at most ${Checklist.MAX_ITEMS} checklist items.`);
+            return;
+        }
+
+        this.items.push({ id: generateTodoId(), text, isCompleted: false });
+        this.input.value = '';
+        this.clearError();
+        this.changed();
+        this.input.focus();
+    }
+
+    /**
+     * Remove an item
+     * @param {string} id - Item ID
+     */
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.changed();
+    }
+
+    /**
+     * Re-render and notify the page after a change
+     */
+    changed() {
+        this.render();
+        this.onChange(this.getItems());
+    }
+
+    /**
+     * Render the checklist rows and progress
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        this.items.forEach(item => {
+            const row = document.createElement('li');
+            row.className = 'list-group-item d-flex align-items-center';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input me-2 mt-0';
+            checkbox.checked = item.isCompleted;
+            checkbox.setAttribute('aria-label', `Done: ${item.text}`);
+            checkbox.addEventListener('change', () => {
+                item.isCompleted = checkbox.checked;
+                this.updateProgress();
+                this.onChange(this.getItems());
+            });
+
+            const text = document.createElement('input');
+            text.type = 'text';
+            text.className = 'form-control form-control-sm border-0';
+            text.maxLength = Checklist.MAX_LENGTH;
+            text.value = item.text;
+            text.setAttribute('aria-label', 'Checklist item');
+            text.addEventListener('input', () => {
+                item.text = text.value;
+            });
+            text.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.input.focus();
+                }
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'btn btn-sm btn-outline-danger ms-2';
+            removeButton.innerHTML = '<i class="bi bi-x-lg"></i>';
+            removeButton.setAttribute('aria-label', `Remove ${item.text}`);
+            removeButton.addEventListener('click', () => this.remove(item.id));
+
+            row.appendChild(checkbox);
+            row.appendChild(text);
+            row.appendChild(removeButton);
+            this.list.appendChild(row);
+        });
+
+        this.list.classList.toggle('d-none', this.items.length === 0);
+        this.updateProgress();
+    }
+
+    /**
+     * Show how many items are ticked
+     */
+    updateProgress() {
+        const { done, total } = Checklist.getProgress(this.items);
+        this.progress.textContent = total > 0 ? `${done}/${total}` : '';
+    }
+
+    /**
+     * Show a validation error for the checklist
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.feedback.textContent = message;
+        this.input.classList.add('is-invalid');
+    }
+
+    /**
+     * Clear the checklist validation error
+     */
+    clearError() {
+        this.input.classList.remove('is-invalid');
+    }
+}
@@ -6,7 +6,16 @@
  * 
  * After deployment, replace <your-api-id> with the actual API Gateway ID
  * from your CDK deployment output.
+ * 
+ * AUTH points at the OpenID Connect provider used for sign-in. CLIENT_ID
+ * must match the Auth__Audience the API is deployed with. For local
+ * development run stub_issuer.py and use http://localhost:9000.
  */
 const CONFIG = {
-    API_URL: 'https://<your-api-id>.execute-api.us-east-1.amazonaws.com/prod/api/todos'
+    API_URL: 'https://<your-api-id>.execute-api.us-east-1.amazonaws.com/prod/api/todos',
+    AUTH: {
+        ISSUER: 'http://localhost:9000',
+        CLIENT_ID: 'todo-frontend',
+        SCOPE: 'openid profile email offline_access'
+    }
 };
@@ -0,0 +1,240 @@
+/**
+ * Resolving edit conflicts
+ *
+ * The API rejects a save with 412 when someone else saved the todo after
+ * the edit started. TodoMerge works out what each side changed since then,
+ * and ConflictDialog shows "your version" next to "theirs" so the user can
+ * merge them field by field, overwrite theirs or discard their own changes.
+ */
+const TodoMerge = {
+    // Fields the edit page changes, in the order they are shown
+    FIELDS: [
+        { name: 'description', label: 'Description' },
+        { name: 'notes', label: 'Notes' },
+        { name: 'isCompleted', label: 'Completed' },
+        { name: 'dueAt', label: 'Due date' },
+        { name: 'priority', label: 'Priority' },
+        { name: 'tags', label: 'Tags' },
+        { name: 'recurrence', label: 'Repeats' },
+        { name: 'checklist', label: 'Checklist' },
+        { name: 'autoCompleteChecklist', label: 'Auto-complete' }
+    ],
+
+    /**
+     * Get a comparable form of a field value
+     * @param {string} name - Field name
+     * @param {*} value - Field value
+     * @returns {string} JSON that is equal for equal values
+     */
+    normalize(name, value) {
+        switch (name) {
+            case 'dueAt':
+                return JSON.stringify(value ? new Date(value).getTime() : null);
+            case 'isCompleted':
+            case 'autoCompleteChecklist':
+                return JSON.stringify(!!value);
+            case 'tags':
+            case 'checklist':
+                return JSON.stringify(value || []);
+            case 'priority':
+                return JSON.stringify(Priorities.normalize(value));
+            case 'notes':
+                return JSON.stringify((value || '').trim() || null);
+            case 'recurrence':
+                return JSON.stringify(value && value.rule ? [value.rule, value.timeZone || null] : null);
+            default:
+                return JSON.stringify(value ?? null);
+        }
+    },
+
+    /**
+     * Check whether two values of a field are the same
+     * @param {string} name - Field name
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if they are equal
+     */
+    isEqual(name, a, b) {
+        return this.normalize(name, a) === this.normalize(name, b);
+    },
+
+    /**
+     * Compare both versions with the one the edit started from
+     * @param {Object} base - Todo as it was loaded
+     * @param {Object} mine - Todo as the user wants to save it
+     * @param {Object} theirs - Todo as it is now saved
+     * @returns {Array} Fields that differ between mine and theirs ({ name, label, mine, theirs, suggested }),
+     *     where suggested is 'theirs' if only they changed the field and 'mine' otherwise
+     */
+    diff(base, mine, theirs) {
+        return this.FIELDS
+            .filter(field => !this.isEqual(field.name, mine[field.name], theirs[field.name]))
+            .map(field => ({
+                ...field,
+                mine: mine[field.name],
+                theirs: theirs[field.name],
+                suggested: this.isEqual(field.name, mine[field.name], base[field.name]) ? 'theirs' : 'mine'
+            }));
+    },
+
+    /**
+     * Build the todo to save from their version and the chosen values
+     * @param {Object} mine - Todo as the user wants to save it
+     * @param {Object} theirs - Todo as it is now saved
+     * @param {Object} choices - 'mine' or 'theirs' per field name; missing fields keep theirs
+     * @returns {Object} Merged todo
+     */
+    merge(mine, theirs, choices) {
+        const merged = { ...theirs };
+        this.FIELDS.forEach(field => {
+            if (choices[field.name] === 'mine') {
+                merged[field.name] = mine[field.name];
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Describe a field value for the dialog
+     * @param {string} name - Field name
+     * @param {*} value - Field value
+     * @returns {string} Text to show
+     */
+    format(name, value) {
+        switch (name) {
+            case 'dueAt':
+                return value ? DueDates.format(value) : 'None';
+            case 'isCompleted':
+            case 'autoCompleteChecklist':
+                return value ? 'Yes' : 'No';
+            case 'tags':
+                return value && value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : 'None';
+            case 'priority':
+                return Priorities.label(value);
+            case 'notes':
+                return value && value.trim() ? value : 'None';
+            case 'recurrence':
+                return Recurrence.describe(value) || 'Does not repeat';
+            case 'checklist':
+                return value && value.length > 0
+                    ? value.map(item => `${item.isCompleted ? '☑' : '☐'} ${item.text}`).join('\n')
+                    : 'None';
+            default:
+                return value || '';
+        }
+    }
+};
+
+/**
+ * Dialog for resolving a conflict on the edit page
+ */
+class ConflictDialog {
+    /**
+     * Initialize the conflict dialog
+     */
+    constructor() {
+        this.modalElement = document.getElementById('conflict-modal');
+        this.modal = new bootstrap.Modal(this.modalElement);
+        this.rows = document.getElementById('conflict-fields');
+        this.resolve = null;
+
+        document.getElementById('conflict-merge-btn').addEventListener('click', () => this.finish('merge'));
+        document.getElementById('conflict-overwrite-btn').addEventListener('click', () => this.finish('overwrite'));
+        document.getElementById('conflict-discard-btn').addEventListener('click', () => this.finish('discard'));
+
+        // Closing the dialog any other way goes back to editing
+        this.modalElement.addEventListener('hidden.bs.modal', () => this.finish(null));
+    }
+
+    /**
+     * Show the differences and wait for the user to decide
+     * @param {Object} base - Todo as it was loaded
+     * @param {Object} mine - Todo as the user wants to save it
+     * @param {Object} theirs - Todo as it is now saved
+     * @returns {Promise<Object|null>} { action: 'merge' | 'overwrite' | 'discard', todo }, or null to keep editing
+     */
+    open(base, mine, theirs) {
+        this.mine = mine;
+        this.theirs = theirs;
+        this.fields = TodoMerge.diff(base, mine, theirs);
+        this.render();
+        this.modal.show();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Render one row per differing field with a choice between both values
+     */
+    render() {
+        this.rows.innerHTML = '';
+
+        this.fields.forEach(field => {
+            const row = document.createElement('tr');
+
+            const label = document.createElement('th');
+            label.scope = 'row';
+            label.textContent = field.label;
+            row.appendChild(label);
+
+            ['mine', 'theirs'].forEach(side => {
+                const cell = document.createElement('td');
+                const option = document.createElement('div');
+                option.className = 'form-check';
+
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.className = 'form-check-input';
+                radio.name = `conflict-${field.name}`;
+                radio.id = `conflict-${field.name}-${side}`;
+                radio.value = side;
+                radio.checked = field.suggested === side;
+
+                const value = document.createElement('label');
+                value.className = 'form-check-label conflict-value';
+                value.htmlFor = radio.id;
+                value.textContent = TodoMerge.format(field.name, field[side]);
+
+                option.appendChild(radio);
+                option.appendChild(value);
+                cell.appendChild(option);
+                row.appendChild(cell);
+            });
+
+            this.rows.appendChild(row);
+        });
+    }
+
+    /**
+     * Close the dialog with the user's decision
+     * @param {string|null} action - 'merge', 'overwrite', 'discard' or null to keep editing
+     */
+    finish(action) {
+        if (!this.resolve) {
+            return;
+        }
+
+        const resolve = this.resolve;
+        this.resolve = null;
+
+        if (action === 'merge') {
+            const choices = {};
+            this.fields.forEach(field => {
+                const checked = this.rows.querySelector(`input[name="conflict-${field.name}"]:checked`);
+                choices[field.name] = checked ? checked.value : field.suggested;
+            });
+            resolve({ action, todo: TodoMerge.merge(this.mine, this.theirs, choices) });
+        } else if (action === 'overwrite') {
+            const choices = Object.fromEntries(TodoMerge.FIELDS.map(field => [field.name, 'mine']));
+            resolve({ action, todo: TodoMerge.merge(this.mine, this.theirs, choices) });
+        } else if (action === 'discard') {
+            resolve({ action, todo: this.theirs });
+        } else {
+            resolve(null);
+        }
+
+        this.modal.hide();
+    }
+}
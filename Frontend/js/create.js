@@ -9,6 +9,25 @@ document.addEventListener('DOMContentLoaded', () => {
     const createTodoForm = document.getElementById('create-todo-form');
     const todoDescription = document.getElementById('todo-description');
     const todoCompleted = document.getElementById('todo-completed');
+    const todoDueAt = document.getElementById('todo-due-at');
+    const todoPriority = document.getElementById('todo-priority');
+    const todoList = document.getElementById('todo-list');
+    const tagInput = new TagInput({
+        input: document.getElementById('todo-tags-input'),
+        chips: document.getElementById('todo-tags-chips'),
+        suggestions: document.getElementById('todo-tag-suggestions'),
+        feedback: document.getElementById('tags-validation')
+    });
+    const recurrencePicker = new RecurrencePicker({
+        select: document.getElementById('todo-recurrence'),
+        intervalGroup: document.getElementById('todo-recurrence-interval-group'),
+        interval: document.getElementById('todo-recurrence-interval'),
+        unit: document.getElementById('todo-recurrence-unit'),
+        weekdays: document.getElementById('todo-recurrence-weekdays'),
+        rule: document.getElementById('todo-recurrence-rule'),
+        summary: document.getElementById('todo-recurrence-summary'),
+        feedback: document.getElementById('recurrence-validation')
+    });
     const errorContainer = document.getElementById('error-container');
     const errorMessage = document.getElementById('error-message');
     const submitButton = document.querySelector('button[type="submit"]');
@@ -17,6 +36,43 @@ document.addEventListener('DOMContentLoaded', () => {
     // Focus on the description field when the page loads
     todoDescription.focus();
     
+    // Suggest tags that are already in use
+    tagInput.loadSuggestions(api);
+    
+    // New todos go to the list selected on the list page unless another one is picked
+    loadLists();
+    
+    /**
+     * Fill the list selector with the lists the user can add to, defaulting to the currently selected list
+     */
+    async function loadLists() {
+        const current = CurrentList.get();
+        let lists;
+        
+        try {
+            lists = await api.getLists();
+        } catch (error) {
+            console.error('Error loading lists:', error);
+            lists = [];
+        }
+        
+        if (!lists.some(list => list.id === current.id)) {
+            lists.unshift(current);
+        }
+        
+        // Todos cannot be added to lists shared with the user as a viewer
+        lists = lists.filter(list => list.role !== 'viewer');
+        
+        todoList.innerHTML = '';
+        lists.forEach(list => {
+            const option = document.createElement('option');
+            option.value = list.id;
+            option.textContent = list.name;
+            option.selected = list.id === current.id;
+            todoList.appendChild(option);
+        });
+    }
+    
     /**
      * Create a new todo
      * @param {Event} event - Form submit event
@@ -30,6 +86,14 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
+        if (!tagInput.validate()) {
+            return;
+        }
+        
+        if (!recurrencePicker.validate()) {
+            return;
+        }
+        
         // Show saving state on button
         submitButton.disabled = true;
         submitButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Creating...';
@@ -38,7 +102,12 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             const newTodo = {
                 description: description,
-                isCompleted: todoCompleted.checked
+                isCompleted: todoCompleted.checked,
+                dueAt: DueDates.fromInputValue(todoDueAt.value),
+                tags: tagInput.getTags(),
+                priority: Priorities.toApiValue(todoPriority.value),
+                recurrence: recurrencePicker.getValue(),
+                listId: todoList.value || CurrentList.get().id
             };
             
             // Store the new todo in localStorage for immediate display on the list page
@@ -0,0 +1,59 @@
+/**
+ * Helpers for working with todo due dates
+ *
+ * Due dates are stored by the API as UTC ISO strings and edited with
+ * datetime-local inputs, which work in the browser's local time.
+ */
+const DueDates = {
+    /**
+     * Convert an ISO date string to a datetime-local input value
+     * @param {string|null} iso - ISO date string
+     * @returns {string} Value in YYYY-MM-DDTHH:mm local time, or '' if not set
+     */
+    toInputValue(iso) {
+        if (!iso) {
+            return '';
+        }
+        
+        const date = new Date(iso);
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    },
+
+    /**
+     * Convert a datetime-local input value to an ISO date string
+     * @param {string} value - Value in YYYY-MM-DDTHH:mm local time
+     * @returns {string|null} ISO date string, or null if empty
+     */
+    fromInputValue(value) {
+        return value ? new Date(value).toISOString() : null;
+    },
+
+    /**
+     * Work out how urgent a todo is
+     * @param {Object} todo - Todo object
+     * @param {Date} [now] - Current time
+     * @returns {string|null} 'overdue', 'today', or null if neither (or completed)
+     */
+    getStatus(todo, now = new Date()) {
+        if (!todo.dueAt || todo.isCompleted) {
+            return null;
+        }
+        
+        const due = new Date(todo.dueAt);
+        if (due < now) {
+            return 'overdue';
+        }
+        
+        return due.toDateString() === now.toDateString() ? 'today' : null;
+    },
+
+    /**
+     * Format a due date for display
+     * @param {string} iso - ISO date string
+     * @returns {string} Localized date and time
+     */
+    format(iso) {
+        return new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+};
@@ -9,11 +9,69 @@ document.addEventListener('DOMContentLoaded', () => {
     const editTodoForm = document.getElementById('edit-todo-form');
     const todoId = document.getElementById('todo-id');
     const todoDescription = document.getElementById('todo-description');
+    const todoNotes = document.getElementById('todo-notes');
+    const todoNotesPreviewTab = document.getElementById('todo-notes-preview-tab');
+    const todoNotesPreview = document.getElementById('todo-notes-preview-content');
     const todoCompleted = document.getElementById('todo-completed');
+    const todoDueAt = document.getElementById('todo-due-at');
+    const todoPriority = document.getElementById('todo-priority');
+    const tagInput = new TagInput({
+        input: document.getElementById('todo-tags-input'),
+        chips: document.getElementById('todo-tags-chips'),
+        suggestions: document.getElementById('todo-tag-suggestions'),
+        feedback: document.getElementById('tags-validation')
+    });
+    const recurrencePicker = new RecurrencePicker({
+        select: document.getElementById('todo-recurrence'),
+        intervalGroup: document.getElementById('todo-recurrence-interval-group'),
+        interval: document.getElementById('todo-recurrence-interval'),
+        unit: document.getElementById('todo-recurrence-unit'),
+        weekdays: document.getElementById('todo-recurrence-weekdays'),
+        rule: document.getElementById('todo-recurrence-rule'),
+        summary: document.getElementById('todo-recurrence-summary'),
+        feedback: document.getElementById('recurrence-validation')
+    });
+    const todoChecklistAutoComplete = document.getElementById('todo-checklist-autocomplete');
+    const checklistEditor = new ChecklistEditor({
+        list: document.getElementById('todo-checklist'),
+        input: document.getElementById('todo-checklist-input'),
+        addButton: document.getElementById('todo-checklist-add-btn'),
+        progress: document.getElementById('todo-checklist-progress'),
+        feedback: document.getElementById('checklist-validation')
+    }, completeWhenChecklistDone);
+    const attachmentPanel = new AttachmentPanel({
+        dropZone: document.getElementById('todo-attachments-drop'),
+        input: document.getElementById('todo-attachments-input'),
+        list: document.getElementById('todo-attachments'),
+        uploads: document.getElementById('todo-attachment-uploads'),
+        feedback: document.getElementById('attachments-validation')
+    }, api, keepAttachments);
     const errorContainer = document.getElementById('error-container');
     const errorMessage = document.getElementById('error-message');
     const submitButton = document.querySelector('button[type="submit"]');
     const backButton = document.querySelector('a.btn-outline-secondary');
+    const conflictDialog = new ConflictDialog();
+    const historyPanel = document.getElementById('todo-history');
+    const historyList = document.getElementById('todo-history-list');
+    const historyEmpty = document.getElementById('todo-history-empty');
+    const historyLoading = document.getElementById('todo-history-loading');
+    
+    // How each kind of history event is described
+    const HISTORY_ACTIONS = {
+        created: 'Created',
+        updated: 'Edited',
+        completed: 'Completed',
+        reopened: 'Marked pending',
+        deleted: 'Deleted',
+        restored: 'Restored',
+        reverted: 'Reverted'
+    };
+    
+    // The todo as it was loaded; its version is sent with the save so concurrent edits are detected
+    let loadedTodo = null;
+    
+    // An offline change the outbox could not deliver because someone else saved the todo first
+    let queuedConflict = null;
     
     // Get todo ID from URL
     const urlParams = new URLSearchParams(window.location.search);
@@ -26,6 +84,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Load todo data
     loadTodo(id);
     
+    // Suggest tags that are already in use
+    tagInput.loadSuggestions(api);
+    
     /**
      * Load todo data
      * @param {string} id - Todo ID
@@ -34,35 +95,118 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             // Show loading state
             todoDescription.disabled = true;
+            todoNotes.disabled = true;
             todoCompleted.disabled = true;
+            todoDueAt.disabled = true;
+            todoPriority.disabled = true;
+            tagInput.setDisabled(true);
+            recurrencePicker.setDisabled(true);
+            checklistEditor.setDisabled(true);
+            attachmentPanel.setDisabled(true);
+            todoChecklistAutoComplete.disabled = true;
             submitButton.disabled = true;
             submitButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Loading...';
             
-            const todo = await api.getTodoById(id);
-            
-            todoId.value = todo.id;
-            todoDescription.value = todo.description;
-            todoCompleted.checked = todo.isCompleted;
+            loadedTodo = await api.getTodoById(id);
+            fillForm(loadedTodo);
             
             // Hide loading state
             todoDescription.disabled = false;
+            todoNotes.disabled = false;
             todoCompleted.disabled = false;
+            todoDueAt.disabled = false;
+            todoPriority.disabled = false;
+            tagInput.setDisabled(false);
+            recurrencePicker.setDisabled(false);
+            checklistEditor.setDisabled(false);
+            attachmentPanel.setDisabled(false);
+            todoChecklistAutoComplete.disabled = false;
             submitButton.disabled = false;
             submitButton.innerHTML = '<i class="bi bi-save"></i> Save';
             
             // Focus on the description field
             todoDescription.focus();
+            
+            // Offer to merge an offline change that clashed with someone else's
+            const conflicted = await api.getConflictedUpdate(id);
+            if (conflicted) {
+                await resolveQueuedConflict(conflicted);
+            }
         } catch (error) {
             console.error('Error loading todo:', error);
             showError('Failed to load todo. Please try again.');
             
             // Enable form elements but keep submit button disabled
             todoDescription.disabled = false;
+            todoNotes.disabled = false;
             todoCompleted.disabled = false;
+            todoDueAt.disabled = false;
+            todoPriority.disabled = false;
+            tagInput.setDisabled(false);
+            recurrencePicker.setDisabled(false);
+            checklistEditor.setDisabled(false);
+            todoChecklistAutoComplete.disabled = false;
             submitButton.innerHTML = '<i class="bi bi-save"></i> Save';
         }
     }
     
+    /**
+     * Show a todo in the form
+     * @param {Object} todo - Todo object
+     */
+    function fillForm(todo) {
+        todoId.value = todo.id;
+        todoDescription.value = todo.description;
+        todoNotes.value = todo.notes || '';
+        todoCompleted.checked = todo.isCompleted;
+        todoDueAt.value = DueDates.toInputValue(todo.dueAt);
+        todoPriority.value = Priorities.normalize(todo.priority);
+        tagInput.setTags(todo.tags);
+        recurrencePicker.setValue(todo.recurrence);
+        checklistEditor.setItems(todo.checklist);
+        todoChecklistAutoComplete.checked = !!todo.autoCompleteChecklist;
+        attachmentPanel.setAttachments(todo.id, todo.attachments);
+        renderNotesPreview();
+    }
+    
+    /**
+     * Keep the loaded todo current after an attachment was added or removed (attachments are
+     * saved straight away; the API ignores them when the rest of the form is saved)
+     * @param {Array} attachments - Attachments
+     * @param {number|null} version - The todo's version after the change
+     */
+    function keepAttachments(attachments, version) {
+        if (!loadedTodo) {
+            return;
+        }
+        
+        loadedTodo.attachments = attachments;
+        
+        // Only our own change happened since the todo was loaded, so saving the form is no conflict
+        if (version != null && version === loadedTodo.version + 1) {
+            loadedTodo.version = version;
+        }
+    }
+    
+    /**
+     * Show the notes as they will appear on the list page
+     */
+    function renderNotesPreview() {
+        const hasNotes = todoNotes.value.trim() !== '';
+        todoNotesPreview.classList.toggle('text-muted', !hasNotes);
+        todoNotesPreview.replaceChildren(hasNotes ? Markdown.render(todoNotes.value) : 'Nothing to preview.');
+    }
+    
+    /**
+     * Tick "Completed" once every checklist item is done, if the todo is set to auto-complete
+     * (the API applies the same rule when the todo is saved)
+     */
+    function completeWhenChecklistDone() {
+        if (todoChecklistAutoComplete.checked && Checklist.isComplete(checklistEditor.getItems())) {
+            todoCompleted.checked = true;
+        }
+    }
+    
     /**
      * Update todo
      * @param {Event} event - Form submit event
@@ -76,37 +220,260 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
+        if (!tagInput.validate()) {
+            return;
+        }
+        
+        if (!recurrencePicker.validate()) {
+            return;
+        }
+        
+        // Fields the page does not edit (list, position, created date...) are sent back unchanged
+        await saveTodo({
+            ...loadedTodo,
+            id: todoId.value,
+            description: description,
+            notes: todoNotes.value.trim() ? todoNotes.value : null,
+            isCompleted: todoCompleted.checked,
+            dueAt: DueDates.fromInputValue(todoDueAt.value),
+            tags: tagInput.getTags(),
+            priority: Priorities.toApiValue(todoPriority.value),
+            recurrence: recurrencePicker.getValue(),
+            checklist: checklistEditor.getItems(),
+            autoCompleteChecklist: todoChecklistAutoComplete.checked
+        });
+    }
+    
+    /**
+     * Save a todo and return to the list, or resolve a conflict if someone else saved it first
+     * @param {Object} updatedTodo - Todo to save
+     */
+    async function saveTodo(updatedTodo) {
         // Show saving state on button
         submitButton.disabled = true;
         submitButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Saving...';
         backButton.classList.add('disabled');
         
         try {
-            const updatedTodo = {
-                id: todoId.value,
-                description: description,
-                isCompleted: todoCompleted.checked
-            };
+            // The form now holds the offline change, so it must not be replayed as well
+            await dropQueuedConflict();
+            
+            // Send the update to the API
+            await api.updateTodo(updatedTodo.id, updatedTodo, { version: loadedTodo.version });
             
             // Store the updated todo in localStorage for immediate display on the list page
             localStorage.setItem('updatedTodo', JSON.stringify(updatedTodo));
             
-            // Send the update to the API
-            await api.updateTodo(updatedTodo.id, updatedTodo);
-            
             // Redirect back to the list page
             window.location.href = 'index.html';
         } catch (error) {
-            console.error('Error updating todo:', error);
-            showError('Failed to update todo. Please try again.');
+            resetSaveButton();
             
-            // Reset button state
-            submitButton.disabled = false;
-            submitButton.innerHTML = '<i class="bi bi-save"></i> Save';
-            backButton.classList.remove('disabled');
+            if (error.status === 412 && error.current) {
+                await resolveConflict(updatedTodo, error.current);
+            } else if (error.status === 412) {
+                showError('This todo was deleted by someone else while you were editing it.');
+            } else {
+                console.error('Error updating todo:', error);
+                showError('Failed to update todo. Please try again.');
+            }
         }
     }
     
+    /**
+     * Let the user merge their changes with the version someone else saved
+     * @param {Object} mine - Todo the user tried to save
+     * @param {Object} theirs - Todo as it is now saved
+     */
+    async function resolveConflict(mine, theirs) {
+        // Nothing on this page differs (the todo was only moved or reordered), so save on top of theirs
+        if (TodoMerge.diff(loadedTodo, mine, theirs).length === 0) {
+            loadedTodo = theirs;
+            await saveTodo(TodoMerge.merge(mine, theirs, {}));
+            return;
+        }
+        
+        const resolution = await conflictDialog.open(loadedTodo, mine, theirs);
+        if (!resolution) {
+            return;
+        }
+        
+        await dropQueuedConflict();
+        
+        // From now on the edit builds on their version
+        loadedTodo = theirs;
+        fillForm(resolution.todo);
+        
+        if (resolution.action !== 'discard') {
+            await saveTodo(resolution.todo);
+        }
+    }
+    
+    /**
+     * Resolve an offline change that the outbox could not deliver
+     * @param {Object} mutation - Queued update; the todo loaded from the API is the version it clashed with
+     */
+    async function resolveQueuedConflict(mutation) {
+        queuedConflict = mutation;
+        
+        // Show the offline change so that closing the dialog to keep editing does not lose it;
+        // attachments and the version always come from the API
+        const mine = { ...loadedTodo, ...mutation.todo, attachments: loadedTodo.attachments, version: loadedTodo.version };
+        fillForm(mine);
+        
+        if (TodoMerge.diff(loadedTodo, mine, loadedTodo).length === 0) {
+            await dropQueuedConflict();
+            return;
+        }
+        
+        // What the offline change started from is not known, so every difference suggests keeping it
+        await resolveConflict(mine, loadedTodo);
+    }
+    
+    /**
+     * Take the offline change out of the outbox once it is resolved, so the changes queued after it are sent
+     * @returns {Promise<void>}
+     */
+    async function dropQueuedConflict() {
+        if (!queuedConflict) {
+            return;
+        }
+        
+        const mutation = queuedConflict;
+        queuedConflict = null;
+        await api.discardQueuedMutation(mutation);
+    }
+    
+    /**
+     * Put the save button back after a failed save
+     */
+    function resetSaveButton() {
+        submitButton.disabled = false;
+        submitButton.innerHTML = '<i class="bi bi-save"></i> Save';
+        backButton.classList.remove('disabled');
+    }
+    
+    /**
+     * Load the history of the todo and show it as a timeline
+     */
+    async function loadHistory() {
+        historyLoading.classList.remove('d-none');
+        historyEmpty.classList.add('d-none');
+        
+        try {
+            renderHistory(await api.getTodoHistory(id));
+        } catch (error) {
+            console.error('Error loading the todo history:', error);
+            historyList.innerHTML = '';
+            showError('Failed to load the history. Please try again. (Error: ' + error.message + ')');
+        } finally {
+            historyLoading.classList.add('d-none');
+        }
+    }
+    
+    /**
+     * Render the history timeline
+     * @param {Array} events - History events, most recent first
+     */
+    function renderHistory(events) {
+        historyList.innerHTML = '';
+        events.forEach((todoEvent, index) => {
+            // The most recent event is the version in the form already
+            historyList.appendChild(createHistoryElement(todoEvent, index > 0));
+        });
+        historyEmpty.classList.toggle('d-none', events.length > 0);
+    }
+    
+    /**
+     * Create a history timeline entry
+     * @param {Object} todoEvent - History event
+     * @param {boolean} canRevert - Whether to offer reverting to this version
+     * @returns {HTMLElement} Timeline entry element
+     */
+    function createHistoryElement(todoEvent, canRevert) {
+        const template = document.getElementById('history-item-template');
+        const historyElement = template.content.cloneNode(true).querySelector('.history-item');
+        const user = Auth.getUser();
+        
+        historyElement.querySelector('.history-action').textContent = HISTORY_ACTIONS[todoEvent.action] || todoEvent.action;
+        historyElement.querySelector('.history-actor').textContent = user && user.id === todoEvent.actorId
+            ? 'you'
+            : todoEvent.actorEmail || 'someone';
+        
+        const time = historyElement.querySelector('.history-time');
+        time.textContent = new Date(todoEvent.at).toLocaleString();
+        time.title = `Version ${todoEvent.version}`;
+        
+        const changes = historyElement.querySelector('.history-changes');
+        (todoEvent.changes || []).forEach(change => {
+            const text = describeChange(change, todoEvent.action === 'created');
+            if (text) {
+                const item = document.createElement('li');
+                item.textContent = text;
+                changes.appendChild(item);
+            }
+        });
+        
+        const revertButton = historyElement.querySelector('.history-revert-btn');
+        if (canRevert) {
+            revertButton.addEventListener('click', () => revertTo(todoEvent, revertButton));
+        } else {
+            revertButton.remove();
+        }
+        
+        return historyElement;
+    }
+    
+    /**
+     * Describe a changed field for the timeline
+     * @param {Object} change - Change ({ field, before, after }) with the values as JSON
+     * @param {boolean} created - Whether the todo was created by this event
+     * @returns {string|null} Description, or null for fields a new todo left empty
+     */
+    function describeChange(change, created) {
+        const field = TodoMerge.FIELDS.find(item => item.name === change.field);
+        const label = field ? field.label : change.field;
+        const after = change.after == null ? null : JSON.parse(change.after);
+        
+        if (created || change.before == null) {
+            const isEmpty = !after || (Array.isArray(after) && after.length === 0);
+            return isEmpty ? null : `${label}: ${TodoMerge.format(change.field, after)}`;
+        }
+        
+        const before = JSON.parse(change.before);
+        return `${label}: ${TodoMerge.format(change.field, before)} → ${TodoMerge.format(change.field, after)}`;
+    }
+    
+    /**
+     * Revert the todo to the version recorded by a history event
+     * @param {Object} todoEvent - History event
+     * @param {HTMLButtonElement} button - The revert button
+     */
+    async function revertTo(todoEvent, button) {
+        if (!confirm(`Revert this todo to how it was on ${new Date(todoEvent.at).toLocaleString()}? Unsaved changes in the form are lost.`)) {
+            return;
+        }
+        
+        button.disabled = true;
+        
+        try {
+            loadedTodo = await api.revertTodo(id, todoEvent.id, { version: loadedTodo ? loadedTodo.version : undefined });
+            fillForm(loadedTodo);
+            errorContainer.classList.add('d-none');
+        } catch (error) {
+            if (error.status === 412 && error.current) {
+                loadedTodo = error.current;
+                fillForm(loadedTodo);
+                showError('Someone else changed this todo in the meantime. The form now shows their version; revert again if you still want to.');
+            } else {
+                console.error('Error reverting todo:', error);
+                showError('Failed to revert the todo. Please try again. (Error: ' + error.message + ')');
+            }
+        }
+        
+        loadHistory();
+    }
+    
     /**
      * Show error message
      * @param {string} message - Error message
@@ -118,6 +485,13 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Event listeners
     editTodoForm.addEventListener('submit', updateTodo);
+    todoChecklistAutoComplete.addEventListener('change', completeWhenChecklistDone);
+    
+    // Render the notes when the preview tab is opened
+    todoNotesPreviewTab.addEventListener('show.bs.tab', renderNotesPreview);
+    
+    // Load the history when the panel is opened, so it is current every time
+    historyPanel.addEventListener('show.bs.collapse', loadHistory);
     
     // Input validation
     todoDescription.addEventListener('input', () => {
@@ -0,0 +1,600 @@
+/**
+ * Moving todos between the app, spreadsheets and GitHub checklists
+ *
+ * TodoExport writes todos as JSON (every field), CSV or a Markdown
+ * checklist, and TodoImport reads the same three formats back. Checklist
+ * items become indented sub-items in Markdown and are joined with " | "
+ * in CSV. CSV cells that a spreadsheet would run as a formula are written
+ * with a leading ', which TodoImport removes again.
+ */
+const TodoExport = {
+    FORMATS: {
+        json: { extension: 'json', type: 'application/json' },
+        csv: { extension: 'csv', type: 'text/csv' },
+        markdown: { extension: 'md', type: 'text/markdown' }
+    },
+
+    // CSV columns, in order; TodoImport reads the same names from the header row
+    CSV_COLUMNS: ['description', 'isCompleted', 'dueAt', 'tags', 'priority', 'checklist', 'notes', 'createdAt'],
+
+    // Cells a spreadsheet runs as a formula; descriptions and notes may come from collaborators.
+    // Leading 's are included so a value that already starts with one survives the round trip.
+    FORMULA_PATTERN: /^'*[=+\-@\t\r]/,
+
+    /**
+     * Serialize todos in one of the export formats
+     * @param {Array} todos - Todos as returned by the API
+     * @param {string} format - 'json', 'csv' or 'markdown'
+     * @returns {string} File contents
+     */
+    serialize(todos, format) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(todos.map(({ pending, ...todo }) => todo), null, 2);
+            case 'csv':
+                return this.toCsv(todos);
+            case 'markdown':
+                return this.toMarkdown(todos);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    },
+
+    /**
+     * Write todos as CSV with a header row
+     * @param {Array} todos - Todos
+     * @returns {string} CSV text
+     */
+    toCsv(todos) {
+        const rows = todos.map(todo => [
+            todo.description,
+            todo.isCompleted ? 'true' : 'false',
+            todo.dueAt || '',
+            (todo.tags || []).join(' '),
+            todo.priority || '',
+            (todo.checklist || []).map(item => `${item.isCompleted ? '[x]' : '[ ]'} ${item.text}`).join(' | '),
+            todo.notes || '',
+            todo.createdAt || ''
+        ]);
+        return [this.CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => this.csvCell(value)).join(','))
+            .join('\r\n');
+    },
+
+    /**
+     * Quote a CSV cell when it needs it, and keep spreadsheets from running it as a formula
+     * @param {string} value - Cell value
+     * @returns {string} Cell as written to the file
+     */
+    csvCell(value) {
+        const text = String(value ?? '');
+        if (this.FORMULA_PATTERN.test(text)) {
+            return `"'${text.replace(/"/g, '""')}"`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Write todos as a Markdown checklist
+     * @param {Array} todos - Todos
+     * @returns {string} Markdown text
+     */
+    toMarkdown(todos) {
+        const checkbox = item => (item.isCompleted ? '[x]' : '[ ]');
+        return todos
+            .map(todo => [
+                `- ${checkbox(todo)} ${todo.description}`,
+                ...(todo.checklist || []).map(item => `  - ${checkbox(item)} ${item.text}`)
+            ].join('\n'))
+            .join('\n') + '\n';
+    },
+
+    /**
+     * Save todos to a file in the browser's downloads
+     * @param {Array} todos - Todos
+     * @param {string} format - 'json', 'csv' or 'markdown'
+     */
+    download(todos, format) {
+        const { extension, type } = this.FORMATS[format];
+        const blob = new Blob([this.serialize(todos, format)], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `todos-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+const TodoImport = {
+    MAX_ITEMS: 1000,
+    MAX_DESCRIPTION_LENGTH: 100,
+    MAX_NOTES_LENGTH: 10000,
+
+    /**
+     * Guess the format of a file from its name and contents
+     * @param {string} text - File contents
+     * @param {string} [fileName] - File name
+     * @returns {string} 'json', 'csv' or 'markdown'
+     */
+    detectFormat(text, fileName = '') {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (extension === 'json') {
+            return 'json';
+        }
+        if (extension === 'csv') {
+            return 'csv';
+        }
+        if (extension === 'md' || extension === 'markdown') {
+            return 'markdown';
+        }
+
+        const start = text.trimStart();
+        if (start.startsWith('[') || start.startsWith('{')) {
+            return 'json';
+        }
+        return /^\s*[-*+]\s+\[[ xX]\]/m.test(text) ? 'markdown' : 'csv';
+    },
+
+    /**
+     * Parse a file into todos
+     * @param {string} text - File contents
+     * @param {string} format - 'json', 'csv' or 'markdown'
+     * @returns {Array} Todos ({ description, isCompleted, dueAt, tags, checklist, ... })
+     * @throws {Error} If the file cannot be read in that format
+     */
+    parse(text, format) {
+        switch (format) {
+            case 'json':
+                return this.parseJson(text);
+            case 'csv':
+                return this.parseCsv(text);
+            case 'markdown':
+                return this.parseMarkdown(text);
+            default:
+                throw new Error(`Unknown import format: ${format}`);
+        }
+    },
+
+    /**
+     * Read todos from a JSON array, or an object with an items array
+     * @param {string} text - JSON text
+     * @returns {Array} Todos
+     * @throws {Error} If the text is not such JSON
+     */
+    parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        const items = Array.isArray(data) ? data : data && data.items;
+        if (!Array.isArray(items)) {
+            throw new Error('The JSON must be an array of todos.');
+        }
+
+        return items
+            .filter(item => item && typeof item === 'object')
+            .map(item => this.toTodo({
+                description: item.description,
+                isCompleted: item.isCompleted,
+                dueAt: item.dueAt,
+                tags: item.tags,
+                priority: item.priority,
+                checklist: item.checklist,
+                autoCompleteChecklist: item.autoCompleteChecklist,
+                notes: item.notes,
+                recurrence: item.recurrence,
+                createdAt: item.createdAt
+            }));
+    },
+
+    /**
+     * Read todos from CSV whose header row names the columns
+     *
+     * Only the description column is required; the others are the ones
+     * TodoExport writes, matched case-insensitively.
+     * @param {string} text - CSV text
+     * @returns {Array} Todos
+     * @throws {Error} If there is no description column
+     */
+    parseCsv(text) {
+        const [header, ...rows] = this.readCsvRows(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (!header) {
+            return [];
+        }
+
+        const columns = header.map(name => name.trim().toLowerCase());
+        const column = name => columns.indexOf(name.toLowerCase());
+        if (column('description') === -1) {
+            throw new Error('The CSV needs a header row with a "description" column.');
+        }
+
+        const value = (row, name) => (column(name) === -1 ? '' : this.unescapeCsvCell(row[column(name)] || ''));
+        const cell = (row, name) => value(row, name).trim();
+        return rows.map(row => this.toTodo({
+            description: cell(row, 'description'),
+            isCompleted: /^(true|yes|1|x)$/i.test(cell(row, 'isCompleted')),
+            dueAt: cell(row, 'dueAt') || null,
+            tags: cell(row, 'tags').split(/[\s,]+/),
+            priority: cell(row, 'priority') || null,
+            checklist: cell(row, 'checklist').split('|')
+                .map(part => part.trim().match(/^(?:\[([ xX])\]\s*)?(.+)$/))
+                .filter(Boolean)
+                .map(match => ({ text: match[2], isCompleted: /x/i.test(match[1] || '') })),
+            notes: column('notes') === -1 ? null : value(row, 'notes'),
+            createdAt: cell(row, 'createdAt') || null
+        }));
+    },
+
+    /**
+     * Remove the ' that TodoExport writes in front of cells a spreadsheet would run as a formula
+     * @param {string} text - Cell value
+     * @returns {string} Cell value as it was exported
+     */
+    unescapeCsvCell(text) {
+        return text.startsWith("'") && TodoExport.FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text;
+    },
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180 quoting)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    readCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    /**
+     * Read todos from a Markdown checklist
+     *
+     * Every top-level "- [ ]" or "- [x]" line is a todo; indented ones
+     * below it become its checklist. Other lines are ignored.
+     * @param {string} text - Markdown text
+     * @returns {Array} Todos
+     */
+    parseMarkdown(text) {
+        const todos = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            const match = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/);
+            if (!match) {
+                return;
+            }
+
+            const item = { text: match[3].trim(), isCompleted: match[2] !== ' ' };
+            const parent = todos[todos.length - 1];
+
+            if (match[1].length > 0 && parent) {
+                parent.checklist.push(item);
+            } else {
+                todos.push({ description: item.text, isCompleted: item.isCompleted, checklist: [] });
+            }
+        });
+
+        return todos.map(todo => this.toTodo(todo));
+    },
+
+    /**
+     * Clean up a parsed row into a todo the API accepts
+     *
+     * Problems are reported in an error property rather than thrown, so
+     * the preview can show every row.
+     * @param {Object} raw - Parsed values
+     * @returns {Object} Todo, with error set if it cannot be imported
+     */
+    toTodo(raw) {
+        const todo = {
+            description: typeof raw.description === 'string' ? raw.description.trim() : String(raw.description ?? '').trim(),
+            isCompleted: raw.isCompleted === true || raw.isCompleted === 'true',
+            dueAt: null,
+            tags: [...new Set((Array.isArray(raw.tags) ? raw.tags : [])
+                .filter(tag => typeof tag === 'string')
+                .map(tag => Tags.normalize(tag))
+                .filter(tag => tag.length > 0))],
+            priority: typeof raw.priority === 'string' ? Priorities.toApiValue(raw.priority) : null,
+            notes: typeof raw.notes === 'string' && raw.notes.trim() !== '' ? raw.notes.trimEnd() : null,
+            checklist: (Array.isArray(raw.checklist) ? raw.checklist : [])
+                .filter(item => item && typeof item.text === 'string' && item.text.trim() !== '')
+                .map(item => ({ text: item.text.trim(), isCompleted: item.isCompleted === true })),
+            autoCompleteChecklist: raw.autoCompleteChecklist === true,
+            recurrence: raw.recurrence && typeof raw.recurrence.rule === 'string'
+                ? { rule: raw.recurrence.rule, timeZone: typeof raw.recurrence.timeZone === 'string' ? raw.recurrence.timeZone : null }
+                : null
+        };
+
+        if (raw.createdAt && !isNaN(new Date(raw.createdAt).getTime())) {
+            todo.createdAt = new Date(raw.createdAt).toISOString();
+        }
+
+        if (!todo.description) {
+            todo.error = 'Description is required';
+        } else if (todo.description.length > this.MAX_DESCRIPTION_LENGTH) {
+            todo.error = `Description is ${todo.description.length} characters long (at most ${this.MAX_DESCRIPTION_LENGTH})`;
+        } else if (raw.dueAt && isNaN(new Date(raw.dueAt).getTime())) {
+            todo.error = `"${raw.dueAt}" is not a valid due date`;
+        } else if (todo.tags.some(tag => !Tags.isValid(tag))) {
+            todo.error = `"${todo.tags.find(tag => !Tags.isValid(tag))}" is not a valid tag`;
+        } else if (todo.tags.length > Tags.MAX_TAGS) {
+            todo.error = `More than ${Tags.MAX_TAGS} tags`;
+        } else if (todo.notes && todo.notes.length > this.MAX_NOTES_LENGTH) {
+            todo.error = `Notes are ${todo.notes.length} characters long (at most ${this.MAX_NOTES_LENGTH})`;
+        } else if (todo.checklist.length > Checklist.MAX_ITEMS) {
+            todo.error = `More than ${Checklist.MAX_ITEMS} checklist items`;
+        } else if (todo.checklist.some(item => item.text.length > Checklist.MAX_LENGTH)) {
+            todo.error = `A checklist item is longer than ${Checklist.MAX_LENGTH} characters`;
+        } else if (typeof raw.priority === 'string' && raw.priority.trim() !== '' && !Priorities.isValid(raw.priority.trim().toLowerCase())) {
+            todo.error = `"${raw.priority}" is not a priority (none, low, medium, high or urgent)`;
+        } else if (todo.recurrence) {
+            try {
+                Recurrence.parse(todo.recurrence.rule);
+            } catch (error) {
+                todo.error = `Unsupported recurrence: ${error.message}`;
+            }
+        }
+
+        if (raw.dueAt && !todo.error) {
+            todo.dueAt = new Date(raw.dueAt).toISOString();
+        }
+
+        return todo;
+    },
+
+    /**
+     * Mark rows whose description is already in the list or earlier in the file
+     *
+     * Descriptions are compared ignoring case and surrounding spaces.
+     * @param {Array} todos - Parsed todos
+     * @param {Array} existing - Todos already in the list
+     * @returns {Array} Todos, with duplicate set on the ones to skip
+     */
+    markDuplicates(todos, existing) {
+        const key = todo => todo.description.trim().toLowerCase();
+        const seen = new Set(existing.map(key));
+
+        return todos.map(todo => {
+            if (todo.error) {
+                return todo;
+            }
+
+            const duplicate = seen.has(key(todo));
+            seen.add(key(todo));
+            return duplicate ? { ...todo, duplicate: true } : todo;
+        });
+    }
+};
+
+/**
+ * Dialog for importing todos into the current list
+ *
+ * Reads a file or pasted text, previews every row with the reason it will
+ * be skipped, and creates the rest in one request.
+ */
+class ImportDialog {
+    /**
+     * Initialize the import dialog
+     * @param {TodoApi} api - API service
+     * @param {Object} options - Options
+     * @param {Function} options.onImport - Called with the created todos
+     */
+    constructor(api, { onImport }) {
+        this.api = api;
+        this.onImport = onImport;
+        this.listId = null;
+        this.existing = [];
+        this.fileName = '';
+        this.rows = [];
+
+        this.modalElement = document.getElementById('import-modal');
+        this.modal = new bootstrap.Modal(this.modalElement);
+        this.title = document.getElementById('import-modal-title');
+        this.fileInput = document.getElementById('import-file-input');
+        this.textInput = document.getElementById('import-text');
+        this.formatSelect = document.getElementById('import-format');
+        this.error = document.getElementById('import-error');
+        this.preview = document.getElementById('import-preview');
+        this.previewRows = document.getElementById('import-rows');
+        this.summary = document.getElementById('import-summary');
+        this.submitButton = document.getElementById('import-submit-btn');
+
+        this.fileInput.addEventListener('change', () => this.readFile());
+        this.textInput.addEventListener('input', () => this.update());
+        this.formatSelect.addEventListener('change', () => this.update());
+        this.submitButton.addEventListener('click', () => this.submit());
+    }
+
+    /**
+     * Open the dialog for a list
+     * @param {Object} list - List ({ id, name })
+     * @param {Array} existing - Todos already in the list, to skip duplicates of
+     */
+    open(list, existing) {
+        this.listId = list.id;
+        this.existing = existing;
+        this.title.textContent = `Import into "${list.name}"`;
+        this.fileInput.value = '';
+        this.textInput.value = '';
+        this.formatSelect.value = 'auto';
+        this.fileName = '';
+        this.update();
+        this.modal.show();
+    }
+
+    /**
+     * Put the chosen file's contents in the text box and preview them
+     * @returns {Promise<void>}
+     */
+    async readFile() {
+        const file = this.fileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            this.fileName = file.name;
+            this.textInput.value = await file.text();
+            this.update();
+        } catch (error) {
+            this.showError(`Failed to read the file. (Error: ${error.message})`);
+        }
+    }
+
+    /**
+     * Parse the text and refresh the preview
+     */
+    update() {
+        this.clearError();
+        this.rows = [];
+
+        const text = this.textInput.value;
+        if (text.trim()) {
+            const format = this.formatSelect.value === 'auto'
+                ? TodoImport.detectFormat(text, this.fileName)
+                : this.formatSelect.value;
+
+            try {
+                this.rows = TodoImport.markDuplicates(TodoImport.parse(text, format), this.existing);
+                if (this.rows.length === 0) {
+                    this.showError('No todos found. Check the format.');
+                }
+            } catch (error) {
+                this.showError(error.message);
+            }
+        }
+
+        this.render();
+    }
+
+    /**
+     * Render one preview row per parsed todo
+     */
+    render() {
+        this.previewRows.innerHTML = '';
+
+        this.rows.forEach((todo, index) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('table-danger', !!todo.error);
+            row.classList.toggle('text-muted', !!todo.duplicate);
+
+            const number = document.createElement('td');
+            number.textContent = index + 1;
+            row.appendChild(number);
+
+            const description = document.createElement('td');
+            description.className = 'text-break';
+            description.textContent = todo.description;
+            if (todo.isCompleted) {
+                description.classList.add('text-decoration-line-through');
+            }
+            todo.tags.forEach(tag => description.appendChild(Tags.createChip(tag)));
+            row.appendChild(description);
+
+            const status = document.createElement('td');
+            status.textContent = todo.error || (todo.duplicate ? 'Duplicate - skipped' : 'OK');
+            row.appendChild(status);
+
+            this.previewRows.appendChild(row);
+        });
+
+        const importable = this.getImportable();
+        const skipped = this.rows.length - importable.length;
+        this.preview.classList.toggle('d-none', this.rows.length === 0);
+        this.summary.textContent = this.rows.length === 0 ? ''
+            : `${importable.length} to import${skipped > 0 ? `, ${skipped} skipped` : ''}`;
+        this.submitButton.disabled = importable.length === 0 || importable.length > TodoImport.MAX_ITEMS;
+
+        if (importable.length > TodoImport.MAX_ITEMS) {
+            this.showError(`Import at most ${TodoImport.MAX_ITEMS} todos at a time.`);
+        }
+    }
+
+    /**
+     * Get the rows that will be created
+     * @returns {Array} Todos without errors or duplicates
+     */
+    getImportable() {
+        return this.rows.filter(todo => !todo.error && !todo.duplicate);
+    }
+
+    /**
+     * Create the importable rows in the list
+     * @returns {Promise<void>}
+     */
+    async submit() {
+        const todos = this.getImportable().map(({ error, duplicate, ...todo }) => todo);
+        if (todos.length === 0) {
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        try {
+            const created = await this.api.importTodos(this.listId, todos);
+            this.modal.hide();
+            this.onImport(created);
+        } catch (error) {
+            this.showError(`Failed to import the todos. (Error: ${error.message})`);
+            this.submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Show an error in the dialog
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.error.textContent = message;
+        this.error.classList.remove('d-none');
+    }
+
+    /**
+     * Hide the dialog's error
+     */
+    clearError() {
+        this.error.classList.add('d-none');
+    }
+}
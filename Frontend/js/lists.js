@@ -0,0 +1,300 @@
+/**
+ * Named todo lists
+ *
+ * CurrentList remembers which list the user is working in, so the create
+ * page can default new todos to it. ListSwitcher drives the navbar
+ * dropdown on the list page for switching, creating, renaming, sharing
+ * and deleting lists. Lists shared by other users carry a role
+ * ('viewer' or 'editor'); the user's own lists have the role 'owner'.
+ */
+const CurrentList = {
+    DEFAULT_ID: 'default',
+    DEFAULT_NAME: 'My Todos',
+
+    /**
+     * Get the selected list
+     * @returns {Object} List ({ id, name })
+     */
+    get() {
+        return {
+            id: localStorage.getItem('currentListId') || this.DEFAULT_ID,
+            name: localStorage.getItem('currentListName') || this.DEFAULT_NAME
+        };
+    },
+
+    /**
+     * Remember the selected list
+     * @param {Object} list - List ({ id, name })
+     */
+    set(list) {
+        localStorage.setItem('currentListId', list.id);
+        localStorage.setItem('currentListName', list.name);
+    }
+};
+
+/**
+ * Navbar dropdown for switching between and managing named lists
+ */
+class ListSwitcher {
+    /**
+     * Initialize the list switcher
+     * @param {TodoApi} api - API service
+     * @param {Object} options - Options
+     * @param {string} options.currentId - ID of the list shown initially
+     * @param {Function} options.onChange - Called with the list ({ id, name, role }) when another list is selected or the lists are loaded
+     * @param {Function} options.onShare - Called with the list when its owner chooses "Share list..."
+     * @param {Function} options.onError - Called with a message when a list operation fails
+     */
+    constructor(api, { currentId, onChange, onShare, onError }) {
+        this.api = api;
+        this.currentId = currentId;
+        this.onChange = onChange;
+        this.onShare = onShare;
+        this.onError = onError;
+        this.lists = [];
+
+        this.nameElement = document.getElementById('current-list-name');
+        this.menu = document.getElementById('list-switcher-menu');
+        this.modalElement = document.getElementById('list-name-modal');
+        this.modal = new bootstrap.Modal(this.modalElement);
+        this.modalTitle = document.getElementById('list-name-modal-title');
+        this.nameForm = document.getElementById('list-name-form');
+        this.nameInput = document.getElementById('list-name-input');
+        this.dialogMode = 'create';
+
+        this.nameForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveName();
+        });
+        this.modalElement.addEventListener('shown.bs.modal', () => this.nameInput.focus());
+    }
+
+    /**
+     * Get the selected list
+     * @returns {Object} List ({ id, name, role })
+     */
+    get current() {
+        const stored = CurrentList.get();
+        return this.lists.find(list => list.id === this.currentId)
+            || { id: this.currentId, name: stored.id === this.currentId ? stored.name : 'Todo List', role: 'owner' };
+    }
+
+    /**
+     * Load the lists and render the dropdown
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            this.lists = await this.api.getLists();
+        } catch (error) {
+            console.error('Error loading lists:', error);
+            this.lists = [];
+        }
+
+        // A list from a bookmark that no longer exists falls back to the default list
+        if (this.lists.length > 0 && !this.lists.some(list => list.id === this.currentId)) {
+            this.select(CurrentList.DEFAULT_ID);
+            return;
+        }
+
+        this.render();
+        // Let the page pick up the role of the list it is showing
+        this.onChange(this.current);
+    }
+
+    /**
+     * Render the dropdown menu
+     */
+    render() {
+        const current = this.current;
+        this.nameElement.textContent = current.name;
+        CurrentList.set(current);
+
+        this.menu.innerHTML = '';
+
+        this.lists.forEach(list => {
+            const isShared = list.role && list.role !== 'owner';
+            const icon = list.id === this.currentId ? 'bi-check2' : (isShared ? 'bi-people' : 'bi-list-ul');
+            const item = this.createMenuItem(list.name, icon, () => this.select(list.id));
+            const link = item.querySelector('a');
+            link.classList.toggle('active', list.id === this.currentId);
+            if (isShared) {
+                link.title = `Shared by ${list.ownerEmail || 'another user'}`;
+            }
+            this.menu.appendChild(item);
+        });
+
+        const divider = document.createElement('li');
+        divider.innerHTML = '<hr class="dropdown-divider">';
+        this.menu.appendChild(divider);
+
+        this.menu.appendChild(this.createMenuItem('New list...', 'bi-plus-lg', () => this.openNameDialog('create')));
+
+        // Lists shared with the user can only be left, not changed
+        if (current.role && current.role !== 'owner') {
+            const leaveItem = this.createMenuItem('Leave list', 'bi-box-arrow-left', () => this.leaveCurrent());
+            leaveItem.querySelector('a').classList.add('text-danger');
+            this.menu.appendChild(leaveItem);
+            return;
+        }
+
+        this.menu.appendChild(this.createMenuItem('Rename list...', 'bi-pencil', () => this.openNameDialog('rename')));
+
+        // The default list always exists and cannot be shared
+        const isDefault = this.currentId === CurrentList.DEFAULT_ID;
+
+        const shareItem = this.createMenuItem('Share list...', 'bi-person-plus', () => this.onShare(this.current));
+        if (isDefault) {
+            this.disableMenuItem(shareItem);
+        }
+        this.menu.appendChild(shareItem);
+
+        const deleteItem = this.createMenuItem('Delete list', 'bi-trash', () => this.deleteCurrent());
+        deleteItem.querySelector('a').classList.add('text-danger');
+        if (isDefault) {
+            this.disableMenuItem(deleteItem);
+        }
+        this.menu.appendChild(deleteItem);
+    }
+
+    /**
+     * Disable a dropdown menu item
+     * @param {HTMLElement} item - List item element
+     */
+    disableMenuItem(item) {
+        const link = item.querySelector('a');
+        link.classList.add('disabled');
+        link.setAttribute('aria-disabled', 'true');
+    }
+
+    /**
+     * Create a dropdown menu item
+     * @param {string} text - Item text
+     * @param {string} icon - Bootstrap icon class
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} List item element
+     */
+    createMenuItem(text, icon, onClick) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.className = 'dropdown-item';
+        link.href = '#';
+
+        const iconElement = document.createElement('i');
+        iconElement.className = `bi ${icon} me-2`;
+        link.appendChild(iconElement);
+        link.appendChild(document.createTextNode(text));
+
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            onClick();
+        });
+
+        item.appendChild(link);
+        return item;
+    }
+
+    /**
+     * Switch to another list
+     * @param {string} id - List ID
+     */
+    select(id) {
+        this.currentId = id;
+        this.render();
+        this.onChange(this.current);
+    }
+
+    /**
+     * Open the name dialog for creating or renaming a list
+     * @param {string} mode - 'create' or 'rename'
+     */
+    openNameDialog(mode) {
+        this.dialogMode = mode;
+        this.modalTitle.textContent = mode === 'create' ? 'New list' : 'Rename list';
+        this.nameInput.value = mode === 'create' ? '' : this.current.name;
+        this.nameInput.classList.remove('is-invalid');
+        this.modal.show();
+    }
+
+    /**
+     * Save the name entered in the dialog
+     * @returns {Promise<void>}
+     */
+    async saveName() {
+        const name = this.nameInput.value.trim();
+        if (!name || name.length > 50) {
+            this.nameInput.classList.add('is-invalid');
+            return;
+        }
+
+        try {
+            if (this.dialogMode === 'create') {
+                const list = await this.api.createList(name);
+                this.lists.push(list);
+                this.modal.hide();
+                this.select(list.id);
+            } else {
+                await this.api.renameList(this.currentId, name);
+                const list = this.lists.find(existing => existing.id === this.currentId);
+                if (list) {
+                    list.name = name;
+                } else {
+                    CurrentList.set({ id: this.currentId, name });
+                }
+                this.modal.hide();
+                this.render();
+                this.onChange(this.current);
+            }
+        } catch (error) {
+            this.modal.hide();
+            this.onError(`Failed to save the list. Please try again. (Error: ${error.message})`);
+        }
+    }
+
+    /**
+     * Delete the selected list and move its todos to the trash, then switch to the default list
+     * @returns {Promise<void>}
+     */
+    async deleteCurrent() {
+        const current = this.current;
+        if (current.id === CurrentList.DEFAULT_ID) {
+            return;
+        }
+
+        if (!confirm(`Delete the list "${current.name}"? Its todos are moved to the trash.`)) {
+            return;
+        }
+
+        try {
+            await this.api.deleteList(current.id);
+            this.lists = this.lists.filter(list => list.id !== current.id);
+            this.select(CurrentList.DEFAULT_ID);
+        } catch (error) {
+            this.onError(`Failed to delete the list. Please try again. (Error: ${error.message})`);
+        }
+    }
+
+    /**
+     * Stop being a collaborator of the selected shared list, then switch to the default list
+     * @returns {Promise<void>}
+     */
+    async leaveCurrent() {
+        const current = this.current;
+        const user = Auth.getUser();
+        if (!user || !user.email) {
+            return;
+        }
+
+        if (!confirm(`Leave the list "${current.name}"? You will need to be invited again to see it.`)) {
+            return;
+        }
+
+        try {
+            await this.api.removeCollaborator(current.id, user.email);
+            this.lists = this.lists.filter(list => list.id !== current.id);
+            this.select(CurrentList.DEFAULT_ID);
+        } catch (error) {
+            this.onError(`Failed to leave the list. Please try again. (Error: ${error.message})`);
+        }
+    }
+}
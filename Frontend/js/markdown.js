@@ -0,0 +1,235 @@
+/**
+ * Markdown for todo notes
+ *
+ * Renders the subset of Markdown people write in notes: paragraphs (single
+ * line breaks are kept), headings, bullet and numbered lists, block quotes,
+ * fenced code blocks, horizontal rules, **bold**, *italic*, `code` and
+ * [links](https://example.com), with bare URLs linked automatically.
+ *
+ * The output is built from DOM nodes with the text set through text nodes,
+ * never through innerHTML, so HTML in notes shows as typed. Links only get
+ * http, https and mailto URLs and open in a new tab.
+ */
+const Markdown = {
+    SAFE_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+
+    // Code spans, bold, italic, links and bare URLs, in the order they are tried at the same position
+    INLINE_PATTERN: new RegExp([
+        '(`+)([^`]|[^`][\\s\\S]*?[^`])\\1(?!`)',
+        '\\*\\*(\\S(?:[\\s\\S]*?\\S)?)\\*\\*',
+        '(?<![A-Za-z0-9])__(\\S(?:[\\s\\S]*?\\S)?)__(?![A-Za-z0-9])',
+        '\\*(\\S(?:[\\s\\S]*?\\S)?)\\*',
+        '(?<![A-Za-z0-9])_(\\S(?:[\\s\\S]*?\\S)?)_(?![A-Za-z0-9])',
+        '\\[([^\\]]+)\\]\\(([^()\\s]+)\\)',
+        '((?:https?:\\/\\/|www\\.)[^\\s<]*[^\\s<.,:;"\')\\]!?])'
+    ].join('|')),
+
+    /**
+     * Render Markdown
+     * @param {string} text - Markdown text
+     * @returns {DocumentFragment} Rendered nodes
+     */
+    render(text) {
+        const fragment = document.createDocumentFragment();
+        const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (line.trim() === '') {
+                index++;
+                continue;
+            }
+
+            // Fenced code block, up to the closing fence or the end of the notes
+            if (/^\s*```/.test(line)) {
+                const code = [];
+                index++;
+                while (index < lines.length && !/^\s*```\s*$/.test(lines[index])) {
+                    code.push(lines[index]);
+                    index++;
+                }
+                index++;
+
+                const pre = document.createElement('pre');
+                const codeElement = document.createElement('code');
+                codeElement.textContent = code.join('\n');
+                pre.appendChild(codeElement);
+                fragment.appendChild(pre);
+                continue;
+            }
+
+            const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const element = document.createElement(`h${heading[1].length}`);
+                element.appendChild(this.renderInline(heading[2]));
+                fragment.appendChild(element);
+                index++;
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                fragment.appendChild(document.createElement('hr'));
+                index++;
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const quoted = [];
+                while (index < lines.length && /^\s*>/.test(lines[index])) {
+                    quoted.push(lines[index].replace(/^\s*>\s?/, ''));
+                    index++;
+                }
+
+                const blockquote = document.createElement('blockquote');
+                blockquote.appendChild(this.render(quoted.join('\n')));
+                fragment.appendChild(blockquote);
+                continue;
+            }
+
+            const listType = this.getListType(line);
+            if (listType) {
+                const list = document.createElement(listType);
+                while (index < lines.length && this.getListType(lines[index]) === listType) {
+                    const item = document.createElement('li');
+                    item.appendChild(this.renderInline(lines[index].replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')));
+                    list.appendChild(item);
+                    index++;
+                }
+                fragment.appendChild(list);
+                continue;
+            }
+
+            // Paragraph: following lines up to a blank line or another block
+            const paragraph = [line];
+            index++;
+            while (index < lines.length && lines[index].trim() !== '' && !this.startsBlock(lines[index])) {
+                paragraph.push(lines[index]);
+                index++;
+            }
+
+            const element = document.createElement('p');
+            paragraph.forEach((paragraphLine, lineIndex) => {
+                if (lineIndex > 0) {
+                    element.appendChild(document.createElement('br'));
+                }
+                element.appendChild(this.renderInline(paragraphLine.trim()));
+            });
+            fragment.appendChild(element);
+        }
+
+        return fragment;
+    },
+
+    /**
+     * Get the kind of list a line is an item of
+     * @param {string} line - Line of text
+     * @returns {string|null} 'ul', 'ol', or null if the line is not a list item
+     */
+    getListType(line) {
+        if (/^\s*[-*+]\s+/.test(line) && !/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            return 'ul';
+        }
+        return /^\s*\d+[.)]\s+/.test(line) ? 'ol' : null;
+    },
+
+    /**
+     * Check whether a line starts a block other than a paragraph
+     * @param {string} line - Line of text
+     * @returns {boolean} True for headings, lists, quotes, code fences and rules
+     */
+    startsBlock(line) {
+        return /^\s*(#{1,6}\s|>|```)/.test(line)
+            || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)
+            || this.getListType(line) !== null;
+    },
+
+    /**
+     * Render inline Markdown
+     * @param {string} text - One line or span of text
+     * @returns {DocumentFragment} Rendered nodes
+     */
+    renderInline(text) {
+        const fragment = document.createDocumentFragment();
+        let rest = text;
+
+        while (rest) {
+            const match = rest.match(this.INLINE_PATTERN);
+            if (!match) {
+                fragment.appendChild(document.createTextNode(rest));
+                break;
+            }
+
+            if (match.index > 0) {
+                fragment.appendChild(document.createTextNode(rest.slice(0, match.index)));
+            }
+            fragment.appendChild(this.renderSpan(match));
+            rest = rest.slice(match.index + match[0].length);
+        }
+
+        return fragment;
+    },
+
+    /**
+     * Render one inline match
+     * @param {Array} match - Match of INLINE_PATTERN
+     * @returns {Node} Rendered node
+     */
+    renderSpan(match) {
+        const wrap = (tagName, content) => {
+            const element = document.createElement(tagName);
+            element.appendChild(this.renderInline(content));
+            return element;
+        };
+
+        if (match[2] !== undefined) {
+            const code = document.createElement('code');
+            code.textContent = match[2];
+            return code;
+        }
+        if (match[3] !== undefined || match[4] !== undefined) {
+            return wrap('strong', match[3] ?? match[4]);
+        }
+        if (match[5] !== undefined || match[6] !== undefined) {
+            return wrap('em', match[5] ?? match[6]);
+        }
+        if (match[7] !== undefined) {
+            const href = this.toSafeUrl(match[8]);
+            return href ? this.createLink(href, this.renderInline(match[7])) : document.createTextNode(match[0]);
+        }
+
+        const href = this.toSafeUrl(match[9]);
+        return href ? this.createLink(href, document.createTextNode(match[9])) : document.createTextNode(match[9]);
+    },
+
+    /**
+     * Create a link that opens in a new tab
+     * @param {string} href - Safe URL
+     * @param {Node} content - Link content
+     * @returns {HTMLAnchorElement} Link
+     */
+    createLink(href, content) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer nofollow';
+        link.appendChild(content);
+        return link;
+    },
+
+    /**
+     * Check a link target, allowing only web and email links
+     * @param {string} url - URL as written; "www." addresses get https://
+     * @returns {string|null} URL to link to, or null if it is not allowed
+     */
+    toSafeUrl(url) {
+        try {
+            const parsed = new URL(/^www\./i.test(url) ? `https://${url}` : url);
+            return this.SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            // Relative or malformed URLs are shown as text
+            return null;
+        }
+    }
+};
@@ -0,0 +1,122 @@
+/**
+ * Durable outbox for todo mutations
+ *
+ * Mutations that cannot reach the API (offline or network failure) are
+ * stored in IndexedDB in the order they were made, so they survive page
+ * reloads and can be replayed once the connection comes back.
+ */
+class TodoOutbox {
+    /**
+     * Initialize the outbox
+     * @param {string} dbName - IndexedDB database name
+     */
+    constructor(dbName = 'todo-outbox') {
+        this.dbName = dbName;
+        this.storeName = 'mutations';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Open database
+     * @throws {Error} If IndexedDB is not available
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                // seq is auto-incremented so entries replay in insertion order
+                request.result.createObjectStore(this.storeName, { keyPath: 'seq', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the mutations store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} action - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Result of the request
+     */
+    async run(mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Append a mutation to the outbox
+     * @param {Object} mutation - Mutation ({ type, id, todo, userId })
+     * @returns {Promise<number>} Sequence number of the stored entry
+     */
+    add(mutation) {
+        const entry = { ...mutation, queuedAt: new Date().toISOString() };
+        return this.run('readwrite', store => store.add(entry));
+    }
+
+    /**
+     * Replace a queued mutation, keeping its place in the queue
+     * @param {Object} mutation - Mutation as returned by getAll
+     * @returns {Promise<number>} Sequence number of the entry
+     */
+    put(mutation) {
+        return this.run('readwrite', store => store.put(mutation));
+    }
+
+    /**
+     * Get all queued mutations, oldest first
+     * @returns {Promise<Array>} Queued mutations
+     */
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    /**
+     * Remove a mutation once it has been delivered
+     * @param {number} seq - Sequence number of the entry
+     * @returns {Promise<void>}
+     */
+    remove(seq) {
+        return this.run('readwrite', store => store.delete(seq));
+    }
+
+    /**
+     * Remove every queued mutation
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+
+    /**
+     * Count queued mutations
+     * @returns {Promise<number>} Number of queued mutations
+     */
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+}
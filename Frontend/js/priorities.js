@@ -0,0 +1,65 @@
+/**
+ * Helpers for todo priorities
+ *
+ * The API stores low, medium, high or urgent, and null for todos without
+ * a priority; the pages show that as "none".
+ */
+const Priorities = {
+    NONE: 'none',
+
+    // Levels from least to most important, with how they are shown
+    LEVELS: [
+        { value: 'none', label: 'None' },
+        { value: 'low', label: 'Low' },
+        { value: 'medium', label: 'Medium' },
+        { value: 'high', label: 'High' },
+        { value: 'urgent', label: 'Urgent' }
+    ],
+
+    /**
+     * Normalize a priority from the API or a form
+     * @param {string|null} priority - Priority
+     * @returns {string} Known level, 'none' if missing or unknown
+     */
+    normalize(priority) {
+        const value = (priority || '').trim().toLowerCase();
+        return this.isValid(value) ? value : this.NONE;
+    },
+
+    /**
+     * Check whether a value is one of the priority levels
+     * @param {string} value - Lowercase priority
+     * @returns {boolean} True if the API will accept it
+     */
+    isValid(value) {
+        return this.LEVELS.some(level => level.value === value);
+    },
+
+    /**
+     * Get how important a priority is, for sorting
+     * @param {string|null} priority - Priority
+     * @returns {number} 0 for none up to 4 for urgent
+     */
+    rank(priority) {
+        return this.LEVELS.findIndex(level => level.value === this.normalize(priority));
+    },
+
+    /**
+     * Get the label of a priority
+     * @param {string|null} priority - Priority
+     * @returns {string} Label such as "High"
+     */
+    label(priority) {
+        return this.LEVELS[this.rank(priority)].label;
+    },
+
+    /**
+     * Convert a priority to the value sent to the API
+     * @param {string} priority - Priority chosen in a form
+     * @returns {string|null} Priority, or null for none
+     */
+    toApiValue(priority) {
+        const value = this.normalize(priority);
+        return value === this.NONE ? null : value;
+    }
+};
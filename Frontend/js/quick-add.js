@@ -0,0 +1,367 @@
+/**
+ * Natural-language quick add
+ *
+ * Turns a line like "Pay invoice tomorrow 5pm #billing !high" into a
+ * todo: words starting with # become tags, !low, !medium, !high or
+ * !urgent sets the priority, and the first date and time mentioned
+ * become the due date. Everything else is the description; a backslash
+ * in front of a word keeps it there as typed ("\friday", "\#1").
+ */
+const QuickAdd = {
+    // Due time used when only a date is given: the end of that day
+    DEFAULT_DUE_HOUR: 23,
+    DEFAULT_DUE_MINUTE: 59,
+
+    // "!word" values and the priority they set
+    PRIORITIES: {
+        low: 'low',
+        medium: 'medium',
+        med: 'medium',
+        high: 'high',
+        urgent: 'urgent'
+    },
+
+    WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+
+    MONTHS: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+
+    /**
+     * Parse a quick-add line
+     * @param {string} text - Text as typed
+     * @param {Date} [now] - Current time, which relative dates count from
+     * @returns {Object} { description, dueAt, tags, priority, errors }; dueAt is an ISO
+     *     string or null, priority is null if not given, and errors lists what cannot be saved
+     */
+    parse(text, now = new Date()) {
+        const tokens = text.trim().split(/\s+/).filter(Boolean);
+        const words = [];
+        const tags = [];
+        const errors = [];
+        let priority = null;
+        let date = null;
+        let time = null;
+
+        for (let index = 0; index < tokens.length; index++) {
+            const token = tokens[index];
+            const lower = token.toLowerCase();
+
+            if (token.length > 1 && token.startsWith('\\')) {
+                words.push(token.slice(1));
+                continue;
+            }
+
+            if (token.length > 1 && token.startsWith('#')) {
+                const tag = Tags.normalize(token);
+                if (!Tags.isValid(tag)) {
+                    errors.push(`"${token}" is not a valid tag. Use letters, digits, '-' and '_' (up to ${Tags.MAX_LENGTH} characters).`);
+                } else if (!tags.includes(tag)) {
+                    tags.push(tag);
+                }
+                continue;
+            }
+
+            if (lower.startsWith('!') && this.PRIORITIES[lower.slice(1)] && !priority) {
+                priority = this.PRIORITIES[lower.slice(1)];
+                continue;
+            }
+
+            if (!date) {
+                const match = this.matchDate(tokens, index, now);
+                if (match) {
+                    date = match.date;
+                    index += match.length - 1;
+                    continue;
+                }
+            }
+
+            if (!time) {
+                const match = this.matchTime(tokens, index);
+                if (match) {
+                    time = match.time;
+                    index += match.length - 1;
+                    continue;
+                }
+            }
+
+            words.push(token);
+        }
+
+        if (tags.length > Tags.MAX_TAGS) {
+            errors.push(`A todo can have at most ${Tags.MAX_TAGS} tags.`);
+        }
+
+        const description = words.join(' ');
+        if (description.length > 100) {
+            errors.push('The description cannot be longer than 100 characters.');
+        }
+
+        return {
+            description,
+            dueAt: this.combine(date, time, now),
+            tags,
+            priority,
+            errors
+        };
+    },
+
+    /**
+     * Match a date at a position, with an optional "on", "by" or "due" before it
+     * @param {Array<string>} tokens - Words of the line
+     * @param {number} index - Position to match at
+     * @param {Date} now - Current time
+     * @param {boolean} [introduced] - Whether "on", "by" or "due" came before the position
+     * @returns {Object|null} { date, length } with the date at midnight and the number of words used
+     */
+    matchDate(tokens, index, now, introduced = false) {
+        const lower = tokens.slice(index, index + 4).map(token => token.toLowerCase().replace(/[.,]$/, ''));
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const addDays = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+
+        if (['on', 'by', 'due'].includes(lower[0]) && lower.length > 1) {
+            const match = this.matchDate(tokens, index + 1, now, true);
+            return match ? { date: match.date, length: match.length + 1 } : null;
+        }
+
+        if (lower[0] === 'today' || lower[0] === 'tonight') {
+            return { date: today, length: 1 };
+        }
+
+        if (['tomorrow', 'tmrw', 'tmr'].includes(lower[0])) {
+            return { date: addDays(1), length: 1 };
+        }
+
+        // "friday" and "next friday" both mean the next Friday after today. "fri" only counts after
+        // "next", "on", "by" or "due", so words such as "sun", "sat" and "wed" stay in the description
+        const skipNext = lower[0] === 'next' ? 1 : 0;
+        const weekday = skipNext || introduced
+            ? this.findName(this.WEEKDAYS, lower[skipNext])
+            : this.WEEKDAYS.indexOf(lower[0]);
+        if (weekday !== -1) {
+            return { date: addDays(((weekday - today.getDay() + 6) % 7) + 1), length: skipNext + 1 };
+        }
+
+        if (lower[0] === 'next' && lower[1] === 'week') {
+            return { date: addDays(7), length: 2 };
+        }
+
+        // "in 3 days", "in 2 weeks", "in 1 month"
+        if (lower[0] === 'in' && /^\d{1,3}$/.test(lower[1] || '')) {
+            const amount = Number(lower[1]);
+            const unit = (lower[2] || '').replace(/s$/, '');
+            if (unit === 'day') {
+                return { date: addDays(amount), length: 3 };
+            }
+            if (unit === 'week') {
+                return { date: addDays(amount * 7), length: 3 };
+            }
+            if (unit === 'month') {
+                return { date: new Date(today.getFullYear(), today.getMonth() + amount, today.getDate()), length: 3 };
+            }
+        }
+
+        // 2025-03-14
+        const iso = lower[0].match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (iso) {
+            const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+            return date.getMonth() === Number(iso[2]) - 1 ? { date, length: 1 } : null;
+        }
+
+        // "mar 14" or "14 march", this year or next if it has passed
+        const dayFirst = /^\d{1,2}(st|nd|rd|th)?$/.test(lower[0]);
+        const month = this.findName(this.MONTHS, dayFirst ? lower[1] : lower[0]);
+        const day = parseInt(dayFirst ? lower[0] : lower[1], 10);
+        if (month !== -1 && day >= 1 && day <= 31 && (dayFirst || /^\d{1,2}(st|nd|rd|th)?$/.test(lower[1]))) {
+            let date = new Date(today.getFullYear(), month, day);
+            if (date < today) {
+                date = new Date(today.getFullYear() + 1, month, day);
+            }
+            return date.getDate() === day ? { date, length: 2 } : null;
+        }
+
+        return null;
+    },
+
+    /**
+     * Match a time of day at a position, with an optional "at" before it
+     * @param {Array<string>} tokens - Words of the line
+     * @param {number} index - Position to match at
+     * @returns {Object|null} { time, length } with time as { hours, minutes } and the number of words used
+     */
+    matchTime(tokens, index) {
+        const lower = tokens.slice(index, index + 3).map(token => token.toLowerCase().replace(/[.,]$/, ''));
+
+        if (lower[0] === 'at' && lower.length > 1) {
+            const match = this.matchTime(tokens, index + 1);
+            return match ? { time: match.time, length: match.length + 1 } : null;
+        }
+
+        if (lower[0] === 'noon') {
+            return { time: { hours: 12, minutes: 0 }, length: 1 };
+        }
+
+        if (lower[0] === 'midnight') {
+            return { time: { hours: 0, minutes: 0 }, length: 1 };
+        }
+
+        // "5pm", "5:30pm" or "5 pm"
+        const twelveHour = `${lower[0]}${/^(am|pm)$/.test(lower[1] || '') ? lower[1] : ''}`.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)$/);
+        if (twelveHour) {
+            const hours = Number(twelveHour[1]);
+            const minutes = Number(twelveHour[2] || 0);
+            if (hours < 1 || hours > 12 || minutes > 59) {
+                return null;
+            }
+            return {
+                time: { hours: (hours % 12) + (twelveHour[3] === 'pm' ? 12 : 0), minutes },
+                length: lower[0].endsWith('m') ? 1 : 2
+            };
+        }
+
+        // "17:00"
+        const twentyFourHour = lower[0].match(/^(\d{1,2}):(\d{2})$/);
+        if (twentyFourHour && Number(twentyFourHour[1]) < 24 && Number(twentyFourHour[2]) < 60) {
+            return { time: { hours: Number(twentyFourHour[1]), minutes: Number(twentyFourHour[2]) }, length: 1 };
+        }
+
+        return null;
+    },
+
+    /**
+     * Find a weekday or month by its full name or first three letters
+     * @param {Array<string>} names - Full names
+     * @param {string} [word] - Lowercase word to look up
+     * @returns {number} Index of the name, or -1 if the word is not one of them
+     */
+    findName(names, word) {
+        return word ? names.findIndex(name => word === name || word === name.slice(0, 3)) : -1;
+    },
+
+    /**
+     * Work out the due date from the parsed date and time
+     * @param {Date|null} date - Date at midnight, or null if none was given
+     * @param {Object|null} time - { hours, minutes }, or null if none was given
+     * @param {Date} now - Current time
+     * @returns {string|null} ISO date string, or null if neither was given
+     */
+    combine(date, time, now) {
+        if (!date && !time) {
+            return null;
+        }
+
+        if (!time) {
+            time = { hours: this.DEFAULT_DUE_HOUR, minutes: this.DEFAULT_DUE_MINUTE };
+        }
+
+        const due = new Date(date || now);
+        due.setHours(time.hours, time.minutes, 0, 0);
+
+        // A time on its own means the next time the clock shows it
+        if (!date && due <= now) {
+            due.setDate(due.getDate() + 1);
+        }
+
+        return due.toISOString();
+    }
+};
+
+/**
+ * Quick-add field with a live preview of the parsed todo
+ */
+class QuickAddBar {
+    /**
+     * Initialize a quick-add field
+     * @param {HTMLFormElement} form - Form with a text input and a .quick-add-preview element
+     * @param {Object} options - Options
+     * @param {Function} options.onSubmit - Called with the parsed todo; returns a promise of
+     *     true once it is saved, or false to give the text back for another try
+     */
+    constructor(form, { onSubmit }) {
+        this.form = form;
+        this.input = form.querySelector('input[type="text"]');
+        this.preview = form.querySelector('.quick-add-preview');
+        this.onSubmit = onSubmit;
+
+        this.input.addEventListener('input', () => {
+            this.input.classList.remove('is-invalid');
+            this.update();
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.update();
+    }
+
+    /**
+     * Show what the typed text will create
+     */
+    update() {
+        const parsed = QuickAdd.parse(this.input.value);
+        this.preview.innerHTML = '';
+        this.preview.classList.toggle('d-none', !this.input.value.trim());
+
+        if (parsed.errors.length > 0) {
+            const error = document.createElement('span');
+            error.className = 'text-danger';
+            error.textContent = parsed.errors[0];
+            this.preview.appendChild(error);
+            return;
+        }
+
+        const description = document.createElement('span');
+        description.className = 'quick-add-description me-2';
+        description.textContent = parsed.description || 'Type a description';
+        description.classList.toggle('text-muted', !parsed.description);
+        this.preview.appendChild(description);
+
+        if (parsed.dueAt) {
+            const due = document.createElement('span');
+            due.className = 'badge text-bg-light border me-1';
+            due.innerHTML = '<i class="bi bi-calendar-event"></i> ';
+            due.appendChild(document.createTextNode(DueDates.format(parsed.dueAt)));
+            this.preview.appendChild(due);
+        }
+
+        if (parsed.priority) {
+            const priority = document.createElement('span');
+            priority.className = 'badge text-bg-light border me-1';
+            priority.innerHTML = '<i class="bi bi-flag"></i> ';
+            priority.appendChild(document.createTextNode(parsed.priority));
+            this.preview.appendChild(priority);
+        }
+
+        parsed.tags.forEach(tag => this.preview.appendChild(Tags.createChip(tag)));
+    }
+
+    /**
+     * Create the todo, clearing the field straight away so the next one can be typed
+     * @returns {Promise<void>}
+     */
+    async submit() {
+        const text = this.input.value;
+        const parsed = QuickAdd.parse(text);
+        if (!parsed.description || parsed.errors.length > 0) {
+            this.input.classList.add('is-invalid');
+            return;
+        }
+
+        this.input.value = '';
+        this.update();
+
+        const saved = await this.onSubmit(parsed);
+        if (!saved && !this.input.value) {
+            this.input.value = text;
+            this.update();
+        }
+    }
+
+    /**
+     * Clear the field
+     */
+    clear() {
+        this.input.value = '';
+        this.input.classList.remove('is-invalid');
+        this.update();
+    }
+}
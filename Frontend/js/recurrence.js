@@ -0,0 +1,375 @@
+/**
+ * Recurring todos
+ *
+ * A todo's recurrence is { rule, timeZone }: an iCalendar RRULE (without
+ * the "RRULE:" prefix) and the IANA time zone it is evaluated in. The API
+ * supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY for
+ * weekly rules, BYMONTHDAY for monthly rules and UNTIL, and creates the
+ * next occurrence when a recurring todo is completed.
+ */
+const Recurrence = {
+    FREQUENCIES: ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'],
+    MAX_INTERVAL: 365,
+
+    // Weekday codes in the order they are shown, Monday first
+    WEEKDAYS: [
+        { code: 'MO', label: 'Mon' },
+        { code: 'TU', label: 'Tue' },
+        { code: 'WE', label: 'Wed' },
+        { code: 'TH', label: 'Thu' },
+        { code: 'FR', label: 'Fri' },
+        { code: 'SA', label: 'Sat' },
+        { code: 'SU', label: 'Sun' }
+    ],
+
+    // Singular and plural unit per frequency
+    UNITS: {
+        DAILY: ['day', 'days'],
+        WEEKLY: ['week', 'weeks'],
+        MONTHLY: ['month', 'months'],
+        YEARLY: ['year', 'years']
+    },
+
+    /**
+     * Parse a rule into its parts, checking it against the subset the API supports
+     * @param {string} rule - Rule such as "FREQ=WEEKLY;BYDAY=MO,TH"
+     * @returns {Object} { frequency, interval, byDay, byMonthDay, until }
+     * @throws {Error} If the rule is not valid or not supported
+     */
+    parse(rule) {
+        const parts = {};
+        (rule || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+            const [name, value] = part.split('=');
+            if (!value || parts[name.trim().toUpperCase()] !== undefined) {
+                throw new Error(`"${part}" is not a valid rule part.`);
+            }
+            parts[name.trim().toUpperCase()] = value.trim().toUpperCase();
+        });
+
+        const frequency = parts.FREQ;
+        if (!this.FREQUENCIES.includes(frequency)) {
+            throw new Error('The rule needs FREQ=DAILY, WEEKLY, MONTHLY or YEARLY.');
+        }
+
+        const unsupported = Object.keys(parts).find(name => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL'].includes(name));
+        if (unsupported) {
+            throw new Error(`${unsupported} is not supported.`);
+        }
+
+        const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+        if (!Number.isInteger(interval) || interval < 1 || interval > this.MAX_INTERVAL) {
+            throw new Error(`INTERVAL must be between 1 and ${this.MAX_INTERVAL}.`);
+        }
+
+        const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+        if (byDay.length > 0 && frequency !== 'WEEKLY') {
+            throw new Error('BYDAY is only supported for weekly rules.');
+        }
+        const invalidDay = byDay.find(code => !this.WEEKDAYS.some(day => day.code === code));
+        if (invalidDay) {
+            throw new Error(`"${invalidDay}" is not a weekday (MO, TU, WE, TH, FR, SA or SU).`);
+        }
+
+        const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number) : [];
+        if (byMonthDay.length > 0 && frequency !== 'MONTHLY') {
+            throw new Error('BYMONTHDAY is only supported for monthly rules.');
+        }
+        if (byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -1 || day > 31)) {
+            throw new Error('BYMONTHDAY values must be between 1 and 31, or -1 for the last day.');
+        }
+
+        let until = null;
+        if (parts.UNTIL) {
+            const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/);
+            if (!match) {
+                throw new Error('UNTIL must be a date (20250131) or a UTC date and time (20250131T170000Z).');
+            }
+            until = match[4]
+                ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]))
+                : new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+        }
+
+        return { frequency, interval, byDay, byMonthDay, until };
+    },
+
+    /**
+     * Build a rule from the simple picker settings
+     * @param {Object} options - Settings
+     * @param {string} options.frequency - 'DAILY', 'WEEKLY', 'MONTHLY' or 'YEARLY'
+     * @param {number} [options.interval] - Days, weeks, months or years between occurrences
+     * @param {Array<string>} [options.byDay] - Weekday codes of a weekly rule
+     * @returns {string} Rule
+     */
+    build({ frequency, interval = 1, byDay = [] }) {
+        const parts = [`FREQ=${frequency}`];
+        if (interval > 1) {
+            parts.push(`INTERVAL=${interval}`);
+        }
+        if (frequency === 'WEEKLY' && byDay.length > 0) {
+            const codes = this.WEEKDAYS.map(day => day.code);
+            parts.push(`BYDAY=${[...byDay].sort((a, b) => codes.indexOf(a) - codes.indexOf(b)).join(',')}`);
+        }
+        return parts.join(';');
+    },
+
+    /**
+     * Get the browser's time zone, so rules follow the user's calendar
+     * @returns {string|null} IANA time zone, or null if the browser does not say
+     */
+    currentTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Describe a recurrence in words
+     * @param {Object} recurrence - Recurrence ({ rule, timeZone })
+     * @returns {string} Description such as "Every 2 weeks on Mon, Thu"
+     */
+    describe(recurrence) {
+        if (!recurrence || !recurrence.rule) {
+            return '';
+        }
+
+        let parsed;
+        try {
+            parsed = this.parse(recurrence.rule);
+        } catch (error) {
+            return recurrence.rule;
+        }
+
+        const [singular, plural] = this.UNITS[parsed.frequency];
+        let text = parsed.interval === 1
+            ? `Every ${singular}`
+            : `Every ${parsed.interval} ${plural}`;
+
+        if (parsed.byDay.length > 0) {
+            text += ` on ${this.WEEKDAYS.filter(day => parsed.byDay.includes(day.code)).map(day => day.label).join(', ')}`;
+        }
+
+        if (parsed.byMonthDay.length > 0) {
+            const days = parsed.byMonthDay.map(day => (day === -1 ? 'the last day' : `day ${day}`));
+            text += ` on ${days.join(' and ')}`;
+        }
+
+        if (parsed.until) {
+            text += ` until ${parsed.until.toLocaleDateString()}`;
+        }
+
+        return text;
+    }
+};
+
+/**
+ * Recurrence picker for the create and edit pages
+ *
+ * Offers daily, weekly (on chosen weekdays), monthly and yearly presets
+ * with an interval, plus a custom RRULE for anything else the API supports.
+ */
+class RecurrencePicker {
+    /**
+     * Initialize the recurrence picker
+     * @param {Object} elements - Page elements
+     * @param {HTMLSelectElement} elements.select - Frequency select ('', a frequency or 'custom')
+     * @param {HTMLElement} elements.intervalGroup - Wrapper of the interval input
+     * @param {HTMLInputElement} elements.interval - Interval input
+     * @param {HTMLElement} elements.unit - Label after the interval ("days", "weeks"...)
+     * @param {HTMLElement} elements.weekdays - Container for the weekday toggles
+     * @param {HTMLInputElement} elements.rule - Text input for a custom rule
+     * @param {HTMLElement} elements.summary - Text describing the chosen recurrence
+     * @param {HTMLElement} elements.feedback - Invalid-feedback element for rule errors
+     */
+    constructor({ select, intervalGroup, interval, unit, weekdays, rule, summary, feedback }) {
+        this.select = select;
+        this.intervalGroup = intervalGroup;
+        this.interval = interval;
+        this.unit = unit;
+        this.weekdays = weekdays;
+        this.rule = rule;
+        this.summary = summary;
+        this.feedback = feedback;
+        this.timeZone = null;
+
+        Recurrence.WEEKDAYS.forEach(day => {
+            const id = `${weekdays.id}-${day.code.toLowerCase()}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'btn-check';
+            checkbox.id = id;
+            checkbox.value = day.code;
+            checkbox.autocomplete = 'off';
+
+            const label = document.createElement('label');
+            label.className = 'btn btn-outline-primary';
+            label.htmlFor = id;
+            label.textContent = day.label;
+
+            weekdays.appendChild(checkbox);
+            weekdays.appendChild(label);
+        });
+
+        this.select.addEventListener('change', () => this.update());
+        this.interval.addEventListener('input', () => this.update());
+        this.rule.addEventListener('input', () => this.update());
+        this.weekdays.addEventListener('change', () => this.update());
+
+        this.update();
+    }
+
+    /**
+     * Get the weekday checkboxes
+     * @returns {Array<HTMLInputElement>} Checkboxes, Monday first
+     */
+    getWeekdayInputs() {
+        return Array.from(this.weekdays.querySelectorAll('input'));
+    }
+
+    /**
+     * Show a todo's recurrence
+     * @param {Object|null} recurrence - Recurrence ({ rule, timeZone }), or null for none
+     */
+    setValue(recurrence) {
+        this.timeZone = recurrence ? recurrence.timeZone : null;
+        this.select.value = '';
+        this.interval.value = 1;
+        this.rule.value = '';
+        this.getWeekdayInputs().forEach(input => {
+            input.checked = false;
+        });
+
+        if (recurrence && recurrence.rule) {
+            let parsed = null;
+            try {
+                parsed = Recurrence.parse(recurrence.rule);
+            } catch (error) {
+                // Shown as a custom rule so it can be fixed
+            }
+
+            if (parsed && parsed.byMonthDay.length === 0 && !parsed.until) {
+                this.select.value = parsed.frequency;
+                this.interval.value = parsed.interval;
+                this.getWeekdayInputs().forEach(input => {
+                    input.checked = parsed.byDay.includes(input.value);
+                });
+            } else {
+                this.select.value = 'custom';
+                this.rule.value = recurrence.rule;
+            }
+        }
+
+        this.update();
+    }
+
+    /**
+     * Get the chosen recurrence
+     * @returns {Object|null} Recurrence ({ rule, timeZone }), or null if the todo does not repeat
+     */
+    getValue() {
+        const rule = this.getRule();
+        // Keep the zone a todo was set up in, so editing it elsewhere does not move its occurrences
+        return rule ? { rule, timeZone: this.timeZone || Recurrence.currentTimeZone() } : null;
+    }
+
+    /**
+     * Get the rule for the current settings
+     * @returns {string} Rule, or '' if the todo does not repeat
+     */
+    getRule() {
+        const choice = this.select.value;
+        if (!choice) {
+            return '';
+        }
+
+        if (choice === 'custom') {
+            return this.rule.value.trim().replace(/^RRULE:/i, '');
+        }
+
+        return Recurrence.build({
+            frequency: choice,
+            interval: Number(this.interval.value) || 1,
+            byDay: this.getWeekdayInputs().filter(input => input.checked).map(input => input.value)
+        });
+    }
+
+    /**
+     * Check the chosen recurrence and show what is wrong with it
+     * @returns {boolean} True if the recurrence can be saved
+     */
+    validate() {
+        const rule = this.getRule();
+        if (!rule && this.select.value !== 'custom') {
+            this.clearError();
+            return true;
+        }
+
+        try {
+            Recurrence.parse(rule);
+            this.clearError();
+            return true;
+        } catch (error) {
+            this.showError(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Show the controls for the chosen frequency and describe the recurrence
+     */
+    update() {
+        const choice = this.select.value;
+        const [singular, plural] = Recurrence.UNITS[choice] || ['', ''];
+
+        this.intervalGroup.classList.toggle('d-none', !Recurrence.UNITS[choice]);
+        this.unit.textContent = Number(this.interval.value) === 1 ? singular : plural;
+        this.weekdays.classList.toggle('d-none', choice !== 'WEEKLY');
+        this.rule.classList.toggle('d-none', choice !== 'custom');
+
+        const rule = this.getRule();
+        let valid = true;
+        try {
+            if (rule) {
+                Recurrence.parse(rule);
+            }
+        } catch (error) {
+            valid = false;
+        }
+        this.summary.textContent = rule && valid ? Recurrence.describe({ rule }) : '';
+
+        if (valid) {
+            this.clearError();
+        }
+    }
+
+    /**
+     * Enable or disable the picker
+     * @param {boolean} disabled - True to disable
+     */
+    setDisabled(disabled) {
+        [this.select, this.interval, this.rule, ...this.getWeekdayInputs()].forEach(element => {
+            element.disabled = disabled;
+        });
+    }
+
+    /**
+     * Show a validation error under the picker
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.feedback.textContent = message;
+        this.feedback.classList.add('d-block');
+        this.rule.classList.add('is-invalid');
+    }
+
+    /**
+     * Hide the validation error
+     */
+    clearError() {
+        this.feedback.textContent = '';
+        this.feedback.classList.remove('d-block');
+        this.rule.classList.remove('is-invalid');
+    }
+}
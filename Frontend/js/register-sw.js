@@ -0,0 +1,10 @@
+/**
+ * Register the service worker that keeps the app usable offline
+ */
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log('Service worker registered with scope:', registration.scope))
+            .catch(error => console.error('Service worker registration failed:', error));
+    });
+}
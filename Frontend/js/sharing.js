@@ -0,0 +1,268 @@
+/**
+ * Sharing named lists with collaborators
+ *
+ * Collaborators renders the avatar row in the list card header and knows
+ * what each role may do. ShareDialog lets the owner of a list add people
+ * by email as viewers or editors, change their role and remove them.
+ */
+const Collaborators = {
+    OWNER: 'owner',
+    EDITOR: 'editor',
+    VIEWER: 'viewer',
+
+    ROLE_LABELS: {
+        owner: 'Owner',
+        editor: 'Can edit',
+        viewer: 'Can view'
+    },
+
+    /**
+     * Check whether a role may change the todos in a list
+     * @param {string} [role] - List role; lists without one are the user's own
+     * @returns {boolean} True for owners and editors
+     */
+    canEdit(role) {
+        return role !== this.VIEWER;
+    },
+
+    /**
+     * Get the initials shown in an avatar
+     * @param {string} email - Email address
+     * @returns {string} One or two upper-case letters
+     */
+    getInitials(email) {
+        const parts = (email || '?').split('@')[0].split(/[._-]+/).filter(Boolean);
+        const initials = parts.length > 1 ? parts[0][0] + parts[1][0] : (parts[0] || '?').slice(0, 2);
+        return initials.toUpperCase();
+    },
+
+    /**
+     * Pick a stable background colour for an avatar
+     * @param {string} email - Email address
+     * @returns {string} CSS colour
+     */
+    getColor(email) {
+        let hash = 0;
+        for (const char of email || '') {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return `hsl(${hash}, 55%, 45%)`;
+    },
+
+    /**
+     * Create an avatar for a person
+     * @param {string} email - Email address
+     * @param {string} role - 'owner', 'editor' or 'viewer'
+     * @returns {HTMLElement} Avatar element
+     */
+    createAvatar(email, role) {
+        const avatar = document.createElement('span');
+        avatar.className = 'collaborator-avatar';
+        avatar.textContent = this.getInitials(email);
+        avatar.style.backgroundColor = this.getColor(email);
+        avatar.title = `${email} (${this.ROLE_LABELS[role] || role})`;
+        avatar.setAttribute('aria-label', avatar.title);
+        return avatar;
+    },
+
+    /**
+     * Render the owner and collaborators of a list as a row of avatars
+     * @param {HTMLElement} container - Avatar row element
+     * @param {Array} shares - Shares of the list ({ email, role, ownerEmail }); empty for unshared lists
+     */
+    renderAvatars(container, shares) {
+        container.innerHTML = '';
+        container.classList.toggle('d-none', shares.length === 0);
+
+        if (shares.length === 0) {
+            return;
+        }
+
+        const ownerEmail = shares[0].ownerEmail;
+        if (ownerEmail) {
+            container.appendChild(this.createAvatar(ownerEmail, this.OWNER));
+        }
+
+        shares.forEach(share => {
+            container.appendChild(this.createAvatar(share.email, share.role));
+        });
+    }
+};
+
+/**
+ * Dialog for sharing a list
+ */
+class ShareDialog {
+    /**
+     * Initialize the share dialog
+     * @param {TodoApi} api - API service
+     * @param {Object} options - Options
+     * @param {Function} options.onChange - Called with the shares after every change
+     */
+    constructor(api, { onChange }) {
+        this.api = api;
+        this.onChange = onChange;
+        this.listId = null;
+        this.shares = [];
+
+        this.modalElement = document.getElementById('share-list-modal');
+        this.modal = new bootstrap.Modal(this.modalElement);
+        this.title = document.getElementById('share-list-modal-title');
+        this.form = document.getElementById('share-list-form');
+        this.emailInput = document.getElementById('share-email-input');
+        this.roleSelect = document.getElementById('share-role-select');
+        this.feedback = document.getElementById('share-email-feedback');
+        this.list = document.getElementById('collaborator-list');
+        this.emptyState = document.getElementById('collaborator-empty-state');
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.add();
+        });
+        this.modalElement.addEventListener('shown.bs.modal', () => this.emailInput.focus());
+    }
+
+    /**
+     * Open the dialog for a list
+     * @param {Object} list - List ({ id, name })
+     * @returns {Promise<void>}
+     */
+    async open(list) {
+        this.listId = list.id;
+        this.title.textContent = `Share "${list.name}"`;
+        this.emailInput.value = '';
+        this.clearError();
+        this.shares = [];
+        this.render();
+        this.modal.show();
+
+        try {
+            this.shares = await this.api.getCollaborators(list.id);
+            this.render();
+        } catch (error) {
+            this.showError(`Failed to load the collaborators. (Error: ${error.message})`);
+        }
+    }
+
+    /**
+     * Share the list with the email address typed in the form
+     * @returns {Promise<void>}
+     */
+    async add() {
+        const email = this.emailInput.value.trim().toLowerCase();
+        if (!this.emailInput.checkValidity() || !email) {
+            this.showError('Enter a valid email address.');
+            return;
+        }
+
+        if (await this.save(email, this.roleSelect.value)) {
+            this.emailInput.value = '';
+            this.emailInput.focus();
+        }
+    }
+
+    /**
+     * Save a collaborator's role
+     * @param {string} email - Email address
+     * @param {string} role - 'viewer' or 'editor'
+     * @returns {Promise<boolean>} True if the share was saved
+     */
+    async save(email, role) {
+        try {
+            const share = await this.api.shareList(this.listId, email, role);
+            const index = this.shares.findIndex(existing => existing.email === share.email);
+            if (index >= 0) {
+                this.shares[index] = share;
+            } else {
+                this.shares.push(share);
+            }
+            this.clearError();
+            this.changed();
+            return true;
+        } catch (error) {
+            this.showError(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Stop sharing the list with someone
+     * @param {string} email - Email address
+     * @returns {Promise<void>}
+     */
+    async remove(email) {
+        try {
+            await this.api.removeCollaborator(this.listId, email);
+            this.shares = this.shares.filter(share => share.email !== email);
+            this.changed();
+        } catch (error) {
+            this.showError(`Failed to remove ${email}. (Error: ${error.message})`);
+        }
+    }
+
+    /**
+     * Re-render and notify the page after a change
+     */
+    changed() {
+        this.render();
+        this.onChange(this.shares);
+    }
+
+    /**
+     * Render the collaborator rows
+     */
+    render() {
+        this.list.innerHTML = '';
+        this.emptyState.classList.toggle('d-none', this.shares.length > 0);
+
+        this.shares.forEach(share => {
+            const row = document.createElement('li');
+            row.className = 'list-group-item d-flex align-items-center gap-2';
+
+            const email = document.createElement('span');
+            email.className = 'flex-grow-1 text-truncate';
+            email.textContent = share.email;
+
+            const role = document.createElement('select');
+            role.className = 'form-select form-select-sm w-auto';
+            role.setAttribute('aria-label', `Role of ${share.email}`);
+            [Collaborators.VIEWER, Collaborators.EDITOR].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = Collaborators.ROLE_LABELS[value];
+                option.selected = share.role === value;
+                role.appendChild(option);
+            });
+            role.addEventListener('change', () => this.save(share.email, role.value));
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'btn btn-sm btn-outline-danger';
+            removeButton.innerHTML = '<i class="bi bi-x-lg"></i>';
+            removeButton.setAttribute('aria-label', `Stop sharing with ${share.email}`);
+            removeButton.addEventListener('click', () => this.remove(share.email));
+
+            row.appendChild(Collaborators.createAvatar(share.email, share.role));
+            row.appendChild(email);
+            row.appendChild(role);
+            row.appendChild(removeButton);
+            this.list.appendChild(row);
+        });
+    }
+
+    /**
+     * Show an error below the email field
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.feedback.textContent = message;
+        this.emailInput.classList.add('is-invalid');
+    }
+
+    /**
+     * Clear the error below the email field
+     */
+    clearError() {
+        this.emailInput.classList.remove('is-invalid');
+    }
+}
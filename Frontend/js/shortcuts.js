@@ -0,0 +1,264 @@
+/**
+ * Keyboard shortcuts and the command palette for the list page
+ *
+ * The page registers its actions as commands. A command with keys runs
+ * when one of them is pressed outside a text field and dialog, every
+ * available command is listed in the Ctrl+K palette, and "?" shows the
+ * keys in an overlay.
+ */
+class KeyboardShortcuts {
+    /**
+     * Initialize the keyboard shortcuts
+     */
+    constructor() {
+        this.commands = [];
+        this.palette = new CommandPalette(this);
+        this.help = new ShortcutHelp(this);
+
+        this.register([
+            { id: 'help', group: 'General', label: 'Show keyboard shortcuts', keys: ['?'], run: () => this.help.open() }
+        ]);
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * Add commands
+     * @param {Array} commands - Commands ({ id, group, label, keys, run, isAvailable }); keys are
+     *     KeyboardEvent.key values and optional, isAvailable is an optional function returning
+     *     false while the command cannot be used
+     */
+    register(commands) {
+        this.commands.push(...commands);
+    }
+
+    /**
+     * Get the commands that can be used right now
+     * @returns {Array} Commands
+     */
+    getAvailable() {
+        return this.commands.filter(command => !command.isAvailable || command.isAvailable());
+    }
+
+    /**
+     * Run the command bound to a key press
+     * @param {KeyboardEvent} e - Key press
+     */
+    handleKeydown(e) {
+        const dialogOpen = document.querySelector('.modal.show') !== null;
+
+        // Ctrl+K (Cmd+K on macOS) also works while typing, like in other apps
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (!dialogOpen) {
+                this.palette.open();
+            }
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented || dialogOpen || isEditableElement(e.target)) {
+            return;
+        }
+
+        const command = this.getAvailable().find(candidate => (candidate.keys || []).includes(e.key));
+        if (command) {
+            e.preventDefault();
+            command.run();
+        }
+    }
+}
+
+/**
+ * Ctrl+K dialog for finding and running any command by name
+ */
+class CommandPalette {
+    /**
+     * Initialize the command palette
+     * @param {KeyboardShortcuts} shortcuts - Registered commands
+     */
+    constructor(shortcuts) {
+        this.shortcuts = shortcuts;
+        this.matches = [];
+        this.activeIndex = 0;
+        this.chosen = null;
+
+        this.modalElement = document.getElementById('command-palette-modal');
+        this.modal = new bootstrap.Modal(this.modalElement);
+        this.input = document.getElementById('command-palette-input');
+        this.list = document.getElementById('command-palette-list');
+        this.empty = document.getElementById('command-palette-empty');
+
+        this.input.addEventListener('input', () => {
+            this.activeIndex = 0;
+            this.render();
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.modalElement.addEventListener('shown.bs.modal', () => this.input.focus());
+
+        // Run the chosen command once the dialog is gone, so the command can move the focus
+        this.modalElement.addEventListener('hidden.bs.modal', () => {
+            const command = this.chosen;
+            this.chosen = null;
+            if (command) {
+                command.run();
+            }
+        });
+    }
+
+    /**
+     * Open the palette with every available command
+     */
+    open() {
+        this.input.value = '';
+        this.activeIndex = 0;
+        this.render();
+        this.modal.show();
+    }
+
+    /**
+     * Find the commands matching what was typed
+     * @param {string} query - Typed text; every word must appear in the group or label
+     * @returns {Array} Matching commands
+     */
+    getMatches(query) {
+        const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        return this.shortcuts.getAvailable().filter(command => {
+            const text = `${command.group} ${command.label}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    /**
+     * Show the matching commands, highlighting the active one
+     */
+    render() {
+        this.matches = this.getMatches(this.input.value);
+        this.activeIndex = Math.min(this.activeIndex, Math.max(this.matches.length - 1, 0));
+
+        this.list.innerHTML = '';
+        this.matches.forEach((command, index) => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.id = `command-palette-option-${index}`;
+            option.className = 'list-group-item list-group-item-action d-flex justify-content-between align-items-center';
+            option.classList.toggle('active', index === this.activeIndex);
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', index === this.activeIndex ? 'true' : 'false');
+            option.tabIndex = -1;
+
+            const label = document.createElement('span');
+            const group = document.createElement('small');
+            group.className = 'command-palette-group me-2';
+            group.textContent = command.group;
+            label.appendChild(group);
+            label.appendChild(document.createTextNode(command.label));
+            option.appendChild(label);
+
+            (command.keys || []).forEach(key => {
+                const kbd = document.createElement('kbd');
+                kbd.className = 'ms-1';
+                kbd.textContent = key;
+                option.appendChild(kbd);
+            });
+
+            option.addEventListener('click', () => this.choose(command));
+            this.list.appendChild(option);
+        });
+
+        this.empty.classList.toggle('d-none', this.matches.length > 0);
+        if (this.matches.length > 0) {
+            this.input.setAttribute('aria-activedescendant', `command-palette-option-${this.activeIndex}`);
+            this.list.children[this.activeIndex].scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Move through the matches with the arrow keys and run one with Enter
+     * @param {KeyboardEvent} e - Key press in the search field
+     */
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.matches.length > 0) {
+                const offset = e.key === 'ArrowDown' ? 1 : -1;
+                this.activeIndex = (this.activeIndex + offset + this.matches.length) % this.matches.length;
+                this.render();
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.matches[this.activeIndex]) {
+                this.choose(this.matches[this.activeIndex]);
+            }
+        }
+    }
+
+    /**
+     * Close the palette and run a command
+     * @param {Object} command - Command to run
+     */
+    choose(command) {
+        this.chosen = command;
+        this.modal.hide();
+    }
+}
+
+/**
+ * "?" overlay listing the keyboard shortcuts
+ */
+class ShortcutHelp {
+    /**
+     * Initialize the shortcut overlay
+     * @param {KeyboardShortcuts} shortcuts - Registered commands
+     */
+    constructor(shortcuts) {
+        this.shortcuts = shortcuts;
+
+        this.modalElement = document.getElementById('shortcut-help-modal');
+        this.modal = new bootstrap.Modal(this.modalElement);
+        this.content = document.getElementById('shortcut-help-list');
+    }
+
+    /**
+     * Open the overlay
+     */
+    open() {
+        this.render();
+        this.modal.show();
+    }
+
+    /**
+     * List every command that has keys, by group
+     */
+    render() {
+        const rows = [{ group: 'General', label: 'Open the command palette', keys: ['Ctrl+K'] }]
+            .concat(this.shortcuts.commands.filter(command => command.keys && command.keys.length > 0));
+        const groups = [...new Set(rows.map(row => row.group))];
+
+        this.content.innerHTML = '';
+        groups.forEach(group => {
+            const heading = document.createElement('h6');
+            heading.className = 'text-muted mt-2';
+            heading.textContent = group;
+            this.content.appendChild(heading);
+
+            const table = document.createElement('table');
+            table.className = 'table table-sm mb-2';
+            const body = table.createTBody();
+            rows.filter(row => row.group === group).forEach(row => {
+                const tableRow = body.insertRow();
+                const keys = tableRow.insertCell();
+                keys.className = 'shortcut-keys';
+                row.keys.forEach(key => {
+                    const kbd = document.createElement('kbd');
+                    kbd.className = 'me-1';
+                    kbd.textContent = key;
+                    keys.appendChild(kbd);
+                });
+                tableRow.insertCell().textContent = row.label;
+            });
+            this.content.appendChild(table);
+        });
+    }
+}
@@ -9,14 +9,146 @@ document.addEventListener('DOMContentLoaded', () => {
     const todoListContainer = document.getElementById('todo-list-container');
     const emptyState = document.getElementById('empty-state');
     const todoStats = document.getElementById('todo-stats');
+    const staleNotice = document.getElementById('todo-stale-notice');
     const errorContainer = document.getElementById('error-container');
     const errorMessage = document.getElementById('error-message');
+    const syncConflictNotice = document.getElementById('sync-conflict-notice');
+    const syncConflictMessage = document.getElementById('sync-conflict-message');
+    const syncConflictLink = document.getElementById('sync-conflict-link');
+    const noResultsState = document.getElementById('no-results-state');
+    const searchInput = document.getElementById('todo-search');
+    const filterInputs = document.querySelectorAll('input[name="todo-filter"]');
+    const sortSelect = document.getElementById('todo-sort');
+    const loadMoreContainer = document.getElementById('load-more-container');
+    const loadMoreButton = document.getElementById('load-more-btn');
+    const enableRemindersButton = document.getElementById('enable-reminders-btn');
+    const tagList = document.getElementById('tag-list');
+    const listTitle = document.getElementById('list-title');
+    const selectAllCheckbox = document.getElementById('select-all-todos');
+    const selectionCount = document.getElementById('selection-count');
+    const bulkCompleteButton = document.getElementById('bulk-complete-btn');
+    const bulkPendingButton = document.getElementById('bulk-pending-btn');
+    const bulkDeleteButton = document.getElementById('bulk-delete-btn');
+    const clearCompletedButton = document.getElementById('clear-completed-btn');
+    const bulkToolbar = document.getElementById('bulk-toolbar');
+    const addTodoButton = document.getElementById('add-todo-btn');
+    const importButton = document.getElementById('import-todos-btn');
+    const calendarButton = document.getElementById('calendar-subscribe-btn');
+    const exportButtons = document.querySelectorAll('[data-export-format]');
+    const collaboratorAvatars = document.getElementById('collaborator-avatars');
+    const shortcutHelpButton = document.getElementById('shortcut-help-btn');
+    const quickAddBarForm = document.getElementById('quick-add-form');
+    
+    // Toasts offering to undo the last delete or toggle
+    const undoManager = new UndoManager(document.getElementById('toast-container'));
+    
+    // Status filters available in the toolbar
+    const TODO_FILTERS = {
+        all: () => true,
+        pending: todo => !todo.isCompleted,
+        completed: todo => todo.isCompleted
+    };
+    
+    // Sort orders available in the toolbar
+    const TODO_SORTS = {
+        // Most important first, newest first within a priority
+        'priority': (a, b) => (Priorities.rank(b.priority) - Priorities.rank(a.priority))
+            || compareDates(b.createdAt, a.createdAt),
+        // Todos that were never reordered go after the ordered ones, newest first
+        'manual': (a, b) => ((a.position == null) - (b.position == null))
+            || (a.position - b.position)
+            || compareDates(b.createdAt, a.createdAt),
+        'created-desc': (a, b) => compareDates(b.createdAt, a.createdAt),
+        'created-asc': (a, b) => compareDates(a.createdAt, b.createdAt),
+        'updated-desc': (a, b) => compareDates(b.updatedAt || b.createdAt, a.updatedAt || a.createdAt),
+        // Todos without a due date go last
+        'due-asc': (a, b) => (!a.dueAt - !b.dueAt) || compareDates(a.dueAt, b.dueAt),
+        'alpha': (a, b) => a.description.localeCompare(b.description, undefined, { sensitivity: 'base' })
+    };
+    const DEFAULT_SORT = 'priority';
+    
+    // Number of todos requested per page
+    const PAGE_SIZE = 50;
+    
+    // How long before a todo is due to show a reminder, and how often to check
+    const REMINDER_LEAD_MINUTES = 15;
+    const DUE_CHECK_INTERVAL_MS = 60 * 1000;
+    
+    // The change feed starts this long before the list was read, in case this clock is ahead of the server's
+    const CHANGE_FEED_OVERLAP_MS = 60 * 1000;
+    
+    // Todos known to the page (loaded pages plus unsynced changes)
+    let allTodos = [];
+    
+    // Paging state: cursor for the next page and the outbox snapshot used to overlay it
+    let nextCursor = null;
+    let isLoadingMore = false;
+    let pendingMutations = [];
+    
+    // ID of the todo being dragged to a new position
+    let draggedTodoId = null;
+    
+    // IDs of the todos ticked for a bulk action
+    const selectedIds = new Set();
+    
+    // IDs of the todos whose notes are expanded under their row
+    const expandedNotes = new Set();
+    
+    // ID of the todo the keyboard shortcuts act on (moved with j/k)
+    let focusedTodoId = null;
+    
+    // Inline form at the top of the list for adding a todo in one line, opened with "n"
+    let quickAddForm = null;
+    let inlineQuickAdd = null;
+    
+    // Role of the user for the current list; viewers of a shared list only read it
+    let currentRole = Collaborators.OWNER;
+    
+    // Search, filter and sort settings, mirrored in the URL query string
+    const viewState = readViewStateFromUrl();
+    initToolbar();
+    
+    // Dialog for sharing the current list with collaborators
+    const shareDialog = new ShareDialog(api, {
+        onChange: shares => Collaborators.renderAvatars(collaboratorAvatars, shares)
+    });
+    
+    // Navbar dropdown for switching between named lists
+    const listSwitcher = new ListSwitcher(api, {
+        currentId: viewState.list,
+        onChange: setCurrentList,
+        onShare: list => shareDialog.open(list),
+        onError: showError
+    });
+    listTitle.textContent = listSwitcher.current.name;
+    listSwitcher.load();
+    
+    // Changes made on other devices, picked up by polling
+    const changeFeed = new ChangeFeed(api, { onChanges: applyServerChanges });
+    
+    // Dialog for importing JSON, CSV or Markdown checklists into the current list
+    const importDialog = new ImportDialog(api, { onImport: applyImportedTodos });
+    
+    // Dialog with the secret URL of the user's calendar feed
+    const calendarFeedDialog = new CalendarFeedDialog(api);
+    
+    // Keyboard shortcuts, the Ctrl+K command palette and the "?" overlay
+    const shortcuts = new KeyboardShortcuts();
+    
+    // Bar above the list that turns "Pay invoice tomorrow 5pm #billing !high" into a todo
+    const quickAddBar = new QuickAddBar(quickAddBarForm, { onSubmit: addQuickTodo });
     
     // Check for newly created or updated todos from localStorage
     checkForLocalStorageTodos();
     
     // Load todos on page load
     loadTodos();
+    loadTags();
+    initInfiniteScroll();
+    initBulkActions();
+    initListTools();
+    initShortcuts();
+    initReminders();
     
     /**
      * Check for newly created or updated todos from localStorage
@@ -51,18 +183,33 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     /**
-     * Load all todos from the API
+     * Load the first page of todos from the API
      */
     async function loadTodos() {
         try {
             showLoading();
             
-            const todos = await api.getAllTodos();
-            console.log('Loaded todos:', todos);
-            renderTodos(todos);
-            updateStats(todos);
+            const requestedAt = new Date();
+            const page = await api.getListTodosPage(viewState.list, { limit: PAGE_SIZE, tag: viewState.tag });
+            console.log('Loaded todos:', page.items);
+            
+            // Overlay changes that are still waiting in the offline outbox
+            pendingMutations = await api.getPendingMutations();
+            allTodos = applyPendingMutations(page.items, pendingMutations);
+            updateConflictNotice(pendingMutations);
+            nextCursor = page.nextCursor;
+            
+            renderTodos();
+            updateStats();
+            updateLoadMore();
+            checkReminders();
+            updateStaleNotice(api.todosCachedAt);
             hideLoading();
             
+            // Pick up everything that changed after the list was read (or cached)
+            const readAt = api.todosCachedAt || requestedAt;
+            changeFeed.start(viewState.list, new Date(readAt.getTime() - CHANGE_FEED_OVERLAP_MS));
+            
             // Hide error message if it was previously shown
             errorContainer.classList.add('d-none');
         } catch (error) {
@@ -72,28 +219,460 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Show empty state when there's an error
             emptyState.classList.remove('d-none');
+            noResultsState.classList.add('d-none');
             // Update stats to show 0 todos
-            updateStats([]);
+            allTodos = [];
+            nextCursor = null;
+            updateStats();
+            updateLoadMore();
         }
     }
     
     /**
-     * Render todos in the list
-     * @param {Array} todos - Array of todo items
+     * Load the next page of todos and append it below the rows already shown
      */
-    function renderTodos(todos) {
-        todoListContainer.innerHTML = '';
+    async function loadMoreTodos() {
+        if (!nextCursor || isLoadingMore) {
+            return;
+        }
         
-        if (!todos || todos.length === 0) {
-            emptyState.classList.remove('d-none');
-        } else {
-            emptyState.classList.add('d-none');
+        isLoadingMore = true;
+        loadMoreButton.disabled = true;
+        loadMoreButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Loading...';
+        
+        try {
+            const page = await api.getListTodosPage(viewState.list, { limit: PAGE_SIZE, cursor: nextCursor, tag: viewState.tag });
+            
+            // Unsynced creates were already added with the first page
+            const knownIds = new Set(allTodos.map(todo => todo.id));
+            const newTodos = applyPendingMutations(page.items, pendingMutations, { includeCreates: false })
+                .filter(todo => !knownIds.has(todo.id));
+            
+            allTodos = allTodos.concat(newTodos);
+            nextCursor = page.nextCursor;
+            
+            appendTodos(newTodos);
+            updateStats();
+        } catch (error) {
+            console.error('Error loading more todos:', error);
+            showError('Failed to load more todos. Please try again. (Error: ' + error.message + ')');
+        } finally {
+            isLoadingMore = false;
+            loadMoreButton.disabled = false;
+            loadMoreButton.innerHTML = '<i class="bi bi-arrow-down-circle"></i> Load more';
+            updateLoadMore();
+        }
+    }
+    
+    /**
+     * Show the "Load more" button only while there are more pages
+     */
+    function updateLoadMore() {
+        loadMoreContainer.classList.toggle('d-none', !nextCursor);
+    }
+    
+    /**
+     * Load the next page automatically when the "Load more" button scrolls into view
+     */
+    function initInfiniteScroll() {
+        loadMoreButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            loadMoreTodos();
+        });
+        
+        // Browsers without IntersectionObserver keep the manual button
+        if (!('IntersectionObserver' in window)) {
+            return;
+        }
+        
+        const observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadMoreTodos();
+            }
+        }, { rootMargin: '200px' });
+        observer.observe(loadMoreContainer);
+    }
+    
+    /**
+     * Apply queued mutations to the todos returned by the server
+     * @param {Array} todos - Array of todo items from the API
+     * @param {Array} mutations - Queued mutations, oldest first
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.includeCreates=true] - Add todos created in the current list while offline
+     * @returns {Array} Todos as the user last left them, with unsynced items flagged as pending
+     */
+    function applyPendingMutations(todos, mutations, { includeCreates = true } = {}) {
+        const result = todos.map(todo => ({ ...todo }));
+        
+        mutations.forEach(mutation => {
+            const index = result.findIndex(todo => todo.id === mutation.id);
+            
+            switch (mutation.type) {
+                case 'create':
+                    if (includeCreates && index === -1 && (mutation.todo.listId || CurrentList.DEFAULT_ID) === viewState.list) {
+                        result.push({ ...mutation.todo, pending: true });
+                    }
+                    break;
+                case 'update':
+                    if (index !== -1) {
+                        result[index] = { ...result[index], ...mutation.todo, pending: true };
+                    }
+                    break;
+                case 'restore':
+                    if (index === -1 && mutation.todo && (mutation.todo.listId || CurrentList.DEFAULT_ID) === viewState.list) {
+                        result.push({ ...mutation.todo, pending: true });
+                    }
+                    break;
+                case 'toggle':
+                    if (index !== -1) {
+                        result[index].isCompleted = !result[index].isCompleted;
+                        result[index].pending = true;
+                    }
+                    break;
+                case 'delete':
+                    if (index !== -1) {
+                        result.splice(index, 1);
+                    }
+                    break;
+                case 'batch':
+                    mutation.ids.forEach(id => {
+                        const batchIndex = result.findIndex(todo => todo.id === id);
+                        if (batchIndex === -1) {
+                            return;
+                        }
+                        
+                        if (mutation.action === 'delete') {
+                            result.splice(batchIndex, 1);
+                        } else {
+                            result[batchIndex].isCompleted = mutation.action === 'complete';
+                            result[batchIndex].pending = true;
+                        }
+                    });
+                    break;
+                case 'reorder':
+                    // Reorders queued before positions were sent only carry IDs, and the server drops them
+                    Object.entries(mutation.positions || {}).forEach(([id, position]) => {
+                        const todo = result.find(item => item.id === id);
+                        if (todo) {
+                            todo.position = position;
+                        }
+                    });
+                    break;
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Load the tags in use and show them in the sidebar
+     */
+    async function loadTags() {
+        try {
+            renderTagList(await api.getTags());
+        } catch (error) {
+            console.error('Error loading tags:', error);
+            renderTagList([]);
+        }
+    }
+    
+    /**
+     * Render the tag sidebar
+     * @param {Array} tags - Tags ({ name, count })
+     */
+    function renderTagList(tags) {
+        tagList.innerHTML = '';
+        
+        const allButton = document.createElement('button');
+        allButton.type = 'button';
+        allButton.className = 'list-group-item list-group-item-action';
+        allButton.dataset.tag = '';
+        allButton.textContent = 'All tags';
+        allButton.addEventListener('click', () => setTagFilter(''));
+        tagList.appendChild(allButton);
+        
+        // Keep a tag from a shared link visible even if no todo uses it any more
+        const names = tags.map(tag => tag.name);
+        if (viewState.tag && !names.includes(viewState.tag)) {
+            tags = tags.concat({ name: viewState.tag, count: 0 });
+        }
+        
+        tags.forEach(tag => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'list-group-item list-group-item-action d-flex justify-content-between align-items-center';
+            button.dataset.tag = tag.name;
+            button.appendChild(Tags.createChip(tag.name));
             
-            todos.forEach(todo => {
-                const todoElement = createTodoElement(todo);
-                todoListContainer.appendChild(todoElement);
+            const count = document.createElement('span');
+            count.className = 'badge bg-secondary rounded-pill';
+            count.textContent = tag.count;
+            button.appendChild(count);
+            
+            button.addEventListener('click', () => setTagFilter(tag.name));
+            tagList.appendChild(button);
+        });
+        
+        updateTagListSelection();
+    }
+    
+    /**
+     * Highlight the selected tag in the sidebar
+     */
+    function updateTagListSelection() {
+        tagList.querySelectorAll('[data-tag]').forEach(button => {
+            const selected = button.dataset.tag === viewState.tag;
+            button.classList.toggle('active', selected);
+            button.setAttribute('aria-pressed', String(selected));
+        });
+    }
+    
+    /**
+     * Show only todos with the given tag, or all todos
+     * 
+     * Tag filtering happens on the server, so the list is reloaded from the first page.
+     * @param {string} tag - Tag name, or '' for all todos
+     */
+    function setTagFilter(tag) {
+        viewState.tag = tag === viewState.tag ? '' : tag;
+        writeViewStateToUrl();
+        updateTagListSelection();
+        loadTodos();
+    }
+    
+    /**
+     * Show another list
+     * @param {Object} list - Selected list ({ id, name, role })
+     */
+    function setCurrentList(list) {
+        listTitle.textContent = list.name;
+        loadCollaborators(list.id);
+        
+        if (list.id === viewState.list) {
+            setCurrentRole(list.role);
+            return;
+        }
+        
+        viewState.list = list.id;
+        writeViewStateToUrl();
+        // Set the role before the new todos render so viewers never see edit buttons
+        currentRole = list.role || Collaborators.OWNER;
+        applyCurrentRole();
+        loadTodos();
+    }
+    
+    /**
+     * Switch between the read-only and editable view of the list
+     * @param {string} [role] - Role for the current list; lists without one are the user's own
+     */
+    function setCurrentRole(role) {
+        const newRole = role || Collaborators.OWNER;
+        if (newRole === currentRole) {
+            return;
+        }
+        
+        currentRole = newRole;
+        applyCurrentRole();
+        renderTodos();
+    }
+    
+    /**
+     * Hide the controls that change todos from viewers
+     */
+    function applyCurrentRole() {
+        const readOnly = !Collaborators.canEdit(currentRole);
+        addTodoButton.classList.toggle('d-none', readOnly);
+        quickAddBarForm.classList.toggle('d-none', readOnly);
+        importButton.classList.toggle('d-none', readOnly);
+        bulkToolbar.classList.toggle('d-none', readOnly);
+        
+        if (readOnly) {
+            selectedIds.clear();
+            closeQuickAdd();
+            quickAddBar.clear();
+        }
+    }
+    
+    /**
+     * Show the owner and collaborators of a shared list in the card header
+     * @param {string} listId - List ID
+     * @returns {Promise<void>}
+     */
+    async function loadCollaborators(listId) {
+        // The default list cannot be shared
+        if (listId === CurrentList.DEFAULT_ID) {
+            Collaborators.renderAvatars(collaboratorAvatars, []);
+            return;
+        }
+        
+        try {
+            const shares = await api.getCollaborators(listId);
+            // Ignore the answer if another list was selected in the meantime
+            if (listId === viewState.list) {
+                Collaborators.renderAvatars(collaboratorAvatars, shares);
+            }
+        } catch (error) {
+            console.error('Error loading collaborators:', error);
+            Collaborators.renderAvatars(collaboratorAvatars, []);
+        }
+    }
+    
+    /**
+     * Read list, search, filter, sort and tag settings from the URL query string
+     * @returns {Object} View state ({ list, search, filter, sort, tag })
+     */
+    function readViewStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const filter = params.get('filter');
+        const sort = params.get('sort');
+        
+        return {
+            list: params.get('list') || CurrentList.get().id,
+            search: params.get('q') || '',
+            filter: Object.keys(TODO_FILTERS).includes(filter) ? filter : 'all',
+            sort: Object.keys(TODO_SORTS).includes(sort) ? sort : DEFAULT_SORT,
+            tag: Tags.normalize(params.get('tag') || '')
+        };
+    }
+    
+    /**
+     * Write the current view state to the URL so the view can be bookmarked
+     */
+    function writeViewStateToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        
+        // Leave defaults out to keep shared links short
+        setOrDeleteParam(params, 'list', viewState.list !== CurrentList.DEFAULT_ID ? viewState.list : '');
+        setOrDeleteParam(params, 'q', viewState.search);
+        setOrDeleteParam(params, 'filter', viewState.filter !== 'all' ? viewState.filter : '');
+        setOrDeleteParam(params, 'sort', viewState.sort !== DEFAULT_SORT ? viewState.sort : '');
+        setOrDeleteParam(params, 'tag', viewState.tag);
+        
+        const query = params.toString();
+        history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+    }
+    
+    /**
+     * Set a query parameter, or remove it when the value is empty
+     * @param {URLSearchParams} params - Query parameters
+     * @param {string} name - Parameter name
+     * @param {string} value - Parameter value
+     */
+    function setOrDeleteParam(params, name, value) {
+        if (value) {
+            params.set(name, value);
+        } else {
+            params.delete(name);
+        }
+    }
+    
+    /**
+     * Sync the toolbar controls with the view state and wire up their events
+     */
+    function initToolbar() {
+        searchInput.value = viewState.search;
+        sortSelect.value = viewState.sort;
+        filterInputs.forEach(input => {
+            input.checked = input.value === viewState.filter;
+        });
+        
+        searchInput.addEventListener('input', () => {
+            viewState.search = searchInput.value;
+            applyViewState();
+        });
+        
+        filterInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                viewState.filter = input.value;
+                applyViewState();
             });
+        });
+        
+        sortSelect.addEventListener('change', () => {
+            viewState.sort = sortSelect.value;
+            applyViewState();
+        });
+    }
+    
+    /**
+     * Re-render the list after the view state changed
+     */
+    function applyViewState() {
+        writeViewStateToUrl();
+        renderTodos();
+        updateStats();
+    }
+    
+    /**
+     * Compare two date values for sorting
+     * @param {string} a - First date
+     * @param {string} b - Second date
+     * @returns {number} Negative if a is earlier than b
+     */
+    function compareDates(a, b) {
+        return new Date(a || 0) - new Date(b || 0);
+    }
+    
+    /**
+     * Get the todos matching the current search and filter, in the current sort order
+     * @param {Array} [todos] - Todos to pick from (defaults to all loaded todos)
+     * @returns {Array} Visible todo items
+     */
+    function getVisibleTodos(todos = allTodos) {
+        const search = viewState.search.trim().toLowerCase();
+        
+        return todos
+            .filter(TODO_FILTERS[viewState.filter])
+            .filter(todo => !viewState.tag || (todo.tags || []).includes(viewState.tag))
+            .filter(todo => !search || (todo.description || '').toLowerCase().includes(search))
+            .sort(TODO_SORTS[viewState.sort]);
+    }
+    
+    /**
+     * Render the visible todos in the list
+     */
+    function renderTodos() {
+        // Keep the quick-add form, and the focus in it, across re-renders
+        const quickAddOpen = quickAddForm !== null && quickAddForm.isConnected;
+        const typing = quickAddOpen && quickAddForm.contains(document.activeElement);
+        
+        todoListContainer.innerHTML = '';
+        // Drag handles are only shown in manual order
+        todoListContainer.classList.toggle('todo-list-manual', viewState.sort === 'manual');
+        
+        if (quickAddOpen) {
+            todoListContainer.appendChild(quickAddForm);
+            if (typing) {
+                quickAddForm.querySelector('input').focus();
+            }
         }
+        
+        appendTodos(allTodos);
+    }
+    
+    /**
+     * Append todos to the list without touching rows already shown
+     * 
+     * Only the todos passed in are filtered and sorted, so a newly loaded
+     * page is ordered within itself and placed after the earlier pages.
+     * @param {Array} todos - Todo items to append
+     */
+    function appendTodos(todos) {
+        getVisibleTodos(todos).forEach(todo => {
+            const todoElement = createTodoElement(todo);
+            todoListContainer.appendChild(todoElement);
+        });
+        
+        updateEmptyState();
+    }
+    
+    /**
+     * Show the empty or no-results state when there are no rows
+     */
+    function updateEmptyState() {
+        const hasRows = todoListContainer.querySelector('.list-group-item') !== null;
+        emptyState.classList.toggle('d-none', allTodos.length > 0);
+        noResultsState.classList.toggle('d-none', allTodos.length === 0 || hasRows);
     }
     
     /**
@@ -108,11 +687,29 @@ document.addEventListener('DOMContentLoaded', () => {
         // Set data attribute for ID
         todoElement.dataset.id = todo.id;
         
+        // Rows take the focus from j/k; tabbing into a row's buttons moves the keyboard focus there too
+        todoElement.tabIndex = -1;
+        todoElement.classList.toggle('todo-focused', todo.id === focusedTodoId);
+        todoElement.addEventListener('focusin', () => setFocusedRow(todoElement));
+        
         // Set completed class if needed
         if (todo.isCompleted) {
             todoElement.classList.add('bg-light');
         }
         
+        // Selection checkbox for bulk actions
+        const selectCheckbox = todoElement.querySelector('.todo-select');
+        selectCheckbox.checked = selectedIds.has(todo.id);
+        selectCheckbox.setAttribute('aria-label', `Select "${todo.description}"`);
+        selectCheckbox.addEventListener('change', () => {
+            if (selectCheckbox.checked) {
+                selectedIds.add(todo.id);
+            } else {
+                selectedIds.delete(todo.id);
+            }
+            updateSelection();
+        });
+        
         // Set description
         const descriptionElement = todoElement.querySelector('.todo-description');
         descriptionElement.textContent = todo.description;
@@ -121,6 +718,29 @@ document.addEventListener('DOMContentLoaded', () => {
             descriptionElement.classList.add('text-muted');
         }
         
+        // Notes are rendered under the row when their icon is clicked
+        if (todo.notes) {
+            const notesToggle = todoElement.querySelector('.todo-notes-toggle');
+            const notesPanel = todoElement.querySelector('.todo-notes');
+            notesPanel.id = `todo-notes-${todo.id}`;
+            notesToggle.setAttribute('aria-controls', notesPanel.id);
+            notesToggle.classList.remove('d-none');
+            notesToggle.addEventListener('click', () => {
+                setNotesExpanded(todoElement, todo, !expandedNotes.has(todo.id));
+            });
+            setNotesExpanded(todoElement, todo, expandedNotes.has(todo.id));
+        }
+        
+        // Colour the row's left border and show a flag by priority
+        const priority = Priorities.normalize(todo.priority);
+        if (priority !== Priorities.NONE) {
+            todoElement.classList.add(`todo-priority-${priority}`);
+            const priorityElement = todoElement.querySelector('.todo-priority');
+            priorityElement.title = `${Priorities.label(priority)} priority`;
+            priorityElement.setAttribute('aria-label', priorityElement.title);
+            priorityElement.classList.remove('d-none');
+        }
+        
         // Set toggle button
         const toggleButton = todoElement.querySelector('.toggle-status-btn');
         const toggleIcon = toggleButton.querySelector('i');
@@ -131,6 +751,49 @@ document.addEventListener('DOMContentLoaded', () => {
             toggleIcon.classList.add('bi-check-circle-fill');
         }
         
+        // Show checklist progress ("3/5") next to the description
+        const { done, total } = Checklist.getProgress(todo.checklist);
+        if (total > 0) {
+            const progressElement = todoElement.querySelector('.todo-checklist-progress');
+            progressElement.querySelector('.todo-checklist-progress-text').textContent = `${done}/${total}`;
+            progressElement.title = `${done} of ${total} checklist items done`;
+            progressElement.classList.add(done === total ? 'bg-success' : 'bg-secondary');
+            progressElement.classList.remove('d-none');
+        }
+        
+        // Show how many files are attached; the edit page lists them
+        const attachmentCount = (todo.attachments || []).length;
+        if (attachmentCount > 0) {
+            const attachmentElement = todoElement.querySelector('.todo-attachment-count');
+            attachmentElement.querySelector('.todo-attachment-count-text').textContent = attachmentCount;
+            attachmentElement.title = attachmentCount === 1 ? '1 attachment' : `${attachmentCount} attachments`;
+            attachmentElement.classList.remove('d-none');
+        }
+        
+        // Show tag chips; clicking one filters the list by that tag
+        const tagsElement = todoElement.querySelector('.todo-tags');
+        (todo.tags || []).forEach(tag => {
+            tagsElement.appendChild(Tags.createChip(tag, { onClick: setTagFilter }));
+        });
+        
+        // Mark recurring todos; the rule is spelled out on hover
+        if (todo.recurrence) {
+            const recurrenceElement = todoElement.querySelector('.todo-recurrence');
+            recurrenceElement.title = Recurrence.describe(todo.recurrence);
+            recurrenceElement.setAttribute('aria-label', `Repeats: ${recurrenceElement.title}`);
+            recurrenceElement.classList.remove('d-none');
+        }
+        
+        // Show the due date and highlight overdue or due-today todos
+        updateDueIndicator(todoElement, todo);
+        
+        // Flag changes that have not reached the server yet
+        if (todo.pending) {
+            todoElement.querySelector('.todo-sync-badge').classList.remove('d-none');
+        }
+        
+        initReordering(todoElement, todo);
+        
         // Add event listeners
         toggleButton.addEventListener('click', (e) => {
             e.preventDefault();
@@ -145,71 +808,826 @@ document.addEventListener('DOMContentLoaded', () => {
             deleteTodoWithImmediate(todo.id, todoElement);
         });
         
+        // Viewers of a shared list get the todo without the buttons that change it
+        if (!Collaborators.canEdit(currentRole)) {
+            ['.todo-select', '.drag-handle', '.toggle-status-btn', '.edit-todo-btn', '.delete-todo-btn'].forEach(selector => {
+                todoElement.querySelector(selector).remove();
+            });
+        }
+        
         return todoElement;
     }
     
     /**
-     * Update todo statistics
-     * @param {Array} todos - Array of todo items
+     * Expand or collapse the notes under a todo row, rendering them the first time
+     * @param {HTMLElement} todoElement - The todo list item element
+     * @param {Object} todo - Todo object
+     * @param {boolean} expanded - True to show the notes
      */
-    function updateStats(todos) {
-        if (!todos) {
-            todoStats.textContent = 'Total: 0 | Completed: 0 | Pending: 0';
-            return;
-        }
+    function setNotesExpanded(todoElement, todo, expanded) {
+        const notesToggle = todoElement.querySelector('.todo-notes-toggle');
+        const notesPanel = todoElement.querySelector('.todo-notes');
         
-        const total = todos.length;
-        const completed = todos.filter(todo => todo.isCompleted).length;
-        const pending = total - completed;
+        if (expanded) {
+            expandedNotes.add(todo.id);
+            if (!notesPanel.hasChildNodes()) {
+                notesPanel.appendChild(Markdown.render(todo.notes));
+            }
+        } else {
+            expandedNotes.delete(todo.id);
+        }
         
-        todoStats.textContent = `Total: ${total} | Completed: ${completed} | Pending: ${pending}`;
+        notesPanel.classList.toggle('d-none', !expanded);
+        notesToggle.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        notesToggle.title = expanded ? 'Hide notes' : 'Show notes';
+        notesToggle.setAttribute('aria-label', notesToggle.title);
     }
     
     /**
-     * Toggle todo completion status with immediate visual feedback
-     * @param {number} id - Todo ID
+     * Let a todo row be moved by dragging its handle or with the arrow keys on the handle
      * @param {HTMLElement} todoElement - The todo list item element
+     * @param {Object} todo - Todo object
      */
-    async function toggleTodoStatusWithImmediate(id, todoElement) {
-        // Get current state
-        const isCurrentlyCompleted = todoElement.classList.contains('bg-light');
+    function initReordering(todoElement, todo) {
+        const handle = todoElement.querySelector('.drag-handle');
+        handle.setAttribute('aria-label', `Move "${todo.description}". Use the up and down arrow keys to reorder.`);
         
-        // Get elements to update
-        const descriptionElement = todoElement.querySelector('.todo-description');
-        const toggleButton = todoElement.querySelector('.toggle-status-btn');
-        const toggleIcon = toggleButton.querySelector('i');
+        // Only the handle starts a drag, so the text in the row can still be selected
+        handle.addEventListener('pointerdown', () => {
+            todoElement.draggable = true;
+        });
+        handle.addEventListener('pointerup', () => {
+            todoElement.draggable = false;
+        });
         
-        // Update UI immediately
-        if (!isCurrentlyCompleted) {
-            // Mark as completed
-            todoElement.classList.add('bg-light');
-            descriptionElement.classList.add('text-decoration-line-through', 'text-muted');
-            toggleButton.classList.remove('btn-outline-secondary');
-            toggleButton.classList.add('btn-success');
-            toggleIcon.classList.remove('bi-circle');
-            toggleIcon.classList.add('bi-check-circle-fill');
-        } else {
-            // Mark as not completed
-            todoElement.classList.remove('bg-light');
-            descriptionElement.classList.remove('text-decoration-line-through', 'text-muted');
-            toggleButton.classList.remove('btn-success');
-            toggleButton.classList.add('btn-outline-secondary');
-            toggleIcon.classList.remove('bi-check-circle-fill');
-            toggleIcon.classList.add('bi-circle');
-        }
+        handle.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                moveTodoBy(todo.id, e.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
         
-        // Update stats immediately (approximate)
-        const allTodos = document.querySelectorAll('.list-group-item');
-        const completedTodos = document.querySelectorAll('.list-group-item.bg-light');
-        const total = allTodos.length;
-        const completed = completedTodos.length;
-        const pending = total - completed;
-        todoStats.textContent = `Total: ${total} | Completed: ${completed} | Pending: ${pending}`;
+        todoElement.addEventListener('dragstart', (e) => {
+            draggedTodoId = todo.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', todo.id);
+            todoElement.classList.add('todo-dragging');
+        });
         
-        // Send API request in the background
-        try {
-            await api.toggleTodoStatus(id);
-            // No need to reload the entire list
+        todoElement.addEventListener('dragend', () => {
+            draggedTodoId = null;
+            todoElement.draggable = false;
+            todoElement.classList.remove('todo-dragging');
+        });
+        
+        todoElement.addEventListener('dragover', (e) => {
+            if (!draggedTodoId || draggedTodoId === todo.id) {
+                return;
+            }
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            const after = isInLowerHalf(todoElement, e);
+            todoElement.classList.toggle('todo-drop-before', !after);
+            todoElement.classList.toggle('todo-drop-after', after);
+        });
+        
+        todoElement.addEventListener('dragleave', () => {
+            todoElement.classList.remove('todo-drop-before', 'todo-drop-after');
+        });
+        
+        todoElement.addEventListener('drop', (e) => {
+            e.preventDefault();
+            todoElement.classList.remove('todo-drop-before', 'todo-drop-after');
+            
+            if (draggedTodoId && draggedTodoId !== todo.id) {
+                moveTodo(draggedTodoId, todo.id, isInLowerHalf(todoElement, e));
+            }
+        });
+    }
+    
+    /**
+     * Check whether a drag event is over the lower half of an element
+     * @param {HTMLElement} element - Element being dragged over
+     * @param {DragEvent} e - Drag event
+     * @returns {boolean} True if the pointer is in the lower half
+     */
+    function isInLowerHalf(element, e) {
+        const rect = element.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    }
+    
+    /**
+     * Move a todo one row up or down in the visible list
+     * @param {string} id - Todo ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    function moveTodoBy(id, offset) {
+        const visibleTodos = getVisibleTodos();
+        const neighbour = visibleTodos[visibleTodos.findIndex(todo => todo.id === id) + offset];
+        if (!neighbour) {
+            return;
+        }
+        
+        moveTodo(id, neighbour.id, offset > 0);
+        
+        // Keep focus on the moved row so the arrow keys can be pressed again
+        const handle = todoListContainer.querySelector(`.list-group-item[data-id="${id}"] .drag-handle`);
+        if (handle) {
+            handle.focus();
+        }
+    }
+    
+    /**
+     * Move a todo next to another one and save the new manual order
+     * 
+     * The moved todo gets a position between its new neighbours, so todos on
+     * pages that are not loaded yet keep their place. Todos that were never
+     * reordered and now come before it are given positions after the last
+     * ordered one.
+     * @param {string} id - ID of the todo to move
+     * @param {string} targetId - ID of the todo to move it next to
+     * @param {boolean} placeAfter - Place it after the target instead of before
+     */
+    async function moveTodo(id, targetId, placeAfter) {
+        const ordered = [...allTodos].sort(TODO_SORTS.manual);
+        const moved = ordered.find(todo => todo.id === id);
+        if (!moved) {
+            return;
+        }
+        
+        ordered.splice(ordered.indexOf(moved), 1);
+        const targetIndex = ordered.findIndex(todo => todo.id === targetId);
+        const index = targetIndex + (placeAfter ? 1 : 0);
+        ordered.splice(index, 0, moved);
+        
+        const positions = {};
+        ordered.slice(0, index).forEach((todo, i) => {
+            if (todo.position == null) {
+                todo.position = i === 0 ? 0 : ordered[i - 1].position + 1;
+                positions[todo.id] = todo.position;
+            }
+        });
+        
+        const before = index > 0 ? ordered[index - 1].position : null;
+        const after = index + 1 < ordered.length ? ordered[index + 1].position : null;
+        if (before == null) {
+            moved.position = after == null ? 0 : after - 1;
+        } else if (after == null) {
+            moved.position = before + 1;
+        } else {
+            moved.position = (before + after) / 2;
+        }
+        positions[moved.id] = moved.position;
+        
+        // Halving the gap again and again eventually runs out of precision; space the loaded todos out again
+        if (before != null && after != null && (moved.position <= before || moved.position >= after)) {
+            ordered.forEach((todo, position) => {
+                if (todo.position != null) {
+                    todo.position = position;
+                    positions[todo.id] = position;
+                }
+            });
+        }
+        
+        // Update UI immediately
+        renderTodos();
+        
+        // Send API request in the background
+        try {
+            await api.reorderTodos(positions);
+        } catch (error) {
+            console.error('Error reordering todos:', error);
+            showError('Failed to save the new order. The page will refresh to show the correct state.');
+            
+            // If there was an error, reload the list to get the correct state
+            setTimeout(() => {
+                loadTodos();
+            }, 2000);
+        }
+    }
+    
+    /**
+     * Update todo statistics
+     * 
+     * Counts cover all loaded todos ("+" means more pages are available);
+     * when a search or filter hides some of them the number shown is added in front.
+     */
+    function updateStats() {
+        const more = nextCursor ? '+' : '';
+        const total = allTodos.length;
+        const completed = allTodos.filter(todo => todo.isCompleted).length;
+        const pending = total - completed;
+        const overdue = allTodos.filter(todo => DueDates.getStatus(todo) === 'overdue').length;
+        const dueToday = allTodos.filter(todo => DueDates.getStatus(todo) === 'today').length;
+        const stats = `Total: ${total}${more} | Completed: ${completed} | Pending: ${pending} | Overdue: ${overdue} | Due today: ${dueToday}`;
+        
+        const shown = getVisibleTodos().length;
+        todoStats.textContent = shown < total ? `Showing: ${shown} of ${total}${more} | ${stats}` : stats;
+        
+        clearCompletedButton.disabled = completed === 0;
+        updateSelection();
+    }
+    
+    /**
+     * Wire up select all/none, the bulk action buttons and "Clear completed"
+     */
+    function initBulkActions() {
+        selectAllCheckbox.addEventListener('change', () => {
+            getVisibleTodos().forEach(todo => {
+                if (selectAllCheckbox.checked) {
+                    selectedIds.add(todo.id);
+                } else {
+                    selectedIds.delete(todo.id);
+                }
+            });
+            
+            todoListContainer.querySelectorAll('.todo-select').forEach(checkbox => {
+                checkbox.checked = selectAllCheckbox.checked;
+            });
+            updateSelection();
+        });
+        
+        bulkCompleteButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            applyBatch('complete', getSelectedTodos().map(todo => todo.id));
+        });
+        
+        bulkPendingButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            applyBatch('pending', getSelectedTodos().map(todo => todo.id));
+        });
+        
+        bulkDeleteButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            applyBatch('delete', getSelectedTodos().map(todo => todo.id));
+        });
+        
+        clearCompletedButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            applyBatch('delete', allTodos.filter(todo => todo.isCompleted).map(todo => todo.id));
+        });
+    }
+    
+    /**
+     * Get the selected todos that are currently shown
+     * 
+     * Todos hidden by the search or filter are left alone by bulk actions.
+     * @returns {Array} Selected todo items
+     */
+    function getSelectedTodos() {
+        return getVisibleTodos().filter(todo => selectedIds.has(todo.id));
+    }
+    
+    /**
+     * Undo a bulk action by restoring the todos as they were before it
+     * @param {string} action - Action that was applied
+     * @param {Array} previous - Copies of the todos from before the action
+     * @param {Promise} request - The original API request
+     */
+    async function undoBatch(action, previous, request) {
+        try {
+            await request;
+        } catch (error) {
+            // The action never reached the server; the list is reloaded anyway
+            return;
+        }
+        
+        let compensations;
+        if (action === 'delete') {
+            allTodos = allTodos.concat(previous);
+            compensations = previous.map(todo => api.restoreTodo(todo.id, withoutPageState(todo)));
+        } else {
+            previous.forEach(copy => {
+                const todo = findTodo(copy.id);
+                if (todo) {
+                    todo.isCompleted = copy.isCompleted;
+                }
+            });
+            
+            // Only todos whose status actually changed need to be switched back
+            const target = action === 'complete';
+            const changedIds = previous.filter(todo => todo.isCompleted !== target).map(todo => todo.id);
+            compensations = changedIds.length > 0 ? [api.batch(target ? 'pending' : 'complete', changedIds)] : [];
+        }
+        renderTodos();
+        updateStats();
+        
+        try {
+            await Promise.all(compensations);
+        } catch (error) {
+            console.error(`Error undoing bulk ${action}:`, error);
+            showError('Failed to undo the change. The page will refresh to show the correct state.');
+            setTimeout(() => {
+                loadTodos();
+            }, 2000);
+        }
+    }
+    
+    /**
+     * Update the select-all checkbox, selection count and bulk action buttons
+     */
+    function updateSelection() {
+        // Forget todos that are no longer in the list
+        selectedIds.forEach(id => {
+            if (!findTodo(id)) {
+                selectedIds.delete(id);
+            }
+        });
+        
+        const visibleCount = getVisibleTodos().length;
+        const selectedCount = getSelectedTodos().length;
+        
+        selectAllCheckbox.checked = visibleCount > 0 && selectedCount === visibleCount;
+        selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < visibleCount;
+        selectAllCheckbox.disabled = visibleCount === 0;
+        selectionCount.textContent = selectedCount > 0 ? `${selectedCount} selected` : '';
+        
+        [bulkCompleteButton, bulkPendingButton, bulkDeleteButton].forEach(button => {
+            button.disabled = selectedCount === 0;
+        });
+    }
+    
+    /**
+     * Apply a bulk action with immediate visual feedback
+     * @param {string} action - 'complete', 'pending' or 'delete'
+     * @param {Array<string>} ids - Todo IDs
+     */
+    async function applyBatch(action, ids) {
+        if (ids.length === 0) {
+            return;
+        }
+        
+        // Keep copies of the todos as they were, for undo
+        const previous = allTodos.filter(todo => ids.includes(todo.id)).map(todo => ({ ...todo }));
+        
+        // Update UI immediately
+        if (action === 'delete') {
+            allTodos = allTodos.filter(todo => !ids.includes(todo.id));
+        } else {
+            allTodos.forEach(todo => {
+                if (ids.includes(todo.id)) {
+                    todo.isCompleted = action === 'complete';
+                }
+            });
+        }
+        ids.forEach(id => selectedIds.delete(id));
+        renderTodos();
+        updateStats();
+        
+        // Send API request in the background
+        const request = api.batch(action, ids);
+        const verb = { complete: 'marked complete', pending: 'marked pending', delete: 'moved to trash' }[action];
+        undoManager.push({
+            message: `${ids.length} item${ids.length === 1 ? '' : 's'} ${verb}`,
+            undo: () => undoBatch(action, previous, request)
+        });
+        
+        try {
+            await request;
+        } catch (error) {
+            console.error(`Error applying bulk ${action}:`, error);
+            showError('Failed to update the selected todos. The page will refresh to show the correct state.');
+            
+            // If there was an error, reload the list to get the correct state
+            setTimeout(() => {
+                loadTodos();
+            }, 2000);
+        }
+    }
+    
+    /**
+     * Find a todo in the page state
+     * @param {string} id - Todo ID
+     * @returns {Object|undefined} Todo item
+     */
+    function findTodo(id) {
+        return allTodos.find(todo => todo.id === id);
+    }
+    
+    /**
+     * Show a todo's due date on its row and highlight it when overdue or due today
+     * @param {HTMLElement} todoElement - The todo list item element
+     * @param {Object} todo - Todo object
+     */
+    function updateDueIndicator(todoElement, todo) {
+        const dueElement = todoElement.querySelector('.todo-due');
+        const status = DueDates.getStatus(todo);
+        
+        todoElement.classList.toggle('todo-overdue', status === 'overdue');
+        todoElement.classList.toggle('todo-due-today', status === 'today');
+        
+        if (!todo.dueAt) {
+            dueElement.classList.add('d-none');
+            return;
+        }
+        
+        const label = status === 'overdue' ? 'Overdue' : status === 'today' ? 'Due today' : 'Due';
+        dueElement.querySelector('.todo-due-text').textContent = `${label}: ${DueDates.format(todo.dueAt)}`;
+        dueElement.classList.toggle('text-danger', status === 'overdue');
+        dueElement.classList.toggle('text-warning-emphasis', status === 'today');
+        dueElement.classList.toggle('text-muted', !status);
+        dueElement.classList.remove('d-none');
+    }
+    
+    /**
+     * Wire up the import dialog, the export menu and the calendar feed dialog
+     */
+    function initListTools() {
+        importButton.addEventListener('click', () => {
+            importDialog.open(listSwitcher.current, allTodos);
+        });
+        
+        exportButtons.forEach(button => {
+            button.addEventListener('click', () => exportTodos(button.dataset.exportFormat));
+        });
+        
+        calendarButton.addEventListener('click', () => calendarFeedDialog.open());
+    }
+    
+    /**
+     * Download all of the user's todos
+     * @param {string} format - 'json', 'csv' or 'markdown'
+     * @returns {Promise<void>}
+     */
+    async function exportTodos(format) {
+        try {
+            TodoExport.download(await api.getAllTodos(), format);
+        } catch (error) {
+            showError(`Failed to export todos. (Error: ${error.message})`);
+        }
+    }
+    
+    /**
+     * Register the keyboard shortcuts and the commands of the command palette
+     */
+    function initShortcuts() {
+        const canEdit = () => Collaborators.canEdit(currentRole);
+        const canEditFocused = () => canEdit() && getFocusedRow() !== null;
+        
+        shortcuts.register([
+            { id: 'next', group: 'Todos', label: 'Focus next todo', keys: ['j'], run: () => focusTodoBy(1) },
+            { id: 'previous', group: 'Todos', label: 'Focus previous todo', keys: ['k'], run: () => focusTodoBy(-1) },
+            {
+                id: 'toggle',
+                group: 'Todos',
+                label: 'Toggle focused todo',
+                keys: ['x'],
+                isAvailable: canEditFocused,
+                run: () => toggleTodoStatusWithImmediate(focusedTodoId, getFocusedRow())
+            },
+            {
+                id: 'edit',
+                group: 'Todos',
+                label: 'Edit focused todo',
+                keys: ['e'],
+                isAvailable: canEditFocused,
+                run: () => {
+                    window.location.href = getFocusedRow().querySelector('.edit-todo-btn').href;
+                }
+            },
+            {
+                id: 'notes',
+                group: 'Todos',
+                label: 'Show or hide notes of focused todo',
+                keys: ['o'],
+                isAvailable: () => getFocusedRow() !== null && findTodo(focusedTodoId) && !!findTodo(focusedTodoId).notes,
+                run: () => getFocusedRow().querySelector('.todo-notes-toggle').click()
+            },
+            { id: 'delete', group: 'Todos', label: 'Delete focused todo', keys: ['#'], isAvailable: canEditFocused, run: deleteFocusedTodo },
+            { id: 'quick-add', group: 'Todos', label: 'Quick add a todo', keys: ['n'], isAvailable: canEdit, run: openQuickAdd },
+            {
+                id: 'quick-add-bar',
+                group: 'Todos',
+                label: 'Go to the quick-add bar',
+                isAvailable: canEdit,
+                run: () => quickAddBarForm.querySelector('input').focus()
+            },
+            {
+                id: 'create',
+                group: 'Todos',
+                label: 'Add a todo with all fields',
+                isAvailable: canEdit,
+                run: () => {
+                    window.location.href = addTodoButton.href;
+                }
+            },
+            { id: 'search', group: 'View', label: 'Search todos', keys: ['/'], run: () => searchInput.focus() },
+            ...Array.from(filterInputs).map(input => ({
+                id: `filter-${input.value}`,
+                group: 'View',
+                label: `Show ${input.value} todos`,
+                run: () => input.click()
+            })),
+            ...Array.from(sortSelect.options).map(option => ({
+                id: `sort-${option.value}`,
+                group: 'View',
+                label: `Sort: ${option.textContent.trim()}`,
+                run: () => {
+                    sortSelect.value = option.value;
+                    sortSelect.dispatchEvent(new Event('change'));
+                }
+            })),
+            { id: 'import', group: 'List', label: 'Import todos', isAvailable: canEdit, run: () => importButton.click() },
+            ...Array.from(exportButtons).map(button => ({
+                id: `export-${button.dataset.exportFormat}`,
+                group: 'List',
+                label: `Export all my todos as ${button.textContent.trim()}`,
+                run: () => exportTodos(button.dataset.exportFormat)
+            })),
+            { id: 'calendar', group: 'List', label: 'Subscribe in calendar', run: () => calendarFeedDialog.open() }
+        ]);
+        
+        shortcutHelpButton.addEventListener('click', () => shortcuts.help.open());
+    }
+    
+    /**
+     * Get the todo rows in the order they are shown
+     * @returns {Array<HTMLElement>} Todo list item elements
+     */
+    function getTodoRows() {
+        return Array.from(todoListContainer.querySelectorAll('.list-group-item[data-id]'));
+    }
+    
+    /**
+     * Get the row the keyboard shortcuts act on
+     * @returns {HTMLElement|null} Todo list item element, or null if no shown row has the focus
+     */
+    function getFocusedRow() {
+        return getTodoRows().find(row => row.dataset.id === focusedTodoId) || null;
+    }
+    
+    /**
+     * Move the focus ring to a row without moving the browser focus
+     * @param {HTMLElement|null} row - Todo list item element, or null to clear the focus
+     */
+    function setFocusedRow(row) {
+        const previous = getFocusedRow();
+        if (previous) {
+            previous.classList.remove('todo-focused');
+        }
+        
+        focusedTodoId = row ? row.dataset.id : null;
+        if (row) {
+            row.classList.add('todo-focused');
+        }
+    }
+    
+    /**
+     * Focus the next or previous row, starting at the top or bottom if no row has the focus
+     * @param {number} offset - 1 for the next row, -1 for the previous one
+     */
+    function focusTodoBy(offset) {
+        const rows = getTodoRows();
+        if (rows.length === 0) {
+            return;
+        }
+        
+        const index = rows.indexOf(getFocusedRow());
+        const row = index === -1
+            ? rows[offset > 0 ? 0 : rows.length - 1]
+            : rows[Math.min(Math.max(index + offset, 0), rows.length - 1)];
+        
+        setFocusedRow(row);
+        row.focus();
+    }
+    
+    /**
+     * Delete the focused todo and focus the row that takes its place
+     */
+    function deleteFocusedTodo() {
+        const rows = getTodoRows();
+        const row = getFocusedRow();
+        const index = rows.indexOf(row);
+        const neighbour = rows[index + 1] || rows[index - 1] || null;
+        
+        deleteTodoWithImmediate(row.dataset.id, row);
+        
+        setFocusedRow(neighbour);
+        if (neighbour) {
+            neighbour.focus();
+        }
+    }
+    
+    /**
+     * Show the quick-add form at the top of the list and focus it
+     */
+    function openQuickAdd() {
+        if (!quickAddForm) {
+            quickAddForm = document.getElementById('todo-quick-add-template').content.cloneNode(true).querySelector('form');
+            inlineQuickAdd = new QuickAddBar(quickAddForm, { onSubmit: addQuickTodo });
+            
+            quickAddForm.querySelector('input').addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    closeQuickAdd();
+                }
+            });
+            quickAddForm.querySelector('.btn-close').addEventListener('click', closeQuickAdd);
+        }
+        
+        if (!quickAddForm.isConnected) {
+            todoListContainer.prepend(quickAddForm);
+        }
+        quickAddForm.querySelector('input').focus();
+    }
+    
+    /**
+     * Hide the quick-add form and return the focus to the list
+     */
+    function closeQuickAdd() {
+        if (!quickAddForm || !quickAddForm.isConnected) {
+            return;
+        }
+        
+        quickAddForm.remove();
+        inlineQuickAdd.clear();
+        
+        const row = getFocusedRow();
+        if (row) {
+            row.focus();
+        }
+    }
+    
+    /**
+     * Create a todo typed into a quick-add field
+     * @param {Object} parsed - Parsed quick-add line ({ description, dueAt, tags, priority })
+     * @returns {Promise<boolean>} True if the todo was created or queued
+     */
+    async function addQuickTodo(parsed) {
+        const newTodo = {
+            description: parsed.description,
+            isCompleted: false,
+            dueAt: parsed.dueAt,
+            tags: parsed.tags,
+            listId: listSwitcher.current.id
+        };
+        if (parsed.priority) {
+            newTodo.priority = parsed.priority;
+        }
+        
+        try {
+            const createdTodo = await api.createTodo(newTodo);
+            applyRemoteChanges([{ id: createdTodo.id, todo: createdTodo }]);
+            if (createdTodo.pending) {
+                markTodoPending(createdTodo.id);
+            }
+            if (parsed.tags.length > 0) {
+                loadTags();
+            }
+            return true;
+        } catch (error) {
+            console.error('Error creating todo:', error);
+            showError('Failed to add todo. Please try again.');
+            return false;
+        }
+    }
+    
+    /**
+     * Offer to enable reminders and start checking due dates while the tab is open
+     */
+    function initReminders() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            enableRemindersButton.classList.remove('d-none');
+            enableRemindersButton.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await Notification.requestPermission();
+                enableRemindersButton.classList.add('d-none');
+                checkReminders();
+            });
+        }
+        
+        setInterval(refreshDueDates, DUE_CHECK_INTERVAL_MS);
+    }
+    
+    /**
+     * Re-evaluate due dates as time passes
+     */
+    function refreshDueDates() {
+        todoListContainer.querySelectorAll('.list-group-item[data-id]').forEach(todoElement => {
+            const todo = findTodo(todoElement.dataset.id);
+            if (todo) {
+                updateDueIndicator(todoElement, todo);
+            }
+        });
+        
+        updateStats();
+        checkReminders();
+    }
+    
+    /**
+     * Show a browser notification for todos coming due
+     * 
+     * Each due date is announced once; reminded todos are remembered in
+     * localStorage so a reload does not repeat them.
+     */
+    function checkReminders() {
+        if (!('Notification' in window) || Notification.permission !== 'granted') {
+            return;
+        }
+        
+        let reminded;
+        try {
+            reminded = JSON.parse(localStorage.getItem('remindedTodos')) || {};
+        } catch (error) {
+            reminded = {};
+        }
+        
+        const now = new Date();
+        allTodos.forEach(todo => {
+            if (!todo.dueAt || todo.isCompleted || reminded[todo.id] === todo.dueAt) {
+                return;
+            }
+            
+            // Remind shortly before the due time, or if it passed since the last check
+            const minutesLeft = (new Date(todo.dueAt) - now) / 60000;
+            if (minutesLeft > REMINDER_LEAD_MINUTES || minutesLeft < -DUE_CHECK_INTERVAL_MS / 60000) {
+                return;
+            }
+            
+            const notification = new Notification(todo.description, {
+                body: minutesLeft > 0 ? `Due at ${DueDates.format(todo.dueAt)}` : 'This todo is now due',
+                icon: 'icons/icon-192.png',
+                tag: `todo-due-${todo.id}`
+            });
+            notification.addEventListener('click', () => window.focus());
+            
+            reminded[todo.id] = todo.dueAt;
+        });
+        
+        localStorage.setItem('remindedTodos', JSON.stringify(reminded));
+    }
+    
+    /**
+     * Show or hide the offline notice next to the stats
+     * @param {Date|null} cachedAt - When the cached list was fetched, or null if the list is live
+     */
+    function updateStaleNotice(cachedAt) {
+        if (!cachedAt) {
+            staleNotice.classList.add('d-none');
+            return;
+        }
+        
+        staleNotice.querySelector('span').textContent = `Offline - showing list saved ${cachedAt.toLocaleString()}`;
+        staleNotice.classList.remove('d-none');
+    }
+    
+    /**
+     * Toggle todo completion status with immediate visual feedback
+     * @param {number} id - Todo ID
+     * @param {HTMLElement} todoElement - The todo list item element
+     */
+    async function toggleTodoStatusWithImmediate(id, todoElement) {
+        // Get current state
+        const isCurrentlyCompleted = todoElement.classList.contains('bg-light');
+        
+        // Get elements to update
+        const descriptionElement = todoElement.querySelector('.todo-description');
+        const toggleButton = todoElement.querySelector('.toggle-status-btn');
+        const toggleIcon = toggleButton.querySelector('i');
+        
+        // Update UI immediately
+        if (!isCurrentlyCompleted) {
+            // Mark as completed
+            todoElement.classList.add('bg-light');
+            descriptionElement.classList.add('text-decoration-line-through', 'text-muted');
+            toggleButton.classList.remove('btn-outline-secondary');
+            toggleButton.classList.add('btn-success');
+            toggleIcon.classList.remove('bi-circle');
+            toggleIcon.classList.add('bi-check-circle-fill');
+        } else {
+            // Mark as not completed
+            todoElement.classList.remove('bg-light');
+            descriptionElement.classList.remove('text-decoration-line-through', 'text-muted');
+            toggleButton.classList.remove('btn-success');
+            toggleButton.classList.add('btn-outline-secondary');
+            toggleIcon.classList.remove('bi-check-circle-fill');
+            toggleIcon.classList.add('bi-circle');
+        }
+        
+        // Update stats immediately; the row stays put until the view is refreshed
+        const todo = findTodo(id);
+        if (todo) {
+            todo.isCompleted = !isCurrentlyCompleted;
+            updateDueIndicator(todoElement, todo);
+        }
+        updateStats();
+        
+        // Send API request in the background
+        const request = api.toggleTodoStatus(id);
+        const description = todo ? todo.description : 'Todo';
+        undoManager.push({
+            message: `"${description}" marked ${isCurrentlyCompleted ? 'pending' : 'complete'}`,
+            undo: () => undoToggle(id, request)
+        });
+        
+        try {
+            await request;
+            
+            // Completing a recurring todo creates its next occurrence, which arrives through the change feed
+            if (!isCurrentlyCompleted && todo && todo.recurrence) {
+                changeFeed.poll();
+            }
         } catch (error) {
             console.error('Error toggling todo status:', error);
             showError('Failed to update todo status. The page will refresh to show the correct state.');
@@ -221,55 +1639,300 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
+    /**
+     * Undo a toggle by switching the status back
+     * @param {string} id - Todo ID
+     * @param {Promise} request - The original toggle request
+     */
+    async function undoToggle(id, request) {
+        try {
+            await request;
+        } catch (error) {
+            // The toggle never reached the server; the list is reloaded anyway
+            return;
+        }
+        
+        const todo = findTodo(id);
+        if (todo) {
+            todo.isCompleted = !todo.isCompleted;
+        }
+        renderTodos();
+        updateStats();
+        
+        try {
+            await api.toggleTodoStatus(id);
+        } catch (error) {
+            console.error('Error undoing todo status change:', error);
+            showError('Failed to undo the change. The page will refresh to show the correct state.');
+            setTimeout(() => {
+                loadTodos();
+            }, 2000);
+        }
+    }
+    
     /**
      * Delete a todo with immediate visual feedback
+     * 
+     * The delete is sent right away; the undo toast restores the todo by
+     * creating it again with the same ID.
      * @param {number} id - Todo ID
      * @param {HTMLElement} todoElement - The todo list item element
      */
     async function deleteTodoWithImmediate(id, todoElement) {
-        if (!confirm('Are you sure you want to delete this item?')) {
-            // User canceled the deletion, do nothing
-            return;
-        }
+        const todo = findTodo(id);
         
         // Apply fade-out animation
         todoElement.classList.add('fade-out');
         
-        // Update stats immediately (approximate)
-        const isCompleted = todoElement.classList.contains('bg-light');
-        const allTodos = document.querySelectorAll('.list-group-item').length - 1; // Subtract the one being deleted
-        const completedTodos = document.querySelectorAll('.list-group-item.bg-light').length - (isCompleted ? 1 : 0);
-        const total = allTodos;
-        const completed = completedTodos;
-        const pending = total - completed;
-        todoStats.textContent = `Total: ${total} | Completed: ${completed} | Pending: ${pending}`;
+        // Update stats immediately
+        allTodos = allTodos.filter(item => item.id !== id);
+        updateStats();
         
         // Wait for animation to complete
-        setTimeout(async () => {
+        setTimeout(() => {
             // Remove the element from the DOM
             todoElement.remove();
             
-            // Show empty state if no todos left
-            if (document.querySelectorAll('.list-group-item').length === 0) {
-                emptyState.classList.remove('d-none');
+            // Show the empty or no-results state if no rows are left
+            if (todoListContainer.querySelectorAll('.list-group-item').length === 0) {
+                renderTodos();
             }
+        }, 300);
+        
+        // Send API request in the background
+        const request = api.deleteTodo(id);
+        if (todo) {
+            undoManager.push({
+                message: `"${todo.description}" moved to trash`,
+                undo: () => undoDelete(todo, request)
+            });
+        }
+        
+        try {
+            await request;
+            // No need to reload the entire list
+        } catch (error) {
+            console.error('Error deleting todo:', error);
+            showError('Failed to delete todo. The page will refresh to show the correct state.');
             
-            // Send API request in the background
-            try {
-                await api.deleteTodo(id);
-                // No need to reload the entire list
-            } catch (error) {
-                console.error('Error deleting todo:', error);
-                showError('Failed to delete todo. The page will refresh to show the correct state.');
-                
-                // If there was an error, reload the list to get the correct state
-                setTimeout(() => {
-                    loadTodos();
-                }, 2000);
+            // If there was an error, reload the list to get the correct state
+            setTimeout(() => {
+                loadTodos();
+            }, 2000);
+        }
+    }
+    
+    /**
+     * Undo a delete by restoring the todo from the trash
+     * @param {Object} todo - The deleted todo
+     * @param {Promise} request - The original delete request
+     */
+    async function undoDelete(todo, request) {
+        try {
+            await request;
+        } catch (error) {
+            // The delete never reached the server; the list is reloaded anyway
+            return;
+        }
+        
+        allTodos.push(todo);
+        renderTodos();
+        updateStats();
+        
+        try {
+            await api.restoreTodo(todo.id, withoutPageState(todo));
+        } catch (error) {
+            console.error('Error restoring todo:', error);
+            showError('Failed to restore the todo. The page will refresh to show the correct state.');
+            setTimeout(() => {
+                loadTodos();
+            }, 2000);
+        }
+    }
+    
+    /**
+     * Copy a todo without the flags the page adds to it, ready to send to the API
+     * @param {Object} todo - Todo item
+     * @returns {Object} Todo item as stored by the API
+     */
+    function withoutPageState(todo) {
+        const { pending, ...stored } = todo;
+        return stored;
+    }
+    
+    /**
+     * Show the "not yet synced" badge on a todo row
+     * @param {string} id - Todo ID
+     */
+    function markTodoPending(id) {
+        const todo = findTodo(id);
+        if (todo) {
+            todo.pending = true;
+        }
+        
+        const todoElement = todoListContainer.querySelector(`.list-group-item[data-id="${id}"]`);
+        if (todoElement) {
+            todoElement.querySelector('.todo-sync-badge').classList.remove('d-none');
+        }
+    }
+    
+    // Keep the list in step with the offline outbox
+    window.addEventListener('todo-outbox-changed', async (e) => {
+        if (e.detail.conflict) {
+            updateConflictNotice(await api.getPendingMutations());
+        } else if (e.detail.replayed) {
+            // Queued changes reached the server, so reload the authoritative list
+            loadTodos();
+            loadTags();
+        } else if (e.detail.mutation) {
+            const mutation = e.detail.mutation;
+            (mutation.ids || (mutation.positions ? Object.keys(mutation.positions) : [mutation.id])).forEach(markTodoPending);
+        }
+    });
+    
+    /**
+     * Point the user at a queued change that is waiting for them to resolve a conflict
+     * @param {Array} mutations - Queued mutations, oldest first
+     */
+    function updateConflictNotice(mutations) {
+        const conflicted = mutations.find(mutation => mutation.conflict);
+        syncConflictNotice.classList.toggle('d-none', !conflicted);
+        
+        if (conflicted) {
+            syncConflictMessage.textContent = `Your offline changes to "${conflicted.todo.description}" clash with changes someone else made, and your other changes wait until they are resolved.`;
+            syncConflictLink.href = `edit.html?id=${encodeURIComponent(conflicted.id)}`;
+        }
+    }
+    
+    /**
+     * Patch todos changed on other devices into the list
+     * @param {Array} todos - Todos from the change feed; trashed ones have deletedAt set
+     */
+    function applyServerChanges(todos) {
+        applyRemoteChanges(todos.map(todo => ({ id: todo.id, todo: todo.deletedAt ? null : todo })));
+    }
+    
+    /**
+     * Patch a mutation made in another tab into the list
+     * @param {Object} mutation - Mutation broadcast by TodoApi
+     */
+    function applyBroadcastMutation(mutation) {
+        // Batch, reorder and toggle mutations do not carry the whole todo, so they can only change todos this page knows
+        const patchKnown = (ids, patch) => ids
+            .map(id => findTodo(id) && { id, todo: { ...findTodo(id), ...patch(findTodo(id)) } })
+            .filter(Boolean);
+        
+        switch (mutation.type) {
+            case 'create':
+            case 'update':
+                applyRemoteChanges([{
+                    id: mutation.id,
+                    todo: { createdAt: new Date().toISOString(), ...findTodo(mutation.id), ...mutation.todo }
+                }]);
+                break;
+            case 'restore':
+                // A restore queued from the trash page does not carry the todo; the next poll brings it
+                if (mutation.todo) {
+                    applyRemoteChanges([{ id: mutation.id, todo: mutation.todo }]);
+                }
+                break;
+            case 'delete':
+                applyRemoteChanges([{ id: mutation.id, todo: null }]);
+                break;
+            case 'toggle':
+                applyRemoteChanges(patchKnown([mutation.id], todo => ({ isCompleted: !todo.isCompleted })));
+                break;
+            case 'batch':
+                if (mutation.action === 'delete') {
+                    applyRemoteChanges(mutation.ids.map(id => ({ id, todo: null })));
+                } else {
+                    applyRemoteChanges(patchKnown(mutation.ids, () => ({ isCompleted: mutation.action === 'complete' })));
+                }
+                break;
+            case 'reorder':
+                applyRemoteChanges(patchKnown(Object.keys(mutation.positions), todo => ({ position: mutation.positions[todo.id] })));
+                break;
+            case 'import':
+                applyImportedTodos(mutation.todos);
+                break;
+        }
+    }
+    
+    /**
+     * Add imported todos to the list
+     * @param {Array} todos - Todos created by the import
+     */
+    function applyImportedTodos(todos) {
+        applyRemoteChanges(todos.map(todo => ({ id: todo.id, todo })));
+        loadTags();
+    }
+    
+    /**
+     * Patch changes made elsewhere into the list without reloading it
+     * 
+     * Changed rows are replaced in place. The list is only re-rendered when
+     * a todo was added or the visible order changed.
+     * @param {Array} changes - Changes ({ id, todo }); todo is null for todos that were deleted
+     */
+    function applyRemoteChanges(changes) {
+        const shownBefore = getVisibleTodos().map(todo => todo.id);
+        const updated = [];
+        
+        changes.forEach(({ id, todo }) => {
+            const index = allTodos.findIndex(item => item.id === id);
+            
+            // Todos moved to another list, or that lost the tag being shown, leave this view too
+            const belongsHere = todo
+                && (todo.listId || CurrentList.DEFAULT_ID) === viewState.list
+                && (!viewState.tag || (todo.tags || []).includes(viewState.tag));
+            
+            if (!belongsHere) {
+                if (index !== -1) {
+                    allTodos.splice(index, 1);
+                }
+            } else if (index === -1) {
+                allTodos.push(withoutPageState(todo));
+            } else if (!allTodos[index].pending) {
+                // Unsynced changes made here win until the outbox delivers them
+                allTodos[index] = withoutPageState(todo);
+                updated.push(allTodos[index]);
             }
-        }, 300);
+        });
+        
+        const shownAfter = getVisibleTodos().map(todo => todo.id);
+        const stillShown = shownBefore.filter(id => findTodo(id));
+        
+        if (shownAfter.join() !== stillShown.join()) {
+            renderTodos();
+        } else {
+            shownBefore.filter(id => !findTodo(id)).forEach(id => {
+                const todoElement = todoListContainer.querySelector(`.list-group-item[data-id="${id}"]`);
+                if (todoElement) {
+                    todoElement.remove();
+                }
+            });
+            updated.forEach(todo => {
+                const todoElement = todoListContainer.querySelector(`.list-group-item[data-id="${todo.id}"]`);
+                if (todoElement) {
+                    todoElement.replaceWith(createTodoElement(todo));
+                }
+            });
+            updateEmptyState();
+        }
+        
+        updateStats();
     }
     
+    // Tabs in this browser tell each other about their changes straight away
+    window.addEventListener('todo-broadcast', (e) => applyBroadcastMutation(e.detail));
+    
+    // Replace a cached list with the live one once the connection is back
+    window.addEventListener('online', () => {
+        if (api.todosCachedAt) {
+            loadTodos();
+        }
+    });
+    
     /**
      * Show loading spinner
      */
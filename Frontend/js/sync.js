@@ -0,0 +1,97 @@
+/**
+ * Live updates from other devices
+ *
+ * The API runs behind API Gateway's REST API, which buffers Lambda
+ * responses, so there is no way to hold a Server-Sent Events stream or a
+ * WebSocket open. ChangeFeed polls GET /api/lists/{listId}/todos/changes
+ * with updatedSince instead: every few seconds while the page is visible,
+ * and straight away when it becomes visible again or comes back online.
+ * Tabs in the same browser do not wait for it - TodoApi broadcasts every
+ * mutation to them as a todo-broadcast event.
+ */
+class ChangeFeed {
+    /**
+     * Initialize the change feed
+     * @param {TodoApi} api - API service
+     * @param {Object} options - Options
+     * @param {Function} options.onChanges - Called with the changed todos (trashed ones have deletedAt set)
+     * @param {number} [options.interval] - Milliseconds between polls
+     */
+    constructor(api, { onChanges, interval = 10000 }) {
+        this.api = api;
+        this.onChanges = onChanges;
+        this.interval = interval;
+        this.listId = null;
+        this.since = null;
+        this.timer = null;
+        this.polling = false;
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.poll();
+            } else {
+                clearTimeout(this.timer);
+            }
+        });
+        window.addEventListener('online', () => this.poll());
+    }
+
+    /**
+     * Follow a list, starting from a point in time
+     *
+     * Call this whenever the list is (re)loaded from the API.
+     * @param {string} listId - List ID
+     * @param {Date} since - Time the list was read; changes after it are picked up
+     */
+    start(listId, since) {
+        this.listId = listId;
+        this.since = since.toISOString();
+        this.schedule();
+    }
+
+    /**
+     * Schedule the next poll, unless the page is hidden
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        if (document.visibilityState !== 'hidden') {
+            this.timer = setTimeout(() => this.poll(), this.interval);
+        }
+    }
+
+    /**
+     * Fetch the changes since the last poll and hand them to onChanges
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        if (!this.listId || this.polling) {
+            return;
+        }
+
+        if (!navigator.onLine) {
+            this.schedule();
+            return;
+        }
+
+        const listId = this.listId;
+        const since = this.since;
+        this.polling = true;
+
+        try {
+            const changes = await this.api.getListChanges(listId, since);
+
+            // Ignore the answer if the page switched lists or reloaded meanwhile
+            if (listId === this.listId && since === this.since) {
+                this.since = changes.nextSince;
+                if (changes.items.length > 0) {
+                    this.onChanges(changes.items);
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to check for changes:', error);
+        } finally {
+            this.polling = false;
+            this.schedule();
+        }
+    }
+}
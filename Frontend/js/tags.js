@@ -0,0 +1,247 @@
+/**
+ * Helpers for todo tags
+ *
+ * Tags are stored lowercase without a leading #, using only letters,
+ * digits, '-' and '_' (the API applies the same rules).
+ */
+const Tags = {
+    MAX_TAGS: 10,
+    MAX_LENGTH: 30,
+
+    /**
+     * Normalize a tag as typed by the user
+     * @param {string} tag - Tag as entered
+     * @returns {string} Normalized tag
+     */
+    normalize(tag) {
+        return tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+    },
+
+    /**
+     * Check whether a normalized tag is valid
+     * @param {string} tag - Normalized tag
+     * @returns {boolean} True if the API will accept the tag
+     */
+    isValid(tag) {
+        return tag.length > 0 && tag.length <= this.MAX_LENGTH && /^[a-z0-9_-]+$/.test(tag);
+    },
+
+    /**
+     * Pick a stable colour for a tag
+     * @param {string} tag - Tag name
+     * @returns {string} CSS colour
+     */
+    colorFor(tag) {
+        let hash = 0;
+        for (const char of tag) {
+            hash = (hash * 31 + char.charCodeAt(0)) | 0;
+        }
+        return `hsl(${Math.abs(hash) % 360}, 55%, 42%)`;
+    },
+
+    /**
+     * Create a coloured tag chip
+     * @param {string} tag - Tag name
+     * @param {Object} [options] - Options
+     * @param {Function} [options.onClick] - Called with the tag when the chip is clicked
+     * @param {Function} [options.onRemove] - Called with the tag when the remove button is clicked
+     * @returns {HTMLElement} Chip element
+     */
+    createChip(tag, { onClick, onRemove } = {}) {
+        const chip = document.createElement('span');
+        chip.className = 'badge rounded-pill todo-tag me-1';
+        chip.style.backgroundColor = this.colorFor(tag);
+        chip.textContent = `#${tag}`;
+
+        if (onClick) {
+            chip.setAttribute('role', 'button');
+            chip.title = `Show todos tagged #${tag}`;
+            chip.addEventListener('click', (e) => {
+                e.preventDefault();
+                onClick(tag);
+            });
+        }
+
+        if (onRemove) {
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'btn-close btn-close-white ms-1';
+            removeButton.setAttribute('aria-label', `Remove tag ${tag}`);
+            removeButton.addEventListener('click', () => onRemove(tag));
+            chip.appendChild(removeButton);
+        }
+
+        return chip;
+    }
+};
+
+/**
+ * Tag input for the create and edit pages
+ *
+ * Typed tags are turned into chips on Enter or comma, and tags already in
+ * use are offered as suggestions through a datalist.
+ */
+class TagInput {
+    /**
+     * Initialize the tag input
+     * @param {Object} elements - Page elements
+     * @param {HTMLInputElement} elements.input - Text input for typing tags
+     * @param {HTMLElement} elements.chips - Container for the selected tag chips
+     * @param {HTMLDataListElement} elements.suggestions - Datalist for autocomplete
+     * @param {HTMLElement} elements.feedback - Invalid-feedback element for tag errors
+     */
+    constructor({ input, chips, suggestions, feedback }) {
+        this.input = input;
+        this.chips = chips;
+        this.suggestions = suggestions;
+        this.feedback = feedback;
+        this.tags = [];
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.commitInput();
+            } else if (e.key === 'Backspace' && !this.input.value && this.tags.length > 0) {
+                this.remove(this.tags[this.tags.length - 1]);
+            }
+        });
+
+        // Picking a suggestion from the datalist fires input without a keydown
+        this.input.addEventListener('input', (e) => {
+            if (e.inputType === 'insertReplacementText') {
+                const value = Tags.normalize(this.input.value);
+                if (Array.from(this.suggestions.options).some(option => option.value === value)) {
+                    this.commitInput();
+                }
+            }
+        });
+
+        this.input.addEventListener('blur', () => this.commitInput());
+    }
+
+    /**
+     * Load tag suggestions from the API
+     * @param {TodoApi} api - API service
+     * @returns {Promise<void>}
+     */
+    async loadSuggestions(api) {
+        try {
+            const tags = await api.getTags();
+            this.suggestions.innerHTML = '';
+            tags.forEach(tag => {
+                const option = document.createElement('option');
+                option.value = tag.name;
+                this.suggestions.appendChild(option);
+            });
+        } catch (error) {
+            // Suggestions are a convenience; the input still works without them
+            console.error('Failed to load tag suggestions:', error);
+        }
+    }
+
+    /**
+     * Replace the selected tags
+     * @param {Array<string>} tags - Tags
+     */
+    setTags(tags) {
+        this.tags = [];
+        (tags || []).forEach(tag => this.add(tag));
+        this.render();
+    }
+
+    /**
+     * Get the selected tags, including anything still typed in the input
+     * @returns {Array<string>} Tags
+     */
+    getTags() {
+        this.commitInput();
+        return [...this.tags];
+    }
+
+    /**
+     * Check whether the tags are valid, showing feedback if not
+     * @returns {boolean} True if valid
+     */
+    validate() {
+        this.commitInput();
+        return !this.input.classList.contains('is-invalid');
+    }
+
+    /**
+     * Enable or disable the input
+     * @param {boolean} disabled - Whether the input is disabled
+     */
+    setDisabled(disabled) {
+        this.input.disabled = disabled;
+    }
+
+    /**
+     * Turn the text typed so far into tags
+     */
+    commitInput() {
+        const values = this.input.value.split(',').map(value => Tags.normalize(value)).filter(Boolean);
+        const invalid = values.find(value => !Tags.isValid(value));
+
+        if (invalid) {
+            this.showError(`"${invalid}" is not a valid tag. Use letters, digits, '-' and '_' (up to ${Tags.MAX_LENGTH} characters).`);
+            return;
+        }
+
+        if (this.tags.length + values.filter(value => !this.tags.includes(value)).length > Tags.MAX_TAGS) {
+            this.showError(`A todo can have at most ${Tags.MAX_TAGS} tags.`);
+            return;
+        }
+
+        values.forEach(value => this.add(value));
+        this.input.value = '';
+        this.clearError();
+        this.render();
+    }
+
+    /**
+     * Add a tag if it is not selected yet
+     * @param {string} tag - Tag
+     */
+    add(tag) {
+        const normalized = Tags.normalize(tag);
+        if (normalized && !this.tags.includes(normalized)) {
+            this.tags.push(normalized);
+        }
+    }
+
+    /**
+     * Remove a selected tag
+     * @param {string} tag - Tag
+     */
+    remove(tag) {
+        this.tags = this.tags.filter(existing => existing !== tag);
+        this.clearError();
+        this.render();
+    }
+
+    /**
+     * Render the selected tags as chips
+     */
+    render() {
+        this.chips.innerHTML = '';
+        this.tags.forEach(tag => {
+            this.chips.appendChild(Tags.createChip(tag, { onRemove: removed => this.remove(removed) }));
+        });
+    }
+
+    /**
+     * Show a validation error for the tag input
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.feedback.textContent = message;
+        this.input.classList.add('is-invalid');
+    }
+
+    /**
+     * Clear the tag validation error
+     */
+    clearError() {
+        this.input.classList.remove('is-invalid');
+    }
+}
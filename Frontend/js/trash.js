@@ -0,0 +1,177 @@
+/**
+ * Trash page script
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    // Initialize the API service
+    const api = new TodoApi();
+    
+    // DOM elements
+    const trashListContainer = document.getElementById('trash-list-container');
+    const emptyState = document.getElementById('empty-state');
+    const emptyTrashButton = document.getElementById('empty-trash-btn');
+    const errorContainer = document.getElementById('error-container');
+    const errorMessage = document.getElementById('error-message');
+    
+    // Todos currently in the trash
+    let trashedTodos = [];
+    
+    // Load the trash on page load
+    loadTrash();
+    
+    /**
+     * Load the trashed todos from the API
+     */
+    async function loadTrash() {
+        try {
+            trashListContainer.innerHTML = `
+                <div class="spinner-container">
+                    <div class="spinner-border text-primary" role="status">
+                        <span class="visually-hidden">Loading...</span>
+                    </div>
+                </div>
+            `;
+            
+            trashedTodos = await api.getTrash();
+            renderTrash();
+            
+            // Hide error message if it was previously shown
+            errorContainer.classList.add('d-none');
+        } catch (error) {
+            console.error('Error loading the trash:', error);
+            showError('Failed to load the trash. Please try again later. (Error: ' + error.message + ')');
+            trashedTodos = [];
+            renderTrash();
+        }
+    }
+    
+    /**
+     * Render the trashed todos
+     */
+    function renderTrash() {
+        trashListContainer.innerHTML = '';
+        trashedTodos.forEach(todo => {
+            trashListContainer.appendChild(createTrashElement(todo));
+        });
+        
+        emptyState.classList.toggle('d-none', trashedTodos.length > 0);
+        emptyTrashButton.disabled = trashedTodos.length === 0;
+    }
+    
+    /**
+     * Create a trash list item element
+     * @param {Object} todo - Trashed todo
+     * @returns {HTMLElement} Trash list item element
+     */
+    function createTrashElement(todo) {
+        const template = document.getElementById('trash-item-template');
+        const trashElement = template.content.cloneNode(true).querySelector('.list-group-item');
+        trashElement.dataset.id = todo.id;
+        
+        trashElement.querySelector('.trash-description').textContent = todo.description;
+        trashElement.querySelector('.trash-deleted-at').textContent = new Date(todo.deletedAt).toLocaleString();
+        if (todo.purgeAt) {
+            // purgeAt is in Unix seconds
+            trashElement.querySelector('.trash-purge-at').textContent =
+                ` - purged automatically after ${new Date(todo.purgeAt * 1000).toLocaleDateString()}`;
+        }
+        
+        trashElement.querySelector('.restore-todo-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            restoreTodo(todo.id, e.currentTarget);
+        });
+        
+        trashElement.querySelector('.purge-todo-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            purgeTodo(todo);
+        });
+        
+        return trashElement;
+    }
+    
+    /**
+     * Restore a todo to its list
+     * @param {string} id - Todo ID
+     * @param {HTMLButtonElement} button - The restore button
+     */
+    async function restoreTodo(id, button) {
+        button.disabled = true;
+        
+        try {
+            await api.restoreTodo(id);
+            removeFromTrash(id);
+        } catch (error) {
+            console.error('Error restoring todo:', error);
+            showError('Failed to restore the todo. Please try again. (Error: ' + error.message + ')');
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Permanently delete a todo after confirmation
+     * @param {Object} todo - Trashed todo
+     */
+    async function purgeTodo(todo) {
+        // This cannot be undone, so ask first
+        if (!confirm(`Permanently delete "${todo.description}"? This cannot be undone.`)) {
+            return;
+        }
+        
+        try {
+            await api.purgeTodo(todo.id);
+            removeFromTrash(todo.id);
+        } catch (error) {
+            console.error('Error purging todo:', error);
+            showError('Failed to delete the todo. Please try again. (Error: ' + error.message + ')');
+        }
+    }
+    
+    /**
+     * Permanently delete everything in the trash after confirmation
+     */
+    async function emptyTrash() {
+        if (!confirm(`Permanently delete ${trashedTodos.length} item${trashedTodos.length === 1 ? '' : 's'} in the trash? This cannot be undone.`)) {
+            return;
+        }
+        
+        emptyTrashButton.disabled = true;
+        
+        try {
+            await api.emptyTrash();
+            trashedTodos = [];
+            renderTrash();
+        } catch (error) {
+            console.error('Error emptying the trash:', error);
+            showError('Failed to empty the trash. Please try again. (Error: ' + error.message + ')');
+            emptyTrashButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Remove a todo from the page after it was restored or purged
+     * @param {string} id - Todo ID
+     */
+    function removeFromTrash(id) {
+        trashedTodos = trashedTodos.filter(todo => todo.id !== id);
+        renderTrash();
+    }
+    
+    /**
+     * Show error message
+     * @param {string} message - Error message
+     */
+    function showError(message) {
+        errorMessage.textContent = message;
+        errorContainer.classList.remove('d-none');
+    }
+    
+    // Event listeners
+    emptyTrashButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        emptyTrash();
+    });
+    
+    // Hide error on click
+    errorContainer.addEventListener('click', () => {
+        errorContainer.classList.add('d-none');
+    });
+});
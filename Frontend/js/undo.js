@@ -0,0 +1,120 @@
+/**
+ * Undo toasts for the list page
+ *
+ * Changes are applied right away; a toast then offers "Undo" for a few
+ * seconds. Undoing runs a compensating action supplied by the caller.
+ * Only the most recent change can be undone, also with Ctrl+Z.
+ */
+class UndoManager {
+    /**
+     * Initialize the undo manager
+     * @param {HTMLElement} container - Bootstrap .toast-container for the toasts
+     * @param {Object} [options] - Options
+     * @param {number} [options.duration=6000] - How long the Undo button is offered, in milliseconds
+     */
+    constructor(container, { duration = 6000 } = {}) {
+        this.container = container;
+        this.duration = duration;
+        this.current = null;
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'z') {
+                // Leave the browser's own undo alone while typing
+                if (isEditableElement(e.target) || !this.current) {
+                    return;
+                }
+
+                e.preventDefault();
+                this.undoLast();
+            }
+        });
+    }
+
+    /**
+     * Offer to undo a change that has just been made
+     * @param {Object} entry - Undo entry
+     * @param {string} entry.message - Toast text describing the change
+     * @param {Function} entry.undo - Reverts the change; may return a promise
+     */
+    push({ message, undo }) {
+        // Only the latest change stays undoable
+        this.dismiss();
+
+        const element = document.createElement('div');
+        element.className = 'toast align-items-center';
+        element.setAttribute('role', 'status');
+        element.setAttribute('aria-live', 'polite');
+        element.setAttribute('aria-atomic', 'true');
+        element.innerHTML = `
+            <div class="d-flex align-items-center">
+                <div class="toast-body"></div>
+                <button type="button" class="undo-btn btn btn-sm btn-link ms-auto" title="Undo (Ctrl+Z)">Undo</button>
+                <button type="button" class="btn-close me-2" data-bs-dismiss="toast" aria-label="Close"></button>
+            </div>
+        `;
+        element.querySelector('.toast-body').textContent = message;
+
+        const entry = { element, undo, toast: new bootstrap.Toast(element, { delay: this.duration }) };
+
+        element.querySelector('.undo-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.current === entry) {
+                this.undoLast();
+            }
+        });
+
+        element.addEventListener('hidden.bs.toast', () => {
+            element.remove();
+            if (this.current === entry) {
+                this.current = null;
+            }
+        });
+
+        this.container.appendChild(element);
+        this.current = entry;
+        entry.toast.show();
+    }
+
+    /**
+     * Undo the most recent change if its toast is still open
+     * @returns {Promise<void>}
+     */
+    async undoLast() {
+        const entry = this.current;
+        if (!entry) {
+            return;
+        }
+
+        this.current = null;
+        entry.toast.hide();
+        await entry.undo();
+    }
+
+    /**
+     * Close the open toast without undoing its change
+     */
+    dismiss() {
+        if (this.current) {
+            const entry = this.current;
+            this.current = null;
+            entry.toast.hide();
+        }
+    }
+}
+
+/**
+ * Check whether an element accepts text input
+ * @param {Element} element - Element to check
+ * @returns {boolean} True for text fields and editable content
+ */
+function isEditableElement(element) {
+    if (!element) {
+        return false;
+    }
+
+    if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
+        return true;
+    }
+
+    return element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(element.type);
+}
@@ -0,0 +1,215 @@
+#!/usr/bin/env python3
+"""
+Stub OpenID Connect issuer for local development
+
+Signs in any email address without a password and issues HS256 tokens
+signed with the same key as Auth:DevSigningKey in the backend's
+appsettings.Development.json. Supports the authorization code flow with
+PKCE and refresh tokens - just enough for the frontend's sign-in.
+
+Never use this outside local development.
+"""
+import base64
+import hashlib
+import hmac
+import html
+import http.server
+import json
+import os
+import secrets
+import socketserver
+import time
+from urllib.parse import parse_qs, urlencode, urlparse
+
+PORT = 9000
+ISSUER = f"http://localhost:{PORT}"
+SIGNING_KEY = os.environ.get("DEV_SIGNING_KEY", "local-development-signing-key-at-least-32-bytes")
+ACCESS_TOKEN_LIFETIME = 15 * 60
+
+# Issued authorization codes and refresh tokens, kept in memory
+codes = {}
+refresh_tokens = {}
+
+
+def base64url(data):
+    return base64.urlsafe_b64encode(data).rstrip(b"=").decode("ascii")
+
+
+def sign_jwt(claims):
+    header = base64url(json.dumps({"alg": "HS256", "typ": "JWT"}).encode())
+    payload = base64url(json.dumps(claims).encode())
+    signature = hmac.new(SIGNING_KEY.encode(), f"{header}.{payload}".encode(), hashlib.sha256).digest()
+    return f"{header}.{payload}.{base64url(signature)}"
+
+
+def issue_tokens(user, client_id):
+    now = int(time.time())
+    claims = {
+        "iss": ISSUER,
+        "aud": client_id,
+        "sub": user["sub"],
+        "email": user["email"],
+        "email_verified": True,
+        "name": user["name"],
+        "iat": now,
+        "nbf": now,
+        "exp": now + ACCESS_TOKEN_LIFETIME,
+    }
+    refresh_token = secrets.token_urlsafe(32)
+    refresh_tokens[refresh_token] = (user, client_id)
+    return {
+        "access_token": sign_jwt(claims),
+        "id_token": sign_jwt(claims),
+        "refresh_token": refresh_token,
+        "token_type": "Bearer",
+        "expires_in": ACCESS_TOKEN_LIFETIME,
+    }
+
+
+def user_for_email(email):
+    # The same email always gets the same subject, so data survives restarts
+    sub = hashlib.sha256(email.lower().encode()).hexdigest()[:24]
+    return {"sub": sub, "email": email, "name": email.split("@")[0]}
+
+
+def verify_pkce(verifier, challenge, method):
+    if method == "S256":
+        return base64url(hashlib.sha256(verifier.encode()).digest()) == challenge
+    return verifier == challenge
+
+
+class Handler(http.server.BaseHTTPRequestHandler):
+    def log_message(self, format, *args):
+        print(f"[{self.log_date_time_string()}] {format % args}")
+
+    def send_cors_headers(self):
+        self.send_header("Access-Control-Allow-Origin", "*")
+        self.send_header("Access-Control-Allow-Headers", "Content-Type")
+        self.send_header("Access-Control-Allow-Methods", "GET, POST, OPTIONS")
+
+    def send_json(self, status, body):
+        data = json.dumps(body).encode()
+        self.send_response(status)
+        self.send_cors_headers()
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(data)))
+        self.end_headers()
+        self.wfile.write(data)
+
+    def redirect(self, location):
+        self.send_response(302)
+        self.send_header("Location", location)
+        self.end_headers()
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def do_GET(self):
+        url = urlparse(self.path)
+        query = {key: values[0] for key, values in parse_qs(url.query).items()}
+
+        if url.path == "/.well-known/openid-configuration":
+            self.send_json(200, {
+                "issuer": ISSUER,
+                "authorization_endpoint": f"{ISSUER}/authorize",
+                "token_endpoint": f"{ISSUER}/token",
+                "end_session_endpoint": f"{ISSUER}/logout",
+                "response_types_supported": ["code"],
+                "grant_types_supported": ["authorization_code", "refresh_token"],
+                "code_challenge_methods_supported": ["S256", "plain"],
+                "id_token_signing_alg_values_supported": ["HS256"],
+            })
+        elif url.path == "/authorize":
+            self.show_sign_in_form(query)
+        elif url.path == "/logout":
+            self.redirect(query.get("post_logout_redirect_uri", "/"))
+        else:
+            self.send_json(404, {"error": "not_found"})
+
+    def do_POST(self):
+        url = urlparse(self.path)
+        length = int(self.headers.get("Content-Length", 0))
+        form = {key: values[0] for key, values in parse_qs(self.rfile.read(length).decode()).items()}
+
+        if url.path == "/authorize":
+            self.complete_sign_in(form)
+        elif url.path == "/token":
+            self.exchange_token(form)
+        else:
+            self.send_json(404, {"error": "not_found"})
+
+    def show_sign_in_form(self, query):
+        hidden = "".join(
+            f'<input type="hidden" name="{html.escape(key)}" value="{html.escape(value)}">'
+            for key, value in query.items()
+        )
+        page = f"""<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Stub sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto;">
+    <h1>Stub sign-in</h1>
+    <p>Local development only. Any email address signs in.</p>
+    <form method="post" action="/authorize">
+        {hidden}
+        <label>Email <input type="email" name="email" value="dev@example.com" required autofocus></label>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>""".encode()
+        self.send_response(200)
+        self.send_header("Content-Type", "text/html; charset=utf-8")
+        self.send_header("Content-Length", str(len(page)))
+        self.end_headers()
+        self.wfile.write(page)
+
+    def complete_sign_in(self, form):
+        redirect_uri = form.get("redirect_uri")
+        if not redirect_uri or not form.get("email"):
+            self.send_json(400, {"error": "invalid_request"})
+            return
+
+        code = secrets.token_urlsafe(24)
+        codes[code] = {
+            "user": user_for_email(form["email"]),
+            "client_id": form.get("client_id", ""),
+            "redirect_uri": redirect_uri,
+            "challenge": form.get("code_challenge", ""),
+            "method": form.get("code_challenge_method", "plain"),
+        }
+        self.redirect(f"{redirect_uri}?{urlencode({'code': code, 'state': form.get('state', '')})}")
+
+    def exchange_token(self, form):
+        grant_type = form.get("grant_type")
+
+        if grant_type == "authorization_code":
+            pending = codes.pop(form.get("code", ""), None)
+            if (pending is None
+                    or pending["redirect_uri"] != form.get("redirect_uri")
+                    or not verify_pkce(form.get("code_verifier", ""), pending["challenge"], pending["method"])):
+                self.send_json(400, {"error": "invalid_grant"})
+                return
+            self.send_json(200, issue_tokens(pending["user"], pending["client_id"]))
+        elif grant_type == "refresh_token":
+            # Refresh tokens are single use
+            grant = refresh_tokens.pop(form.get("refresh_token", ""), None)
+            if grant is None:
+                self.send_json(400, {"error": "invalid_grant"})
+                return
+            self.send_json(200, issue_tokens(*grant))
+        else:
+            self.send_json(400, {"error": "unsupported_grant_type"})
+
+
+def run_server():
+    with socketserver.TCPServer(("", PORT), Handler) as httpd:
+        print(f"Stub OIDC issuer started at {ISSUER}")
+        try:
+            httpd.serve_forever()
+        except KeyboardInterrupt:
+            print("Server stopped.")
+
+
+if __name__ == "__main__":
+    run_server()
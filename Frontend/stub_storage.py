@@ -0,0 +1,228 @@
+#!/usr/bin/env python3
+"""
+Stub S3 storage for local development
+
+Stands in for the attachments bucket: serves path-style object URLs
+(/bucket/key) for PUT (including copies), GET, HEAD and DELETE, lists
+objects by prefix (/bucket?list-type=2&prefix=...), keeps the files in a
+temporary folder and answers CORS preflights so the browser can upload
+straight to it. Requests must carry a signature, as pre-signed URLs and the backend's
+S3 client do, and pre-signed URLs stop working when they expire, but the
+signatures themselves are not checked.
+
+Never use this outside local development.
+"""
+import calendar
+import hashlib
+import http.server
+import json
+import os
+import socketserver
+import tempfile
+import time
+from email.utils import formatdate
+from urllib.parse import parse_qs, unquote, urlparse
+from xml.sax.saxutils import escape
+
+PORT = 9090
+STORAGE_DIR = os.environ.get("STUB_STORAGE_DIR", os.path.join(tempfile.gettempdir(), "todo-stub-storage"))
+
+
+def object_path(bucket, key):
+    # Hash the key so any key maps to a safe file name
+    return os.path.join(STORAGE_DIR, bucket, hashlib.sha256(key.encode()).hexdigest())
+
+
+def iso_time(timestamp):
+    return time.strftime("%Y-%m-%dT%H:%M:%S.000Z", time.gmtime(timestamp))
+
+
+def is_expired(query):
+    if "X-Amz-Date" not in query:
+        return False
+    signed_at = calendar.timegm(time.strptime(query["X-Amz-Date"], "%Y%m%dT%H%M%SZ"))
+    return time.time() > signed_at + int(query.get("X-Amz-Expires", "0"))
+
+
+class Handler(http.server.BaseHTTPRequestHandler):
+    def log_message(self, format, *args):
+        print(f"[{self.log_date_time_string()}] {format % args}")
+
+    def send_cors_headers(self):
+        self.send_header("Access-Control-Allow-Origin", "*")
+        self.send_header("Access-Control-Allow-Headers", "*")
+        self.send_header("Access-Control-Allow-Methods", "GET, PUT, HEAD, DELETE, OPTIONS")
+        self.send_header("Access-Control-Expose-Headers", "ETag")
+
+    def send_xml(self, status, body):
+        data = f'<?xml version="1.0" encoding="UTF-8"?>{body}'.encode()
+        self.send_response(status)
+        self.send_cors_headers()
+        self.send_header("Content-Type", "application/xml")
+        self.send_header("Content-Length", str(len(data)))
+        self.end_headers()
+        if self.command != "HEAD":
+            self.wfile.write(data)
+
+    def send_error_xml(self, status, code):
+        self.send_xml(status, f"<Error><Code>{code}</Code></Error>")
+
+    def parse_request_target(self, allow_bucket=False):
+        """Return (bucket, key, query), or None after answering if the request is not allowed"""
+        url = urlparse(self.path)
+        query = {key: values[0] for key, values in parse_qs(url.query).items()}
+        bucket, _, key = unquote(url.path).lstrip("/").partition("/")
+
+        if "X-Amz-Signature" not in query and "Authorization" not in self.headers:
+            self.send_error_xml(403, "AccessDenied")
+            return None
+        if is_expired(query):
+            self.send_error_xml(403, "AccessDenied")
+            return None
+        if not bucket or not (key or allow_bucket):
+            self.send_error_xml(400, "InvalidRequest")
+            return None
+        return bucket, key, query
+
+    def do_OPTIONS(self):
+        self.send_response(200)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def do_PUT(self):
+        target = self.parse_request_target()
+        if target is None:
+            return
+        bucket, key, _ = target
+
+        length = int(self.headers.get("Content-Length", 0))
+        data = self.rfile.read(length)
+        content_type = self.headers.get("Content-Type", "application/octet-stream")
+
+        copy_source = self.headers.get("x-amz-copy-source")
+        if copy_source:
+            source_bucket, _, source_key = unquote(copy_source).lstrip("/").partition("/")
+            source_path = object_path(source_bucket, source_key)
+            if not os.path.exists(f"{source_path}.json"):
+                self.send_error_xml(404, "NoSuchKey")
+                return
+            with open(source_path, "rb") as file:
+                data = file.read()
+            with open(f"{source_path}.json") as file:
+                content_type = json.load(file)["content_type"]
+
+        path = object_path(bucket, key)
+        os.makedirs(os.path.dirname(path), exist_ok=True)
+        with open(path, "wb") as file:
+            file.write(data)
+        with open(f"{path}.json", "w") as file:
+            json.dump({
+                "key": key,
+                "content_type": content_type,
+                "etag": hashlib.md5(data).hexdigest(),
+                "modified": time.time(),
+            }, file)
+
+        if copy_source:
+            self.send_xml(200, f'<CopyObjectResult><LastModified>{iso_time(time.time())}</LastModified>'
+                               f'<ETag>"{hashlib.md5(data).hexdigest()}"</ETag></CopyObjectResult>')
+            return
+
+        self.send_response(200)
+        self.send_cors_headers()
+        self.send_header("ETag", f'"{hashlib.md5(data).hexdigest()}"')
+        self.send_header("Content-Length", "0")
+        self.end_headers()
+
+    def do_GET(self):
+        if urlparse(self.path).path.strip("/").count("/") == 0:
+            self.send_object_list()
+        else:
+            self.send_object(include_body=True)
+
+    def send_object_list(self):
+        target = self.parse_request_target(allow_bucket=True)
+        if target is None:
+            return
+        bucket, _, query = target
+        prefix = query.get("prefix", "")
+
+        # Objects stored before keys were recorded cannot be listed
+        contents = []
+        bucket_dir = os.path.join(STORAGE_DIR, bucket)
+        for name in sorted(os.listdir(bucket_dir)) if os.path.isdir(bucket_dir) else []:
+            if not name.endswith(".json"):
+                continue
+            with open(os.path.join(bucket_dir, name)) as file:
+                metadata = json.load(file)
+            if metadata.get("key", "").startswith(prefix):
+                contents.append(
+                    f'<Contents><Key>{escape(metadata["key"])}</Key>'
+                    f'<LastModified>{iso_time(metadata["modified"])}</LastModified>'
+                    f'<ETag>"{metadata["etag"]}"</ETag>'
+                    f'<Size>{os.path.getsize(os.path.join(bucket_dir, name[:-5]))}</Size>'
+                    f'<StorageClass>STANDARD</StorageClass></Contents>')
+
+        self.send_xml(200, f'<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'
+                           f'<Name>{escape(bucket)}</Name><Prefix>{escape(prefix)}</Prefix>'
+                           f'<KeyCount>{len(contents)}</KeyCount><MaxKeys>1000</MaxKeys>'
+                           f'<IsTruncated>false</IsTruncated>{"".join(contents)}</ListBucketResult>')
+
+    def do_HEAD(self):
+        self.send_object(include_body=False)
+
+    def send_object(self, include_body):
+        target = self.parse_request_target()
+        if target is None:
+            return
+        bucket, key, query = target
+
+        path = object_path(bucket, key)
+        if not os.path.exists(f"{path}.json"):
+            self.send_error_xml(404, "NoSuchKey")
+            return
+        with open(f"{path}.json") as file:
+            metadata = json.load(file)
+
+        self.send_response(200)
+        self.send_cors_headers()
+        self.send_header("Content-Type", query.get("response-content-type", metadata["content_type"]))
+        if "response-content-disposition" in query:
+            self.send_header("Content-Disposition", query["response-content-disposition"])
+        self.send_header("Content-Length", str(os.path.getsize(path)))
+        self.send_header("ETag", f'"{metadata["etag"]}"')
+        self.send_header("Last-Modified", formatdate(metadata["modified"], usegmt=True))
+        self.end_headers()
+        if include_body:
+            with open(path, "rb") as file:
+                self.wfile.write(file.read())
+
+    def do_DELETE(self):
+        target = self.parse_request_target()
+        if target is None:
+            return
+        bucket, key, _ = target
+
+        # Deleting a missing object succeeds, like in S3
+        path = object_path(bucket, key)
+        for file_path in (path, f"{path}.json"):
+            if os.path.exists(file_path):
+                os.remove(file_path)
+
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+
+def run_server():
+    os.makedirs(STORAGE_DIR, exist_ok=True)
+    with socketserver.ThreadingTCPServer(("", PORT), Handler) as httpd:
+        print(f"Stub S3 storage started at http://localhost:{PORT}, storing files in {STORAGE_DIR}")
+        try:
+            httpd.serve_forever()
+        except KeyboardInterrupt:
+            print("Server stopped.")
+
+
+if __name__ == "__main__":
+    run_server()
@@ -0,0 +1,200 @@
+/**
+ * Service worker for Todo List App
+ *
+ * Precaches the app shell so the pages open without a connection, and
+ * keeps the last successful todo list response so it can be shown
+ * (marked as stale) while offline.
+ */
+importScripts('js/config.js');
+
+// Bump when the shell changes so old caches are cleaned up on activate
+const CACHE_VERSION = 'v14';
+const SHELL_CACHE = `todo-shell-${CACHE_VERSION}`;
+const API_CACHE = `todo-api-${CACHE_VERSION}`;
+
+// Header added to cached API responses so the page can tell they are stale
+const CACHED_AT_HEADER = 'X-Todo-Cached-At';
+
+// Local assets - keep in sync with the <link> and <script> tags in the pages
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'create.html',
+    'edit.html',
+    'trash.html',
+    'callback.html',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'css/site.css',
+    'css/styles.css',
+    'js/config.js',
+    'js/auth.js',
+    'js/outbox.js',
+    'js/api.js',
+    'js/register-sw.js',
+    'js/due-dates.js',
+    'js/tags.js',
+    'js/priorities.js',
+    'js/checklist.js',
+    'js/recurrence.js',
+    'js/markdown.js',
+    'js/attachments.js',
+    'js/lists.js',
+    'js/sharing.js',
+    'js/conflicts.js',
+    'js/undo.js',
+    'js/sync.js',
+    'js/import-export.js',
+    'js/calendar.js',
+    'js/quick-add.js',
+    'js/shortcuts.js',
+    'js/site.js',
+    'js/create.js',
+    'js/edit.js',
+    'js/trash.js',
+    'js/callback.js'
+];
+
+// Third-party assets from jsDelivr, cached on a best-effort basis
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.10.5/font/bootstrap-icons.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_ASSETS);
+
+        // A CDN hiccup should not prevent the service worker from installing
+        await Promise.all(CDN_ASSETS.map(url => cache.add(url).catch(error => {
+            console.warn('Failed to precache', url, error);
+        })));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('todo-') && key !== SHELL_CACHE && key !== API_CACHE)
+            .map(key => caches.delete(key)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+
+    // Mutations go through the outbox in api.js, never through the cache
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (isTodoListRequest(url)) {
+        event.respondWith(todoListNetworkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(shellNetworkFirst(request));
+    } else if (url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(cdnCacheFirst(request));
+    }
+});
+
+/**
+ * Check whether a URL is a todo list endpoint (GET /api/todos or /api/lists/{listId}/todos)
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for a todo list endpoint
+ */
+function isTodoListRequest(url) {
+    const path = `${url.origin}${url.pathname}`;
+    const listsUrl = CONFIG.API_URL.replace(/\/todos$/, '/lists');
+    return path === CONFIG.API_URL
+        || (path.startsWith(`${listsUrl}/`) && /^[^/]+\/todos$/.test(path.slice(listsUrl.length + 1)));
+}
+
+/**
+ * Fetch the todo list, falling back to the last successful response
+ * @param {Request} request - Todo list request
+ * @returns {Promise<Response>} Fresh response, or the cached one marked with its age
+ */
+async function todoListNetworkFirst(request) {
+    const cache = await caches.open(API_CACHE);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            // Store a copy stamped with the time it was fetched
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, new Date().toISOString());
+            const body = await response.clone().blob();
+            await cache.put(request.url, new Response(body, {
+                status: response.status,
+                statusText: response.statusText,
+                headers
+            }));
+        }
+
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request.url);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve local assets from the network, falling back to the precache
+ * @param {Request} request - Same-origin request
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function shellNetworkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Cache edit.html?id=... once as edit.html
+            const url = new URL(request.url);
+            url.search = '';
+            await cache.put(url.href, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // edit.html?id=... should still find edit.html
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve versioned CDN assets from the cache, fetching them on first use
+ * (this also picks up the Bootstrap Icons font files)
+ * @param {Request} request - jsDelivr request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function cdnCacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -6,6 +6,7 @@ using Amazon.CDK.AWS.APIGateway;           // API Gateway L3 constructs (LambdaR
 using Amazon.CDK.AWS.DynamoDB;             // DynamoDB table and configuration
 using Amazon.CDK.AWS.IAM;                  // IAM roles and permissions
 using Amazon.CDK.AWS.Lambda;               // Lambda function definitions
+using Amazon.CDK.AWS.Lambda.EventSources;  // DynamoDB stream triggers
 using Amazon.CDK.AWS.S3;                   // S3 bucket and assets
 using Amazon.CDK.AWS.S3.Assets;            // Asset bundling for deployments
 using Amazon.CDK.AWS.S3.Deployment;       // S3 deployment utilities
@@ -37,38 +38,184 @@ namespace TodoAppCdk
                 },
                 BillingMode = BillingMode.PAY_PER_REQUEST,                    // Serverless billing - no provisioned capacity
                 RemovalPolicy = RemovalPolicy.DESTROY,                       // Allow table deletion when stack is destroyed
+                TimeToLiveAttribute = "PurgeAt",                              // Purge trashed todos once their retention period ends
+                Stream = StreamViewType.KEYS_ONLY,                            // Lets the purge function clean up after TTL removals
                 // Removed: Point-in-time recovery (cost optimization for dev/test)
-                // Removed: DynamoDB Streams (not needed for basic functionality)
-                // Removed: Global Secondary Index (can be added later if needed)
                 // Kept: AWS-managed encryption (included by default)
             });
 
+            // Global Secondary Index for reading the todos of one named list
+            table.AddGlobalSecondaryIndex(new GlobalSecondaryIndexProps
+            {
+                IndexName = "ListIdIndex",                                    // Must match TodoList.ListIdIndex in the backend
+                PartitionKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "ListId",
+                    Type = AttributeType.STRING                                // List ID the todo belongs to
+                },
+                ProjectionType = ProjectionType.ALL                           // Return full todo items from the index
+            });
+
+            // Named todo lists ("Sprint 42", "Groceries"), stored per user
+            var listsTable = new Table(this, "TodoUserListsTable", new TableProps
+            {
+                TableName = "TodoUserListsCdk",                               // Physical table name in AWS
+                PartitionKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "UserId",
+                    Type = AttributeType.STRING                                // Owner ("sub" claim) as partition key
+                },
+                SortKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "Id",
+                    Type = AttributeType.STRING                                // List ID as sort key
+                },
+                BillingMode = BillingMode.PAY_PER_REQUEST,                    // Serverless billing - no provisioned capacity
+                RemovalPolicy = RemovalPolicy.DESTROY                         // Allow table deletion when stack is destroyed
+            });
+
+            // Collaborators of shared lists, one item per list and email address
+            var sharesTable = new Table(this, "TodoListSharesTable", new TableProps
+            {
+                TableName = "TodoListSharesCdk",                              // Physical table name in AWS
+                PartitionKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "ListId",
+                    Type = AttributeType.STRING                                // Shared list ID as partition key
+                },
+                SortKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "Email",
+                    Type = AttributeType.STRING                                // Collaborator email as sort key
+                },
+                BillingMode = BillingMode.PAY_PER_REQUEST,                    // Serverless billing - no provisioned capacity
+                RemovalPolicy = RemovalPolicy.DESTROY                         // Allow table deletion when stack is destroyed
+            });
+
+            // Global Secondary Index for finding the lists shared with a user
+            sharesTable.AddGlobalSecondaryIndex(new GlobalSecondaryIndexProps
+            {
+                IndexName = "EmailIndex",                                     // Must match ListShare.EmailIndex in the backend
+                PartitionKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "Email",
+                    Type = AttributeType.STRING                                // Collaborator email
+                },
+                ProjectionType = ProjectionType.ALL                           // Return full shares from the index
+            });
+
+            // History of every todo item (who changed what), one item per change
+            var eventsTable = new Table(this, "TodoEventsTable", new TableProps
+            {
+                TableName = "TodoEventsCdk",                                  // Physical table name in AWS
+                PartitionKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "TodoId",
+                    Type = AttributeType.STRING                                // Todo ID as partition key
+                },
+                SortKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "Id",
+                    Type = AttributeType.STRING                                // Time-prefixed event ID as sort key
+                },
+                BillingMode = BillingMode.PAY_PER_REQUEST,                    // Serverless billing - no provisioned capacity
+                RemovalPolicy = RemovalPolicy.DESTROY,                       // Allow table deletion when stack is destroyed
+                TimeToLiveAttribute = "ExpiresAt"                             // Drop history entries after a year
+            });
+
+            // Secret calendar feed tokens, one per user
+            var calendarFeedsTable = new Table(this, "TodoCalendarFeedsTable", new TableProps
+            {
+                TableName = "TodoCalendarFeedsCdk",                           // Physical table name in AWS
+                PartitionKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "UserId",
+                    Type = AttributeType.STRING                                // Owner ("sub" claim) as partition key
+                },
+                BillingMode = BillingMode.PAY_PER_REQUEST,                    // Serverless billing - no provisioned capacity
+                RemovalPolicy = RemovalPolicy.DESTROY                         // Allow table deletion when stack is destroyed
+            });
+
+            // Global Secondary Index for finding the user a calendar feed request is for
+            calendarFeedsTable.AddGlobalSecondaryIndex(new GlobalSecondaryIndexProps
+            {
+                IndexName = "TokenIndex",                                     // Must match CalendarFeed.TokenIndex in the backend
+                PartitionKey = new Amazon.CDK.AWS.DynamoDB.Attribute
+                {
+                    Name = "Token",
+                    Type = AttributeType.STRING                                // Secret token from the feed URL
+                },
+                ProjectionType = ProjectionType.ALL                           // Return full feeds from the index
+            });
+
+            // Files attached to todo items; browsers upload and download them with pre-signed URLs
+            var attachmentsBucket = new Bucket(this, "TodoAttachmentsBucket", new BucketProps
+            {
+                BlockPublicAccess = BlockPublicAccess.BLOCK_ALL,              // Files are only reachable through pre-signed URLs
+                Encryption = BucketEncryption.S3_MANAGED,                     // Encrypt files at rest
+                RemovalPolicy = RemovalPolicy.DESTROY,                       // Allow bucket deletion when stack is destroyed
+                AutoDeleteObjects = true,                                     // Delete attachments with the bucket
+                LifecycleRules = new[]
+                {
+                    new LifecycleRule
+                    {
+                        Id = "ExpireUnattachedUploads",
+                        Prefix = "pending/",                                  // Must match AttachmentStorageService.PendingPrefix
+                        Expiration = Duration.Days(1)                         // Uploads that were never attached to a todo
+                    }
+                },
+                Cors = new[]
+                {
+                    new CorsRule
+                    {
+                        AllowedOrigins = new[] { "*" },                       // Pre-signed URLs are used from the frontend's origin
+                        AllowedMethods = new[] { HttpMethods.PUT, HttpMethods.GET, HttpMethods.HEAD },
+                        AllowedHeaders = new[] { "*" },                       // Uploads send the signed Content-Type
+                        MaxAge = 3000
+                    }
+                }
+            });
+
+            // OIDC issuer settings, e.g. cdk deploy -c authAuthority=https://login.example.com
+            var authAuthority = this.Node.TryGetContext("authAuthority") as string ?? "";
+            var authAudience = this.Node.TryGetContext("authAudience") as string ?? "todo-frontend";
+
             // ================================================================
             // COMPUTE LAYER - AWS Lambda Function (.NET 8) - Development Optimized
             // ================================================================
             // Creates a serverless Lambda function with automatic asset bundling
             // Optimized for development/testing with cost-effective configuration
-            var lambdaFunction = new Function(this, "TodoLambda", new FunctionProps
+            var backendCode = Code.FromAsset("../Backend", new Amazon.CDK.AWS.S3.Assets.AssetOptions
             {
-                Runtime = Runtime.DOTNET_8,                                   // .NET 8 runtime environment
-                Handler = "TodoApi::TodoApi.LambdaEntryPoint::FunctionHandlerAsync", // Entry point for Lambda execution
-                Code = Code.FromAsset("../Backend", new Amazon.CDK.AWS.S3.Assets.AssetOptions
+                // AUTOMATIC ASSET BUNDLING - CDK compiles and packages .NET code
+                Bundling = new BundlingOptions
                 {
-                    // AUTOMATIC ASSET BUNDLING - CDK compiles and packages .NET code
-                    Bundling = new BundlingOptions
+                    Image = Runtime.DOTNET_8.BundlingImage,                   // Official .NET 8 build container
+                    Command = new[]                                           // Build commands executed in container
                     {
-                        Image = Runtime.DOTNET_8.BundlingImage,               // Official .NET 8 build container
-                        Command = new[]                                       // Build commands executed in container
-                        {
-                            "/bin/sh", "-c",
-                            "dotnet tool install -g Amazon.Lambda.Tools --version 5.10.5 && " +  // Install Lambda tools
-                            "dotnet lambda package --output-package /asset-output/function.zip"   // Compile and package
-                        }
+                        "/bin/sh", "-c",
+                        "dotnet tool install -g Amazon.Lambda.Tools --version 5.10.5 && " +  // Install Lambda tools
+                        "dotnet lambda package --output-package /asset-output/function.zip"   // Compile and package
                     }
-                }),
+                }
+            });
+
+            var lambdaFunction = new Function(this, "TodoLambda", new FunctionProps
+            {
+                Runtime = Runtime.DOTNET_8,                                   // .NET 8 runtime environment
+                Handler = "TodoApi::TodoApi.LambdaEntryPoint::FunctionHandlerAsync", // Entry point for Lambda execution
+                Code = backendCode,                                           // Same package as the purge function
                 Environment = new Dictionary<string, string>                  // Runtime environment variables
                 {
-                    ["DYNAMODB_TABLE"] = table.TableName                     // Pass table name to Lambda
+                    ["DYNAMODB_TABLE"] = table.TableName,                    // Pass table name to Lambda
+                    ["DYNAMODB_LISTS_TABLE"] = listsTable.TableName,         // Pass lists table name to Lambda
+                    ["DYNAMODB_SHARES_TABLE"] = sharesTable.TableName,       // Pass list shares table name to Lambda
+                    ["DYNAMODB_EVENTS_TABLE"] = eventsTable.TableName,       // Pass todo history table name to Lambda
+                    ["DYNAMODB_CALENDAR_FEEDS_TABLE"] = calendarFeedsTable.TableName, // Pass calendar feed tokens table name to Lambda
+                    ["Trash__RetentionDays"] = "30",                         // Days a deleted todo stays in the trash
+                    ["Attachments__BucketName"] = attachmentsBucket.BucketName, // Bucket for files attached to todos
+                    ["Auth__Authority"] = authAuthority,                     // OIDC issuer that signs access tokens
+                    ["Auth__Audience"] = authAudience                        // OIDC client ID of the frontend
                 },
                 Timeout = Duration.Seconds(30),                              // Maximum execution time
                 MemorySize = 256,                                            // Memory allocation (cost-optimized for development)
@@ -77,12 +224,52 @@ namespace TodoAppCdk
                 // Removed: Custom Log Groups (use default)
             });
 
+            // Cleans up after todos that TTL purged from the trash (their history and attached files)
+            var purgeFunction = new Function(this, "TodoTrashPurgeLambda", new FunctionProps
+            {
+                Runtime = Runtime.DOTNET_8,                                   // .NET 8 runtime environment
+                Handler = "TodoApi::TodoApi.TrashPurgeFunction::FunctionHandlerAsync", // Entry point for stream batches
+                Code = backendCode,                                           // Same package as the API
+                Environment = new Dictionary<string, string>
+                {
+                    ["Attachments__BucketName"] = attachmentsBucket.BucketName // Bucket for files attached to todos
+                },
+                Timeout = Duration.Seconds(60),                              // Batches of up to 100 purged todos
+                MemorySize = 256                                             // Memory allocation (cost-optimized for development)
+            });
+            purgeFunction.AddEventSource(new DynamoEventSource(table, new DynamoEventSourceProps
+            {
+                StartingPosition = StartingPosition.TRIM_HORIZON,            // Process every removal still in the stream
+                BatchSize = 100,                                              // Todo items per invocation
+                RetryAttempts = 10,                                           // Give up on a batch after this many failures
+                Filters = new[]                                               // Only removals made by TTL, not by the API
+                {
+                    FilterCriteria.Filter(new Dictionary<string, object>
+                    {
+                        ["eventName"] = FilterRule.IsEqual("REMOVE"),
+                        ["userIdentity"] = new Dictionary<string, object>
+                        {
+                            ["type"] = FilterRule.IsEqual("Service"),
+                            ["principalId"] = FilterRule.IsEqual("dynamodb.amazonaws.com")
+                        }
+                    })
+                }
+            }));
+
             // ================================================================
             // SECURITY LAYER - IAM Permissions
             // ================================================================
             // Grant Lambda function read/write permissions to DynamoDB table
             // CDK automatically creates least-privilege IAM policies
             table.GrantReadWriteData(lambdaFunction);
+            listsTable.GrantReadWriteData(lambdaFunction);
+            sharesTable.GrantReadWriteData(lambdaFunction);
+            eventsTable.GrantReadWriteData(lambdaFunction);
+            eventsTable.GrantReadWriteData(purgeFunction);                 // Delete the history of purged todos
+            calendarFeedsTable.GrantReadWriteData(lambdaFunction);
+            attachmentsBucket.GrantReadWrite(lambdaFunction);               // Sign upload/download URLs and delete files
+            attachmentsBucket.GrantRead(purgeFunction);                     // List the files of purged todos
+            attachmentsBucket.GrantDelete(purgeFunction);                   // Delete them
 
             // ================================================================
             // API LAYER - L3 Lambda REST API (68% Code Reduction)
@@ -100,7 +287,7 @@ namespace TodoAppCdk
                     AllowMethods = Cors.ALL_METHODS,                         // Allow all HTTP methods
                     AllowHeaders = new[] {                                   // Required headers for API requests
                         "Content-Type", "X-Amz-Date", "Authorization", 
-                        "X-Api-Key", "X-Amz-Security-Token" 
+                        "X-Api-Key", "X-Amz-Security-Token", "If-Match"
                     }
                 },
                 Proxy = true  // FULL PROXY INTEGRATION - Lambda handles all routing and HTTP methods
@@ -117,7 +304,7 @@ namespace TodoAppCdk
                 IndexDocument = "index.html",                                 // Default document for website
                 ErrorDocument = "error.html",                                 // Error page for 404s
                 Sources = new[] { Source.Asset("../Frontend") },             // Source directory for website files
-                Exclude = new[] { "server.py", ".DS_Store" }                 // Files to exclude from deployment
+                Exclude = new[] { "server.py", "stub_issuer.py", "stub_storage.py", ".DS_Store" } // Files to exclude from deployment
             });
 
             // ================================================================